@@ -1,27 +1,160 @@
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const twilio = require('twilio');
+const nodemailer = require('nodemailer');
 const { google } = require('googleapis');
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { once } = require('events');
+const fs = require('fs');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const { DateTime } = require('luxon');
+const ExcelJS = require('exceljs');
 require('dotenv').config();
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Zona horaria de la clínica: las fechas y horarios de las citas son horas locales de esta zona
+const ZONA_HORARIA = process.env.CLINIC_TIMEZONE || 'America/El_Salvador';
+
+// Detrás de un proxy inverso req.ip sería la IP del proxy y los límites por IP (reservas,
+// códigos SMS) los compartirían todos los pacientes. TRUST_PROXY acepta lo mismo que
+// 'trust proxy' de Express: true, número de saltos, 'loopback' o lista de IPs/subredes
+const confianzaProxy = process.env.TRUST_PROXY;
+if (confianzaProxy === 'true') {
+    app.set('trust proxy', true);
+} else if (/^\d+$/.test(confianzaProxy || '')) {
+    app.set('trust proxy', Number(confianzaProxy));
+} else if (confianzaProxy) {
+    app.set('trust proxy', confianzaProxy);
+}
+
 // Middleware
-app.use(cors());
+// Content-Disposition expuesto para que el panel use el nombre de las exportaciones
+app.use(cors({ exposedHeaders: ['Content-Disposition'] }));
 app.use(express.json());
 
-// Conexión a MongoDB
-mongoose.connect(process.env.MONGODB_URI, {
-    useNewUrlParser: true,
-    useUnifiedTopology: true
-}).then(() => {
+// Conexión a MongoDB y migraciones de arranque. Solo se invoca al ejecutar el servidor
+// (ver el final del archivo); las pruebas la llaman con su propia base de datos
+async function conectarBaseDatos(uri = process.env.MONGODB_URI) {
+    await mongoose.connect(uri, {
+        useNewUrlParser: true,
+        useUnifiedTopology: true
+    });
     console.log('Conectado a MongoDB');
-}).catch(err => {
-    console.error('Error al conectar a MongoDB:', err);
-});
+    // Reemplaza el antiguo índice único por fecha/hora con el índice por dentista
+    await Cita.syncIndexes();
+    // Las reservas ya no tienen índice único por horario: las separan sus bloques de agenda
+    await ReservaHorario.syncIndexes();
+    await asignarClaveConfiguracionClinica();
+    await migrarEstadosCitas();
+    await completarInstantesCitas();
+    await vincularPacientesCitas();
+    await crearAdministradorInicial();
+    await crearCatalogoServicios();
+    await recargarCatalogoServicios();
+    await crearDentistaInicial();
+    await asignarDentistasCitas();
+    await reservarBloquesCitasExistentes();
+}
+
+// Catálogo con el que arranca la clínica; después se administra desde /api/services
+const SERVICIOS_INICIALES = [
+    {
+        slug: 'limpieza-dental',
+        nombre: 'Limpieza Dental',
+        descripcion: 'Remoción de placa y sarro con pulido para mantener encías y dientes sanos.',
+        duracionMinutos: 60,
+        imagen: 'https://periodoncistajohannacalderon.com/wp-content/uploads/2018/10/LIMPIEZA-DENTAL.-jpg.webp'
+    },
+    {
+        slug: 'ortodoncia',
+        nombre: 'Ortodoncia',
+        descripcion: 'Corrección de la posición de los dientes con brackets o alineadores.',
+        duracionMinutos: 60,
+        imagen: 'https://periodoncistajohannacalderon.com/wp-content/uploads/2018/10/Common-Orthodontics-Treatments-770x500.jpg'
+    },
+    {
+        slug: 'extracciones',
+        nombre: 'Extracciones',
+        descripcion: 'Extracción de piezas dañadas o muelas del juicio con anestesia local.',
+        duracionMinutos: 60,
+        imagen: 'https://periodoncistajohannacalderon.com/wp-content/uploads/2018/10/8619de9f-2064-472f-baf4-9955cc37b0ee-770x500.jpg'
+    },
+    {
+        slug: 'implantes',
+        nombre: 'Implantes',
+        descripcion: 'Reemplazo de piezas perdidas con implantes de titanio y corona.',
+        duracionMinutos: 120,
+        imagen: 'https://periodoncistajohannacalderon.com/wp-content/uploads/2018/10/photo5071580139002899928-770x500.jpg'
+    },
+    {
+        slug: 'carillas',
+        nombre: 'Carillas',
+        descripcion: 'Láminas de porcelana o resina que mejoran el color y la forma de los dientes.',
+        duracionMinutos: 60,
+        imagen: 'https://periodoncistajohannacalderon.com/wp-content/uploads/2018/12/estetica-dental.png'
+    },
+    {
+        slug: 'diseño-sonrisa',
+        nombre: 'Diseño de Sonrisa',
+        descripcion: 'Plan estético completo para armonizar la sonrisa con el rostro.',
+        duracionMinutos: 60,
+        imagen: 'https://www.dentalcarebarcelona.com/wp-content/uploads/2021/11/disen%CC%83o-de-sonrisa-digital-barcelona.jpeg'
+    },
+    {
+        slug: 'radiografia',
+        nombre: 'Radiografía',
+        descripcion: 'Radiografías dentales para diagnóstico y seguimiento de tratamientos.',
+        duracionMinutos: 20,
+        imagen: 'https://www.colgate.com/content/dam/cp-sites/oral-care/oral-care-center/global/article/482102575-lg.jpg'
+    },
+    {
+        slug: 'protesis-dentales',
+        nombre: 'Prótesis Dentales',
+        descripcion: 'Prótesis fijas o removibles para recuperar la función al masticar.',
+        duracionMinutos: 60,
+        imagen: 'https://polydentia.es/wp-content/uploads/2020/01/protesis-dental-fija-puente.jpg'
+    }
+];
+
+// Identificador de servicio: minúsculas, números y guiones (ej: diseño-sonrisa)
+const SLUG_SERVICIO_REGEX = /^[a-z0-9ñ]+(-[a-z0-9ñ]+)*$/;
+
+// Formato de hora de 24h (HH:MM)
+const HORA_REGEX = /^([01][0-9]|2[0-3]):[0-5][0-9]$/;
+
+// Clave del único documento de configuración de la clínica
+const CLAVE_CONFIGURACION_CLINICA = 'clinica';
+
+// Duración de las citas creadas antes de que existieran duraciones por servicio
+const DURACION_CITA_POR_DEFECTO = 60;
+
+// Ciclo de vida de una cita: a qué estados se puede pasar desde cada uno
+const TRANSICIONES_CITA = {
+    'pendiente-confirmacion': ['confirmada', 'cancelada-por-paciente', 'cancelada-por-clinica'],
+    'confirmada': ['paciente-en-sala', 'no-asistio', 'cancelada-por-paciente', 'cancelada-por-clinica'],
+    'paciente-en-sala': ['en-atencion', 'cancelada-por-paciente', 'cancelada-por-clinica'],
+    'en-atencion': ['completada'],
+    'completada': [],
+    // Corrige un "no asistió" si el paciente llega tarde
+    'no-asistio': ['paciente-en-sala'],
+    'cancelada-por-paciente': [],
+    'cancelada-por-clinica': []
+};
+const ESTADOS_CITA = Object.keys(TRANSICIONES_CITA);
+
+// Estados en los que la cita ocupa su horario
+const ESTADOS_ACTIVOS_CITA = ['pendiente-confirmacion', 'confirmada', 'paciente-en-sala', 'en-atencion'];
+
+// Estados en los que la cita todavía se puede reprogramar y recibe recordatorios
+const ESTADOS_PROGRAMADOS_CITA = ['pendiente-confirmacion', 'confirmada'];
+
+const ESTADOS_CANCELADOS_CITA = ['cancelada-por-paciente', 'cancelada-por-clinica'];
 
 // Esquema de MongoDB para las citas
 const citaSchema = new mongoose.Schema({
@@ -41,19 +174,19 @@ const citaSchema = new mongoose.Schema({
         required: true,
         trim: true
     },
+    // Slug del catálogo de servicios; se valida en las rutas para aceptar solo servicios activos
     tipoServicio: {
         type: String,
-        required: true,
-        enum: [
-            'limpieza-dental',
-            'ortodoncia', 
-            'extracciones',
-            'implantes',
-            'carillas',
-            'diseño-sonrisa',
-            'radiografia',
-            'protesis-dentales'
-        ]
+        required: true
+    },
+    dentista: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Dentista'
+    },
+    // Los datos de contacto se copian en la cita; el paciente agrupa sus visitas
+    paciente: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Paciente'
     },
     fecha: {
         type: Date,
@@ -62,206 +195,6148 @@ const citaSchema = new mongoose.Schema({
     horario: {
         type: String,
         required: true,
-        enum: ['08:00', '09:00', '10:00', '11:00', '13:00', '14:00', '15:00', '16:00']
+        match: HORA_REGEX
+    },
+    duracionMinutos: {
+        type: Number,
+        default: DURACION_CITA_POR_DEFECTO,
+        min: 5
+    },
+    // Instantes reales de inicio y fin, calculados a partir de fecha/horario en ZONA_HORARIA
+    inicio: {
+        type: Date
+    },
+    fin: {
+        type: Date
     },
     estado: {
         type: String,
         default: 'confirmada',
-        enum: ['confirmada', 'cancelada', 'completada']
+        enum: ESTADOS_CITA
+    },
+    // Derivado de estado (ESTADOS_ACTIVOS_CITA); lo usa el índice único parcial de horarios
+    ocupaHorario: {
+        type: Boolean,
+        default: true
+    },
+    // Citas agendadas por el paciente en línea o por el personal en recepción
+    origen: {
+        type: String,
+        enum: ['en-linea', 'presencial'],
+        default: 'en-linea'
     },
     googleCalendarEventId: {
         type: String
     },
+    historialReprogramaciones: [{
+        fechaAnterior: Date,
+        horarioAnterior: String,
+        dentistaAnterior: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Dentista'
+        },
+        fechaCambio: {
+            type: Date,
+            default: Date.now
+        },
+        realizadoPor: {
+            type: String,
+            enum: ['paciente', 'personal']
+        },
+        usuario: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Usuario'
+        }
+    }],
+    // Confirmación de asistencia enviada por el paciente (respuesta "SI" por SMS)
+    asistenciaConfirmada: {
+        type: Boolean,
+        default: false
+    },
+    fechaConfirmacionAsistencia: Date,
+    // Estado de entrega de cada recordatorio programado
+    recordatorios: [{
+        minutosAntes: Number,
+        canal: {
+            type: String,
+            enum: ['sms', 'email']
+        },
+        estado: {
+            type: String,
+            default: 'pendiente',
+            enum: ['pendiente', 'enviado', 'fallido', 'omitido']
+        },
+        fechaProgramada: Date,
+        fechaEnvio: Date,
+        error: String
+    }],
     fechaCreacion: {
         type: Date,
         default: Date.now
     }
 });
 
-// Crear índice único para evitar citas duplicadas en la misma fecha/hora
-citaSchema.index({ fecha: 1, horario: 1 }, { unique: true });
+// Mantener inicio/fin sincronizados con la fecha, el horario y la duración
+citaSchema.pre('validate', function (next) {
+    if (this.fecha && this.horario) {
+        this.inicio = obtenerFechaHoraCita(this);
+        this.fin = new Date(this.inicio.getTime() + (this.duracionMinutos || DURACION_CITA_POR_DEFECTO) * 60 * 1000);
+    }
+    next();
+});
 
-const Cita = mongoose.model('Cita', citaSchema);
+// Mantener ocupaHorario al día tanto al guardar documentos como en las actualizaciones
+// que cambian el estado directamente (cambiarEstadoCita, migraciones)
+citaSchema.pre('validate', function (next) {
+    this.ocupaHorario = ESTADOS_ACTIVOS_CITA.includes(this.estado);
+    next();
+});
 
-// Configuración de Twilio
-const twilioClient = twilio(
-    process.env.TWILIO_ACCOUNT_SID,
-    process.env.TWILIO_AUTH_TOKEN
-);
+citaSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate'], function (next) {
+    const cambios = this.getUpdate() || {};
+    const estado = cambios.$set && cambios.$set.estado !== undefined ? cambios.$set.estado : cambios.estado;
+    if (estado !== undefined) {
+        this.set('ocupaHorario', ESTADOS_ACTIVOS_CITA.includes(estado));
+    }
+    next();
+});
+
+citaSchema.index({ inicio: 1 });
+citaSchema.index({ paciente: 1, inicio: -1 });
 
-// Configuración de Google Calendar
-const oauth2Client = new google.auth.OAuth2(
-    process.env.GOOGLE_CLIENT_ID,
-    process.env.GOOGLE_CLIENT_SECRET,
-    process.env.GOOGLE_REDIRECT_URI
+// Un dentista no puede tener dos citas activas en la misma fecha/hora. Las canceladas o
+// terminadas quedan fuera del índice para que su horario se pueda volver a agendar.
+// Se filtra por un booleano porque los índices parciales con $in requieren MongoDB 6.
+citaSchema.index(
+    { dentista: 1, fecha: 1, horario: 1 },
+    { unique: true, partialFilterExpression: { ocupaHorario: true } }
 );
 
-oauth2Client.setCredentials({
-    refresh_token: process.env.GOOGLE_REFRESH_TOKEN
+const Cita = mongoose.model('Cita', citaSchema);
+
+// Tamaño de los bloques en que se divide la agenda de cada dentista
+const MINUTOS_BLOQUE_AGENDA = 5;
+
+// Esquema de MongoDB para los bloques de agenda ocupados. Cada cita activa y cada reserva
+// temporal reclama todos los bloques de MINUTOS_BLOQUE_AGENDA que cubre; el índice único
+// impide que dos de ellas se superpongan aunque empiecen a distinta hora y lleguen a la vez.
+const bloqueAgendaSchema = new mongoose.Schema({
+    dentista: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Dentista',
+        required: true
+    },
+    inicio: {
+        type: Date,
+        required: true
+    },
+    // Dueño del bloque: una cita o el token de una reserva temporal
+    cita: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Cita'
+    },
+    reserva: String,
+    // Solo en los bloques de reservas: vencidos ya no ocupan la agenda
+    expiraEn: Date
 });
 
-const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
+bloqueAgendaSchema.index({ dentista: 1, inicio: 1 }, { unique: true });
+bloqueAgendaSchema.index({ cita: 1 });
+bloqueAgendaSchema.index({ reserva: 1 });
 
-// Funciones auxiliares
-function formatearServicio(servicio) {
-    const servicios = {
-        'limpieza-dental': 'Limpieza Dental',
-        'ortodoncia': 'Ortodoncia',
-        'extracciones': 'Extracciones',
-        'implantes': 'Implantes',
-        'carillas': 'Carillas',
-        'diseño-sonrisa': 'Diseño de Sonrisa',
-        'radiografia': 'Radiografía',
-        'protesis-dentales': 'Prótesis Dentales'
-    };
-    return servicios[servicio] || servicio;
-}
+// Los bloques pasados ya no pueden chocar con nada
+bloqueAgendaSchema.index({ inicio: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+bloqueAgendaSchema.index({ expiraEn: 1 }, { expireAfterSeconds: 0 });
 
-function formatearHora(hora) {
-    const [horas, minutos] = hora.split(':');
-    const horaNum = parseInt(horas);
-    const ampm = horaNum < 12 ? 'AM' : 'PM';
-    const horaFormateada = horaNum > 12 ? horaNum - 12 : horaNum;
-    return `${horaFormateada}:${minutos} ${ampm}`;
-}
+const BloqueAgenda = mongoose.model('BloqueAgenda', bloqueAgendaSchema);
 
-async function crearEventoGoogleCalendar(cita) {
-    try {
-        const fechaHora = new Date(`${cita.fecha.toISOString().split('T')[0]}T${cita.horario}:00.000Z`);
-        const fechaFin = new Date(fechaHora);
-        fechaFin.setHours(fechaFin.getHours() + 1); // Duración de 1 hora
+// Esquema de MongoDB para el historial de estados de las citas. Solo admite anexar:
+// cada cambio crea un registro nuevo y los existentes no se modifican ni se eliminan.
+const historialCitaSchema = new mongoose.Schema({
+    cita: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Cita',
+        required: true,
+        immutable: true
+    },
+    // Vacío en el registro de creación de la cita
+    estadoAnterior: {
+        type: String,
+        enum: ESTADOS_CITA,
+        immutable: true
+    },
+    estadoNuevo: {
+        type: String,
+        required: true,
+        enum: ESTADOS_CITA,
+        immutable: true
+    },
+    actor: {
+        tipo: {
+            type: String,
+            required: true,
+            enum: ['usuario', 'paciente', 'sistema'],
+            immutable: true
+        },
+        usuario: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Usuario',
+            immutable: true
+        },
+        nombre: {
+            type: String,
+            immutable: true
+        }
+    },
+    motivo: {
+        type: String,
+        trim: true,
+        immutable: true
+    },
+    fecha: {
+        type: Date,
+        default: Date.now,
+        immutable: true
+    }
+});
+
+historialCitaSchema.index({ cita: 1, fecha: 1 });
+
+historialCitaSchema.pre('save', function (next) {
+    next(this.isNew ? undefined : new Error('El historial de una cita no se puede modificar'));
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+    'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach(operacion => {
+    historialCitaSchema.pre(operacion, function (next) {
+        next(new Error('El historial de una cita no se puede modificar'));
+    });
+});
+
+const HistorialCita = mongoose.model('HistorialCita', historialCitaSchema);
+
+// Minutos que se retiene un horario mientras el paciente completa el formulario
+const MINUTOS_RESERVA_HORARIO = Number(process.env.SLOT_HOLD_MINUTES) || 5;
+
+// Reservas temporales activas que puede tener una misma IP, para que nadie acapare la agenda
+const MAXIMO_RESERVAS_POR_IP = 3;
+
+// Server-Sent Events de disponibilidad
+const INTERVALO_LATIDO_SSE_MS = 25 * 1000;
+const INTERVALO_RECONEXION_SSE_MS = 5 * 1000;
+
+// Esquema de MongoDB para las reservas temporales de horario. Se toman al elegir un
+// horario en el formulario y se convierten en cita al enviarlo; si el paciente no
+// termina, el índice TTL las borra solas. Los bloques de agenda que reclaman (ver
+// retenerHorario) evitan que dos reservas o una reserva y una cita se superpongan.
+const reservaHorarioSchema = new mongoose.Schema({
+    // Secreto que el navegador presenta para convertir o liberar la reserva
+    token: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    dentista: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Dentista',
+        required: true
+    },
+    // Slug del catálogo de servicios; se valida en las rutas para aceptar solo servicios activos
+    tipoServicio: {
+        type: String,
+        required: true
+    },
+    fecha: {
+        type: Date,
+        required: true
+    },
+    horario: {
+        type: String,
+        required: true,
+        match: HORA_REGEX
+    },
+    duracionMinutos: {
+        type: Number,
+        required: true
+    },
+    ip: String,
+    // Clave en LimiteSolicitudes del cupo de la IP que ocupa la reserva
+    turnoIP: String,
+    expiraEn: {
+        type: Date,
+        required: true
+    }
+});
+
+// MongoDB borra las vencidas cada minuto; las consultas igual filtran por expiraEn
+reservaHorarioSchema.index({ expiraEn: 1 }, { expireAfterSeconds: 0 });
+reservaHorarioSchema.index({ dentista: 1, fecha: 1 });
+
+const ReservaHorario = mongoose.model('ReservaHorario', reservaHorarioSchema);
+
+// Verificación del teléfono por código SMS antes de aceptar una reserva en línea
+const MINUTOS_VIGENCIA_CODIGO = 10;
+const MAXIMO_INTENTOS_CODIGO = 5;
+const SEGUNDOS_ENTRE_CODIGOS = 60;
+// Códigos que se pueden pedir por número y por IP en una hora
+const MAXIMO_CODIGOS_POR_TELEFONO = 3;
+const MAXIMO_CODIGOS_POR_IP = 10;
+const VENTANA_LIMITE_CODIGOS_SEGUNDOS = 60 * 60;
+// Días que el navegador del paciente recuerda un número ya verificado
+const DIAS_TELEFONO_VERIFICADO = Number(process.env.PHONE_VERIFICATION_DAYS) || 30;
+
+// Esquema de MongoDB para los códigos de verificación de teléfono. El código se guarda
+// como HMAC; los envíos se cuentan aparte, en LimiteSolicitudes.
+const verificacionTelefonoSchema = new mongoose.Schema({
+    telefono: {
+        type: String,
+        required: true,
+        match: /^\+503[0-9]{8}$/
+    },
+    codigoHash: {
+        type: String,
+        required: true
+    },
+    intentos: {
+        type: Number,
+        default: 0
+    },
+    ip: String,
+    expiraEn: {
+        type: Date,
+        required: true
+    },
+    creadoEn: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+verificacionTelefonoSchema.index({ creadoEn: 1 }, { expireAfterSeconds: VENTANA_LIMITE_CODIGOS_SEGUNDOS });
+verificacionTelefonoSchema.index({ telefono: 1, creadoEn: -1 });
+
+const VerificacionTelefono = mongoose.model('VerificacionTelefono', verificacionTelefonoSchema);
+
+// Esquema de MongoDB para los contadores de límites de solicitudes. Se incrementan con
+// una sola operación atómica, así dos peticiones simultáneas nunca leen el mismo total.
+const limiteSolicitudesSchema = new mongoose.Schema({
+    // Qué se limita y, en los contadores por ventana, el número de ventana
+    clave: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    total: {
+        type: Number,
+        default: 0
+    },
+    expiraEn: {
+        type: Date,
+        required: true
+    }
+});
+
+limiteSolicitudesSchema.index({ expiraEn: 1 }, { expireAfterSeconds: 0 });
+
+const LimiteSolicitudes = mongoose.model('LimiteSolicitudes', limiteSolicitudesSchema);
+
+// Esquema de MongoDB para los pacientes. Se identifican por cualquiera de sus
+// teléfonos o emails normalizados, así las visitas repetidas quedan en un solo registro.
+const pacienteSchema = new mongoose.Schema({
+    nombreCompleto: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    // Contacto más reciente, usado para notificaciones
+    email: {
+        type: String,
+        required: true,
+        trim: true,
+        lowercase: true
+    },
+    telefono: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    // Todos los contactos conocidos, normalizados (incluye los de registros fusionados)
+    emails: [String],
+    telefonos: [String],
+    // Solo visibles para los dentistas
+    notasClinicas: {
+        type: [{
+            texto: { type: String, required: true, trim: true },
+            autor: { type: mongoose.Schema.Types.ObjectId, ref: 'Usuario' },
+            fecha: { type: Date, default: Date.now }
+        }],
+        select: false
+    },
+    fechaCreacion: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+pacienteSchema.index({ telefonos: 1 });
+pacienteSchema.index({ emails: 1 });
+
+const Paciente = mongoose.model('Paciente', pacienteSchema);
+
+// Esquema de MongoDB para los dentistas (proveedores) de la clínica
+const dentistaSchema = new mongoose.Schema({
+    nombre: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    // Slugs del catálogo de servicios
+    servicios: [String],
+    // Jornada por día de la semana (0 = domingo ... 6 = sábado)
+    horarioLaboral: [{
+        diaSemana: {
+            type: Number,
+            required: true,
+            min: 0,
+            max: 6
+        },
+        horaInicio: {
+            type: String,
+            required: true,
+            match: HORA_REGEX
+        },
+        horaFin: {
+            type: String,
+            required: true,
+            match: HORA_REGEX
+        }
+    }],
+    usuario: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Usuario'
+    },
+    activo: {
+        type: Boolean,
+        default: true
+    },
+    fechaCreacion: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Indica si la cita completa (horario + duración) cabe en la jornada del dentista ese día
+dentistaSchema.methods.trabajaEn = function (fecha, horario, duracionMinutos) {
+    const diaSemana = new Date(fecha).getUTCDay();
+    const { inicio, fin } = intervaloCita(horario, duracionMinutos);
+    return this.horarioLaboral.some(jornada =>
+        jornada.diaSemana === diaSemana &&
+        horaAMinutos(jornada.horaInicio) <= inicio &&
+        fin <= horaAMinutos(jornada.horaFin)
+    );
+};
+
+const Dentista = mongoose.model('Dentista', dentistaSchema);
+
+// Esquema de MongoDB para el catálogo de servicios de la clínica
+const servicioSchema = new mongoose.Schema({
+    // Identificador que guardan las citas, dentistas y la lista de espera; no cambia
+    slug: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true,
+        match: SLUG_SERVICIO_REGEX,
+        immutable: true
+    },
+    nombre: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    descripcion: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    // Rango de precios en dólares; sin precio se muestra "consultar"
+    precioMinimo: {
+        type: Number,
+        min: 0
+    },
+    precioMaximo: {
+        type: Number,
+        min: 0
+    },
+    // Minutos que ocupa el servicio; sin duración ocupa un turno
+    duracionMinutos: {
+        type: Number,
+        min: 5,
+        max: 480
+    },
+    imagen: {
+        type: String,
+        trim: true
+    },
+    // Posición en los listados (menor primero)
+    orden: {
+        type: Number,
+        default: 0
+    },
+    // Los servicios inactivos no se pueden agendar, pero conservan su nombre en citas anteriores
+    activo: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+const Servicio = mongoose.model('Servicio', servicioSchema);
+
+// Esquema de MongoDB para el horario de atención de la clínica (documento único)
+const configuracionClinicaSchema = new mongoose.Schema({
+    // Clave fija del documento único: con el índice único no pueden crearse dos
+    clave: {
+        type: String,
+        default: CLAVE_CONFIGURACION_CLINICA,
+        unique: true
+    },
+    duracionTurnoMinutos: {
+        type: Number,
+        default: 60,
+        min: 5
+    },
+    // Horario de apertura por día de la semana; los días ausentes la clínica está cerrada
+    horarioSemanal: {
+        type: [{
+            diaSemana: { type: Number, required: true, min: 0, max: 6 },
+            apertura: { type: String, required: true, match: HORA_REGEX },
+            cierre: { type: String, required: true, match: HORA_REGEX }
+        }],
+        default: () => [
+            { diaSemana: 1, apertura: '08:00', cierre: '17:00' },
+            { diaSemana: 2, apertura: '08:00', cierre: '17:00' },
+            { diaSemana: 3, apertura: '08:00', cierre: '17:00' },
+            { diaSemana: 4, apertura: '08:00', cierre: '17:00' },
+            { diaSemana: 5, apertura: '08:00', cierre: '17:00' },
+            { diaSemana: 6, apertura: '08:00', cierre: '12:00' }
+        ]
+    },
+    almuerzo: {
+        inicio: { type: String, match: HORA_REGEX, default: '12:00' },
+        fin: { type: String, match: HORA_REGEX, default: '13:00' }
+    },
+    // Duraciones anteriores al catálogo de servicios; solo se leen al crear el catálogo
+    duracionesServicio: {
+        type: Map,
+        of: Number
+    },
+    // Feriados: 'MM-DD' se repite cada año, 'YYYY-MM-DD' aplica a una fecha concreta
+    feriados: {
+        type: [{
+            fecha: { type: String, required: true, match: /^(\d{4}-)?\d{2}-\d{2}$/ },
+            nombre: { type: String, required: true, trim: true }
+        }],
+        default: () => [
+            { fecha: '01-01', nombre: 'Año Nuevo' },
+            { fecha: '05-01', nombre: 'Día del Trabajo' },
+            { fecha: '05-10', nombre: 'Día de la Madre' },
+            { fecha: '06-17', nombre: 'Día del Padre' },
+            { fecha: '08-06', nombre: 'Fiestas Agostinas' },
+            { fecha: '09-15', nombre: 'Día de la Independencia' },
+            { fecha: '11-02', nombre: 'Día de los Difuntos' },
+            { fecha: '12-25', nombre: 'Navidad' }
+        ]
+    },
+    // Recordatorios a enviar antes de cada cita, en minutos (24 horas y 2 horas por defecto)
+    recordatoriosMinutosAntes: {
+        type: [Number],
+        default: () => [24 * 60, 2 * 60]
+    },
+    // Minutos que se reserva un horario liberado para quien lo recibe de la lista de espera
+    minutosReservaListaEspera: {
+        type: Number,
+        default: 30
+    },
+    // Cierres puntuales (vacaciones, capacitaciones, mantenimiento...)
+    cierres: [{
+        desde: { type: Date, required: true },
+        hasta: { type: Date, required: true },
+        motivo: { type: String, trim: true }
+    }]
+});
+
+const ConfiguracionClinica = mongoose.model('ConfiguracionClinica', configuracionClinicaSchema);
+
+// Esquema de MongoDB para los trabajos programados y la bandeja de salida (outbox) de
+// efectos secundarios: Google Calendar, SMS y recordatorios. Sobreviven a reinicios del
+// servidor y se reintentan con espera exponencial si fallan.
+const trabajoSchema = new mongoose.Schema({
+    tipo: {
+        type: String,
+        required: true
+    },
+    ejecutarEn: {
+        type: Date,
+        required: true
+    },
+    estado: {
+        type: String,
+        default: 'pendiente',
+        enum: ['pendiente', 'en-proceso', 'completado', 'fallido', 'omitido']
+    },
+    datos: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    intentos: {
+        type: Number,
+        default: 0
+    },
+    maxIntentos: {
+        type: Number,
+        default: 6
+    },
+    iniciadoEn: Date,
+    finalizadoEn: Date,
+    ultimoError: String,
+    fechaCreacion: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+trabajoSchema.index({ estado: 1, ejecutarEn: 1 });
+trabajoSchema.index({ 'datos.cita': 1 });
+
+const Trabajo = mongoose.model('Trabajo', trabajoSchema);
+
+// Esquema de MongoDB para los SMS recibidos de pacientes
+const mensajeEntranteSchema = new mongoose.Schema({
+    telefono: {
+        type: String,
+        required: true
+    },
+    cuerpo: {
+        type: String,
+        default: ''
+    },
+    twilioMessageSid: String,
+    cita: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Cita'
+    },
+    accion: {
+        type: String,
+        enum: ['confirmar', 'cancelar', 'ayuda', 'sin-reconocer']
+    },
+    // Los mensajes no reconocidos quedan pendientes de revisión por el personal
+    revisado: {
+        type: Boolean,
+        default: false
+    },
+    revisadoPor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Usuario'
+    },
+    fechaRecepcion: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+const MensajeEntrante = mongoose.model('MensajeEntrante', mensajeEntranteSchema);
+
+// Esquema de MongoDB para el tiempo bloqueado por eventos ajenos en Google Calendar
+const bloqueoCalendarioSchema = new mongoose.Schema({
+    googleEventId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    resumen: String,
+    inicio: {
+        type: Date,
+        required: true
+    },
+    fin: {
+        type: Date,
+        required: true
+    },
+    // Sin dentista, el bloqueo aplica a toda la clínica
+    dentista: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Dentista'
+    },
+    fechaActualizacion: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+bloqueoCalendarioSchema.index({ inicio: 1, fin: 1 });
+
+const BloqueoCalendario = mongoose.model('BloqueoCalendario', bloqueoCalendarioSchema);
+
+// Estado de la sincronización incremental con Google Calendar (un documento por calendario)
+const sincronizacionCalendarioSchema = new mongoose.Schema({
+    _id: String,
+    syncToken: String,
+    ultimaSincronizacion: Date
+});
+
+const SincronizacionCalendario = mongoose.model('SincronizacionCalendario', sincronizacionCalendarioSchema);
+
+// Esquema de MongoDB para la lista de espera de horarios ocupados
+const entradaListaEsperaSchema = new mongoose.Schema({
+    nombreCompleto: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    email: {
+        type: String,
+        required: true,
+        trim: true,
+        lowercase: true
+    },
+    telefono: {
+        type: String,
+        required: true,
+        match: /^\+503[0-9]{8}$/
+    },
+    // Slug del catálogo de servicios; se valida en las rutas para aceptar solo servicios activos
+    tipoServicio: {
+        type: String,
+        required: true
+    },
+    // Sin dentista, acepta a cualquiera que ofrezca el servicio
+    dentista: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Dentista'
+    },
+    fecha: {
+        type: Date,
+        required: true
+    },
+    // Rango de horas de inicio que le sirven al paciente (ambas incluidas)
+    horaDesde: {
+        type: String,
+        required: true,
+        match: HORA_REGEX
+    },
+    horaHasta: {
+        type: String,
+        required: true,
+        match: HORA_REGEX
+    },
+    estado: {
+        type: String,
+        enum: ['esperando', 'ofrecida', 'aceptada', 'cancelada'],
+        default: 'esperando'
+    },
+    // Horario reservado para el paciente mientras decide
+    oferta: {
+        fecha: Date,
+        horario: String,
+        dentista: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Dentista'
+        },
+        expiraEn: Date,
+        // Token de la ReservaHorario que bloquea el horario mientras dura la oferta
+        reserva: String
+    },
+    // Horarios ya ofrecidos (fecha|horario|dentista) para no repetirlos si la oferta vence
+    horariosOfrecidos: [String],
+    cita: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Cita'
+    },
+    fechaCreacion: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+entradaListaEsperaSchema.index({ estado: 1, fecha: 1, fechaCreacion: 1 });
+
+const EntradaListaEspera = mongoose.model('EntradaListaEspera', entradaListaEsperaSchema);
+
+// Esquema de MongoDB para el personal de la clínica
+const ROLES = ['admin', 'recepcionista', 'dentista'];
+
+const usuarioSchema = new mongoose.Schema({
+    nombre: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    email: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true,
+        lowercase: true
+    },
+    passwordHash: {
+        type: String,
+        required: true
+    },
+    rol: {
+        type: String,
+        required: true,
+        enum: ROLES
+    },
+    activo: {
+        type: Boolean,
+        default: true
+    },
+    fechaCreacion: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+usuarioSchema.methods.verificarPassword = function (password) {
+    return bcrypt.compare(password, this.passwordHash);
+};
+
+usuarioSchema.methods.toJSON = function () {
+    const usuario = this.toObject();
+    delete usuario.passwordHash;
+    delete usuario.__v;
+    return usuario;
+};
+
+const Usuario = mongoose.model('Usuario', usuarioSchema);
+
+// Proveedores de mensajería y calendario
+//
+// Las rutas y los trabajos no llaman a Twilio ni a Google directamente: usan los
+// proveedores elegidos por configuración (SMS_PROVIDER, WHATSAPP_PROVIDER y
+// CALENDAR_PROVIDER). Cada proveedor implementa una interfaz mínima:
+//
+//   mensajería: enviar({ para, mensaje }) -> { id }
+//   calendario: crearEvento(evento) -> id
+//               actualizarEvento(eventId, cambios)
+//               eliminarEvento(eventId)
+//               listarEventos({ syncToken, desde, pageToken }) -> { eventos, nextPageToken, nextSyncToken }
+//
+// Los eventos usan el formato de recurso de Google Calendar. Los errores imitan los
+// códigos HTTP de Google: 409 (el id ya existe), 404/410 (no existe o el sync token expiró).
+
+function crearErrorProveedor(mensaje, code) {
+    const error = new Error(mensaje);
+    error.code = code;
+    return error;
+}
+
+// Mensajería por Twilio (SMS o WhatsApp, que solo cambia el prefijo de los números)
+function crearMensajeriaTwilio(prefijo, remitente) {
+    const cliente = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+
+    return {
+        nombre: 'twilio',
+        async enviar({ para, mensaje }) {
+            const respuesta = await cliente.messages.create({
+                body: mensaje,
+                from: `${prefijo}${remitente}`,
+                to: `${prefijo}${para}`
+            });
+            return { id: respuesta.sid };
+        }
+    };
+}
+
+function crearCalendarioGoogle() {
+    const oauth2Client = new google.auth.OAuth2(
+        process.env.GOOGLE_CLIENT_ID,
+        process.env.GOOGLE_CLIENT_SECRET,
+        process.env.GOOGLE_REDIRECT_URI
+    );
+
+    oauth2Client.setCredentials({
+        refresh_token: process.env.GOOGLE_REFRESH_TOKEN
+    });
+
+    const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
+    const calendarId = process.env.GOOGLE_CALENDAR_ID;
+
+    return {
+        nombre: 'google',
+        id: calendarId,
+        async crearEvento(evento) {
+            const response = await calendar.events.insert({ calendarId, resource: evento });
+            return response.data.id;
+        },
+        async actualizarEvento(eventId, cambios) {
+            await calendar.events.patch({ calendarId, eventId, resource: cambios });
+        },
+        async eliminarEvento(eventId) {
+            await calendar.events.delete({ calendarId, eventId });
+        },
+        async listarEventos({ syncToken, desde, pageToken }) {
+            const parametros = { calendarId, singleEvents: true, showDeleted: true, pageToken };
+            if (syncToken) {
+                parametros.syncToken = syncToken;
+            } else {
+                parametros.timeMin = desde.toISOString();
+            }
+
+            const { data } = await calendar.events.list(parametros);
+            return {
+                eventos: data.items || [],
+                nextPageToken: data.nextPageToken,
+                nextSyncToken: data.nextSyncToken
+            };
+        }
+    };
+}
+
+// Registro local: guarda en memoria y, si PROVIDER_LOCAL_DIR está configurado, agrega
+// una línea JSON por registro en <dir>/<nombre>.jsonl para inspeccionarlo desde fuera
+function crearRegistroLocal(nombre) {
+    const registros = [];
+    const archivo = process.env.PROVIDER_LOCAL_DIR
+        ? path.join(process.env.PROVIDER_LOCAL_DIR, `${nombre}.jsonl`)
+        : null;
+
+    return {
+        registros,
+        async agregar(registro) {
+            const entrada = { ...registro, fecha: new Date() };
+            registros.push(entrada);
+            if (archivo) {
+                await fs.promises.mkdir(path.dirname(archivo), { recursive: true });
+                await fs.promises.appendFile(archivo, `${JSON.stringify(entrada)}\n`);
+            }
+            return entrada;
+        }
+    };
+}
+
+// Mensajería local: no envía nada, solo registra los mensajes (desarrollo y pruebas)
+function crearMensajeriaLocal(canal) {
+    const registro = crearRegistroLocal(canal);
+
+    return {
+        nombre: 'local',
+        mensajes: registro.registros,
+        async enviar({ para, mensaje }) {
+            const id = `local-${canal}-${registro.registros.length + 1}`;
+            await registro.agregar({ id, para, mensaje });
+            console.log(`[${canal} local] Mensaje para ${para}:\n${mensaje}`);
+            return { id };
+        }
+    };
+}
+
+// Calendario local en memoria con sync tokens, para desarrollo y pruebas
+function crearCalendarioLocal() {
+    const registro = crearRegistroLocal('calendario');
+    const eventos = new Map();
+    const cambios = []; // Ids de eventos en el orden en que cambiaron
+
+    const guardar = async (operacion, evento) => {
+        eventos.set(evento.id, evento);
+        cambios.push(evento.id);
+        await registro.agregar({ operacion, evento });
+    };
+
+    const obtener = (eventId) => {
+        const evento = eventos.get(eventId);
+        if (!evento || evento.status === 'cancelled') {
+            throw crearErrorProveedor(`El evento ${eventId} no existe`, 410);
+        }
+        return evento;
+    };
+
+    return {
+        nombre: 'local',
+        id: 'local',
+        eventos,
+        operaciones: registro.registros,
+        async crearEvento(evento) {
+            const id = evento.id || crypto.randomUUID().replace(/-/g, '');
+            if (eventos.has(id)) {
+                throw crearErrorProveedor(`El evento ${id} ya existe`, 409);
+            }
+            await guardar('crear', { ...evento, id, status: 'confirmed' });
+            return id;
+        },
+        async actualizarEvento(eventId, cambiosEvento) {
+            await guardar('actualizar', { ...obtener(eventId), ...cambiosEvento });
+        },
+        async eliminarEvento(eventId) {
+            await guardar('eliminar', { ...obtener(eventId), status: 'cancelled' });
+        },
+        async listarEventos({ syncToken, desde }) {
+            const posicion = syncToken === undefined ? null : Number(syncToken);
+            if (posicion !== null && !(posicion >= 0 && posicion <= cambios.length)) {
+                throw crearErrorProveedor('Sync token inválido', 410);
+            }
+
+            const ids = posicion === null ? [...eventos.keys()] : [...new Set(cambios.slice(posicion))];
+            const lista = ids.map(id => eventos.get(id)).filter(evento =>
+                posicion !== null || (evento.status !== 'cancelled' &&
+                    (!evento.end || !evento.end.dateTime || new Date(evento.end.dateTime) >= desde))
+            );
+
+            return { eventos: lista, nextSyncToken: String(cambios.length) };
+        }
+    };
+}
+
+const driversSMS = {
+    twilio: () => crearMensajeriaTwilio('', process.env.TWILIO_PHONE_NUMBER),
+    local: () => crearMensajeriaLocal('sms')
+};
+
+const driversWhatsApp = {
+    twilio: () => crearMensajeriaTwilio('whatsapp:', process.env.TWILIO_WHATSAPP_NUMBER),
+    local: () => crearMensajeriaLocal('whatsapp')
+};
+
+const driversCalendario = {
+    google: crearCalendarioGoogle,
+    local: crearCalendarioLocal
+};
+
+function crearProveedor(tipo, drivers, nombre) {
+    if (!drivers[nombre]) {
+        throw new Error(`Proveedor de ${tipo} desconocido: "${nombre}". Opciones: ${Object.keys(drivers).join(', ')}`);
+    }
+    console.log(`Proveedor de ${tipo}: ${nombre}`);
+    return drivers[nombre]();
+}
+
+// Sin configuración explícita se usa el proveedor real solo si hay credenciales
+const proveedores = {
+    sms: crearProveedor('SMS', driversSMS,
+        process.env.SMS_PROVIDER || (process.env.TWILIO_ACCOUNT_SID ? 'twilio' : 'local')),
+    whatsapp: crearProveedor('WhatsApp', driversWhatsApp,
+        process.env.WHATSAPP_PROVIDER || 'local'),
+    calendario: crearProveedor('calendario', driversCalendario,
+        process.env.CALENDAR_PROVIDER || (process.env.GOOGLE_REFRESH_TOKEN ? 'google' : 'local'))
+};
+
+// Configuración de email (SMTP); sin SMTP_HOST no se envían emails
+const transporteEmail = process.env.SMTP_HOST
+    ? nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        // Permite probar contra servidores locales de captura que no soportan STARTTLS
+        ignoreTLS: process.env.SMTP_IGNORE_TLS === 'true',
+        auth: process.env.SMTP_USER
+            ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+            : undefined
+    })
+    : null;
+
+// Catálogo de servicios en memoria (slug → servicio), incluidos los inactivos. Los mensajes
+// y las validaciones lo consultan de forma síncrona; se recarga al modificar el catálogo
+let catalogoServicios = new Map();
+
+async function recargarCatalogoServicios() {
+    const servicios = await Servicio.find().sort({ orden: 1, nombre: 1 }).lean();
+    catalogoServicios = new Map(servicios.map(servicio => [servicio.slug, servicio]));
+}
+
+// Validador de express-validator: el servicio debe existir en el catálogo y, al agendar, estar activo
+function existeServicio({ soloActivos = true } = {}) {
+    return (slug) => {
+        const servicio = catalogoServicios.get(slug);
+        if (!servicio || (soloActivos && !servicio.activo)) {
+            throw new Error('Tipo de servicio no válido');
+        }
+        return true;
+    };
+}
+
+// Funciones auxiliares
+function formatearServicio(servicio) {
+    const encontrado = catalogoServicios.get(servicio);
+    return encontrado ? encontrado.nombre : servicio;
+}
+
+function formatearHora(hora) {
+    const [horas, minutos] = hora.split(':');
+    const horaNum = parseInt(horas);
+    const ampm = horaNum < 12 ? 'AM' : 'PM';
+    const horaFormateada = horaNum > 12 ? horaNum - 12 : horaNum;
+    return `${horaFormateada}:${minutos} ${ampm}`;
+}
+
+/**
+ * Instante en que ocurre una hora local de la clínica.
+ * @param {Date|string} fecha - Día (YYYY-MM-DD o Date a medianoche UTC)
+ * @param {string} horario - Hora local en formato HH:MM
+ * @returns {Date} Instante correspondiente en ZONA_HORARIA
+ */
+function crearInstante(fecha, horario) {
+    const [hour, minute] = horario.split(':').map(Number);
+    return DateTime.fromISO(formatearFechaISO(fecha), { zone: ZONA_HORARIA })
+        .set({ hour, minute })
+        .toJSDate();
+}
+
+function obtenerFechaHoraCita(cita) {
+    return crearInstante(cita.fecha, cita.horario);
+}
+
+// Fecha de hoy (YYYY-MM-DD) en la zona horaria de la clínica
+function obtenerHoyClinica() {
+    return DateTime.now().setZone(ZONA_HORARIA).toISODate();
+}
+
+// Fecha de la cita para mostrar al paciente (ej: "20 de octubre de 2026")
+function formatearFechaCita(cita) {
+    return obtenerFechaHoraCita(cita).toLocaleDateString('es-ES', {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric',
+        timeZone: ZONA_HORARIA
+    });
+}
+
+// Inicio y fin del evento de Google Calendar para una cita
+function construirHorarioEvento(cita) {
+    const fechaHora = DateTime.fromJSDate(obtenerFechaHoraCita(cita), { zone: ZONA_HORARIA });
+    const fechaFin = fechaHora.plus({ minutes: cita.duracionMinutos || DURACION_CITA_POR_DEFECTO });
+
+    return {
+        start: {
+            dateTime: fechaHora.toISO({ suppressMilliseconds: true }),
+            timeZone: ZONA_HORARIA
+        },
+        end: {
+            dateTime: fechaFin.toISO({ suppressMilliseconds: true }),
+            timeZone: ZONA_HORARIA
+        }
+    };
+}
+
+function horaAMinutos(hora) {
+    const [horas, minutos] = hora.split(':').map(Number);
+    return horas * 60 + minutos;
+}
+
+function minutosAHora(minutos) {
+    const horas = Math.floor(minutos / 60);
+    return `${String(horas).padStart(2, '0')}:${String(minutos % 60).padStart(2, '0')}`;
+}
+
+// Intervalo [inicio, fin) en minutos desde la medianoche
+function intervaloCita(horario, duracionMinutos) {
+    const inicio = horaAMinutos(horario);
+    return { inicio, fin: inicio + duracionMinutos };
+}
+
+function seSuperponen(a, b) {
+    return a.inicio < b.fin && b.inicio < a.fin;
+}
+
+// Fecha en formato YYYY-MM-DD
+function formatearFechaISO(fecha) {
+    return new Date(fecha).toISOString().split('T')[0];
+}
+
+// Devuelve la configuración de la clínica, creándola con los valores por defecto si no
+// existe. El upsert por la clave fija evita que dos peticiones simultáneas creen dos
+async function obtenerConfiguracionClinica() {
+    const filtro = { clave: CLAVE_CONFIGURACION_CLINICA };
+    try {
+        return await ConfiguracionClinica.findOneAndUpdate(
+            filtro,
+            { $setOnInsert: filtro },
+            { upsert: true, new: true, setDefaultsOnInsert: true }
+        );
+    } catch (error) {
+        // Otra petición la creó a la vez: ya solo falta leerla
+        if (error.code !== 11000) throw error;
+        return ConfiguracionClinica.findOne(filtro);
+    }
+}
+
+// La configuración guardada antes de tener clave fija la recibe, para que el upsert la encuentre
+async function asignarClaveConfiguracionClinica() {
+    try {
+        await ConfiguracionClinica.updateOne(
+            { clave: { $exists: false } },
+            { $set: { clave: CLAVE_CONFIGURACION_CLINICA } }
+        );
+    } catch (error) {
+        console.error('Error al asignar la clave de la configuración de la clínica:', error);
+    }
+}
+
+// Minutos que ocupa un servicio; sin servicio (o sin duración en el catálogo) ocupa un turno
+function obtenerDuracionServicio(configuracion, tipoServicio) {
+    const servicio = tipoServicio && catalogoServicios.get(tipoServicio);
+    return (servicio && servicio.duracionMinutos) || configuracion.duracionTurnoMinutos;
+}
+
+// Indica si un dentista no tiene citas que se superpongan con el intervalo
+function dentistaLibre(citasDelDentista, intervalo) {
+    return !citasDelDentista.some(cita =>
+        seSuperponen(intervaloCita(cita.horario, cita.duracionMinutos || DURACION_CITA_POR_DEFECTO), intervalo)
+    );
+}
+
+/**
+ * Convierte los bloqueos de Google Calendar que aplican a un dentista en intervalos
+ * del día con la misma forma que las citas ({ horario, duracionMinutos }).
+ * @param {Object[]} bloqueos - Bloqueos que pueden tocar el día
+ * @param {string} fechaISO - Día a consultar (YYYY-MM-DD)
+ * @param {Object} dentistaId - Dentista a consultar
+ * @returns {Object[]} Intervalos ocupados ese día
+ */
+function bloqueosDelDia(bloqueos, fechaISO, dentistaId) {
+    const inicioDia = DateTime.fromISO(fechaISO, { zone: ZONA_HORARIA });
+    const finDia = inicioDia.plus({ days: 1 });
+
+    return bloqueos
+        .filter(bloqueo => !bloqueo.dentista || bloqueo.dentista.toString() === dentistaId.toString())
+        .filter(bloqueo => bloqueo.inicio < finDia.toJSDate() && bloqueo.fin > inicioDia.toJSDate())
+        .map(bloqueo => {
+            // Minutos de reloj local, como los horarios de las citas: en los días con cambio
+            // de horario no coinciden con los minutos transcurridos desde la medianoche
+            const inicio = DateTime.max(DateTime.fromJSDate(bloqueo.inicio, { zone: ZONA_HORARIA }), inicioDia);
+            const fin = DateTime.min(DateTime.fromJSDate(bloqueo.fin, { zone: ZONA_HORARIA }), finDia);
+            const minutosInicio = inicio.hour * 60 + inicio.minute;
+            const minutosFin = fin.equals(finDia)
+                ? 24 * 60
+                : fin.hour * 60 + fin.minute + (fin.second || fin.millisecond ? 1 : 0);
+            return { horario: minutosAHora(minutosInicio), duracionMinutos: minutosFin - minutosInicio };
+        });
+}
+
+// Bloqueos de Google Calendar que se cruzan con un rango de días de la clínica
+async function obtenerBloqueosRango(desde, hasta, dentistas) {
+    const inicioRango = DateTime.fromISO(formatearFechaISO(desde), { zone: ZONA_HORARIA });
+    const finRango = DateTime.fromISO(formatearFechaISO(hasta), { zone: ZONA_HORARIA }).plus({ days: 1 });
+
+    return BloqueoCalendario.find({
+        inicio: { $lt: finRango.toJSDate() },
+        fin: { $gt: inicioRango.toJSDate() },
+        $or: [{ dentista: { $exists: false } }, { dentista: null }, { dentista: { $in: dentistas } }]
+    }).lean();
+}
+
+/**
+ * Reservas temporales vigentes de un rango de días, con la misma forma que las citas
+ * ({ dentista, fecha, horario, duracionMinutos }) para sumarlas a los horarios ocupados.
+ * @param {Date|string} desde - Primer día del rango
+ * @param {Date|string} hasta - Último día del rango
+ * @param {Array} dentistas - Ids de los dentistas a consultar
+ * @param {string} [reservaExcluida] - Token de la reserva del propio paciente
+ * @returns {Promise<Object[]>} Reservas vigentes
+ */
+async function obtenerReservasHorario(desde, hasta, dentistas, reservaExcluida) {
+    const filtro = {
+        dentista: { $in: dentistas },
+        fecha: { $gte: new Date(desde), $lte: new Date(hasta) },
+        expiraEn: { $gt: new Date() }
+    };
+    if (reservaExcluida) {
+        filtro.token = { $ne: reservaExcluida };
+    }
+
+    return ReservaHorario.find(filtro, 'dentista fecha horario duracionMinutos').lean();
+}
+
+/**
+ * Motivo por el que la clínica no atiende en una fecha.
+ * @param {Object} configuracion - Configuración de la clínica
+ * @param {Date|string} fecha - Fecha a consultar
+ * @returns {string|null} Motivo del cierre o null si la clínica abre
+ */
+function obtenerMotivoCierre(configuracion, fecha) {
+    const fechaISO = formatearFechaISO(fecha);
+
+    const feriado = configuracion.feriados.find(f => f.fecha === fechaISO || f.fecha === fechaISO.slice(5));
+    if (feriado) return feriado.nombre;
+
+    const cierre = configuracion.cierres.find(c =>
+        formatearFechaISO(c.desde) <= fechaISO && fechaISO <= formatearFechaISO(c.hasta)
+    );
+    if (cierre) return cierre.motivo || 'Cierre temporal';
+
+    const diaSemana = new Date(fecha).getUTCDay();
+    if (!configuracion.horarioSemanal.some(jornada => jornada.diaSemana === diaSemana)) {
+        return 'La clínica no atiende este día';
+    }
+
+    return null;
+}
+
+/**
+ * Turnos de la clínica en una fecha según el horario semanal. Los turnos avanzan
+ * de duracionTurnoMinutos en duracionTurnoMinutos; una cita más larga ocupa varios
+ * turnos seguidos, por lo que solo se devuelven inicios donde toda la cita cabe
+ * antes del cierre sin cruzar el almuerzo.
+ * @param {Object} configuracion - Configuración de la clínica
+ * @param {Date|string} fecha - Fecha a consultar
+ * @param {number} [duracionMinutos] - Duración de la cita (por defecto un turno)
+ * @returns {string[]} Horarios de inicio de cada turno (HH:MM)
+ */
+function generarTurnosClinica(configuracion, fecha, duracionMinutos = configuracion.duracionTurnoMinutos) {
+    if (obtenerMotivoCierre(configuracion, fecha)) return [];
+
+    const diaSemana = new Date(fecha).getUTCDay();
+    const jornada = configuracion.horarioSemanal.find(j => j.diaSemana === diaSemana);
+    const paso = configuracion.duracionTurnoMinutos;
+    const { almuerzo } = configuracion;
+    const turnos = [];
+
+    for (let inicio = horaAMinutos(jornada.apertura); inicio + duracionMinutos <= horaAMinutos(jornada.cierre); inicio += paso) {
+        const fin = inicio + duracionMinutos;
+        const chocaConAlmuerzo = almuerzo && almuerzo.inicio && almuerzo.fin &&
+            seSuperponen({ inicio, fin }, { inicio: horaAMinutos(almuerzo.inicio), fin: horaAMinutos(almuerzo.fin) });
+
+        if (!chocaConAlmuerzo) {
+            turnos.push(minutosAHora(inicio));
+        }
+    }
+
+    return turnos;
+}
+
+/**
+ * Calcula los horarios libres por día combinando el horario de la clínica,
+ * la jornada de los dentistas, la duración del servicio y las citas activas.
+ * @param {Object} opciones
+ * @param {Date|string} opciones.desde - Primer día del rango
+ * @param {Date|string} opciones.hasta - Último día del rango
+ * @param {string} [opciones.tipoServicio] - Solo dentistas que ofrecen este servicio
+ * @param {string} [opciones.dentista] - Id del dentista o 'cualquiera'
+ * @param {string} [opciones.reservaExcluida] - Token de la reserva temporal del propio paciente
+ * @returns {Promise<Array>} Un elemento por día: { fecha, abierto, motivo, horarios, noDisponibles }
+ */
+async function calcularDisponibilidad({ desde, hasta, tipoServicio, dentista, reservaExcluida }) {
+    const configuracion = await obtenerConfiguracionClinica();
+
+    const filtroDentistas = { activo: true };
+    if (tipoServicio) {
+        filtroDentistas.servicios = tipoServicio;
+    }
+    if (dentista && dentista !== 'cualquiera') {
+        filtroDentistas._id = dentista;
+    }
+
+    const candidatos = await Dentista.find(filtroDentistas);
+    const duracion = obtenerDuracionServicio(configuracion, tipoServicio);
+
+    // Los horarios retenidos por otros pacientes cuentan como ocupados. Las citas sin
+    // dentista (anteriores a asignarlos y que no se pudieron migrar) bloquean a todos
+    const citas = [
+        ...await Cita.find({
+            dentista: { $in: [...candidatos.map(candidato => candidato._id), null] },
+            fecha: { $gte: new Date(desde), $lte: new Date(hasta) },
+            estado: { $in: ESTADOS_ACTIVOS_CITA }
+        }, 'dentista fecha horario duracionMinutos').lean(),
+        ...await obtenerReservasHorario(desde, hasta, candidatos.map(candidato => candidato._id), reservaExcluida)
+    ];
+    const bloqueos = await obtenerBloqueosRango(desde, hasta, candidatos.map(candidato => candidato._id));
+
+    // Citas agrupadas por dentista y día
+    const citasPorDentistaYDia = {};
+    citas.forEach(cita => {
+        const clave = `${cita.dentista}|${formatearFechaISO(cita.fecha)}`;
+        (citasPorDentistaYDia[clave] = citasPorDentistaYDia[clave] || []).push(cita);
+    });
+
+    const ahora = new Date();
+    const dias = [];
+    for (let dia = new Date(desde); dia <= new Date(hasta); dia.setUTCDate(dia.getUTCDate() + 1)) {
+        const fechaISO = formatearFechaISO(dia);
+        const motivo = obtenerMotivoCierre(configuracion, fechaISO);
+
+        if (motivo) {
+            dias.push({ fecha: fechaISO, abierto: false, motivo, horarios: [], noDisponibles: [] });
+            continue;
+        }
+
+        // Los turnos que ya pasaron (hoy) no se ofrecen
+        const turnos = generarTurnosClinica(configuracion, fechaISO, duracion)
+            .filter(horario => crearInstante(fechaISO, horario) > ahora);
+        const libres = turnos.filter(horario => candidatos.some(candidato =>
+            candidato.trabajaEn(fechaISO, horario, duracion) &&
+            dentistaLibre([
+                ...(citasPorDentistaYDia[`${candidato._id}|${fechaISO}`] || []),
+                ...(citasPorDentistaYDia[`null|${fechaISO}`] || []),
+                ...bloqueosDelDia(bloqueos, fechaISO, candidato._id)
+            ], intervaloCita(horario, duracion))
+        ));
+
+        dias.push({
+            fecha: fechaISO,
+            abierto: true,
+            horarios: libres,
+            noDisponibles: turnos.filter(horario => !libres.includes(horario))
+        });
+    }
+
+    return dias;
+}
+
+async function crearEventoGoogleCalendar(cita) {
+    try {
+        await cita.populate('dentista', 'nombre');
+
+        const evento = {
+            // Id derivado de la cita para que reintentar la creación no duplique el evento
+            id: cita._id.toString(),
+            summary: `Cita Dental - ${cita.nombreCompleto}`,
+            description: `
+                Paciente: ${cita.nombreCompleto}
+                Email: ${cita.email}
+                Teléfono: ${cita.telefono}
+                Servicio: ${formatearServicio(cita.tipoServicio)}
+                Dentista: ${cita.dentista ? cita.dentista.nombre : 'Sin asignar'}
+            `,
+            ...construirHorarioEvento(cita),
+            // Permite reconocer los eventos propios al sincronizar desde Google Calendar
+            extendedProperties: {
+                private: { citaId: cita._id.toString() }
+            },
+            attendees: [
+                { email: cita.email }
+            ],
+            reminders: {
+                useDefault: false,
+                overrides: [
+                    { method: 'email', minutes: 24 * 60 }, // 1 día antes
+                    { method: 'popup', minutes: 60 } // 1 hora antes
+                ]
+            }
+        };
+
+        return await proveedores.calendario.crearEvento(evento);
+    } catch (error) {
+        // El evento ya se había creado en un intento anterior
+        if (error.code === 409) {
+            return cita._id.toString();
+        }
+        console.error('Error al crear evento en Google Calendar:', error);
+        throw error;
+    }
+}
+
+async function eliminarEventoGoogleCalendar(eventId) {
+    try {
+        await proveedores.calendario.eliminarEvento(eventId);
+    } catch (error) {
+        // El evento ya no existe: no hay nada que eliminar
+        if (error.code === 404 || error.code === 410) return;
+        console.error('Error al eliminar evento en Google Calendar:', error);
+        throw error;
+    }
+}
+
+// Mueve el evento existente de Google Calendar a la nueva fecha/hora de la cita
+async function actualizarEventoGoogleCalendar(cita) {
+    try {
+        await proveedores.calendario.actualizarEvento(cita.googleCalendarEventId, construirHorarioEvento(cita));
+    } catch (error) {
+        console.error('Error al actualizar evento en Google Calendar:', error);
+        throw error;
+    }
+}
+
+// Token firmado que permite al paciente gestionar su cita sin iniciar sesión.
+// Expira a la hora de inicio de la cita.
+function generarTokenGestionCita(cita) {
+    return jwt.sign(
+        {
+            cita: cita._id.toString(),
+            exp: Math.floor(obtenerFechaHoraCita(cita).getTime() / 1000)
+        },
+        process.env.JWT_SECRET,
+        { audience: 'gestion-cita' }
+    );
+}
+
+function generarEnlaceGestionCita(cita) {
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:8080';
+    return `${frontendUrl}/gestionar-cita.html?token=${generarTokenGestionCita(cita)}`;
+}
+
+// Código de verificación de teléfono: HMAC con el secreto del servidor, ligado al número
+function hashearCodigoVerificacion(telefono, codigo) {
+    return crypto.createHmac('sha256', process.env.JWT_SECRET).update(`${telefono}:${codigo}`).digest('hex');
+}
+
+function codigoVerificacionCoincide(verificacion, codigo) {
+    const esperado = Buffer.from(verificacion.codigoHash, 'hex');
+    const recibido = Buffer.from(hashearCodigoVerificacion(verificacion.telefono, codigo), 'hex');
+    return esperado.length === recibido.length && crypto.timingSafeEqual(esperado, recibido);
+}
+
+/**
+ * Suma una solicitud al contador de la ventana fija actual y devuelve el total.
+ * @param {string} clave - Qué se limita (ej: 'codigos-ip:<ip>')
+ * @param {number} ventanaSegundos - Duración de cada ventana
+ * @returns {Promise<number>} Solicitudes de la ventana, incluida esta
+ */
+async function contarSolicitud(clave, ventanaSegundos) {
+    const ventana = Math.floor(Date.now() / (ventanaSegundos * 1000));
+    const filtro = { clave: `${clave}:${ventana}` };
+    const actualizacion = {
+        $inc: { total: 1 },
+        $setOnInsert: { expiraEn: new Date((ventana + 1) * ventanaSegundos * 1000) }
+    };
+
+    try {
+        const contador = await LimiteSolicitudes.findOneAndUpdate(filtro, actualizacion, { upsert: true, new: true });
+        return contador.total;
+    } catch (error) {
+        // Otra petición creó el mismo contador a la vez: ahora solo falta incrementarlo
+        if (error.code !== 11000) throw error;
+        const contador = await LimiteSolicitudes.findOneAndUpdate(filtro, actualizacion, { new: true });
+        return contador.total;
+    }
+}
+
+// Devuelve una solicitud contada que al final no se atendió (ej: el SMS no salió)
+async function descontarSolicitud(clave, ventanaSegundos) {
+    const ventana = Math.floor(Date.now() / (ventanaSegundos * 1000));
+    await LimiteSolicitudes.updateOne({ clave: `${clave}:${ventana}`, total: { $gt: 0 } }, { $inc: { total: -1 } });
+}
+
+/**
+ * Toma el turno para repetir una acción como mucho una vez cada tantos segundos. El
+ * documento solo se reemplaza si ya venció; si no, el upsert choca con el índice único.
+ * @param {string} clave - Qué se espacia (ej: 'reenvio-codigo:<telefono>')
+ * @param {number} segundos - Espera mínima entre dos solicitudes
+ * @returns {Promise<number>} 0 si se tomó el turno, o los segundos que faltan
+ */
+async function reservarTurnoSolicitud(clave, segundos) {
+    const ahora = new Date();
+
+    try {
+        await LimiteSolicitudes.findOneAndUpdate(
+            { clave, expiraEn: { $lte: ahora } },
+            { $set: { expiraEn: new Date(ahora.getTime() + segundos * 1000) }, $inc: { total: 1 } },
+            { upsert: true }
+        );
+        return 0;
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+        const turno = await LimiteSolicitudes.findOne({ clave }, 'expiraEn').lean();
+        return turno ? Math.max(1, Math.ceil((turno.expiraEn - ahora) / 1000)) : 1;
+    }
+}
+
+// Devuelve el turno tomado con reservarTurnoSolicitud si la acción no llegó a hacerse.
+// Mientras el turno está tomado nadie más puede tomarlo, así que el documento es el propio
+async function liberarTurnoSolicitud(clave) {
+    await LimiteSolicitudes.deleteOne({ clave });
+}
+
+// Token firmado que recuerda en el navegador que el paciente ya verificó su número
+function generarTokenTelefonoVerificado(telefono) {
+    return jwt.sign(
+        { telefono },
+        process.env.JWT_SECRET,
+        { audience: 'telefono-verificado', expiresIn: `${DIAS_TELEFONO_VERIFICADO}d` }
+    );
+}
+
+function telefonoVerificado(token, telefono) {
+    if (!token) return false;
+
+    try {
+        const payload = jwt.verify(token, process.env.JWT_SECRET, { audience: 'telefono-verificado' });
+        return payload.telefono === telefono;
+    } catch (error) {
+        return false;
+    }
+}
+
+async function enviarSMSConfirmacion(cita) {
+    try {
+        const fechaFormateada = formatearFechaCita(cita);
+
+        const mensaje = `
+¡Cita confirmada! 🦷
+
+📅 Fecha: ${fechaFormateada}
+🕐 Hora: ${formatearHora(cita.horario)}
+🔧 Servicio: ${formatearServicio(cita.tipoServicio)}
+
+Para cancelar o cambiar tu cita: ${generarEnlaceGestionCita(cita)}
+También puedes responder SI para confirmar tu asistencia o CANCELAR para cancelar.
+
+¡Te esperamos!
+        `.trim();
+
+        await proveedores.sms.enviar({ para: cita.telefono, mensaje });
+
+        console.log(`SMS enviado a ${cita.telefono}`);
+    } catch (error) {
+        console.error('Error al enviar SMS:', error);
+        throw error;
+    }
+}
+
+async function enviarSMSReprogramacion(cita) {
+    try {
+        const fechaFormateada = formatearFechaCita(cita);
+
+        const mensaje = `
+¡Cita reprogramada! 🦷
+
+📅 Nueva fecha: ${fechaFormateada}
+🕐 Nueva hora: ${formatearHora(cita.horario)}
+🔧 Servicio: ${formatearServicio(cita.tipoServicio)}
+
+Para cancelar o cambiar tu cita: ${generarEnlaceGestionCita(cita)}
+
+¡Te esperamos!
+        `.trim();
+
+        await proveedores.sms.enviar({ para: cita.telefono, mensaje });
+
+        console.log(`SMS de reprogramación enviado a ${cita.telefono}`);
+    } catch (error) {
+        console.error('Error al enviar SMS de reprogramación:', error);
+        throw error;
+    }
+}
+
+// Escapa texto para insertarlo en las plantillas HTML de los emails
+function escaparHTML(texto) {
+    return String(texto)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Escapa texto para un valor TEXT de iCalendar (RFC 5545, sección 3.3.11)
+function escaparTextoICS(texto) {
+    return String(texto)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Divide las líneas de más de 75 octetos como exige RFC 5545 (sección 3.1)
+function plegarLineaICS(linea) {
+    const partes = [];
+    let actual = '';
+
+    for (const caracter of linea) {
+        const limite = partes.length === 0 ? 75 : 74; // Las continuaciones empiezan con un espacio
+        if (Buffer.byteLength(actual + caracter) > limite) {
+            partes.push(actual);
+            actual = '';
+        }
+        actual += caracter;
+    }
+    partes.push(actual);
+
+    return partes.join('\r\n ');
+}
+
+function formatearInstanteICS(instante) {
+    return DateTime.fromJSDate(instante, { zone: 'utc' }).toFormat("yyyyMMdd'T'HHmmss'Z'");
+}
+
+// Dirección de correo del remitente, sin el nombre visible ("Clínica <citas@...>")
+function obtenerCorreoRemitente() {
+    const remitente = process.env.EMAIL_FROM || process.env.SMTP_USER || '';
+    const coincidencia = remitente.match(/<([^>]+)>/);
+    return coincidencia ? coincidencia[1] : remitente;
+}
+
+/**
+ * Genera las líneas VEVENT de una cita.
+ * @param {Object} cita - Documento de la cita (con inicio/fin calculados)
+ * @param {Object} opciones
+ * @param {string} opciones.resumen - Título del evento
+ * @param {string} opciones.descripcion - Descripción del evento
+ * @param {boolean} opciones.cancelada - Si el evento se publica como cancelado
+ * @param {Date} opciones.marcaTiempo - Valor de DTSTAMP
+ * @param {string[]} [opciones.extras] - Propiedades adicionales (ORGANIZER, ATTENDEE...)
+ * @returns {string[]} Líneas del evento sin plegar
+ */
+function generarEventoICS(cita, { resumen, descripcion, cancelada, marcaTiempo, extras = [] }) {
+    return [
+        'BEGIN:VEVENT',
+        `UID:${cita._id}@citas-dentales`,
+        // Cada cambio debe tener una secuencia mayor para que el calendario lo aplique
+        `SEQUENCE:${cita.historialReprogramaciones.length + (cancelada ? 1 : 0)}`,
+        `DTSTAMP:${formatearInstanteICS(marcaTiempo)}`,
+        `DTSTART:${formatearInstanteICS(cita.inicio)}`,
+        `DTEND:${formatearInstanteICS(cita.fin)}`,
+        `SUMMARY:${escaparTextoICS(resumen)}`,
+        `DESCRIPTION:${escaparTextoICS(descripcion)}`,
+        process.env.CLINIC_ADDRESS ? `LOCATION:${escaparTextoICS(process.env.CLINIC_ADDRESS)}` : null,
+        ...extras,
+        `STATUS:${cancelada ? 'CANCELLED' : 'CONFIRMED'}`,
+        'END:VEVENT'
+    ].filter(Boolean);
+}
+
+/**
+ * Arma un calendario iCalendar completo a partir de las líneas de sus eventos.
+ * @param {string[]} eventos - Líneas VEVENT
+ * @param {Object} opciones
+ * @param {string} [opciones.metodo] - METHOD de iTIP (REQUEST, CANCEL...); se omite en feeds
+ * @param {string} [opciones.nombre] - Nombre visible del calendario
+ * @returns {string} Contenido del archivo .ics
+ */
+function generarCalendarioICS(eventos, { metodo, nombre } = {}) {
+    const lineas = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Citas Dentales//Citas en Linea//ES',
+        'CALSCALE:GREGORIAN',
+        metodo ? `METHOD:${metodo}` : null,
+        nombre ? `X-WR-CALNAME:${escaparTextoICS(nombre)}` : null,
+        nombre ? `X-WR-TIMEZONE:${ZONA_HORARIA}` : null,
+        ...eventos,
+        'END:VCALENDAR'
+    ].filter(Boolean);
+
+    return lineas.map(plegarLineaICS).join('\r\n') + '\r\n';
+}
+
+/**
+ * Genera la invitación iCalendar que se adjunta a los emails del paciente.
+ * @param {Object} cita - Documento de la cita (con inicio/fin calculados)
+ * @param {string} metodo - 'REQUEST' para confirmaciones y cambios, 'CANCEL' para cancelaciones
+ * @returns {string} Contenido del archivo .ics
+ */
+function generarICS(cita, metodo) {
+    const evento = generarEventoICS(cita, {
+        resumen: `Cita Dental - ${formatearServicio(cita.tipoServicio)}`,
+        descripcion: [
+            `Servicio: ${formatearServicio(cita.tipoServicio)}`,
+            `Cancelar o cambiar la cita: ${generarEnlaceGestionCita(cita)}`
+        ].join('\n'),
+        cancelada: metodo === 'CANCEL',
+        marcaTiempo: new Date(),
+        extras: [
+            `ORGANIZER:mailto:${obtenerCorreoRemitente()}`,
+            `ATTENDEE;CN="${cita.nombreCompleto.replace(/"/g, '')}";ROLE=REQ-PARTICIPANT:mailto:${cita.email}`
+        ]
+    });
+
+    return generarCalendarioICS(evento, { metodo });
+}
+
+// Última modificación conocida de la cita; mantiene estable el feed entre consultas
+function obtenerUltimoCambioCita(cita) {
+    const fechas = [
+        cita.fechaCreacion,
+        cita.fechaConfirmacionAsistencia,
+        ...cita.historialReprogramaciones.map(cambio => cambio.fechaCambio)
+    ].filter(Boolean);
+
+    return new Date(Math.max(...fechas.map(fecha => new Date(fecha).getTime())));
+}
+
+/**
+ * Genera el feed iCalendar para el personal con las citas indicadas.
+ * @param {Object[]} citas - Citas con el dentista poblado
+ * @param {string} nombre - Nombre visible del calendario
+ * @returns {string} Contenido del archivo .ics
+ */
+function generarFeedICS(citas, nombre) {
+    const eventos = citas.flatMap(cita => generarEventoICS(cita, {
+        resumen: `Cita Dental - ${cita.nombreCompleto}`,
+        descripcion: [
+            `Paciente: ${cita.nombreCompleto}`,
+            `Email: ${cita.email}`,
+            `Teléfono: ${cita.telefono}`,
+            `Servicio: ${formatearServicio(cita.tipoServicio)}`,
+            `Dentista: ${cita.dentista ? cita.dentista.nombre : 'Sin asignar'}`,
+            `Estado: ${cita.estado}`
+        ].join('\n'),
+        cancelada: ESTADOS_CANCELADOS_CITA.includes(cita.estado),
+        marcaTiempo: obtenerUltimoCambioCita(cita)
+    }));
+
+    return generarCalendarioICS(eventos, { nombre });
+}
+
+// Plantilla HTML común de los emails a pacientes
+function plantillaEmail(titulo, contenido) {
+    return `
+        <div style="font-family: Arial, sans-serif; max-width: 560px; margin: 0 auto; color: #333;">
+            <h2 style="color: #2c7be5;">${titulo}</h2>
+            ${contenido}
+            <p style="color: #888; font-size: 12px;">Este mensaje fue enviado automáticamente, por favor no lo respondas.</p>
+        </div>
+    `;
+}
+
+// Bloque con los datos de la cita para las plantillas de email
+function detalleCitaEmail(cita) {
+    return `
+        <table style="border-collapse: collapse; margin: 16px 0;">
+            <tr><td style="padding: 4px 12px 4px 0;"><strong>Fecha</strong></td><td>${formatearFechaCita(cita)}</td></tr>
+            <tr><td style="padding: 4px 12px 4px 0;"><strong>Hora</strong></td><td>${formatearHora(cita.horario)}</td></tr>
+            <tr><td style="padding: 4px 12px 4px 0;"><strong>Servicio</strong></td><td>${formatearServicio(cita.tipoServicio)}</td></tr>
+        </table>
+    `;
+}
+
+/**
+ * Envía un email al paciente con la invitación de calendario adjunta.
+ * @param {Object} cita - Documento de la cita
+ * @param {Object} opciones
+ * @param {string} opciones.asunto - Asunto del email
+ * @param {string} opciones.html - Cuerpo HTML
+ * @param {string} opciones.metodo - Método iCalendar ('REQUEST' o 'CANCEL')
+ */
+async function enviarEmailCita(cita, { asunto, html, metodo }) {
+    const ics = generarICS(cita, metodo);
+
+    await transporteEmail.sendMail({
+        from: process.env.EMAIL_FROM || process.env.SMTP_USER,
+        to: cita.email,
+        subject: asunto,
+        html,
+        attachments: [{
+            filename: metodo === 'CANCEL' ? 'cita-cancelada.ics' : 'cita.ics',
+            content: ics,
+            contentType: `text/calendar; charset=utf-8; method=${metodo}`
+        }]
+    });
+}
+
+async function enviarEmailConfirmacion(cita) {
+    await enviarEmailCita(cita, {
+        asunto: 'Tu cita dental está confirmada',
+        metodo: 'REQUEST',
+        html: plantillaEmail('¡Cita confirmada!', `
+            <p>Hola ${escaparHTML(cita.nombreCompleto)},</p>
+            <p>Tu cita quedó agendada:</p>
+            ${detalleCitaEmail(cita)}
+            <p>Adjuntamos la invitación para que la agregues a tu calendario.</p>
+            <p><a href="${generarEnlaceGestionCita(cita)}">Cancelar o cambiar mi cita</a></p>
+            <p>¡Te esperamos!</p>
+        `)
+    });
+
+    console.log(`Email de confirmación enviado a ${cita.email}`);
+}
+
+async function enviarEmailReprogramacion(cita) {
+    await enviarEmailCita(cita, {
+        asunto: 'Tu cita dental cambió de fecha',
+        metodo: 'REQUEST',
+        html: plantillaEmail('¡Cita reprogramada!', `
+            <p>Hola ${escaparHTML(cita.nombreCompleto)},</p>
+            <p>Tu cita ahora es:</p>
+            ${detalleCitaEmail(cita)}
+            <p>La invitación adjunta actualiza el evento en tu calendario.</p>
+            <p><a href="${generarEnlaceGestionCita(cita)}">Cancelar o cambiar mi cita</a></p>
+        `)
+    });
+
+    console.log(`Email de reprogramación enviado a ${cita.email}`);
+}
+
+async function enviarEmailCancelacion(cita) {
+    await enviarEmailCita(cita, {
+        asunto: 'Tu cita dental fue cancelada',
+        metodo: 'CANCEL',
+        html: plantillaEmail('Cita cancelada', `
+            <p>Hola ${escaparHTML(cita.nombreCompleto)},</p>
+            <p>La siguiente cita fue cancelada:</p>
+            ${detalleCitaEmail(cita)}
+            <p>El archivo adjunto la elimina de tu calendario. Puedes agendar una nueva cita cuando quieras.</p>
+        `)
+    });
+
+    console.log(`Email de cancelación enviado a ${cita.email}`);
+}
+
+/**
+ * Busca un dentista calificado para el servicio que trabaje y esté libre durante
+ * toda la cita. Si no se indica un dentista, elige al que tenga menos citas ese día.
+ * @param {Object} opciones
+ * @param {string} opciones.tipoServicio - Servicio solicitado
+ * @param {Date|string} opciones.fecha - Fecha de la cita
+ * @param {string} opciones.horario - Horario de inicio de la cita
+ * @param {number} opciones.duracionMinutos - Duración de la cita
+ * @param {string} [opciones.dentista] - Id del dentista preferido o 'cualquiera'
+ * @param {string} [opciones.idExcluido] - Cita a ignorar (al reprogramar)
+ * @param {string} [opciones.reservaExcluida] - Reserva temporal del propio paciente
+ * @returns {Promise<Object|null>} Dentista asignado o null si no hay disponibilidad
+ */
+async function asignarDentista({ tipoServicio, fecha, horario, duracionMinutos, dentista, idExcluido, reservaExcluida }) {
+    // La cita completa debe caber en el horario de la clínica
+    const configuracion = await obtenerConfiguracionClinica();
+    if (!generarTurnosClinica(configuracion, fecha, duracionMinutos).includes(horario)) return null;
+
+    const filtro = { activo: true, servicios: tipoServicio };
+    if (dentista && dentista !== 'cualquiera') {
+        filtro._id = dentista;
+    }
+
+    const candidatos = (await Dentista.find(filtro))
+        .filter(candidato => candidato.trabajaEn(fecha, horario, duracionMinutos));
+
+    if (candidatos.length === 0) return null;
+
+    // Las citas sin dentista bloquean el horario para todos (ver calcularDisponibilidad)
+    const filtroCitas = {
+        dentista: { $in: [...candidatos.map(candidato => candidato._id), null] },
+        fecha: new Date(fecha),
+        estado: { $in: ESTADOS_ACTIVOS_CITA }
+    };
+    if (idExcluido) {
+        filtroCitas._id = { $ne: idExcluido };
+    }
+
+    const idsCandidatos = candidatos.map(candidato => candidato._id);
+    const citasDelDia = [
+        ...await Cita.find(filtroCitas, 'dentista horario duracionMinutos').lean(),
+        ...await obtenerReservasHorario(fecha, fecha, idsCandidatos, reservaExcluida)
+    ];
+    const bloqueos = await obtenerBloqueosRango(fecha, fecha, idsCandidatos);
+
+    const citasDe = (id) => citasDelDia
+        .filter(cita => !cita.dentista || cita.dentista.toString() === id.toString());
+    const intervalo = intervaloCita(horario, duracionMinutos);
+    const fechaISO = formatearFechaISO(fecha);
+
+    return candidatos
+        .filter(candidato => dentistaLibre([
+            ...citasDe(candidato._id),
+            ...bloqueosDelDia(bloqueos, fechaISO, candidato._id)
+        ], intervalo))
+        .sort((a, b) => citasDe(a._id).length - citasDe(b._id).length)[0] || null;
+}
+
+// Bloques de agenda que cubre un horario: [inicio, fin) redondeado hacia afuera a MINUTOS_BLOQUE_AGENDA
+function calcularBloquesHorario({ fecha, horario, duracionMinutos, dentista }) {
+    const tamano = MINUTOS_BLOQUE_AGENDA * 60 * 1000;
+    const inicio = crearInstante(fecha, horario).getTime();
+    const fin = inicio + (duracionMinutos || DURACION_CITA_POR_DEFECTO) * 60 * 1000;
+
+    const bloques = [];
+    for (let bloque = Math.floor(inicio / tamano) * tamano; bloque < fin; bloque += tamano) {
+        bloques.push({ dentista: dentista._id || dentista, inicio: new Date(bloque) });
+    }
+    return bloques;
+}
+
+const posicionBloque = ({ dentista, inicio }) => ({ dentista, inicio });
+
+/**
+ * Ajusta los bloques de agenda de un dueño (cita o reserva temporal) a los deseados. Si
+ * otro dueño ya tiene alguno, el índice único rechaza la inserción, se deshacen los
+ * bloques recién tomados y el dueño conserva los anteriores.
+ * @param {Object} dueno - Filtro del dueño: { cita } o { reserva }
+ * @param {Object[]} deseados - Bloques completos, con el dueño incluido
+ * @throws {Error} Con code 11000 si alguno de los bloques ya tiene otro dueño
+ */
+async function ajustarBloquesAgenda(dueno, deseados) {
+    const clave = bloque => `${bloque.dentista}|${bloque.inicio.getTime()}`;
+    const actuales = await BloqueAgenda.find(dueno).lean();
+
+    const clavesActuales = new Set(actuales.map(clave));
+    const nuevos = deseados.filter(bloque => !clavesActuales.has(clave(bloque)));
+    if (nuevos.length > 0) {
+        const posiciones = nuevos.map(posicionBloque);
+
+        // Los bloques de reservas vencidas que el TTL todavía no borró chocarían con el índice único
+        await BloqueAgenda.deleteMany({ expiraEn: { $lte: new Date() }, $or: posiciones });
+
+        try {
+            await BloqueAgenda.insertMany(nuevos, { ordered: true });
+        } catch (error) {
+            await BloqueAgenda.deleteMany({ ...dueno, $or: posiciones });
+            throw error;
+        }
+    }
+
+    const clavesDeseadas = new Set(deseados.map(clave));
+    const sobrantes = actuales.filter(bloque => !clavesDeseadas.has(clave(bloque)));
+    if (sobrantes.length > 0) {
+        await BloqueAgenda.deleteMany({ _id: { $in: sobrantes.map(bloque => bloque._id) } });
+    }
+}
+
+/**
+ * Pasa a otro dueño los bloques que uno tiene en las posiciones indicadas. Es una sola
+ * escritura: entre un dueño y otro nadie más puede tomarlos.
+ * @param {Object} origen - Filtro del dueño actual: { cita } o { reserva }
+ * @param {Object} destino - Nuevo dueño: { cita } o { reserva, expiraEn }
+ * @param {Object[]} bloques - Posiciones { dentista, inicio } a traspasar
+ */
+async function traspasarBloquesAgenda(origen, destino, bloques) {
+    if (bloques.length === 0) return;
+
+    await BloqueAgenda.updateMany(
+        { ...origen, $or: bloques.map(posicionBloque) },
+        destino.cita
+            ? { $set: { cita: destino.cita }, $unset: { reserva: 1, expiraEn: 1 } }
+            : { $set: { reserva: destino.reserva, expiraEn: destino.expiraEn }, $unset: { cita: 1 } }
+    );
+}
+
+/**
+ * Ajusta los bloques de agenda reclamados por una cita a su horario y dentista actuales.
+ * Se llama antes de guardar el cambio: si otra cita o reserva ya tiene alguno de los
+ * bloques, la cita conserva los anteriores (ver ajustarBloquesAgenda). Es la garantía
+ * atómica detrás de asignarDentista, que solo consulta y puede quedar desactualizada
+ * entre la lectura y el guardado.
+ * @param {Object} cita - Cita con su fecha, horario, duración y dentista (nuevos)
+ * @param {boolean} [ocupa] - Si la cita ocupa su horario; por defecto según su estado
+ * @throws {Error} Con code 11000 si el horario se superpone con otra cita o reserva del dentista
+ */
+async function reservarBloquesCita(cita, ocupa = ESTADOS_ACTIVOS_CITA.includes(cita.estado)) {
+    const deseados = ocupa && cita.dentista
+        ? calcularBloquesHorario(cita).map(bloque => ({ ...bloque, cita: cita._id }))
+        : [];
+    await ajustarBloquesAgenda({ cita: cita._id }, deseados);
+}
+
+/**
+ * Guarda una cita nueva después de reclamar sus bloques; si falla, los devuelve. Con la
+ * reserva temporal del paciente, los bloques de la reserva pasan a la cita sin quedar
+ * libres en medio y, si la cita no se guarda, vuelven a la reserva.
+ * @param {Object} cita - Cita nueva
+ * @param {Object} [reserva] - Reserva vigente que la cita reemplaza
+ * @returns {Promise<Object>} La cita guardada
+ */
+async function guardarCitaNueva(cita, reserva) {
+    const heredados = reserva ? calcularBloquesHorario(cita) : [];
+    if (reserva) {
+        await traspasarBloquesAgenda(
+            { reserva: reserva.token, expiraEn: { $gt: new Date() } },
+            { cita: cita._id },
+            heredados
+        );
+    }
+
+    try {
+        await reservarBloquesCita(cita);
+        await cita.save();
+    } catch (error) {
+        if (reserva) {
+            await traspasarBloquesAgenda({ cita: cita._id }, reserva, heredados);
+        }
+        await BloqueAgenda.deleteMany({ cita: cita._id });
+        throw error;
+    }
+    return cita;
+}
+
+// Cada IP tiene MAXIMO_RESERVAS_POR_IP turnos en LimiteSolicitudes; una reserva ocupa uno
+// hasta que vence o se libera. Devuelve la clave del turno tomado, o null si no queda
+async function tomarTurnoReservaIP(ip, segundos) {
+    for (let turno = 0; turno < MAXIMO_RESERVAS_POR_IP; turno++) {
+        const clave = `reservas-ip:${ip}:${turno}`;
+        if (await reservarTurnoSolicitud(clave, segundos) === 0) return clave;
+    }
+    return null;
+}
+
+/**
+ * Retiene un horario con una reserva temporal que reclama sus bloques de agenda igual que
+ * una cita. Los bloques que ya eran de la reserva anterior del paciente pasan a la nueva
+ * sin quedar libres en medio; si el horario choca con otra cita o reserva, la anterior
+ * queda como estaba. La anterior solo se borra cuando la nueva ya existe.
+ * @param {Object} datos - { dentista, tipoServicio, fecha, horario, duracionMinutos, expiraEn, ip, turnoIP }
+ * @param {Object} [anterior] - Reserva vigente del mismo paciente que la nueva reemplaza
+ * @returns {Promise<Object>} La reserva
+ * @throws {Error} Con code 11000 si el horario se superpone con otra cita o reserva, o
+ *   RESERVA_REEMPLAZADA si otra solicitud ya reemplazó la reserva anterior
+ */
+async function retenerHorario(datos, anterior) {
+    const reserva = new ReservaHorario({ ...datos, token: crypto.randomBytes(24).toString('base64url') });
+    const bloques = calcularBloquesHorario(reserva);
+    const dueno = { reserva: reserva.token, expiraEn: reserva.expiraEn };
+
+    if (anterior) {
+        await traspasarBloquesAgenda({ reserva: anterior.token }, dueno, bloques);
+    }
+
+    try {
+        await ajustarBloquesAgenda({ reserva: reserva.token }, bloques.map(bloque => ({ ...bloque, ...dueno })));
+        await reserva.save();
+    } catch (error) {
+        if (anterior) {
+            await traspasarBloquesAgenda({ reserva: reserva.token }, anterior, bloques);
+        }
+        await BloqueAgenda.deleteMany({ reserva: reserva.token });
+        throw error;
+    }
+
+    if (anterior) {
+        // Dos solicitudes simultáneas con la misma reserva anterior: solo una la reemplaza
+        const { deletedCount } = await ReservaHorario.deleteOne({ _id: anterior._id });
+        if (deletedCount === 0) {
+            await ReservaHorario.deleteOne({ _id: reserva._id });
+            await BloqueAgenda.deleteMany({ reserva: reserva.token });
+            const error = new Error('La reserva anterior ya fue reemplazada');
+            error.code = 'RESERVA_REEMPLAZADA';
+            throw error;
+        }
+        await BloqueAgenda.deleteMany({ reserva: anterior.token });
+        emitirCambioHorario('liberado', anterior);
+    }
+    emitirCambioHorario('ocupado', reserva);
+    return reserva;
+}
+
+/**
+ * Borra una reserva temporal y los bloques de agenda que le queden. El turno de su IP se
+ * devuelve solo si la reserva seguía vigente: uno vencido ya puede ser de otra reserva.
+ * @param {string} token - Token de la reserva
+ * @returns {Promise<Object|null>} La reserva borrada, si existía
+ */
+async function eliminarReservaHorario(token) {
+    const reserva = await ReservaHorario.findOneAndDelete({ token });
+    if (!reserva) return null;
+
+    await BloqueAgenda.deleteMany({ reserva: token });
+    if (reserva.turnoIP && reserva.expiraEn > new Date()) {
+        await liberarTurnoSolicitud(reserva.turnoIP);
+    }
+    return reserva;
+}
+
+// Teléfono solo con dígitos y código de país (los números locales son de El Salvador)
+function normalizarTelefono(telefono) {
+    const digitos = String(telefono || '').replace(/\D/g, '');
+    return digitos.length === 8 ? `503${digitos}` : digitos;
+}
+
+function normalizarEmail(email) {
+    return String(email || '').trim().toLowerCase();
+}
+
+/**
+ * Busca al paciente por teléfono o email normalizados y, si no existe, lo crea.
+ * Un paciente que vuelve conserva su nombre registrado; el contacto se actualiza.
+ * @param {Object} datos - { nombreCompleto, email, telefono }
+ * @returns {Promise<Object>} Paciente
+ */
+async function obtenerOCrearPaciente({ nombreCompleto, email, telefono }) {
+    const telefonoNormalizado = normalizarTelefono(telefono);
+    const emailNormalizado = normalizarEmail(email);
+
+    // El teléfono identifica mejor que el email (los pacientes comparten correos familiares)
+    const paciente = await Paciente.findOne({ telefonos: telefonoNormalizado }) ||
+        await Paciente.findOne({ emails: emailNormalizado });
+
+    if (!paciente) {
+        return Paciente.create({
+            nombreCompleto,
+            email,
+            telefono,
+            emails: [emailNormalizado],
+            telefonos: [telefonoNormalizado]
+        });
+    }
+
+    return Paciente.findByIdAndUpdate(
+        paciente._id,
+        {
+            email,
+            telefono,
+            $addToSet: { emails: emailNormalizado, telefonos: telefonoNormalizado }
+        },
+        { new: true }
+    );
+}
+
+// Formularios de reserva conectados por Server-Sent Events (respuestas abiertas de Express)
+const clientesDisponibilidad = new Set();
+
+/**
+ * Avisa a los formularios de reserva abiertos que un horario se ocupó o se liberó,
+ * para que recarguen la disponibilidad sin esperar al 409 al agendar.
+ * @param {string} tipo - 'ocupado' o 'liberado'
+ * @param {Object} horario - Cita o reserva temporal que cambió
+ * @param {Date} [horario.expiraEn] - Vencimiento, si es una reserva temporal
+ */
+function emitirCambioHorario(tipo, { fecha, horario, duracionMinutos, dentista, expiraEn }) {
+    if (clientesDisponibilidad.size === 0) return;
+
+    const datos = JSON.stringify({
+        tipo,
+        fecha: formatearFechaISO(fecha),
+        horario,
+        duracionMinutos,
+        dentista: dentista ? String(dentista._id || dentista) : null,
+        expiraEn
+    });
+
+    for (const cliente of clientesDisponibilidad) {
+        cliente.write(`event: horario\ndata: ${datos}\n\n`);
+    }
+}
+
+/**
+ * Programa los recordatorios y encola el evento de calendario y las confirmaciones
+ * de una cita recién creada.
+ * @param {Object} cita - Cita ya guardada
+ * @returns {Promise<Object>} Estado de cada integración en la bandeja de salida
+ */
+async function notificarCitaNueva(cita) {
+    emitirCambioHorario('ocupado', cita);
+
+    try {
+        await programarRecordatorios(cita);
+    } catch (error) {
+        console.error('Error al programar recordatorios, pero la cita se guardó:', error);
+    }
+
+    // Si fallan se reintentan desde la bandeja de salida hasta lograrlo
+    const trabajoCalendario = await encolarTrabajo('crear-evento-calendar', { cita: cita._id });
+    const trabajoSMS = await encolarTrabajo('sms-confirmacion', { cita: cita._id });
+    const trabajoEmail = transporteEmail
+        ? await encolarTrabajo('email-confirmacion', { cita: cita._id })
+        : null;
+
+    return {
+        googleCalendar: trabajoCalendario.estado,
+        sms: trabajoSMS.estado,
+        email: trabajoEmail ? trabajoEmail.estado : 'desactivado'
+    };
+}
+
+// Quién realiza un cambio en la cita, tal como se guarda en el historial
+function actorUsuario(usuario) {
+    return { tipo: 'usuario', usuario: usuario._id, nombre: usuario.nombre };
+}
+
+function actorPaciente(cita) {
+    return { tipo: 'paciente', nombre: cita.nombreCompleto };
+}
+
+function actorSistema(nombre) {
+    return { tipo: 'sistema', nombre };
+}
+
+function crearErrorTransicion(estadoAnterior, estadoNuevo) {
+    const error = new Error(`Una cita en estado "${estadoAnterior}" no puede pasar a "${estadoNuevo}"`);
+    error.code = 'TRANSICION_INVALIDA';
+    return error;
+}
+
+// Estados a los que puede pasar una cita según el rol (los dentistas no cancelan)
+function transicionesPermitidas(estado, rol) {
+    const transiciones = TRANSICIONES_CITA[estado] || [];
+    return rol === 'dentista'
+        ? transiciones.filter(destino => !ESTADOS_CANCELADOS_CITA.includes(destino))
+        : transiciones;
+}
+
+// Anexa un registro al historial de la cita (estadoAnterior vacío al crearla)
+async function registrarHistorialCita(cita, estadoAnterior, { actor, motivo }) {
+    await HistorialCita.create({
+        cita: cita._id,
+        estadoAnterior: estadoAnterior || undefined,
+        estadoNuevo: cita.estado,
+        actor,
+        motivo
+    });
+}
+
+/**
+ * Cambia el estado de una cita si la transición está permitida y la registra en el historial.
+ * @param {Object} cita - Documento de la cita
+ * @param {string} estadoNuevo - Estado destino
+ * @param {Object} opciones
+ * @param {Object} opciones.actor - Quién hace el cambio ({ tipo, usuario, nombre })
+ * @param {string} [opciones.motivo] - Motivo del cambio
+ * @returns {Promise<Object>} La cita actualizada
+ * @throws {Error} Con code 'TRANSICION_INVALIDA' si la transición no está permitida
+ */
+async function cambiarEstadoCita(cita, estadoNuevo, { actor, motivo }) {
+    const estadoAnterior = cita.estado;
+
+    if (!(TRANSICIONES_CITA[estadoAnterior] || []).includes(estadoNuevo)) {
+        throw crearErrorTransicion(estadoAnterior, estadoNuevo);
+    }
+
+    // Cancelar o marcar inasistencia libera el horario; reactivar la cita lo vuelve a
+    // ocupar, así que sus bloques se reclaman antes de cambiar el estado
+    const ocupabaHorario = ESTADOS_ACTIVOS_CITA.includes(estadoAnterior);
+    const ocupaHorario = ESTADOS_ACTIVOS_CITA.includes(estadoNuevo);
+    if (ocupaHorario && !ocupabaHorario) {
+        await reservarBloquesCita(cita, true);
+    }
+
+    // Solo se aplica si nadie cambió el estado desde que se leyó la cita
+    const resultado = await Cita.updateOne({ _id: cita._id, estado: estadoAnterior }, { estado: estadoNuevo });
+    if (resultado.modifiedCount === 0) {
+        const actual = await Cita.findById(cita._id, 'estado').lean();
+        if (actual) {
+            await reservarBloquesCita(cita, ESTADOS_ACTIVOS_CITA.includes(actual.estado));
+        }
+        throw crearErrorTransicion(actual ? actual.estado : estadoAnterior, estadoNuevo);
+    }
+
+    cita.estado = estadoNuevo;
+    await registrarHistorialCita(cita, estadoAnterior, { actor, motivo });
+
+    if (ocupabaHorario !== ocupaHorario) {
+        if (!ocupaHorario) {
+            await reservarBloquesCita(cita, false);
+        }
+        emitirCambioHorario(ocupabaHorario ? 'liberado' : 'ocupado', cita);
+    }
+
+    // Los recordatorios solo tienen sentido mientras la cita está por ocurrir
+    if (!ESTADOS_PROGRAMADOS_CITA.includes(estadoNuevo)) {
+        try {
+            await cancelarRecordatorios(cita);
+        } catch (error) {
+            console.error('Error al descartar recordatorios:', error);
+        }
+    }
+
+    return cita;
+}
+
+/**
+ * Cancela una cita, libera su evento de calendario y ofrece el horario a la lista de espera.
+ * @param {Object} cita - Documento de la cita
+ * @param {Object} opciones
+ * @param {string} opciones.estado - 'cancelada-por-paciente' o 'cancelada-por-clinica'
+ * @param {Object} opciones.actor - Quién cancela
+ * @param {string} [opciones.motivo] - Motivo de la cancelación
+ */
+async function cancelarCita(cita, { estado, actor, motivo }) {
+    await cambiarEstadoCita(cita, estado, { actor, motivo });
+
+    // Eliminar el evento de Google Calendar y avisar al paciente desde la bandeja de salida
+    await encolarTrabajo('eliminar-evento-calendar', { cita: cita._id });
+    if (transporteEmail) {
+        await encolarTrabajo('email-cancelacion', { cita: cita._id });
+    }
+
+    // Ofrecer el horario liberado a la lista de espera
+    if (cita.inicio > new Date()) {
+        await encolarTrabajo('ofrecer-lista-espera', {
+            fecha: formatearFechaISO(cita.fecha),
+            horario: cita.horario,
+            dentista: cita.dentista
+        });
+    }
+
+    return cita;
+}
+
+/**
+ * Mueve una cita a otra fecha/hora conservando su _id y su evento de Google Calendar.
+ * @param {Object} cita - Documento de la cita
+ * @param {Date|string} fecha - Nueva fecha
+ * @param {string} horario - Nuevo horario
+ * @param {Object} dentista - Dentista asignado en el nuevo horario
+ * @param {Object} origen - Quién realiza el cambio ({ realizadoPor, usuario })
+ * @param {Object} [opciones]
+ * @param {boolean} [opciones.actualizarCalendario] - false si el cambio viene del propio calendario
+ */
+async function reprogramarCita(cita, fecha, horario, dentista, origen, { actualizarCalendario = true } = {}) {
+    const horarioAnterior = {
+        fecha: cita.fecha,
+        horario: cita.horario,
+        duracionMinutos: cita.duracionMinutos,
+        dentista: cita.dentista
+    };
+
+    cita.historialReprogramaciones.push({
+        fechaAnterior: cita.fecha,
+        horarioAnterior: cita.horario,
+        dentistaAnterior: cita.dentista,
+        ...origen
+    });
+    cita.fecha = new Date(fecha);
+    cita.horario = horario;
+    cita.dentista = dentista;
+    await reservarBloquesCita(cita);
+    await cita.save();
+
+    emitirCambioHorario('liberado', horarioAnterior);
+    emitirCambioHorario('ocupado', cita);
+
+    // Los recordatorios se vuelven a programar para la nueva fecha
+    try {
+        await cancelarRecordatorios(cita);
+        await programarRecordatorios(cita);
+    } catch (error) {
+        console.error('Error al reprogramar recordatorios:', error);
+    }
+
+    // Mover el evento de Google Calendar y notificar al paciente desde la bandeja de salida
+    const trabajoCalendario = actualizarCalendario
+        ? await encolarTrabajo('actualizar-evento-calendar', { cita: cita._id })
+        : null;
+    const trabajoSMS = await encolarTrabajo('sms-reprogramacion', { cita: cita._id });
+    const trabajoEmail = transporteEmail
+        ? await encolarTrabajo('email-reprogramacion', { cita: cita._id })
+        : null;
+
+    return {
+        cita,
+        integraciones: {
+            googleCalendar: trabajoCalendario ? trabajoCalendario.estado : 'sin-cambios',
+            sms: trabajoSMS.estado,
+            email: trabajoEmail ? trabajoEmail.estado : 'desactivado'
+        }
+    };
+}
+
+// Cuánto falta para la cita, en palabras (ej: "mañana", "en 2 horas")
+function describirAnticipacion(minutosAntes) {
+    if (minutosAntes >= 24 * 60 && minutosAntes < 48 * 60) return 'mañana';
+    if (minutosAntes >= 48 * 60) return `en ${Math.round(minutosAntes / (24 * 60))} días`;
+    if (minutosAntes >= 60) return `en ${Math.round(minutosAntes / 60)} horas`;
+    return `en ${minutosAntes} minutos`;
+}
+
+async function enviarSMSRecordatorio(cita, minutosAntes) {
+    const mensaje = `
+Recordatorio de cita 🦷
+
+Tu cita de ${formatearServicio(cita.tipoServicio)} es ${describirAnticipacion(minutosAntes)}:
+📅 ${formatearFechaCita(cita)}
+🕐 ${formatearHora(cita.horario)}
+
+Para cancelar o cambiar tu cita: ${generarEnlaceGestionCita(cita)}
+    `.trim();
+
+    await proveedores.sms.enviar({ para: cita.telefono, mensaje });
+
+    console.log(`SMS de recordatorio enviado a ${cita.telefono}`);
+}
+
+async function enviarEmailRecordatorio(cita, minutosAntes) {
+    await transporteEmail.sendMail({
+        from: process.env.EMAIL_FROM || process.env.SMTP_USER,
+        to: cita.email,
+        subject: `Recordatorio: tu cita dental es ${describirAnticipacion(minutosAntes)}`,
+        html: `
+            <p>Hola ${escaparHTML(cita.nombreCompleto)},</p>
+            <p>Te recordamos tu cita de <strong>${formatearServicio(cita.tipoServicio)}</strong>
+            el <strong>${formatearFechaCita(cita)}</strong> a las <strong>${formatearHora(cita.horario)}</strong>.</p>
+            <p><a href="${generarEnlaceGestionCita(cita)}">Cancelar o cambiar mi cita</a></p>
+            <p>¡Te esperamos!</p>
+        `
+    });
+
+    console.log(`Email de recordatorio enviado a ${cita.email}`);
+}
+
+// Programa un trabajo de recordatorio por cada anticipación configurada
+async function programarRecordatorios(cita) {
+    const configuracion = await obtenerConfiguracionClinica();
+    const canales = transporteEmail ? ['sms', 'email'] : ['sms'];
+    const ahora = new Date();
+
+    for (const minutosAntes of configuracion.recordatoriosMinutosAntes) {
+        const fechaProgramada = new Date(cita.inicio.getTime() - minutosAntes * 60 * 1000);
+
+        // Si la cita se agenda con menos anticipación, ese recordatorio no aplica
+        if (fechaProgramada <= ahora) continue;
+
+        await encolarTrabajo('recordatorio', { cita: cita._id, minutosAntes, inicio: cita.inicio }, fechaProgramada);
+
+        canales.forEach(canal => {
+            cita.recordatorios.push({ minutosAntes, canal, fechaProgramada });
+        });
+    }
+
+    await cita.save();
+}
+
+// Descarta los recordatorios pendientes de una cita (al cancelarla o reprogramarla)
+async function cancelarRecordatorios(cita) {
+    await Trabajo.updateMany(
+        { tipo: 'recordatorio', 'datos.cita': cita._id, estado: 'pendiente' },
+        { estado: 'omitido', finalizadoEn: new Date() }
+    );
+
+    // Los que fallaron tampoco se reintentan: eran para el horario anterior
+    cita.recordatorios
+        .filter(recordatorio => ['pendiente', 'fallido'].includes(recordatorio.estado))
+        .forEach(recordatorio => { recordatorio.estado = 'omitido'; });
+
+    await cita.save();
+}
+
+// Envía un recordatorio y registra el resultado de cada canal en la cita
+async function ejecutarRecordatorio(trabajo) {
+    const { minutosAntes } = trabajo.datos;
+    const cita = await Cita.findById(trabajo.datos.cita);
+
+    // La cita ya no existe, se canceló, se movió o ya empezó (reintentos tardíos)
+    if (!cita || !ESTADOS_PROGRAMADOS_CITA.includes(cita.estado) ||
+        cita.inicio.getTime() !== new Date(trabajo.datos.inicio).getTime() ||
+        cita.inicio <= new Date()) {
+        return 'omitido';
+    }
+
+    // En los reintentos solo se repiten los canales que fallaron, y solo los programados
+    // para el inicio actual (no los de antes de una reprogramación)
+    const fechaProgramada = cita.inicio.getTime() - minutosAntes * 60 * 1000;
+    const pendientes = cita.recordatorios.filter(recordatorio =>
+        recordatorio.minutosAntes === minutosAntes &&
+        new Date(recordatorio.fechaProgramada).getTime() === fechaProgramada &&
+        ['pendiente', 'fallido'].includes(recordatorio.estado)
+    );
+
+    for (const recordatorio of pendientes) {
+        try {
+            if (recordatorio.canal === 'sms') {
+                await enviarSMSRecordatorio(cita, minutosAntes);
+            } else {
+                await enviarEmailRecordatorio(cita, minutosAntes);
+            }
+            recordatorio.estado = 'enviado';
+            recordatorio.fechaEnvio = new Date();
+        } catch (error) {
+            console.error(`Error al enviar recordatorio por ${recordatorio.canal}:`, error);
+            recordatorio.estado = 'fallido';
+            recordatorio.error = error.message;
+        }
+    }
+
+    await cita.save();
+
+    if (pendientes.some(recordatorio => recordatorio.estado === 'fallido')) {
+        throw new Error('No se pudo enviar el recordatorio por todos los canales');
+    }
+    return 'completado';
+}
+
+async function ejecutarCrearEventoCalendar(trabajo) {
+    const cita = await Cita.findById(trabajo.datos.cita);
+
+    // Una cita cancelada antes de crear el evento ya no lo necesita
+    if (!cita || !ESTADOS_ACTIVOS_CITA.includes(cita.estado) || cita.googleCalendarEventId) return 'omitido';
+
+    cita.googleCalendarEventId = await crearEventoGoogleCalendar(cita);
+    await cita.save();
+    console.log('Evento creado en Google Calendar');
+    return 'completado';
+}
+
+async function ejecutarActualizarEventoCalendar(trabajo) {
+    const cita = await Cita.findById(trabajo.datos.cita);
+
+    // Sin evento todavía: el trabajo de creación lo creará con los datos actuales
+    if (!cita || !ESTADOS_ACTIVOS_CITA.includes(cita.estado) || !cita.googleCalendarEventId) return 'omitido';
+
+    await actualizarEventoGoogleCalendar(cita);
+    console.log('Evento actualizado en Google Calendar');
+    return 'completado';
+}
+
+async function ejecutarEliminarEventoCalendar(trabajo) {
+    const cita = await Cita.findById(trabajo.datos.cita);
+    if (!cita || !cita.googleCalendarEventId) return 'omitido';
+
+    await eliminarEventoGoogleCalendar(cita.googleCalendarEventId);
+    console.log('Evento eliminado de Google Calendar');
+    return 'completado';
+}
+
+async function ejecutarSMSConfirmacion(trabajo) {
+    const cita = await Cita.findById(trabajo.datos.cita);
+    if (!cita || !ESTADOS_ACTIVOS_CITA.includes(cita.estado)) return 'omitido';
+
+    await enviarSMSConfirmacion(cita);
+    return 'completado';
+}
+
+async function ejecutarSMSReprogramacion(trabajo) {
+    const cita = await Cita.findById(trabajo.datos.cita);
+    if (!cita || !ESTADOS_ACTIVOS_CITA.includes(cita.estado)) return 'omitido';
+
+    await enviarSMSReprogramacion(cita);
+    return 'completado';
+}
+
+async function ejecutarEmailConfirmacion(trabajo) {
+    const cita = await Cita.findById(trabajo.datos.cita);
+    if (!cita || !ESTADOS_ACTIVOS_CITA.includes(cita.estado) || !transporteEmail) return 'omitido';
+
+    await enviarEmailConfirmacion(cita);
+    return 'completado';
+}
+
+async function ejecutarEmailReprogramacion(trabajo) {
+    const cita = await Cita.findById(trabajo.datos.cita);
+    if (!cita || !ESTADOS_ACTIVOS_CITA.includes(cita.estado) || !transporteEmail) return 'omitido';
+
+    await enviarEmailReprogramacion(cita);
+    return 'completado';
+}
+
+async function ejecutarEmailCancelacion(trabajo) {
+    const cita = await Cita.findById(trabajo.datos.cita);
+    if (!cita || !ESTADOS_CANCELADOS_CITA.includes(cita.estado) || !transporteEmail) return 'omitido';
+
+    await enviarEmailCancelacion(cita);
+    return 'completado';
+}
+
+// Lista de espera: los horarios liberados se ofrecen por orden de llegada
+
+// Token firmado para aceptar una oferta de la lista de espera; vence con la reserva
+function generarTokenOfertaListaEspera(entrada) {
+    return jwt.sign(
+        {
+            entrada: entrada._id.toString(),
+            exp: Math.floor(entrada.oferta.expiraEn.getTime() / 1000)
+        },
+        process.env.JWT_SECRET,
+        { audience: 'oferta-lista-espera' }
+    );
+}
+
+function generarEnlaceOfertaListaEspera(entrada) {
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:8080';
+    return `${frontendUrl}/oferta-lista-espera.html?token=${generarTokenOfertaListaEspera(entrada)}`;
+}
+
+async function enviarSMSOfertaListaEspera(entrada) {
+    const minutos = Math.max(1, Math.round((entrada.oferta.expiraEn - Date.now()) / 60000));
+    const mensaje = `
+¡Se liberó un horario! 🦷
+
+📅 Fecha: ${formatearFechaCita(entrada.oferta)}
+🕐 Hora: ${formatearHora(entrada.oferta.horario)}
+🔧 Servicio: ${formatearServicio(entrada.tipoServicio)}
+
+Te lo reservamos por ${minutos} minutos. Para aceptarlo: ${generarEnlaceOfertaListaEspera(entrada)}
+    `.trim();
+
+    await proveedores.sms.enviar({ para: entrada.telefono, mensaje });
+    console.log(`Oferta de lista de espera enviada a ${entrada.telefono}`);
+}
+
+// Ofrece un horario liberado a la primera entrada de la lista de espera que encaje
+async function ejecutarOfrecerListaEspera(trabajo) {
+    const { fecha, horario, dentista } = trabajo.datos;
+    if (crearInstante(fecha, horario) <= new Date()) return 'omitido';
+
+    const configuracion = await obtenerConfiguracionClinica();
+    const clave = `${fecha}|${horario}|${dentista}`;
+
+    const entradas = await EntradaListaEspera.find({
+        estado: 'esperando',
+        fecha: new Date(fecha),
+        horariosOfrecidos: { $ne: clave },
+        $or: [{ dentista: { $exists: false } }, { dentista: null }, { dentista }]
+    }).sort({ fechaCreacion: 1 });
+
+    for (const entrada of entradas) {
+        if (horario < entrada.horaDesde || horario > entrada.horaHasta) continue;
+
+        const duracionMinutos = obtenerDuracionServicio(configuracion, entrada.tipoServicio);
+
+        const asignado = await asignarDentista({
+            tipoServicio: entrada.tipoServicio,
+            fecha,
+            horario,
+            duracionMinutos,
+            dentista
+        });
+        if (!asignado) continue;
+
+        // El horario queda retenido para el paciente mientras dura la oferta
+        const expiraEn = new Date(Date.now() + configuracion.minutosReservaListaEspera * 60 * 1000);
+        const reserva = await retenerHorarioOferta({
+            dentista: asignado._id,
+            tipoServicio: entrada.tipoServicio,
+            fecha,
+            horario,
+            duracionMinutos,
+            expiraEn
+        });
+        if (!reserva) return 'omitido';
+
+        const ofrecida = await EntradaListaEspera.findOneAndUpdate(
+            { _id: entrada._id, estado: 'esperando' },
+            {
+                estado: 'ofrecida',
+                oferta: { fecha: new Date(fecha), horario, dentista: asignado._id, expiraEn, reserva: reserva.token },
+                $push: { horariosOfrecidos: clave }
+            },
+            { new: true }
+        );
+        if (!ofrecida) {
+            await liberarHorarioOferta(reserva.token);
+            continue;
+        }
+
+        await encolarTrabajo('sms-oferta-lista-espera', { entrada: ofrecida._id });
+        await encolarTrabajo('vencer-oferta-lista-espera', { entrada: ofrecida._id, horarioLiberado: trabajo.datos }, expiraEn);
+        return 'completado';
+    }
+
+    return 'omitido';
+}
+
+/**
+ * Retiene un horario ofrecido a la lista de espera con una ReservaHorario, igual que las
+ * del formulario, para que nadie lo tome mientras el paciente decide.
+ * @param {Object} datos - { dentista, tipoServicio, fecha, horario, duracionMinutos, expiraEn }
+ * @returns {Promise<Object|null>} La reserva, o null si otro paciente retuvo el horario
+ */
+async function retenerHorarioOferta(datos) {
+    try {
+        return await retenerHorario(datos);
+    } catch (error) {
+        if (error.code === 11000) return null;
+        throw error;
+    }
+}
+
+// Devuelve el horario de una oferta que se venció o no se pudo concretar
+async function liberarHorarioOferta(token) {
+    if (!token) return;
+
+    const reserva = await eliminarReservaHorario(token);
+    if (reserva) {
+        emitirCambioHorario('liberado', reserva);
+    }
+}
+
+async function ejecutarSMSOfertaListaEspera(trabajo) {
+    const entrada = await EntradaListaEspera.findById(trabajo.datos.entrada);
+    if (!entrada || entrada.estado !== 'ofrecida' || entrada.oferta.expiraEn <= new Date()) return 'omitido';
+
+    await enviarSMSOfertaListaEspera(entrada);
+    return 'completado';
+}
+
+// Si el paciente no aceptó a tiempo, vuelve a esperar y el horario pasa al siguiente
+async function ejecutarVencerOfertaListaEspera(trabajo) {
+    const entrada = await EntradaListaEspera.findOneAndUpdate(
+        { _id: trabajo.datos.entrada, estado: 'ofrecida', 'oferta.expiraEn': { $lte: new Date() } },
+        { estado: 'esperando', $unset: { oferta: 1 } }
+    );
+    if (!entrada) return 'omitido';
+
+    await liberarHorarioOferta(entrada.oferta.reserva);
+    await encolarTrabajo('ofrecer-lista-espera', trabajo.datos.horarioLiberado);
+    return 'completado';
+}
+
+// Funciones que ejecutan cada tipo de trabajo programado
+const ejecutoresTrabajos = {
+    'recordatorio': ejecutarRecordatorio,
+    'crear-evento-calendar': ejecutarCrearEventoCalendar,
+    'actualizar-evento-calendar': ejecutarActualizarEventoCalendar,
+    'eliminar-evento-calendar': ejecutarEliminarEventoCalendar,
+    'sms-confirmacion': ejecutarSMSConfirmacion,
+    'sms-reprogramacion': ejecutarSMSReprogramacion,
+    'email-confirmacion': ejecutarEmailConfirmacion,
+    'email-reprogramacion': ejecutarEmailReprogramacion,
+    'email-cancelacion': ejecutarEmailCancelacion,
+    'ofrecer-lista-espera': ejecutarOfrecerListaEspera,
+    'sms-oferta-lista-espera': ejecutarSMSOfertaListaEspera,
+    'vencer-oferta-lista-espera': ejecutarVencerOfertaListaEspera
+};
+
+// Espera antes del siguiente intento: 1, 2, 4, 8... minutos, hasta un máximo de 1 hora
+function calcularEsperaReintento(intentos) {
+    return Math.min(60 * 1000 * 2 ** (intentos - 1), 60 * 60 * 1000);
+}
+
+/**
+ * Registra un efecto secundario en la bandeja de salida y despierta al procesador.
+ * @param {string} tipo - Tipo de trabajo (ver ejecutoresTrabajos)
+ * @param {Object} datos - Datos que necesita el ejecutor
+ * @param {Date} [ejecutarEn] - Cuándo ejecutarlo (por defecto, de inmediato)
+ * @returns {Promise<Object>} Trabajo creado
+ */
+async function encolarTrabajo(tipo, datos, ejecutarEn = new Date()) {
+    const trabajo = await Trabajo.create({ tipo, datos, ejecutarEn });
+
+    if (ejecutarEn <= new Date()) {
+        setImmediate(ejecutarCicloTrabajos);
+    }
+
+    return trabajo;
+}
+
+// Tiempo tras el cual un trabajo 'en-proceso' se considera abandonado (p. ej. por un reinicio)
+const TRABAJO_ABANDONADO_MS = 10 * 60 * 1000;
+
+// Toma de forma atómica el siguiente trabajo vencido para que solo un proceso lo ejecute
+function tomarSiguienteTrabajo() {
+    const ahora = new Date();
+    return Trabajo.findOneAndUpdate(
+        {
+            ejecutarEn: { $lte: ahora },
+            $or: [
+                { estado: 'pendiente' },
+                { estado: 'en-proceso', iniciadoEn: { $lt: new Date(ahora - TRABAJO_ABANDONADO_MS) } }
+            ]
+        },
+        {
+            $set: { estado: 'en-proceso', iniciadoEn: ahora },
+            $inc: { intentos: 1 }
+        },
+        { sort: { ejecutarEn: 1 }, new: true }
+    );
+}
+
+async function procesarTrabajosPendientes() {
+    let trabajo;
+    while ((trabajo = await tomarSiguienteTrabajo())) {
+        const ejecutor = ejecutoresTrabajos[trabajo.tipo];
+
+        try {
+            if (!ejecutor) {
+                throw new Error(`Tipo de trabajo desconocido: ${trabajo.tipo}`);
+            }
+            trabajo.estado = await ejecutor(trabajo);
+            trabajo.ultimoError = undefined;
+            trabajo.finalizadoEn = new Date();
+        } catch (error) {
+            console.error(`Error al ejecutar trabajo ${trabajo.tipo} (intento ${trabajo.intentos}):`, error);
+            trabajo.ultimoError = error.message;
+
+            if (trabajo.intentos < trabajo.maxIntentos) {
+                // Reintentar más tarde con espera exponencial
+                trabajo.estado = 'pendiente';
+                trabajo.ejecutarEn = new Date(Date.now() + calcularEsperaReintento(trabajo.intentos));
+            } else {
+                trabajo.estado = 'fallido';
+                trabajo.finalizadoEn = new Date();
+            }
+        }
+
+        await trabajo.save();
+    }
+}
+
+let procesandoTrabajos = false;
+
+async function ejecutarCicloTrabajos() {
+    if (procesandoTrabajos) return;
+    procesandoTrabajos = true;
+    try {
+        await procesarTrabajosPendientes();
+    } catch (error) {
+        console.error('Error al procesar trabajos programados:', error);
+    } finally {
+        procesandoTrabajos = false;
+    }
+}
+
+// Revisa periódicamente los trabajos vencidos
+function iniciarProcesadorTrabajos() {
+    const intervalo = Number(process.env.TRABAJOS_INTERVALO_MS) || 30 * 1000;
+    setInterval(ejecutarCicloTrabajos, intervalo);
+}
+
+// Sincronización desde Google Calendar: eventos ajenos bloquean horarios y los cambios
+// hechos por el personal directamente en el calendario se aplican a las citas
+const SINCRONIZACION_DIAS_ANTERIORES = 1;
+
+// Inicio y fin de un evento de Google; los eventos de todo el día usan fechas locales
+function obtenerIntervaloEvento(evento) {
+    const leer = (momento) => momento.dateTime
+        ? DateTime.fromISO(momento.dateTime)
+        : DateTime.fromISO(momento.date, { zone: ZONA_HORARIA });
+
+    return { inicio: leer(evento.start).toJSDate(), fin: leer(evento.end).toJSDate() };
+}
+
+// Dentista dueño de un evento según el email de quien lo creó
+async function obtenerDentistaEvento(evento) {
+    const email = (evento.creator && evento.creator.email) || (evento.organizer && evento.organizer.email);
+    if (!email) return null;
+
+    const usuario = await Usuario.findOne({ email: email.toLowerCase(), rol: 'dentista' });
+    if (!usuario) return null;
+
+    const dentista = await Dentista.findOne({ usuario: usuario._id });
+    return dentista ? dentista._id : null;
+}
+
+// Aplica a la cita los cambios hechos en su evento de Google Calendar
+async function aplicarEventoACita(cita, evento) {
+    if (!ESTADOS_PROGRAMADOS_CITA.includes(cita.estado)) return;
+
+    if (evento.status === 'cancelled') {
+        await cancelarCita(cita, {
+            estado: 'cancelada-por-clinica',
+            actor: actorSistema('Google Calendar'),
+            motivo: 'Evento eliminado en Google Calendar'
+        });
+        console.log(`Cita ${cita._id} cancelada desde Google Calendar`);
+        return;
+    }
+
+    if (!evento.start || !evento.start.dateTime) return;
+
+    const inicio = DateTime.fromISO(evento.start.dateTime).setZone(ZONA_HORARIA);
+    if (inicio.toMillis() === cita.inicio.getTime()) return;
+
+    await moverCitaDesdeCalendario(cita, inicio);
+}
+
+// Una cita movida en Google Calendar pasa por las mismas validaciones que al reprogramarla
+// desde el panel. El evento ya está en la hora nueva, así que no se actualiza de vuelta;
+// si el horario no está libre, el evento se devuelve a la hora que conserva la cita.
+async function moverCitaDesdeCalendario(cita, inicio) {
+    const fecha = inicio.toFormat('yyyy-MM-dd');
+    const horario = inicio.toFormat('HH:mm');
+
+    const dentista = await asignarDentista({
+        tipoServicio: cita.tipoServicio,
+        fecha,
+        horario,
+        duracionMinutos: cita.duracionMinutos,
+        dentista: cita.dentista,
+        idExcluido: cita._id
+    });
+
+    try {
+        if (dentista) {
+            await reprogramarCita(cita, fecha, horario, dentista, { realizadoPor: 'personal' }, {
+                actualizarCalendario: false
+            });
+            console.log(`Cita ${cita._id} movida desde Google Calendar`);
+            return;
+        }
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+    }
+
+    console.warn(`La cita ${cita._id} no se movió a ${fecha} ${horario} desde Google Calendar: el horario no está disponible`);
+    await encolarTrabajo('actualizar-evento-calendar', { cita: cita._id });
+}
+
+// Crea, actualiza o elimina el bloqueo que corresponde a un evento ajeno
+async function aplicarEventoABloqueo(evento) {
+    // Los eventos cancelados o marcados como "disponible" no ocupan tiempo
+    if (evento.status === 'cancelled' || evento.transparency === 'transparent' || !evento.start) {
+        await BloqueoCalendario.deleteOne({ googleEventId: evento.id });
+        return;
+    }
+
+    const { inicio, fin } = obtenerIntervaloEvento(evento);
+    await BloqueoCalendario.findOneAndUpdate(
+        { googleEventId: evento.id },
+        {
+            resumen: evento.summary,
+            inicio,
+            fin,
+            dentista: await obtenerDentistaEvento(evento),
+            fechaActualizacion: new Date()
+        },
+        { upsert: true }
+    );
+}
+
+/**
+ * Trae los cambios del calendario desde la última sincronización usando sync
+ * tokens. Sin token (o si el proveedor lo invalida) hace una sincronización completa
+ * y descarta los bloqueos que ya no existen.
+ * @param {Object} [proveedor] - Proveedor de calendario (se puede reemplazar en pruebas)
+ * @returns {Promise<Object>} Resumen: { completa, eventos }
+ */
+async function sincronizarGoogleCalendar(proveedor = proveedores.calendario) {
+    const estado = await SincronizacionCalendario.findById(proveedor.id) ||
+        new SincronizacionCalendario({ _id: proveedor.id });
+
+    const completa = !estado.syncToken;
+    const vistos = [];
+    let pageToken;
+    let nextSyncToken;
+
+    try {
+        do {
+            const pagina = await proveedor.listarEventos({
+                syncToken: completa ? undefined : estado.syncToken,
+                desde: new Date(Date.now() - SINCRONIZACION_DIAS_ANTERIORES * 24 * 60 * 60 * 1000),
+                pageToken
+            });
+
+            for (const evento of pagina.eventos) {
+                vistos.push(evento.id);
+
+                const citaId = evento.extendedProperties && evento.extendedProperties.private &&
+                    evento.extendedProperties.private.citaId;
+                const cita = await Cita.findOne({ googleCalendarEventId: evento.id }) ||
+                    (citaId && mongoose.isValidObjectId(citaId) ? await Cita.findById(citaId) : null);
+
+                try {
+                    if (cita) {
+                        await aplicarEventoACita(cita, evento);
+                    } else if (!citaId) {
+                        await aplicarEventoABloqueo(evento);
+                    }
+                } catch (error) {
+                    console.error(`No se pudo aplicar el evento ${evento.id} de Google Calendar:`, error);
+                }
+            }
+
+            pageToken = pagina.nextPageToken;
+            nextSyncToken = pagina.nextSyncToken;
+        } while (pageToken);
+    } catch (error) {
+        // El sync token expiró: se vuelve a empezar con una sincronización completa
+        if (error.code === 410 && !completa) {
+            estado.syncToken = undefined;
+            await estado.save();
+            return sincronizarGoogleCalendar(proveedor);
+        }
+        throw error;
+    }
+
+    if (completa) {
+        await BloqueoCalendario.deleteMany({ googleEventId: { $nin: vistos } });
+    }
+
+    estado.syncToken = nextSyncToken;
+    estado.ultimaSincronizacion = new Date();
+    await estado.save();
+
+    return { completa, eventos: vistos.length };
+}
+
+// Sincroniza periódicamente con el proveedor de calendario configurado
+function iniciarSincronizacionCalendar() {
+    if (!proveedores.calendario.id) return;
+
+    const intervalo = Number(process.env.GOOGLE_SYNC_INTERVALO_MS) || 5 * 60 * 1000;
+    let sincronizando = false;
+
+    const sincronizar = async () => {
+        if (sincronizando) return;
+        sincronizando = true;
+        try {
+            await sincronizarGoogleCalendar();
+        } catch (error) {
+            console.error('Error al sincronizar Google Calendar:', error);
+        } finally {
+            sincronizando = false;
+        }
+    };
+
+    sincronizar();
+    setInterval(sincronizar, intervalo);
+}
+
+// Las citas canceladas antes de distinguir quién cancelaba no guardaron ese dato;
+// se asume la clínica porque el historial no permite saberlo
+async function migrarEstadosCitas() {
+    try {
+        const resultado = await Cita.updateMany({ estado: 'cancelada' }, { estado: 'cancelada-por-clinica' });
+        if (resultado.modifiedCount > 0) {
+            console.log(`Estado actualizado en ${resultado.modifiedCount} citas canceladas`);
+        }
+
+        // Citas guardadas antes de que el índice de horarios dependiera de ocupaHorario
+        await Cita.updateMany(
+            { ocupaHorario: { $exists: false }, estado: { $in: ESTADOS_ACTIVOS_CITA } },
+            { $set: { ocupaHorario: true } }
+        );
+        await Cita.updateMany(
+            { ocupaHorario: { $exists: false }, estado: { $nin: ESTADOS_ACTIVOS_CITA } },
+            { $set: { ocupaHorario: false } }
+        );
+    } catch (error) {
+        console.error('Error al actualizar estados de citas existentes:', error);
+    }
+}
+
+// Calcula inicio/fin de las citas guardadas antes de que existieran esos campos
+async function completarInstantesCitas() {
+    try {
+        const citas = await Cita.find({ inicio: { $exists: false } });
+        for (const cita of citas) {
+            await cita.save();
+        }
+        if (citas.length > 0) {
+            console.log(`Instantes calculados para ${citas.length} citas existentes`);
+        }
+    } catch (error) {
+        console.error('Error al calcular instantes de citas existentes:', error);
+    }
+}
+
+// Vincula las citas guardadas antes de que existiera la colección de pacientes
+async function vincularPacientesCitas() {
+    try {
+        const citas = await Cita.find({ paciente: { $exists: false } }).sort({ fechaCreacion: 1 });
+        for (const cita of citas) {
+            const paciente = await obtenerOCrearPaciente(cita);
+            await Cita.updateOne({ _id: cita._id }, { paciente: paciente._id });
+        }
+        if (citas.length > 0) {
+            console.log(`Pacientes vinculados a ${citas.length} citas existentes`);
+        }
+    } catch (error) {
+        console.error('Error al vincular pacientes de citas existentes:', error);
+    }
+}
+
+// Crea el primer administrador a partir de ADMIN_EMAIL/ADMIN_PASSWORD si no hay usuarios
+async function crearAdministradorInicial() {
+    const { ADMIN_EMAIL, ADMIN_PASSWORD } = process.env;
+    if (!ADMIN_EMAIL || !ADMIN_PASSWORD) return;
+
+    try {
+        const totalUsuarios = await Usuario.countDocuments();
+        if (totalUsuarios > 0) return;
+
+        await Usuario.create({
+            nombre: 'Administrador',
+            email: ADMIN_EMAIL,
+            passwordHash: await bcrypt.hash(ADMIN_PASSWORD, 12),
+            rol: 'admin'
+        });
+        console.log(`Usuario administrador inicial creado: ${ADMIN_EMAIL}`);
+    } catch (error) {
+        console.error('Error al crear el administrador inicial:', error);
+    }
+}
+
+// Crea el catálogo de servicios la primera vez, conservando las duraciones que la clínica
+// ya tenía configuradas antes de que existiera el catálogo
+async function crearCatalogoServicios() {
+    try {
+        const totalServicios = await Servicio.countDocuments();
+        if (totalServicios > 0) return;
+
+        const configuracion = await obtenerConfiguracionClinica();
+        const duraciones = configuracion.duracionesServicio || new Map();
+
+        await Servicio.insertMany(SERVICIOS_INICIALES.map((servicio, indice) => ({
+            ...servicio,
+            duracionMinutos: duraciones.get(servicio.slug) || servicio.duracionMinutos,
+            orden: indice
+        })));
+        console.log(`Catálogo de servicios creado con ${SERVICIOS_INICIALES.length} servicios`);
+    } catch (error) {
+        console.error('Error al crear el catálogo de servicios:', error);
+    }
+}
+
+// Sin dentistas ninguna reserva en línea encuentra quien la atienda: la primera vez se
+// crea uno con todos los servicios y el horario de la clínica, editable desde el panel
+async function crearDentistaInicial() {
+    try {
+        const totalDentistas = await Dentista.countDocuments();
+        if (totalDentistas > 0) return;
+
+        const configuracion = await obtenerConfiguracionClinica();
+        await Dentista.create({
+            nombre: 'Dentista general',
+            servicios: [...catalogoServicios.values()]
+                .filter(servicio => servicio.activo)
+                .map(servicio => servicio.slug),
+            horarioLaboral: configuracion.horarioSemanal.map(dia => ({
+                diaSemana: dia.diaSemana,
+                horaInicio: dia.apertura,
+                horaFin: dia.cierre
+            }))
+        });
+        console.log('Dentista inicial creado: "Dentista general" (edítalo desde el panel)');
+    } catch (error) {
+        console.error('Error al crear el dentista inicial:', error);
+    }
+}
+
+// Asigna dentista a las citas futuras guardadas antes de que existieran los dentistas.
+// Las que no caben con ningún dentista quedan sin asignar y bloquean el horario para todos
+async function asignarDentistasCitas() {
+    try {
+        const citas = await Cita.find({
+            dentista: null,
+            fecha: { $gte: new Date(obtenerHoyClinica()) },
+            estado: { $in: ESTADOS_ACTIVOS_CITA }
+        }).sort({ fechaCreacion: 1 });
+
+        let asignadas = 0;
+        for (const cita of citas) {
+            const dentista = await asignarDentista({
+                tipoServicio: cita.tipoServicio,
+                fecha: cita.fecha,
+                horario: cita.horario,
+                duracionMinutos: cita.duracionMinutos || DURACION_CITA_POR_DEFECTO,
+                idExcluido: cita._id
+            });
+            if (dentista) {
+                await Cita.updateOne({ _id: cita._id }, { dentista: dentista._id });
+                asignadas++;
+            }
+        }
+        if (citas.length > 0) {
+            console.log(`Dentista asignado a ${asignadas} de ${citas.length} citas existentes sin dentista`);
+        }
+    } catch (error) {
+        console.error('Error al asignar dentistas a citas existentes:', error);
+    }
+}
+
+// Reclama los bloques de agenda de las citas futuras guardadas antes de que existieran
+async function reservarBloquesCitasExistentes() {
+    try {
+        const citas = await Cita.find({
+            dentista: { $ne: null },
+            fecha: { $gte: new Date(obtenerHoyClinica()) },
+            estado: { $in: ESTADOS_ACTIVOS_CITA }
+        }).sort({ fechaCreacion: 1 });
+
+        let superpuestas = 0;
+        for (const cita of citas) {
+            try {
+                await reservarBloquesCita(cita);
+            } catch (error) {
+                if (error.code !== 11000) throw error;
+                superpuestas++;
+                console.warn(`La cita ${cita._id} se superpone con otra del mismo dentista; revísala en el panel`);
+            }
+        }
+        if (superpuestas > 0) {
+            console.warn(`${superpuestas} citas existentes se superponen y no reclamaron su horario`);
+        }
+    } catch (error) {
+        console.error('Error al reservar bloques de citas existentes:', error);
+    }
+}
+
+// La audiencia 'acceso' separa la sesión del personal de los demás tokens firmados con
+// el mismo secreto (feed de calendario, gestión de citas, ofertas, teléfono verificado)
+function generarTokenAcceso(usuario) {
+    return jwt.sign(
+        { sub: usuario._id.toString(), rol: usuario.rol },
+        process.env.JWT_SECRET,
+        { expiresIn: process.env.JWT_EXPIRES_IN || '8h', audience: 'acceso' }
+    );
+}
+
+// Token sin vencimiento para suscribirse al feed iCalendar (las apps de calendario no
+// pueden enviar encabezados); deja de funcionar si el usuario se desactiva
+function generarTokenFeedCalendario(usuario) {
+    return jwt.sign(
+        { sub: usuario._id.toString() },
+        process.env.JWT_SECRET,
+        { audience: 'feed-calendario' }
+    );
+}
+
+// Middleware de autenticación: exige un token Bearer válido
+async function autenticar(req, res, next) {
+    const [esquema, token] = (req.headers.authorization || '').split(' ');
+
+    if (esquema !== 'Bearer' || !token) {
+        return res.status(401).json({
+            error: 'No autenticado',
+            mensaje: 'Debes iniciar sesión para acceder a este recurso'
+        });
+    }
+
+    try {
+        const payload = jwt.verify(token, process.env.JWT_SECRET, { audience: 'acceso' });
+        const usuario = await Usuario.findById(payload.sub);
+
+        if (!usuario || !usuario.activo) {
+            return res.status(401).json({
+                error: 'No autenticado',
+                mensaje: 'La sesión ya no es válida'
+            });
+        }
+
+        req.usuario = usuario;
+        next();
+    } catch (error) {
+        return res.status(401).json({
+            error: 'No autenticado',
+            mensaje: 'La sesión expiró o el token no es válido'
+        });
+    }
+}
+
+// Middleware de autorización: exige que el usuario tenga alguno de los roles indicados
+function autorizar(...roles) {
+    return (req, res, next) => {
+        if (!roles.includes(req.usuario.rol)) {
+            return res.status(403).json({
+                error: 'Acceso denegado',
+                mensaje: 'No tienes permisos para realizar esta acción'
+            });
+        }
+        next();
+    };
+}
+
+// Rutas de autenticación
+app.post('/api/auth/login', [
+    body('email')
+        .isEmail()
+        .normalizeEmail()
+        .withMessage('Debe ser un email válido'),
+
+    body('password')
+        .isString()
+        .notEmpty()
+        .withMessage('La contraseña es obligatoria')
+], async (req, res) => {
+    try {
+        const errores = validationResult(req);
+        if (!errores.isEmpty()) {
+            return res.status(400).json({
+                error: 'Datos inválidos',
+                mensaje: 'Por favor verifica que todos los campos estén correctos',
+                errores: errores.array()
+            });
+        }
+
+        const { email, password } = req.body;
+        const usuario = await Usuario.findOne({ email });
+
+        if (!usuario || !usuario.activo || !(await usuario.verificarPassword(password))) {
+            return res.status(401).json({
+                error: 'Credenciales inválidas',
+                mensaje: 'El email o la contraseña son incorrectos'
+            });
+        }
+
+        res.json({
+            token: generarTokenAcceso(usuario),
+            usuario
+        });
+    } catch (error) {
+        console.error('Error al iniciar sesión:', error);
+        res.status(500).json({
+            error: 'Error del servidor',
+            mensaje: 'No se pudo iniciar sesión'
+        });
+    }
+});
+
+app.get('/api/auth/me', autenticar, (req, res) => {
+    res.json(req.usuario);
+});
+
+// Rutas de administración de usuarios (solo administradores)
+app.get('/api/users', autenticar, autorizar('admin'), async (req, res) => {
+    try {
+        const usuarios = await Usuario.find().sort({ nombre: 1 });
+        res.json(usuarios);
+    } catch (error) {
+        console.error('Error al obtener usuarios:', error);
+        res.status(500).json({
+            error: 'Error del servidor',
+            mensaje: 'No se pudieron cargar los usuarios'
+        });
+    }
+});
+
+app.post('/api/users', autenticar, autorizar('admin'), [
+    body('nombre')
+        .trim()
+        .isLength({ min: 2, max: 100 })
+        .withMessage('El nombre debe tener entre 2 y 100 caracteres'),
+
+    body('email')
+        .isEmail()
+        .normalizeEmail()
+        .withMessage('Debe ser un email válido'),
+
+    body('password')
+        .isLength({ min: 8 })
+        .withMessage('La contraseña debe tener al menos 8 caracteres'),
+
+    body('rol')
+        .isIn(ROLES)
+        .withMessage('Rol no válido')
+], async (req, res) => {
+    try {
+        const errores = validationResult(req);
+        if (!errores.isEmpty()) {
+            return res.status(400).json({
+                error: 'Datos inválidos',
+                mensaje: 'Por favor verifica que todos los campos estén correctos',
+                errores: errores.array()
+            });
+        }
+
+        const { nombre, email, password, rol } = req.body;
+
+        const usuario = await Usuario.create({
+            nombre,
+            email,
+            passwordHash: await bcrypt.hash(password, 12),
+            rol
+        });
+
+        res.status(201).json(usuario);
+    } catch (error) {
+        console.error('Error al crear usuario:', error);
+
+        if (error.code === 11000) {
+            return res.status(409).json({
+                error: 'Usuario duplicado',
+                mensaje: 'Ya existe un usuario con ese email'
+            });
+        }
+
+        res.status(500).json({
+            error: 'Error del servidor',
+            mensaje: 'No se pudo crear el usuario'
+        });
+    }
+});
+
+app.patch('/api/users/:id', autenticar, autorizar('admin'), [
+    body('nombre')
+        .optional()
+        .trim()
+        .isLength({ min: 2, max: 100 })
+        .withMessage('El nombre debe tener entre 2 y 100 caracteres'),
+
+    body('password')
+        .optional()
+        .isLength({ min: 8 })
+        .withMessage('La contraseña debe tener al menos 8 caracteres'),
+
+    body('rol')
+        .optional()
+        .isIn(ROLES)
+        .withMessage('Rol no válido'),
+
+    body('activo')
+        .optional()
+        .isBoolean()
+        .withMessage('El campo activo debe ser verdadero o falso')
+], async (req, res) => {
+    try {
+        const errores = validationResult(req);
+        if (!errores.isEmpty()) {
+            return res.status(400).json({
+                error: 'Datos inválidos',
+                mensaje: 'Por favor verifica que todos los campos estén correctos',
+                errores: errores.array()
+            });
+        }
+
+        // Un id mal formado no es de ningún usuario: 404 en lugar de un error de conversión
+        const usuario = mongoose.isValidObjectId(req.params.id) ? await Usuario.findById(req.params.id) : null;
+
+        if (!usuario) {
+            return res.status(404).json({
+                error: 'Usuario no encontrado',
+                mensaje: 'El usuario que intentas modificar no existe'
+            });
+        }
+
+        const { nombre, password, rol, activo } = req.body;
+
+        if (nombre !== undefined) usuario.nombre = nombre;
+        if (rol !== undefined) usuario.rol = rol;
+        if (activo !== undefined) usuario.activo = activo;
+        if (password !== undefined) usuario.passwordHash = await bcrypt.hash(password, 12);
+
+        await usuario.save();
+
+        res.json(usuario);
+    } catch (error) {
+        console.error('Error al actualizar usuario:', error);
+        res.status(500).json({
+            error: 'Error del servidor',
+            mensaje: 'No se pudo actualizar el usuario'
+        });
+    }
+});
+
+// Validaciones para crear o modificar dentistas
+const validacionesDentista = [
+    body('nombre')
+        .optional()
+        .trim()
+        .isLength({ min: 2, max: 100 })
+        .withMessage('El nombre debe tener entre 2 y 100 caracteres'),
+
+    body('servicios')
+        .optional()
+        .isArray()
+        .withMessage('Los servicios deben ser una lista'),
+
+    // Un dentista puede conservar servicios desactivados
+    body('servicios.*')
+        .custom(existeServicio({ soloActivos: false }))
+        .withMessage('Tipo de servicio no válido'),
+
+    body('horarioLaboral')
+        .optional()
+        .isArray()
+        .withMessage('El horario laboral debe ser una lista'),
+
+    body('horarioLaboral.*.diaSemana')
+        .isInt({ min: 0, max: 6 })
+        .toInt()
+        .withMessage('El día de la semana debe estar entre 0 (domingo) y 6 (sábado)'),
+
+    body(['horarioLaboral.*.horaInicio', 'horarioLaboral.*.horaFin'])
+        .matches(HORA_REGEX)
+        .withMessage('Las horas deben tener el formato HH:MM'),
+
+    body('usuario')
+        .optional({ values: 'null' })
+        .isMongoId()
+        .withMessage('Usuario no válido'),
+
+    body('activo')
+        .optional()
+        .isBoolean()
+        .withMessage('El campo activo debe ser verdadero o falso')
+];
+
+// Rutas de dentistas
+// Listado público para que el paciente pueda elegir dentista al agendar
+app.get('/api/dentists', async (req, res) => {
+    try {
+        const dentistas = await Dentista.find({ activo: true }, 'nombre servicios horarioLaboral')
+            .sort({ nombre: 1 })
+            .lean();
+
+        res.json(dentistas);
+    } catch (error) {
+        console.error('Error al obtener dentistas:', error);
+        res.status(500).json({
+            error: 'Error del servidor',
+            mensaje: 'No se pudieron cargar los dentistas'
+        });
+    }
+});
+
+app.post('/api/dentists', autenticar, autorizar('admin'), [
+    body('nombre')
+        .exists()
+        .withMessage('El nombre es obligatorio'),
+    ...validacionesDentista
+], async (req, res) => {
+    try {
+        const errores = validationResult(req);
+        if (!errores.isEmpty()) {
+            return res.status(400).json({
+                error: 'Datos inválidos',
+                mensaje: 'Por favor verifica que todos los campos estén correctos',
+                errores: errores.array()
+            });
+        }
+
+        const { nombre, servicios, horarioLaboral, usuario } = req.body;
+
+        const dentista = await Dentista.create({ nombre, servicios, horarioLaboral, usuario });
+
+        res.status(201).json(dentista);
+    } catch (error) {
+        console.error('Error al crear dentista:', error);
+        res.status(500).json({
+            error: 'Error del servidor',
+            mensaje: 'No se pudo crear el dentista'
+        });
+    }
+});
+
+app.patch('/api/dentists/:id', autenticar, autorizar('admin'), validacionesDentista, async (req, res) => {
+    try {
+        const errores = validationResult(req);
+        if (!errores.isEmpty()) {
+            return res.status(400).json({
+                error: 'Datos inválidos',
+                mensaje: 'Por favor verifica que todos los campos estén correctos',
+                errores: errores.array()
+            });
+        }
+
+        const dentista = mongoose.isValidObjectId(req.params.id) ? await Dentista.findById(req.params.id) : null;
+
+        if (!dentista) {
+            return res.status(404).json({
+                error: 'Dentista no encontrado',
+                mensaje: 'El dentista que intentas modificar no existe'
+            });
+        }
+
+        ['nombre', 'servicios', 'horarioLaboral', 'usuario', 'activo'].forEach(campo => {
+            if (req.body[campo] !== undefined) dentista[campo] = req.body[campo];
+        });
+
+        await dentista.save();
+
+        res.json(dentista);
+    } catch (error) {
+        console.error('Error al actualizar dentista:', error);
+        res.status(500).json({
+            error: 'Error del servidor',
+            mensaje: 'No se pudo actualizar el dentista'
+        });
+    }
+});
+
+// Validaciones para crear o modificar servicios del catálogo
+const validacionesServicio = [
+    body('nombre')
+        .optional()
+        .trim()
+        .isLength({ min: 2, max: 100 })
+        .withMessage('El nombre debe tener entre 2 y 100 caracteres'),
+
+    body('descripcion')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('La descripción no puede exceder 500 caracteres'),
+
+    // null quita el precio (se muestra "consultar")
+    body(['precioMinimo', 'precioMaximo'])
+        .optional({ values: 'null' })
+        .isFloat({ min: 0 })
+        .toFloat()
+        .withMessage('Los precios deben ser números positivos'),
+
+    body('duracionMinutos')
+        .optional({ values: 'null' })
+        .isInt({ min: 5, max: 480 })
+        .toInt()
+        .withMessage('La duración de un servicio debe estar entre 5 y 480 minutos'),
+
+    body('imagen')
+        .optional({ values: 'falsy' })
+        .isURL({ protocols: ['https'], require_protocol: true })
+        .withMessage('La imagen debe ser una URL https'),
+
+    body('orden')
+        .optional()
+        .isInt()
+        .toInt()
+        .withMessage('El orden debe ser un número entero'),
+
+    body('activo')
+        .optional()
+        .isBoolean()
+        .withMessage('El campo activo debe ser verdadero o falso')
+];
+
+// Campos del servicio que se pueden modificar desde la API
+const CAMPOS_SERVICIO = ['nombre', 'descripcion', 'precioMinimo', 'precioMaximo', 'duracionMinutos', 'imagen', 'orden', 'activo'];
+
+// Rutas del catálogo de servicios
+// Listado público para el formulario de reserva y la página principal. Con incluirInactivos=true
+// también devuelve los desactivados, para mostrar el nombre de servicios de citas anteriores
+app.get('/api/services', [
+    query('incluirInactivos')
+        .optional()
+        .isBoolean()
+        .toBoolean()
+], (req, res) => {
+    const servicios = [...catalogoServicios.values()]
+        .filter(servicio => servicio.activo || req.query.incluirInactivos === true)
+        .map(servicio => ({
+            slug: servicio.slug,
+            nombre: servicio.nombre,
+            descripcion: servicio.descripcion,
+            precioMinimo: servicio.precioMinimo,
+            precioMaximo: servicio.precioMaximo,
+            duracionMinutos: servicio.duracionMinutos,
+            imagen: servicio.imagen,
+            activo: servicio.activo
+        }));
+
+    res.json(servicios);
+});
+
+app.post('/api/services', autenticar, autorizar('admin'), [
+    body('slug')
+        .trim()
+        .toLowerCase()
+        .matches(SLUG_SERVICIO_REGEX)
+        .withMessage('El identificador solo puede tener minúsculas, números y guiones'),
+    body('nombre')
+        .exists()
+        .withMessage('El nombre es obligatorio'),
+    ...validacionesServicio
+], async (req, res) => {
+    try {
+        const errores = validationResult(req);
+        if (!errores.isEmpty()) {
+            return res.status(400).json({
+                error: 'Datos inválidos',
+                mensaje: 'Por favor verifica que todos los campos estén correctos',
+                errores: errores.array()
+            });
+        }
+
+        const servicio = new Servicio({ slug: req.body.slug });
+        CAMPOS_SERVICIO.forEach(campo => {
+            if (req.body[campo] !== undefined) servicio[campo] = req.body[campo];
+        });
+
+        if (servicio.precioMinimo != null && servicio.precioMaximo != null &&
+            servicio.precioMinimo > servicio.precioMaximo) {
+            return res.status(400).json({
+                error: 'Datos inválidos',
+                mensaje: 'El precio mínimo no puede ser mayor que el máximo'
+            });
+        }
+
+        await servicio.save();
+        await recargarCatalogoServicios();
+
+        res.status(201).json(servicio);
+    } catch (error) {
+        console.error('Error al crear servicio:', error);
+
+        if (error.code === 11000) {
+            return res.status(409).json({
+                error: 'Servicio duplicado',
+                mensaje: 'Ya existe un servicio con ese identificador'
+            });
+        }
+
+        res.status(500).json({
+            error: 'Error del servidor',
+            mensaje: 'No se pudo crear el servicio'
+        });
+    }
+});
+
+app.patch('/api/services/:slug', autenticar, autorizar('admin'), validacionesServicio, async (req, res) => {
+    try {
+        const errores = validationResult(req);
+        if (!errores.isEmpty()) {
+            return res.status(400).json({
+                error: 'Datos inválidos',
+                mensaje: 'Por favor verifica que todos los campos estén correctos',
+                errores: errores.array()
+            });
+        }
+
+        const servicio = await Servicio.findOne({ slug: req.params.slug });
+
+        if (!servicio) {
+            return res.status(404).json({
+                error: 'Servicio no encontrado',
+                mensaje: 'El servicio que intentas modificar no existe'
+            });
+        }
+
+        CAMPOS_SERVICIO.forEach(campo => {
+            if (req.body[campo] !== undefined) servicio[campo] = req.body[campo];
+        });
+
+        if (servicio.precioMinimo != null && servicio.precioMaximo != null &&
+            servicio.precioMinimo > servicio.precioMaximo) {
+            return res.status(400).json({
+                error: 'Datos inválidos',
+                mensaje: 'El precio mínimo no puede ser mayor que el máximo'
+            });
+        }
+
+        await servicio.save();
+        await recargarCatalogoServicios();
+
+        res.json(servicio);
+    } catch (error) {
+        console.error('Error al actualizar servicio:', error);
+        res.status(500).json({
+            error: 'Error del servidor',
+            mensaje: 'No se pudo actualizar el servicio'
+        });
+    }
+});
+
+// Solo se eliminan servicios sin uso; los que ya tienen citas se desactivan con PATCH
+app.delete('/api/services/:slug', autenticar, autorizar('admin'), async (req, res) => {
+    try {
+        const { slug } = req.params;
+
+        const [citas, entradasEspera, dentistas] = await Promise.all([
+            Cita.exists({ tipoServicio: slug }),
+            EntradaListaEspera.exists({ tipoServicio: slug }),
+            Dentista.exists({ servicios: slug })
+        ]);
+
+        if (citas || entradasEspera || dentistas) {
+            return res.status(409).json({
+                error: 'Servicio en uso',
+                mensaje: 'El servicio tiene citas, lista de espera o dentistas asignados. Desactívalo en lugar de eliminarlo.'
+            });
+        }
+
+        const resultado = await Servicio.deleteOne({ slug });
+
+        if (resultado.deletedCount === 0) {
+            return res.status(404).json({
+                error: 'Servicio no encontrado',
+                mensaje: 'El servicio que intentas eliminar no existe'
+            });
+        }
+
+        await recargarCatalogoServicios();
+
+        res.status(204).end();
+    } catch (error) {
+        console.error('Error al eliminar servicio:', error);
+        res.status(500).json({
+            error: 'Error del servidor',
+            mensaje: 'No se pudo eliminar el servicio'
+        });
+    }
+});
+
+// Rutas de pacientes (personal de la clínica)
+
+function escaparRegex(texto) {
+    return texto.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Las notas clínicas solo se incluyen para los dentistas
+function proyeccionPaciente(usuario) {
+    return usuario.rol === 'dentista' ? '+notasClinicas' : '';
+}
+
+app.get('/api/patients', autenticar, autorizar('admin', 'recepcionista', 'dentista'), [
+    query('q')
+        .optional()
+        .trim()
+        .isLength({ min: 2, max: 100 })
+        .withMessage('La búsqueda debe tener entre 2 y 100 caracteres')
+], async (req, res) => {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+        return res.status(400).json({
+            error: 'Datos de validación incorrectos',
+            errores: errores.array()
+        });
+    }
+
+    try {
+        const filtro = {};
+        if (req.query.q) {
+            const condiciones = [
+                { nombreCompleto: new RegExp(escaparRegex(req.query.q), 'i') },
+                { emails: normalizarEmail(req.query.q) }
+            ];
+            const digitos = req.query.q.replace(/\D/g, '');
+            if (digitos.length >= 4) {
+                condiciones.push({ telefonos: new RegExp(`${digitos}$`) });
+            }
+            filtro.$or = condiciones;
+        }
+
+        const pacientes = await Paciente.find(filtro)
+            .sort({ nombreCompleto: 1 })
+            .limit(50)
+            .lean();
+
+        res.json(pacientes);
+    } catch (error) {
+        console.error('Error al buscar pacientes:', error);
+        res.status(500).json({
+            error: 'Error del servidor',
+            mensaje: 'No se pudieron cargar los pacientes'
+        });
+    }
+});
+
+// Posibles duplicados: pacientes con el mismo nombre que aún no se han fusionado
+app.get('/api/patients/duplicates', autenticar, autorizar('admin', 'recepcionista'), async (req, res) => {
+    try {
+        const grupos = await Paciente.aggregate([
+            {
+                $group: {
+                    _id: { $toLower: '$nombreCompleto' },
+                    pacientes: {
+                        $push: { _id: '$_id', nombreCompleto: '$nombreCompleto', email: '$email', telefono: '$telefono' }
+                    },
+                    total: { $sum: 1 }
+                }
+            },
+            { $match: { total: { $gt: 1 } } },
+            { $sort: { total: -1, _id: 1 } },
+            { $limit: 100 }
+        ]);
+
+        res.json(grupos.map(grupo => ({ nombre: grupo._id, pacientes: grupo.pacientes })));
+    } catch (error) {
+        console.error('Error al buscar pacientes duplicados:', error);
+        res.status(500).json({
+            error: 'Error del servidor',
+            mensaje: 'No se pudieron buscar duplicados'
+        });
+    }
+});
+
+// Un id mal formado no puede ser de ningún paciente: 404 en lugar de un error de conversión
+function validarIdPaciente(req, res, next) {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({
+            error: 'Paciente no encontrado',
+            mensaje: 'El paciente que buscas no existe'
+        });
+    }
+    next();
+}
+
+app.get('/api/patients/:id', autenticar, autorizar('admin', 'recepcionista', 'dentista'), validarIdPaciente, async (req, res) => {
+    try {
+        const paciente = await Paciente.findById(req.params.id)
+            .select(proyeccionPaciente(req.usuario))
+            .populate('notasClinicas.autor', 'nombre');
+
+        if (!paciente) {
+            return res.status(404).json({
+                error: 'Paciente no encontrado',
+                mensaje: 'El paciente que buscas no existe'
+            });
+        }
+
+        res.json(paciente);
+    } catch (error) {
+        console.error('Error al obtener paciente:', error);
+        res.status(500).json({
+            error: 'Error del servidor',
+            mensaje: 'No se pudo cargar el paciente'
+        });
+    }
+});
+
+app.get('/api/patients/:id/appointments', autenticar, autorizar('admin', 'recepcionista', 'dentista'), validarIdPaciente, async (req, res) => {
+    try {
+        const citas = await Cita.find({ paciente: req.params.id })
+            .populate('dentista', 'nombre')
+            .sort({ inicio: -1 })
+            .lean();
+
+        res.json(citas);
+    } catch (error) {
+        console.error('Error al obtener citas del paciente:', error);
+        res.status(500).json({
+            error: 'Error del servidor',
+            mensaje: 'No se pudieron cargar las citas del paciente'
+        });
+    }
+});
+
+app.patch('/api/patients/:id', autenticar, autorizar('admin', 'recepcionista'), validarIdPaciente, [
+    body('nombreCompleto')
+        .optional()
+        .trim()
+        .isLength({ min: 2, max: 100 })
+        .withMessage('El nombre debe tener entre 2 y 100 caracteres'),
+
+    body('email')
+        .optional()
+        .isEmail()
+        .normalizeEmail()
+        .withMessage('Debe ser un email válido'),
+
+    body('telefono')
+        .optional()
+        .matches(/^\+503[0-9]{8}$/)
+        .withMessage('El teléfono debe tener el formato +503XXXXXXXX')
+], async (req, res) => {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+        return res.status(400).json({
+            error: 'Datos de validación incorrectos',
+            errores: errores.array()
+        });
+    }
+
+    try {
+        const cambios = {};
+        const nuevosContactos = {};
+        ['nombreCompleto', 'email', 'telefono'].forEach(campo => {
+            if (req.body[campo] !== undefined) cambios[campo] = req.body[campo];
+        });
+        if (cambios.email) nuevosContactos.emails = normalizarEmail(cambios.email);
+        if (cambios.telefono) nuevosContactos.telefonos = normalizarTelefono(cambios.telefono);
+
+        const actualizacion = { ...cambios };
+        if (Object.keys(nuevosContactos).length > 0) {
+            actualizacion.$addToSet = nuevosContactos;
+        }
+
+        const paciente = await Paciente.findByIdAndUpdate(req.params.id, actualizacion, { new: true });
+
+        if (!paciente) {
+            return res.status(404).json({
+                error: 'Paciente no encontrado',
+                mensaje: 'El paciente que intentas actualizar no existe'
+            });
+        }
+
+        res.json(paciente);
+    } catch (error) {
+        console.error('Error al actualizar paciente:', error);
+        res.status(500).json({
+            error: 'Error del servidor',
+            mensaje: 'No se pudo actualizar el paciente'
+        });
+    }
+});
+
+app.post('/api/patients/:id/notes', autenticar, autorizar('dentista'), validarIdPaciente, [
+    body('texto')
+        .trim()
+        .isLength({ min: 1, max: 5000 })
+        .withMessage('La nota debe tener entre 1 y 5000 caracteres')
+], async (req, res) => {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+        return res.status(400).json({
+            error: 'Datos de validación incorrectos',
+            errores: errores.array()
+        });
+    }
+
+    try {
+        const paciente = await Paciente.findByIdAndUpdate(
+            req.params.id,
+            { $push: { notasClinicas: { texto: req.body.texto, autor: req.usuario._id } } },
+            { new: true }
+        ).select('+notasClinicas').populate('notasClinicas.autor', 'nombre');
+
+        if (!paciente) {
+            return res.status(404).json({
+                error: 'Paciente no encontrado',
+                mensaje: 'El paciente no existe'
+            });
+        }
+
+        res.status(201).json(paciente);
+    } catch (error) {
+        console.error('Error al agregar nota clínica:', error);
+        res.status(500).json({
+            error: 'Error del servidor',
+            mensaje: 'No se pudo guardar la nota'
+        });
+    }
+});
+
+// Fusiona un registro duplicado en el paciente indicado: mueve sus citas, contactos
+// y notas clínicas, y elimina el duplicado
+app.post('/api/patients/:id/merge', autenticar, autorizar('admin', 'recepcionista'), validarIdPaciente, [
+    body('duplicado')
+        .isMongoId()
+        .withMessage('Paciente duplicado no válido')
+        .custom((duplicado, { req }) => duplicado !== req.params.id)
+        .withMessage('Un paciente no se puede fusionar consigo mismo')
+], async (req, res) => {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+        return res.status(400).json({
+            error: 'Datos de validación incorrectos',
+            errores: errores.array()
+        });
+    }
+
+    try {
+        const [paciente, duplicado] = await Promise.all([
+            Paciente.findById(req.params.id).select('+notasClinicas'),
+            Paciente.findById(req.body.duplicado).select('+notasClinicas')
+        ]);
+
+        if (!paciente || !duplicado) {
+            return res.status(404).json({
+                error: 'Paciente no encontrado',
+                mensaje: 'Alguno de los pacientes a fusionar no existe'
+            });
+        }
+
+        paciente.emails = [...new Set([...paciente.emails, ...duplicado.emails])];
+        paciente.telefonos = [...new Set([...paciente.telefonos, ...duplicado.telefonos])];
+        paciente.notasClinicas = [...paciente.notasClinicas, ...duplicado.notasClinicas]
+            .sort((a, b) => a.fecha - b.fecha);
+        if (duplicado.fechaCreacion < paciente.fechaCreacion) {
+            paciente.fechaCreacion = duplicado.fechaCreacion;
+        }
+        await paciente.save();
+
+        const { modifiedCount } = await Cita.updateMany({ paciente: duplicado._id }, { paciente: paciente._id });
+        await duplicado.deleteOne();
+
+        res.json({
+            mensaje: 'Pacientes fusionados exitosamente',
+            paciente: await Paciente.findById(paciente._id),
+            citasMovidas: modifiedCount
+        });
+    } catch (error) {
+        console.error('Error al fusionar pacientes:', error);
+        res.status(500).json({
+            error: 'Error del servidor',
+            mensaje: 'No se pudieron fusionar los pacientes'
+        });
+    }
+});
+
+// Datos para precargar el formulario de un paciente que vuelve. Exige el teléfono ya
+// verificado por código SMS y el email del mismo registro, de modo que solo se revela
+// información a quien demostró tener ese teléfono.
+app.post('/api/patients/lookup', [
+    body('telefono')
+        .matches(/^\+503[0-9]{8}$/)
+        .withMessage('El teléfono debe tener el formato +503XXXXXXXX'),
+
+    body('email')
+        .isEmail()
+        .normalizeEmail()
+        .withMessage('Debe ser un email válido')
+], async (req, res) => {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+        return res.status(400).json({
+            error: 'Datos de validación incorrectos',
+            errores: errores.array()
+        });
+    }
+
+    if (!telefonoVerificado(req.body.verificacionTelefono, req.body.telefono)) {
+        return res.status(403).json({
+            error: 'Teléfono no verificado',
+            mensaje: 'Confirma tu número de teléfono con el código que te enviamos por SMS.'
+        });
+    }
+
+    try {
+        const paciente = await Paciente.findOne({
+            telefonos: normalizarTelefono(req.body.telefono),
+            emails: normalizarEmail(req.body.email)
+        });
+
+        if (!paciente) {
+            return res.status(404).json({
+                error: 'Paciente no encontrado',
+                mensaje: 'No encontramos visitas anteriores con esos datos'
+            });
+        }
+
+        const ultimaCita = await Cita.findOne({ paciente: paciente._id, dentista: { $exists: true } })
+            .sort({ inicio: -1 })
+            .select('dentista tipoServicio')
+            .lean();
+
+        res.json({
+            nombreCompleto: paciente.nombreCompleto,
+            ultimoDentista: ultimaCita ? ultimaCita.dentista : null,
+            ultimoServicio: ultimaCita ? ultimaCita.tipoServicio : null
+        });
+    } catch (error) {
+        console.error('Error al buscar paciente:', error);
+        res.status(500).json({
+            error: 'Error del servidor',
+            mensaje: 'Ocurrió un error al procesar tu solicitud. Por favor intenta de nuevo.'
+        });
+    }
+});
+
+// Fecha de atención: día válido, no pasado y con la clínica abierta
+const validacionFecha = body('fecha')
+    .isISO8601()
+    .withMessage('La fecha no es válida')
+    .bail()
+    // Solo interesa el día local (YYYY-MM-DD), sin importar hora u offset enviados
+    .customSanitizer((fecha) => new Date(fecha.slice(0, 10)))
+    .custom((fecha) => {
+        if (formatearFechaISO(fecha) < obtenerHoyClinica()) {
+            throw new Error('La fecha no puede ser en el pasado');
+        }
+        return true;
+    })
+    .bail()
+    .custom(async (fecha) => {
+        const motivo = obtenerMotivoCierre(await obtenerConfiguracionClinica(), fecha);
+        if (motivo) {
+            throw new Error(`La clínica no atiende en esa fecha: ${motivo}`);
+        }
+        return true;
+    });
+
+// Validaciones compartidas de fecha y horario para agendar o reprogramar citas.
+// La fecha y el horario deben existir en el horario configurado de la clínica.
+const validacionesFechaHorario = [
+    validacionFecha,
+
+    body('horario')
+        .matches(HORA_REGEX)
+        .withMessage('Horario no válido')
+        .bail()
+        .custom(async (horario, { req }) => {
+            const { fecha } = req.body;
+            // Si la fecha no es válida ya se reportó su propio error
+            if (!(fecha instanceof Date) || isNaN(fecha)) return true;
+
+            const turnos = generarTurnosClinica(await obtenerConfiguracionClinica(), fecha);
+            if (!turnos.includes(horario)) {
+                throw new Error('Horario no válido');
+            }
+            if (crearInstante(fecha, horario) <= new Date()) {
+                throw new Error('Ese horario ya pasó');
+            }
+            return true;
+        }),
+
+    body('dentista')
+        .optional({ values: 'falsy' })
+        .custom((dentista) => dentista === 'cualquiera' || mongoose.isValidObjectId(dentista))
+        .withMessage('Dentista no válido')
+];
+
+// Middleware que valida el token firmado del enlace de gestión de citas
+async function autenticarTokenCita(req, res, next) {
+    let payload;
+
+    try {
+        payload = jwt.verify(req.params.token, process.env.JWT_SECRET, { audience: 'gestion-cita' });
+    } catch (error) {
+        const expirado = error.name === 'TokenExpiredError';
+        return res.status(401).json({
+            error: expirado ? 'Enlace expirado' : 'Enlace inválido',
+            mensaje: expirado
+                ? 'Este enlace ya expiró. Para cambios, comunícate con la clínica.'
+                : 'El enlace no es válido. Verifica que lo copiaste completo.'
+        });
+    }
+
+    try {
+        const cita = await Cita.findById(payload.cita);
+
+        if (!cita) {
+            return res.status(404).json({
+                error: 'Cita no encontrada',
+                mensaje: 'La cita asociada a este enlace no existe'
+            });
+        }
+
+        req.cita = cita;
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+// Rutas de autogestión de citas para pacientes (enlace firmado enviado por SMS)
+app.get('/api/appointments/manage/:token', autenticarTokenCita, async (req, res) => {
+    try {
+        const cita = await req.cita.populate('dentista', 'nombre');
+
+        res.json({
+            cita: {
+                id: cita._id,
+                nombreCompleto: cita.nombreCompleto,
+                fecha: cita.fecha,
+                horario: cita.horario,
+                tipoServicio: cita.tipoServicio,
+                dentista: cita.dentista,
+                estado: cita.estado
+            }
+        });
+    } catch (error) {
+        console.error('Error al obtener cita:', error);
+        res.status(500).json({
+            error: 'Error del servidor',
+            mensaje: 'No se pudo cargar la cita'
+        });
+    }
+});
+
+app.patch('/api/appointments/manage/:token/cancel', autenticarTokenCita, async (req, res) => {
+    try {
+        if (!ESTADOS_PROGRAMADOS_CITA.includes(req.cita.estado)) {
+            return res.status(400).json({
+                error: 'Cita no cancelable',
+                mensaje: 'Esta cita ya no está activa'
+            });
+        }
+
+        const cita = await cancelarCita(req.cita, {
+            estado: 'cancelada-por-paciente',
+            actor: actorPaciente(req.cita),
+            motivo: 'Cancelada desde el enlace de gestión'
+        });
+
+        res.json({
+            mensaje: 'Cita cancelada exitosamente',
+            cita: {
+                id: cita._id,
+                estado: cita.estado
+            }
+        });
+    } catch (error) {
+        console.error('Error al cancelar cita:', error);
+
+        if (error.code === 'TRANSICION_INVALIDA') {
+            return res.status(400).json({
+                error: 'Cita no cancelable',
+                mensaje: 'Esta cita ya no está activa'
+            });
+        }
+
+        res.status(500).json({
+            error: 'Error del servidor',
+            mensaje: 'No se pudo cancelar la cita'
+        });
+    }
+});
+
+app.patch('/api/appointments/manage/:token/reschedule', autenticarTokenCita, validacionesFechaHorario, async (req, res) => {
+    try {
+        const errores = validationResult(req);
+        if (!errores.isEmpty()) {
+            return res.status(400).json({
+                error: 'Datos inválidos',
+                mensaje: 'Por favor verifica que todos los campos estén correctos',
+                errores: errores.array()
+            });
+        }
+
+        if (!ESTADOS_PROGRAMADOS_CITA.includes(req.cita.estado)) {
+            return res.status(400).json({
+                error: 'Cita no reprogramable',
+                mensaje: 'Esta cita ya no está activa'
+            });
+        }
+
+        const { fecha, horario } = req.body;
+
+        // Por defecto se mantiene el mismo dentista
+        const dentista = await asignarDentista({
+            tipoServicio: req.cita.tipoServicio,
+            fecha,
+            horario,
+            duracionMinutos: req.cita.duracionMinutos,
+            dentista: req.body.dentista || req.cita.dentista,
+            idExcluido: req.cita._id
+        });
+
+        if (!dentista) {
+            return res.status(409).json({
+                error: 'Horario ocupado',
+                mensaje: 'Lo sentimos, no hay un dentista disponible para ese servicio en la fecha y hora seleccionadas.'
+            });
+        }
+
+        const { cita } = await reprogramarCita(req.cita, fecha, horario, dentista, { realizadoPor: 'paciente' });
+
+        res.json({
+            mensaje: 'Cita reprogramada exitosamente',
+            cita: {
+                id: cita._id,
+                fecha: cita.fecha,
+                horario: cita.horario,
+                dentista: { _id: dentista._id, nombre: dentista.nombre },
+                estado: cita.estado
+            },
+            // El enlace anterior expira con la fecha original
+            token: generarTokenGestionCita(cita)
+        });
+    } catch (error) {
+        console.error('Error al reprogramar cita:', error);
+
+        if (error.code === 11000) {
+            return res.status(409).json({
+                error: 'Horario ocupado',
+                mensaje: 'Lo sentimos, la fecha y hora ya fue reservada por alguien más, intente de nuevo.'
+            });
+        }
+
+        res.status(500).json({
+            error: 'Error del servidor',
+            mensaje: 'No se pudo reprogramar la cita'
+        });
+    }
+});
+
+// Disponibilidad de horarios libres por día (fuente única para el formulario y la validación)
+app.get('/api/availability', [
+    query('from')
+        .isISO8601()
+        .withMessage('El parámetro from debe ser una fecha YYYY-MM-DD'),
+
+    query('to')
+        .isISO8601()
+        .withMessage('El parámetro to debe ser una fecha YYYY-MM-DD')
+        .custom((to, { req }) => {
+            const dias = (new Date(to) - new Date(req.query.from)) / (24 * 60 * 60 * 1000);
+            if (dias < 0 || dias > 120) {
+                throw new Error('El rango debe ser de 0 a 120 días');
+            }
+            return true;
+        }),
+
+    query('servicio')
+        .optional({ values: 'falsy' })
+        .custom(existeServicio())
+        .withMessage('Tipo de servicio no válido'),
+
+    query('dentista')
+        .optional({ values: 'falsy' })
+        .custom((dentista) => dentista === 'cualquiera' || mongoose.isValidObjectId(dentista))
+        .withMessage('Dentista no válido'),
+
+    // Con la reserva temporal del paciente, su propio horario se sigue mostrando libre
+    query('reserva')
+        .optional({ values: 'falsy' })
+        .isString()
+], async (req, res) => {
+    try {
+        const errores = validationResult(req);
+        if (!errores.isEmpty()) {
+            return res.status(400).json({
+                error: 'Datos inválidos',
+                mensaje: 'Por favor verifica los parámetros de la consulta',
+                errores: errores.array()
+            });
+        }
+
+        // No se ofrecen días anteriores a hoy (en la zona horaria de la clínica)
+        const hoy = obtenerHoyClinica();
+        const desde = req.query.from < hoy ? hoy : req.query.from;
+
+        const dias = desde > req.query.to ? [] : await calcularDisponibilidad({
+            desde,
+            hasta: req.query.to,
+            tipoServicio: req.query.servicio,
+            dentista: req.query.dentista,
+            reservaExcluida: req.query.reserva
+        });
+
+        res.json(dias);
+    } catch (error) {
+        console.error('Error al calcular disponibilidad:', error);
+        res.status(500).json({
+            error: 'Error del servidor',
+            mensaje: 'No se pudo cargar la disponibilidad'
+        });
+    }
+});
+
+// Canal de Server-Sent Events con los horarios que se ocupan o liberan
+app.get('/api/availability/stream', (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no' // Evita que un proxy nginx retenga los eventos
+    });
+    res.flushHeaders();
+
+    // El navegador reintenta solo si se corta la conexión
+    res.write(`retry: ${INTERVALO_RECONEXION_SSE_MS}\n\n`);
+    clientesDisponibilidad.add(res);
+
+    // Comentario periódico para que proxies y balanceadores no cierren la conexión inactiva
+    const latido = setInterval(() => res.write(': latido\n\n'), INTERVALO_LATIDO_SSE_MS);
+
+    req.on('close', () => {
+        clearInterval(latido);
+        clientesDisponibilidad.delete(res);
+    });
+});
+
+// Configuración pública que necesita el frontend
+app.get('/api/settings/public', (req, res) => {
+    res.json({
+        zonaHoraria: ZONA_HORARIA
+    });
+});
+
+// Rutas de configuración del horario de la clínica
+app.get('/api/settings/schedule', autenticar, autorizar('admin', 'recepcionista', 'dentista'), async (req, res) => {
+    try {
+        res.json(await obtenerConfiguracionClinica());
+    } catch (error) {
+        console.error('Error al obtener configuración de la clínica:', error);
+        res.status(500).json({
+            error: 'Error del servidor',
+            mensaje: 'No se pudo cargar el horario de la clínica'
+        });
+    }
+});
+
+app.patch('/api/settings/schedule', autenticar, autorizar('admin'), [
+    body('duracionTurnoMinutos')
+        .optional()
+        .isInt({ min: 5, max: 480 })
+        .toInt()
+        .withMessage('La duración del turno debe estar entre 5 y 480 minutos'),
+
+    body('horarioSemanal')
+        .optional()
+        .isArray()
+        .withMessage('El horario semanal debe ser una lista'),
+
+    body('horarioSemanal.*.diaSemana')
+        .isInt({ min: 0, max: 6 })
+        .toInt()
+        .withMessage('El día de la semana debe estar entre 0 (domingo) y 6 (sábado)'),
+
+    body(['horarioSemanal.*.apertura', 'horarioSemanal.*.cierre', 'almuerzo.inicio', 'almuerzo.fin'])
+        .optional({ values: 'null' })
+        .matches(HORA_REGEX)
+        .withMessage('Las horas deben tener el formato HH:MM'),
+
+    body('recordatoriosMinutosAntes')
+        .optional()
+        .isArray({ max: 5 })
+        .withMessage('Los recordatorios deben ser una lista de hasta 5 anticipaciones'),
+
+    body('recordatoriosMinutosAntes.*')
+        .isInt({ min: 5, max: 14 * 24 * 60 })
+        .toInt()
+        .withMessage('La anticipación de un recordatorio debe estar entre 5 minutos y 14 días'),
+
+    body('minutosReservaListaEspera')
+        .optional()
+        .isInt({ min: 5, max: 24 * 60 })
+        .toInt()
+        .withMessage('La reserva de la lista de espera debe estar entre 5 minutos y 24 horas'),
+
+    body('feriados')
+        .optional()
+        .isArray()
+        .withMessage('Los feriados deben ser una lista'),
+
+    body('feriados.*.fecha')
+        .matches(/^(\d{4}-)?\d{2}-\d{2}$/)
+        .withMessage('La fecha del feriado debe tener el formato MM-DD o YYYY-MM-DD'),
+
+    body('feriados.*.nombre')
+        .trim()
+        .notEmpty()
+        .withMessage('El feriado debe tener un nombre'),
+
+    body('cierres')
+        .optional()
+        .isArray()
+        .withMessage('Los cierres deben ser una lista'),
+
+    body(['cierres.*.desde', 'cierres.*.hasta'])
+        .isISO8601()
+        .toDate()
+        .withMessage('Las fechas del cierre deben tener el formato YYYY-MM-DD')
+], async (req, res) => {
+    try {
+        const errores = validationResult(req);
+        if (!errores.isEmpty()) {
+            return res.status(400).json({
+                error: 'Datos inválidos',
+                mensaje: 'Por favor verifica que todos los campos estén correctos',
+                errores: errores.array()
+            });
+        }
+
+        const configuracion = await obtenerConfiguracionClinica();
+
+        [
+            'duracionTurnoMinutos', 'horarioSemanal', 'almuerzo',
+            'recordatoriosMinutosAntes', 'minutosReservaListaEspera', 'feriados', 'cierres'
+        ].forEach(campo => {
+            if (req.body[campo] !== undefined) configuracion[campo] = req.body[campo];
+        });
+
+        await configuracion.save();
+
+        res.json(configuracion);
+    } catch (error) {
+        console.error('Error al actualizar configuración de la clínica:', error);
+        res.status(500).json({
+            error: 'Error del servidor',
+            mensaje: 'No se pudo actualizar el horario de la clínica'
+        });
+    }
+});
+
+// Palabras clave aceptadas en las respuestas por SMS
+const PALABRAS_CLAVE_SMS = {
+    confirmar: ['SI', 'CONFIRMAR', 'CONFIRMO'],
+    // Un "NO" suelto es ambiguo (puede responder a otra cosa): cancelar exige pedirlo explícitamente
+    cancelar: ['CANCELAR', 'CANCELO'],
+    ayuda: ['AYUDA', 'INFO']
+};
+
+// Identifica la acción pedida en un SMS (primera palabra, sin tildes ni mayúsculas)
+function interpretarRespuestaSMS(cuerpo) {
+    const palabra = (cuerpo || '')
+        .trim()
+        .split(/\s+/)[0]
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^A-Za-z]/g, '')
+        .toUpperCase();
+
+    const accion = Object.keys(PALABRAS_CLAVE_SMS)
+        .find(clave => PALABRAS_CLAVE_SMS[clave].includes(palabra));
+
+    return accion || 'sin-reconocer';
+}
+
+// Webhook de Twilio para SMS entrantes: valida la firma y responde con TwiML
+app.post('/api/sms/inbound',
+    express.urlencoded({ extended: false }),
+    twilio.webhook({ url: process.env.TWILIO_WEBHOOK_URL }),
+    async (req, res) => {
+        const twiml = new twilio.twiml.MessagingResponse();
+        const { From: telefono, Body: cuerpo, MessageSid: twilioMessageSid } = req.body;
+
+        try {
+            // Próxima cita activa del remitente
+            const cita = await Cita.findOne({
+                telefono,
+                estado: { $in: ESTADOS_PROGRAMADOS_CITA },
+                inicio: { $gt: new Date() }
+            }).sort({ inicio: 1 });
+
+            const accion = interpretarRespuestaSMS(cuerpo);
+
+            await MensajeEntrante.create({
+                telefono,
+                cuerpo,
+                twilioMessageSid,
+                cita: cita ? cita._id : undefined,
+                accion,
+                revisado: accion !== 'sin-reconocer'
+            });
+
+            if (accion === 'ayuda') {
+                twiml.message('Responde SI para confirmar tu próxima cita o CANCELAR para cancelarla. Para otras consultas llama al 74676260.');
+            } else if (accion === 'sin-reconocer') {
+                twiml.message(cita
+                    ? 'Recibimos tu mensaje y el personal de la clínica lo revisará. Si quieres cancelar tu cita, responde CANCELAR.'
+                    : 'Recibimos tu mensaje y el personal de la clínica lo revisará. Responde AYUDA para ver las opciones.');
+            } else if (!cita) {
+                twiml.message('No encontramos citas próximas asociadas a este número. Para agendar visita nuestra página o llama al 74676260.');
+            } else if (accion === 'confirmar') {
+                cita.asistenciaConfirmada = true;
+                cita.fechaConfirmacionAsistencia = new Date();
+                await cita.save();
+                if (cita.estado === 'pendiente-confirmacion') {
+                    await cambiarEstadoCita(cita, 'confirmada', {
+                        actor: actorPaciente(cita),
+                        motivo: 'Confirmada por SMS'
+                    });
+                }
+                twiml.message(`¡Gracias! Tu cita del ${formatearFechaCita(cita)} a las ${formatearHora(cita.horario)} está confirmada.`);
+            } else if (accion === 'cancelar') {
+                await cancelarCita(cita, {
+                    estado: 'cancelada-por-paciente',
+                    actor: actorPaciente(cita),
+                    motivo: 'Cancelada por SMS'
+                });
+                twiml.message(`Tu cita del ${formatearFechaCita(cita)} a las ${formatearHora(cita.horario)} fue cancelada. Esperamos verte pronto.`);
+            }
+        } catch (error) {
+            console.error('Error al procesar SMS entrante:', error);
+            twiml.message('No pudimos procesar tu mensaje. Por favor llama al 74676260.');
+        }
+
+        res.type('text/xml').send(twiml.toString());
+    }
+);
+
+// Mensajes SMS recibidos para revisión del personal
+app.get('/api/sms/messages', autenticar, autorizar('admin', 'recepcionista'), async (req, res) => {
+    try {
+        const filtro = {};
+        if (req.query.revisado !== undefined) {
+            filtro.revisado = req.query.revisado === 'true';
+        }
+
+        const mensajes = await MensajeEntrante.find(filtro)
+            .populate('cita', 'nombreCompleto fecha horario estado')
+            .sort({ fechaRecepcion: -1 })
+            .limit(200)
+            .lean();
+
+        res.json(mensajes);
+    } catch (error) {
+        console.error('Error al obtener mensajes SMS:', error);
+        res.status(500).json({
+            error: 'Error del servidor',
+            mensaje: 'No se pudieron cargar los mensajes'
+        });
+    }
+});
+
+app.patch('/api/sms/messages/:id/reviewed', autenticar, autorizar('admin', 'recepcionista'), async (req, res) => {
+    try {
+        const mensaje = mongoose.isValidObjectId(req.params.id)
+            ? await MensajeEntrante.findByIdAndUpdate(
+                req.params.id,
+                { revisado: true, revisadoPor: req.usuario._id },
+                { new: true }
+            )
+            : null;
+
+        if (!mensaje) {
+            return res.status(404).json({
+                error: 'Mensaje no encontrado',
+                mensaje: 'El mensaje que intentas marcar no existe'
+            });
+        }
+
+        res.json(mensaje);
+    } catch (error) {
+        console.error('Error al marcar mensaje como revisado:', error);
+        res.status(500).json({
+            error: 'Error del servidor',
+            mensaje: 'No se pudo actualizar el mensaje'
+        });
+    }
+});
+
+// Feed iCalendar para el personal (Outlook, Apple Calendar...)
+const FEED_DIAS_ANTERIORES = 60;
+
+app.post('/api/calendar/feed-token', autenticar, autorizar('admin', 'recepcionista', 'dentista'), (req, res) => {
+    const token = generarTokenFeedCalendario(req.usuario);
+    const apiUrl = process.env.API_URL || `http://localhost:${PORT}`;
+
+    res.json({
+        token,
+        url: `${apiUrl}/api/calendar.ics?token=${token}`
+    });
+});
+
+app.get('/api/calendar.ics', [
+    query('token')
+        .notEmpty()
+        .withMessage('El token es requerido'),
+    query('dentista')
+        .optional()
+        .isMongoId()
+        .withMessage('Dentista no válido'),
+    query('servicio')
+        .optional()
+        .custom(existeServicio({ soloActivos: false }))
+        .withMessage('Servicio no válido')
+], async (req, res) => {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+        return res.status(400).json({
+            error: 'Datos de validación incorrectos',
+            errores: errores.array()
+        });
+    }
+
+    let payload;
+    try {
+        payload = jwt.verify(req.query.token, process.env.JWT_SECRET, { audience: 'feed-calendario' });
+    } catch (error) {
+        return res.status(401).json({
+            error: 'No autenticado',
+            mensaje: 'El enlace del calendario no es válido'
+        });
+    }
+
+    try {
+        const usuario = await Usuario.findById(payload.sub);
+        if (!usuario || !usuario.activo) {
+            return res.status(401).json({
+                error: 'No autenticado',
+                mensaje: 'El enlace del calendario ya no es válido'
+            });
+        }
+
+        const filtro = {
+            inicio: { $gte: new Date(Date.now() - FEED_DIAS_ANTERIORES * 24 * 60 * 60 * 1000) }
+        };
+        if (req.query.servicio) filtro.tipoServicio = req.query.servicio;
+        if (req.query.dentista) filtro.dentista = req.query.dentista;
+
+        // Los dentistas solo ven su propia agenda
+        if (usuario.rol === 'dentista') {
+            const dentista = await Dentista.findOne({ usuario: usuario._id });
+            if (!dentista || (req.query.dentista && req.query.dentista !== dentista._id.toString())) {
+                return res.status(403).json({
+                    error: 'Acceso denegado',
+                    mensaje: 'Solo puedes suscribirte a tu propia agenda'
+                });
+            }
+            filtro.dentista = dentista._id;
+        }
+
+        const citas = await Cita.find(filtro)
+            .populate('dentista', 'nombre')
+            .sort({ inicio: 1 })
+            .lean();
+
+        const ics = generarFeedICS(citas, 'Citas Dentales');
+        const etag = `"${crypto.createHash('sha1').update(ics).digest('base64url')}"`;
+
+        res.set({
+            'Content-Type': 'text/calendar; charset=utf-8',
+            'Cache-Control': 'private, no-cache',
+            'ETag': etag
+        });
+
+        // El cliente ya tiene esta versión: no reenviar el calendario
+        const etagsCliente = (req.headers['if-none-match'] || '').split(',').map(valor => valor.trim().replace(/^W\//, ''));
+        if (etagsCliente.includes(etag) || etagsCliente.includes('*')) {
+            return res.status(304).end();
+        }
+
+        res.send(ics);
+    } catch (error) {
+        console.error('Error al generar el feed de calendario:', error);
+        res.status(500).json({
+            error: 'Error del servidor',
+            mensaje: 'No se pudo generar el calendario'
+        });
+    }
+});
+
+// Bandeja de salida: permite revisar los efectos secundarios que fallaron y reintentarlos
+app.get('/api/outbox', autenticar, autorizar('admin'), [
+    query('estado')
+        .optional()
+        .isIn(['pendiente', 'en-proceso', 'completado', 'fallido', 'omitido'])
+        .withMessage('Estado de trabajo no válido'),
+    query('tipo')
+        .optional()
+        .isIn(Object.keys(ejecutoresTrabajos))
+        .withMessage('Tipo de trabajo no válido'),
+    query('cita')
+        .optional()
+        .isMongoId()
+        .withMessage('Cita no válida')
+], async (req, res) => {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+        return res.status(400).json({
+            error: 'Datos de validación incorrectos',
+            errores: errores.array()
+        });
+    }
+
+    try {
+        const filtro = { estado: req.query.estado || 'fallido' };
+        if (req.query.tipo) filtro.tipo = req.query.tipo;
+        if (req.query.cita) filtro['datos.cita'] = new mongoose.Types.ObjectId(req.query.cita);
+
+        const trabajos = await Trabajo.find(filtro)
+            .sort({ ejecutarEn: -1 })
+            .limit(200)
+            .lean();
+
+        res.json(trabajos);
+    } catch (error) {
+        console.error('Error al obtener la bandeja de salida:', error);
+        res.status(500).json({
+            error: 'Error del servidor',
+            mensaje: 'No se pudieron cargar las tareas'
+        });
+    }
+});
+
+app.post('/api/outbox/:id/replay', autenticar, autorizar('admin'), async (req, res) => {
+    try {
+        // Solo se reintentan tareas que ya terminaron; las pendientes siguen su curso
+        const trabajo = mongoose.isValidObjectId(req.params.id)
+            ? await Trabajo.findOneAndUpdate(
+                { _id: req.params.id, estado: { $in: ['fallido', 'omitido'] } },
+                {
+                    $set: { estado: 'pendiente', intentos: 0, ejecutarEn: new Date() },
+                    $unset: { ultimoError: 1, iniciadoEn: 1, finalizadoEn: 1 }
+                },
+                { new: true }
+            )
+            : null;
+
+        if (!trabajo) {
+            return res.status(404).json({
+                error: 'Tarea no encontrada',
+                mensaje: 'La tarea no existe o no está en un estado que se pueda reintentar'
+            });
+        }
+
+        setImmediate(ejecutarCicloTrabajos);
+        res.json(trabajo);
+    } catch (error) {
+        console.error('Error al reintentar tarea:', error);
+        res.status(500).json({
+            error: 'Error del servidor',
+            mensaje: 'No se pudo reintentar la tarea'
+        });
+    }
+});
+
+// Rutas de la API
+app.get('/api/appointments/occupied', async (req, res) => {
+    try {
+        const filtro = {
+            estado: { $in: ESTADOS_ACTIVOS_CITA },
+            fin: { $gt: new Date() } // Solo citas que aún no terminan
+        };
+
+        // Filtrar por dentista si se solicita
+        if (req.query.dentista && mongoose.isValidObjectId(req.query.dentista)) {
+            filtro.dentista = req.query.dentista;
+        }
+
+        const citasOcupadas = await Cita.find(filtro, 'fecha horario dentista').lean();
+
+        res.json(citasOcupadas);
+    } catch (error) {
+        console.error('Error al obtener citas ocupadas:', error);
+        res.status(500).json({ 
+            error: 'Error del servidor',
+            mensaje: 'No se pudieron cargar los horarios ocupados' 
+        });
+    }
+});
+
+// Datos de contacto del paciente y servicio solicitado
+const validacionesPaciente = [
+    body('nombreCompleto')
+        .trim()
+        .isLength({ min: 2, max: 100 })
+        .withMessage('El nombre debe tener entre 2 y 100 caracteres'),
+    
+    body('email')
+        .isEmail()
+        .normalizeEmail()
+        .withMessage('Debe ser un email válido'),
+    
+    body('telefono')
+        .matches(/^\+503[0-9]{8}$/)
+        .withMessage('El teléfono debe tener el formato +503XXXXXXXX'),
+    
+    body('tipoServicio')
+        .custom(existeServicio())
+        .withMessage('Tipo de servicio no válido')
+];
+
+// Verificación del teléfono: envía un código de 6 dígitos por SMS
+app.post('/api/phone-verifications', [
+    body('telefono')
+        .matches(/^\+503[0-9]{8}$/)
+        .withMessage('El teléfono debe tener el formato +503XXXXXXXX')
+], async (req, res) => {
+    try {
+        const errores = validationResult(req);
+        if (!errores.isEmpty()) {
+            return res.status(400).json({
+                error: 'Datos inválidos',
+                mensaje: 'Por favor verifica el número de teléfono',
+                errores: errores.array()
+            });
+        }
+
+        const { telefono } = req.body;
+        const ahora = new Date();
+        const claveTurno = `reenvio-codigo:${telefono}`;
+        const claveTelefono = `codigos-telefono:${telefono}`;
+        const demasiadosCodigos = () => res.status(429).json({
+            error: 'Demasiados códigos',
+            mensaje: 'Ya pediste varios códigos. Intenta de nuevo en una hora o llama a la clínica.'
+        });
+
+        // La IP se cuenta primero y siempre: frena a quien prueba muchos números distintos
+        if (await contarSolicitud(`codigos-ip:${req.ip}`, VENTANA_LIMITE_CODIGOS_SEGUNDOS) > MAXIMO_CODIGOS_POR_IP) {
+            return demasiadosCodigos();
+        }
+
+        const reenviarEnSegundos = await reservarTurnoSolicitud(claveTurno, SEGUNDOS_ENTRE_CODIGOS);
+        if (reenviarEnSegundos > 0) {
+            return res.status(429).json({
+                error: 'Código ya enviado',
+                mensaje: `Ya te enviamos un código. Podrás pedir otro en ${reenviarEnSegundos} segundos.`,
+                reenviarEnSegundos
+            });
+        }
+
+        // Del turno y del cupo del número solo se gasta lo que termina en un SMS enviado
+        const devolverTurnoYCupo = () => Promise.all([
+            liberarTurnoSolicitud(claveTurno),
+            descontarSolicitud(claveTelefono, VENTANA_LIMITE_CODIGOS_SEGUNDOS)
+        ]);
+
+        if (await contarSolicitud(claveTelefono, VENTANA_LIMITE_CODIGOS_SEGUNDOS) > MAXIMO_CODIGOS_POR_TELEFONO) {
+            await devolverTurnoYCupo();
+            return demasiadosCodigos();
+        }
+
+        const codigo = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+        // Se guarda antes de enviar: el código debe existir cuando el paciente reciba el SMS
+        const verificacion = await VerificacionTelefono.create({
+            telefono,
+            codigoHash: hashearCodigoVerificacion(telefono, codigo),
+            ip: req.ip,
+            expiraEn: new Date(ahora.getTime() + MINUTOS_VIGENCIA_CODIGO * 60 * 1000),
+            creadoEn: ahora
+        });
+
+        try {
+            await proveedores.sms.enviar({
+                para: telefono,
+                mensaje: `Tu código para agendar en el consultorio dental es ${codigo}. Vence en ${MINUTOS_VIGENCIA_CODIGO} minutos. No lo compartas con nadie.`
+            });
+        } catch (error) {
+            console.error('Error al enviar código de verificación:', error);
+            await Promise.all([VerificacionTelefono.deleteOne({ _id: verificacion._id }), devolverTurnoYCupo()]);
+            return res.status(502).json({
+                error: 'SMS no enviado',
+                mensaje: 'No pudimos enviar el SMS. Verifica que el número sea correcto e intenta de nuevo.'
+            });
+        }
+
+        res.status(201).json({
+            expiraEn: verificacion.expiraEn,
+            reenviarEnSegundos: SEGUNDOS_ENTRE_CODIGOS
+        });
+    } catch (error) {
+        console.error('Error al crear verificación de teléfono:', error);
+        res.status(500).json({
+            error: 'Error del servidor',
+            mensaje: 'No se pudo enviar el código de verificación'
+        });
+    }
+});
+
+// Confirma el código y entrega el token que se envía al agendar
+app.post('/api/phone-verifications/confirm', [
+    body('telefono')
+        .matches(/^\+503[0-9]{8}$/)
+        .withMessage('El teléfono debe tener el formato +503XXXXXXXX'),
+
+    body('codigo')
+        .matches(/^[0-9]{6}$/)
+        .withMessage('El código debe tener 6 dígitos')
+], async (req, res) => {
+    try {
+        const errores = validationResult(req);
+        if (!errores.isEmpty()) {
+            return res.status(400).json({
+                error: 'Datos inválidos',
+                mensaje: 'El código debe tener 6 dígitos',
+                errores: errores.array()
+            });
+        }
+
+        const { telefono, codigo } = req.body;
+
+        // Solo vale el último código enviado al número
+        const verificacion = await VerificacionTelefono.findOne({ telefono }).sort({ creadoEn: -1 });
+
+        if (!verificacion || verificacion.expiraEn <= new Date()) {
+            return res.status(410).json({
+                error: 'Código vencido',
+                mensaje: 'El código ya no es válido. Pide uno nuevo.'
+            });
+        }
+
+        // El intento se cuenta antes de comparar para que peticiones simultáneas no superen el límite
+        const conIntento = await VerificacionTelefono.findOneAndUpdate(
+            { _id: verificacion._id, intentos: { $lt: MAXIMO_INTENTOS_CODIGO } },
+            { $inc: { intentos: 1 } },
+            { new: true }
+        );
+
+        if (!conIntento) {
+            return res.status(429).json({
+                error: 'Demasiados intentos',
+                mensaje: 'Escribiste mal el código demasiadas veces. Pide uno nuevo.'
+            });
+        }
+
+        if (!codigoVerificacionCoincide(conIntento, codigo)) {
+            const intentosRestantes = MAXIMO_INTENTOS_CODIGO - conIntento.intentos;
+            return res.status(400).json({
+                error: 'Código incorrecto',
+                mensaje: intentosRestantes > 0
+                    ? `El código no es correcto. Te quedan ${intentosRestantes} intentos.`
+                    : 'El código no es correcto. Pide uno nuevo.',
+                intentosRestantes
+            });
+        }
+
+        // Un código usado no se puede volver a canjear (el documento sigue contando para el límite)
+        await VerificacionTelefono.updateOne({ _id: conIntento._id }, { expiraEn: new Date() });
+
+        const token = generarTokenTelefonoVerificado(telefono);
+
+        res.json({
+            token,
+            expiraEn: new Date(jwt.decode(token).exp * 1000)
+        });
+    } catch (error) {
+        console.error('Error al confirmar verificación de teléfono:', error);
+        res.status(500).json({
+            error: 'Error del servidor',
+            mensaje: 'No se pudo verificar el código'
+        });
+    }
+});
+
+// Reservas temporales: retienen el horario elegido mientras el paciente llena el formulario
+app.post('/api/holds', [
+    body('tipoServicio')
+        .custom(existeServicio())
+        .withMessage('Tipo de servicio no válido'),
+    ...validacionesFechaHorario,
+
+    // Reserva que el paciente ya tiene: la nueva la reemplaza y no cuenta como otra
+    body('reserva')
+        .optional({ values: 'falsy' })
+        .isString()
+], async (req, res) => {
+    let turnoNuevo = null;
+
+    try {
+        const errores = validationResult(req);
+        if (!errores.isEmpty()) {
+            return res.status(400).json({
+                error: 'Datos inválidos',
+                mensaje: 'Por favor verifica que todos los campos estén correctos',
+                errores: errores.array()
+            });
+        }
+
+        const { tipoServicio, fecha, horario } = req.body;
+        const ahora = new Date();
+        const expiraEn = new Date(ahora.getTime() + MINUTOS_RESERVA_HORARIO * 60 * 1000);
+
+        const anterior = req.body.reserva && await ReservaHorario.findOne({
+            token: req.body.reserva,
+            expiraEn: { $gt: ahora }
+        });
+
+        // La reserva que reemplaza a otra hereda su turno de la IP; si no, necesita uno libre
+        let turnoIP = anterior && anterior.turnoIP;
+        if (!turnoIP) {
+            turnoNuevo = await tomarTurnoReservaIP(req.ip, MINUTOS_RESERVA_HORARIO * 60);
+            if (!turnoNuevo) {
+                return res.status(429).json({
+                    error: 'Demasiadas reservas',
+                    mensaje: 'Ya tienes horarios retenidos. Termina o cancela esas reservas antes de elegir otro.'
+                });
+            }
+            turnoIP = turnoNuevo;
+        }
+
+        const duracionMinutos = obtenerDuracionServicio(await obtenerConfiguracionClinica(), tipoServicio);
+        const dentista = await asignarDentista({
+            tipoServicio,
+            fecha,
+            horario,
+            duracionMinutos,
+            dentista: req.body.dentista,
+            reservaExcluida: anterior ? anterior.token : undefined
+        });
+
+        if (!dentista) {
+            if (turnoNuevo) await liberarTurnoSolicitud(turnoNuevo);
+            return res.status(409).json({
+                error: 'Horario ocupado',
+                mensaje: 'Lo sentimos, ese horario acaba de ocuparse. Por favor elige otro.'
+            });
+        }
+
+        const datos = {
+            dentista: dentista._id,
+            tipoServicio,
+            fecha,
+            horario,
+            duracionMinutos,
+            ip: req.ip,
+            turnoIP,
+            expiraEn
+        };
+
+        let reserva;
+        try {
+            reserva = await retenerHorario(datos, anterior);
+        } catch (error) {
+            if (error.code !== 'RESERVA_REEMPLAZADA') throw error;
+
+            // Otra solicitud simultánea ya reemplazó la reserva anterior y se quedó con su
+            // turno: esta cuenta como una reserva más
+            turnoNuevo = await tomarTurnoReservaIP(req.ip, MINUTOS_RESERVA_HORARIO * 60);
+            if (!turnoNuevo) {
+                return res.status(429).json({
+                    error: 'Demasiadas reservas',
+                    mensaje: 'Ya tienes horarios retenidos. Termina o cancela esas reservas antes de elegir otro.'
+                });
+            }
+            reserva = await retenerHorario({ ...datos, turnoIP: turnoNuevo });
+        }
+
+        // El turno de la IP vence junto con la reserva que lo ocupa
+        await LimiteSolicitudes.updateOne({ clave: reserva.turnoIP }, { $set: { expiraEn } });
+
+        res.status(201).json({
+            token: reserva.token,
+            expiraEn: reserva.expiraEn,
+            dentista: { _id: dentista._id, nombre: dentista.nombre }
+        });
+    } catch (error) {
+        console.error('Error al reservar horario:', error);
+
+        if (turnoNuevo) await liberarTurnoSolicitud(turnoNuevo).catch(() => {});
+
+        if (error.code === 11000) {
+            // Otro paciente retuvo un horario que se superpone al mismo tiempo
+            return res.status(409).json({
+                error: 'Horario ocupado',
+                mensaje: 'Lo sentimos, ese horario acaba de ocuparse. Por favor elige otro.'
+            });
+        }
+
+        res.status(500).json({
+            error: 'Error del servidor',
+            mensaje: 'No se pudo reservar el horario'
+        });
+    }
+});
+
+app.delete('/api/holds/:token', async (req, res) => {
+    try {
+        const reserva = await eliminarReservaHorario(req.params.token);
+        if (reserva) {
+            emitirCambioHorario('liberado', reserva);
+        }
+        res.status(204).end();
+    } catch (error) {
+        console.error('Error al liberar horario:', error);
+        res.status(500).json({
+            error: 'Error del servidor',
+            mensaje: 'No se pudo liberar el horario'
+        });
+    }
+});
+
+app.post('/api/appointments', [
+    ...validacionesPaciente,
+    ...validacionesFechaHorario,
+
+    body('reserva')
+        .optional({ values: 'falsy' })
+        .isString(),
+
+    // Token de /api/phone-verifications/confirm para el mismo teléfono
+    body('verificacionTelefono')
+        .optional({ values: 'falsy' })
+        .isString()
+], async (req, res) => {
+    try {
+        // Validar errores de entrada
+        const errores = validationResult(req);
+        if (!errores.isEmpty()) {
+            return res.status(400).json({
+                error: 'Datos inválidos',
+                mensaje: 'Por favor verifica que todos los campos estén correctos',
+                errores: errores.array()
+            });
+        }
+
+        const { nombreCompleto, email, telefono, tipoServicio, fecha, horario } = req.body;
+
+        // Solo se agenda con un teléfono confirmado por código SMS
+        if (!telefonoVerificado(req.body.verificacionTelefono, telefono)) {
+            return res.status(403).json({
+                error: 'Teléfono no verificado',
+                mensaje: 'Confirma tu número de teléfono con el código que te enviamos por SMS.'
+            });
+        }
+
+        // La cita ocupa tantos turnos seguidos como requiera el servicio
+        const duracionMinutos = obtenerDuracionServicio(await obtenerConfiguracionClinica(), tipoServicio);
+
+        // Si el paciente retuvo este mismo horario se agenda con el dentista de su reserva;
+        // una reserva vencida o de otro horario se ignora y se busca disponibilidad normal
+        const reserva = req.body.reserva && await ReservaHorario.findOne({
+            token: req.body.reserva,
+            tipoServicio,
+            fecha,
+            horario,
+            expiraEn: { $gt: new Date() }
+        });
+
+        // Asignar un dentista calificado y libre durante toda la cita
+        const dentista = await asignarDentista({
+            tipoServicio,
+            fecha,
+            horario,
+            duracionMinutos,
+            dentista: reserva ? reserva.dentista : req.body.dentista,
+            reservaExcluida: reserva ? reserva.token : undefined
+        });
+
+        if (!dentista) {
+            return res.status(409).json({
+                error: 'Horario ocupado',
+                mensaje: 'Lo sentimos, no hay un dentista disponible para ese servicio en la fecha y hora seleccionadas.'
+            });
+        }
+
+        // Registro del paciente (uno por persona aunque vuelva con otros datos)
+        const paciente = await obtenerOCrearPaciente({ nombreCompleto, email, telefono });
+
+        // Crear la nueva cita
+        const nuevaCita = new Cita({
+            nombreCompleto,
+            email,
+            telefono,
+            tipoServicio,
+            dentista: dentista._id,
+            paciente: paciente._id,
+            fecha: new Date(fecha),
+            horario,
+            duracionMinutos
+        });
+
+        // Guardar en la base de datos; los bloques de agenda deciden si dos envíos chocan
+        await guardarCitaNueva(nuevaCita, reserva);
+        await registrarHistorialCita(nuevaCita, null, {
+            actor: actorPaciente(nuevaCita),
+            motivo: 'Agendada en línea'
+        });
+
+        // La reserva temporal ya se convirtió en cita
+        if (reserva) {
+            await eliminarReservaHorario(reserva.token);
+        }
+
+        // Recordatorios, evento de Google Calendar y confirmaciones al paciente
+        const integraciones = await notificarCitaNueva(nuevaCita);
+
+        res.status(201).json({
+            mensaje: 'Cita agendada con éxito',
+            cita: {
+                id: nuevaCita._id,
+                nombreCompleto: nuevaCita.nombreCompleto,
+                fecha: nuevaCita.fecha,
+                horario: nuevaCita.horario,
+                tipoServicio: nuevaCita.tipoServicio,
+                duracionMinutos: nuevaCita.duracionMinutos,
+                dentista: { _id: dentista._id, nombre: dentista.nombre }
+            },
+            integraciones
+        });
+
+    } catch (error) {
+        console.error('Error al crear cita:', error);
+        
+        if (error.code === 11000) {
+            // Error de duplicado (fecha/hora ya ocupada)
+            return res.status(409).json({
+                error: 'Horario ocupado',
+                mensaje: 'Lo sentimos, la fecha y hora ya fue reservada por alguien más, intente de nuevo.'
+            });
+        }
+
+        res.status(500).json({
+            error: 'Error del servidor',
+            mensaje: 'Ocurrió un error al procesar tu solicitud. Por favor intenta de nuevo.'
+        });
+    }
+});
+
+// Lista de espera: el paciente se anota cuando no encuentra horario
+app.post('/api/waitlist', [
+    ...validacionesPaciente,
+    validacionFecha,
+
+    body(['horaDesde', 'horaHasta'])
+        .matches(HORA_REGEX)
+        .withMessage('El rango de horas no es válido'),
+
+    body('horaHasta')
+        .custom((horaHasta, { req }) => !HORA_REGEX.test(req.body.horaDesde) || req.body.horaDesde <= horaHasta)
+        .withMessage('La hora final no puede ser anterior a la inicial'),
+
+    body('dentista')
+        .optional({ values: 'falsy' })
+        .custom((dentista) => dentista === 'cualquiera' || mongoose.isValidObjectId(dentista))
+        .withMessage('Dentista no válido')
+], async (req, res) => {
+    try {
+        const errores = validationResult(req);
+        if (!errores.isEmpty()) {
+            return res.status(400).json({
+                error: 'Datos inválidos',
+                mensaje: 'Por favor verifica que todos los campos estén correctos',
+                errores: errores.array()
+            });
+        }
+
+        const { nombreCompleto, email, telefono, tipoServicio, fecha, horaDesde, horaHasta } = req.body;
+        const dentista = req.body.dentista && req.body.dentista !== 'cualquiera' ? req.body.dentista : undefined;
+
+        const existente = await EntradaListaEspera.findOne({
+            telefono,
+            tipoServicio,
+            fecha: new Date(fecha),
+            estado: { $in: ['esperando', 'ofrecida'] }
+        });
+        if (existente) {
+            return res.status(409).json({
+                error: 'Ya estás en la lista de espera',
+                mensaje: 'Ya tienes una solicitud en la lista de espera para ese servicio y fecha.'
+            });
+        }
+
+        const entrada = await EntradaListaEspera.create({
+            nombreCompleto,
+            email,
+            telefono,
+            tipoServicio,
+            dentista,
+            fecha: new Date(fecha),
+            horaDesde,
+            horaHasta
+        });
+
+        res.status(201).json({
+            mensaje: 'Te agregamos a la lista de espera. Te avisaremos por SMS si se libera un horario.',
+            entrada: {
+                id: entrada._id,
+                fecha: entrada.fecha,
+                horaDesde: entrada.horaDesde,
+                horaHasta: entrada.horaHasta,
+                tipoServicio: entrada.tipoServicio,
+                estado: entrada.estado
+            }
+        });
+    } catch (error) {
+        console.error('Error al agregar a la lista de espera:', error);
+        res.status(500).json({
+            error: 'Error del servidor',
+            mensaje: 'Ocurrió un error al procesar tu solicitud. Por favor intenta de nuevo.'
+        });
+    }
+});
+
+app.get('/api/waitlist', autenticar, autorizar('admin', 'recepcionista'), async (req, res) => {
+    try {
+        const filtro = {};
+        if (req.query.estado) filtro.estado = req.query.estado;
+
+        const entradas = await EntradaListaEspera.find(filtro)
+            .populate('dentista', 'nombre')
+            .populate('oferta.dentista', 'nombre')
+            .sort({ fecha: 1, fechaCreacion: 1 })
+            .limit(500)
+            .lean();
+
+        res.json(entradas);
+    } catch (error) {
+        console.error('Error al obtener la lista de espera:', error);
+        res.status(500).json({
+            error: 'Error del servidor',
+            mensaje: 'No se pudo cargar la lista de espera'
+        });
+    }
+});
+
+// Middleware que valida el token firmado del enlace de oferta de la lista de espera
+async function autenticarTokenOferta(req, res, next) {
+    let payload;
+
+    try {
+        payload = jwt.verify(req.params.token, process.env.JWT_SECRET, { audience: 'oferta-lista-espera' });
+    } catch (error) {
+        const expirado = error.name === 'TokenExpiredError';
+        return res.status(401).json({
+            error: expirado ? 'Oferta vencida' : 'Enlace inválido',
+            mensaje: expirado
+                ? 'El tiempo para aceptar este horario terminó. Seguirás en la lista de espera.'
+                : 'El enlace no es válido. Verifica que lo copiaste completo.'
+        });
+    }
+
+    try {
+        const entrada = await EntradaListaEspera.findById(payload.entrada).populate('oferta.dentista', 'nombre');
+
+        if (!entrada) {
+            return res.status(404).json({
+                error: 'Solicitud no encontrada',
+                mensaje: 'La solicitud de lista de espera asociada a este enlace no existe'
+            });
+        }
+
+        req.entrada = entrada;
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+app.get('/api/waitlist/offer/:token', autenticarTokenOferta, (req, res) => {
+    const { entrada } = req;
+
+    res.json({
+        entrada: {
+            id: entrada._id,
+            nombreCompleto: entrada.nombreCompleto,
+            tipoServicio: entrada.tipoServicio,
+            estado: entrada.estado
+        },
+        // El token de la reserva solo lo usa el backend
+        oferta: entrada.estado === 'ofrecida'
+            ? {
+                fecha: entrada.oferta.fecha,
+                horario: entrada.oferta.horario,
+                dentista: entrada.oferta.dentista,
+                expiraEn: entrada.oferta.expiraEn
+            }
+            : null
+    });
+});
+
+app.post('/api/waitlist/offer/:token/accept', autenticarTokenOferta, async (req, res) => {
+    const { entrada } = req;
+
+    try {
+        if (entrada.estado !== 'ofrecida' || entrada.oferta.expiraEn <= new Date()) {
+            return res.status(409).json({
+                error: 'Oferta no disponible',
+                mensaje: entrada.estado === 'aceptada'
+                    ? 'Ya aceptaste este horario.'
+                    : 'Esta oferta ya no está disponible. Seguirás en la lista de espera.'
+            });
+        }
+
+        const { fecha, horario, reserva } = entrada.oferta;
+        const duracionMinutos = obtenerDuracionServicio(await obtenerConfiguracionClinica(), entrada.tipoServicio);
+
+        // El horario está retenido para el paciente; si el dentista se eliminó mientras
+        // tanto, se busca otro que pueda atenderlo a la misma hora
+        const dentista = await asignarDentista({
+            tipoServicio: entrada.tipoServicio,
+            fecha,
+            horario,
+            duracionMinutos,
+            dentista: entrada.oferta.dentista ? entrada.oferta.dentista._id : 'cualquiera',
+            reservaExcluida: reserva
+        });
+
+        if (!dentista) {
+            await EntradaListaEspera.updateOne({ _id: entrada._id }, { estado: 'esperando', $unset: { oferta: 1 } });
+            await liberarHorarioOferta(reserva);
+            return res.status(409).json({
+                error: 'Horario ocupado',
+                mensaje: 'Lo sentimos, el horario ya fue tomado. Seguirás en la lista de espera.'
+            });
+        }
+
+        const paciente = await obtenerOCrearPaciente(entrada);
+
+        const cita = new Cita({
+            nombreCompleto: entrada.nombreCompleto,
+            email: entrada.email,
+            telefono: entrada.telefono,
+            tipoServicio: entrada.tipoServicio,
+            dentista: dentista._id,
+            paciente: paciente._id,
+            fecha,
+            horario,
+            duracionMinutos
+        });
+        // Los bloques de agenda de la reserva pasan directo a la cita
+        await guardarCitaNueva(cita, reserva && await ReservaHorario.findOne({ token: reserva }));
+        await registrarHistorialCita(cita, null, {
+            actor: actorPaciente(cita),
+            motivo: 'Aceptó una oferta de la lista de espera'
+        });
+
+        entrada.estado = 'aceptada';
+        entrada.cita = cita._id;
+        await entrada.save();
+
+        // La reserva ya se convirtió en cita
+        if (reserva) {
+            await eliminarReservaHorario(reserva);
+        }
+
+        const integraciones = await notificarCitaNueva(cita);
+
+        res.status(201).json({
+            mensaje: 'Cita agendada con éxito',
+            cita: {
+                id: cita._id,
+                nombreCompleto: cita.nombreCompleto,
+                fecha: cita.fecha,
+                horario: cita.horario,
+                tipoServicio: cita.tipoServicio,
+                duracionMinutos: cita.duracionMinutos,
+                dentista: { _id: dentista._id, nombre: dentista.nombre }
+            },
+            token: generarTokenGestionCita(cita),
+            integraciones
+        });
+    } catch (error) {
+        console.error('Error al aceptar oferta de lista de espera:', error);
+
+        if (error.code === 11000) {
+            return res.status(409).json({
+                error: 'Horario ocupado',
+                mensaje: 'Lo sentimos, el horario ya fue tomado. Seguirás en la lista de espera.'
+            });
+        }
+
+        res.status(500).json({
+            error: 'Error del servidor',
+            mensaje: 'Ocurrió un error al procesar tu solicitud. Por favor intenta de nuevo.'
+        });
+    }
+});
+
+// Listado y exportación de citas (personal de la clínica)
+
+// Campos por los que se puede ordenar el listado; con "-" delante el orden es descendente
+const CAMPOS_ORDEN_CITAS = {
+    fecha: 'inicio',
+    paciente: 'nombreCompleto',
+    servicio: 'tipoServicio',
+    estado: 'estado',
+    creacion: 'fechaCreacion'
+};
+
+// Acepta valores repetidos (?estado=a&estado=b) o separados por coma (?estado=a,b)
+function listaDeValores(valor) {
+    return [].concat(valor).flatMap(elemento => String(elemento).split(',')).filter(Boolean);
+}
+
+// Filtros comunes del listado y la exportación
+const validacionesFiltrosCitas = [
+    query(['desde', 'hasta'])
+        .optional()
+        .isISO8601()
+        .withMessage('Las fechas deben tener el formato YYYY-MM-DD'),
+    query('estado')
+        .optional()
+        .customSanitizer(listaDeValores)
+        .custom(estados => estados.every(estado => ESTADOS_CITA.includes(estado)))
+        .withMessage('Estado no válido'),
+    query('servicio')
+        .optional()
+        .customSanitizer(listaDeValores)
+        .custom(servicios => servicios.every(servicio => catalogoServicios.has(servicio)))
+        .withMessage('Tipo de servicio no válido'),
+    query('dentista')
+        .optional()
+        .isMongoId()
+        .withMessage('Dentista no válido'),
+    query('q')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('La búsqueda no puede exceder 100 caracteres'),
+    query('orden')
+        .optional()
+        .custom(orden => Object.hasOwn(CAMPOS_ORDEN_CITAS, orden.replace(/^-/, '')))
+        .withMessage(`El orden debe ser uno de: ${Object.keys(CAMPOS_ORDEN_CITAS).join(', ')} (con "-" para descendente)`)
+];
+
+/**
+ * Construye el filtro y el orden de MongoDB a partir de la consulta ya validada.
+ * @param {Object} consulta - req.query
+ * @returns {{ filtro: Object, orden: Object }}
+ */
+function construirConsultaCitas(consulta) {
+    const filtro = {};
+
+    if (consulta.desde || consulta.hasta) {
+        filtro.fecha = {};
+        if (consulta.desde) filtro.fecha.$gte = new Date(consulta.desde.slice(0, 10));
+        if (consulta.hasta) filtro.fecha.$lte = new Date(consulta.hasta.slice(0, 10));
+    }
+    if (consulta.estado) filtro.estado = { $in: consulta.estado };
+    if (consulta.servicio) filtro.tipoServicio = { $in: consulta.servicio };
+    if (consulta.dentista) filtro.dentista = consulta.dentista;
+
+    // Búsqueda por nombre, email o teléfono del paciente
+    if (consulta.q) {
+        const patron = new RegExp(escaparRegex(consulta.q), 'i');
+        filtro.$or = [{ nombreCompleto: patron }, { email: patron }, { telefono: patron }];
+    }
+
+    const campo = (consulta.orden || 'fecha').replace(/^-/, '');
+    const direccion = (consulta.orden || '').startsWith('-') ? -1 : 1;
+
+    // _id desempata para que la paginación sea estable
+    return { filtro, orden: { [CAMPOS_ORDEN_CITAS[campo]]: direccion, _id: direccion } };
+}
+
+// Ruta para listar citas con filtros, búsqueda, orden y paginación
+app.get('/api/appointments', autenticar, autorizar('admin', 'recepcionista', 'dentista'), [
+    ...validacionesFiltrosCitas,
+    query('pagina')
+        .optional()
+        .isInt({ min: 1 })
+        .toInt()
+        .withMessage('La página debe ser un número mayor a 0'),
+    query('limite')
+        .optional()
+        .isInt({ min: 1, max: 500 })
+        .toInt()
+        .withMessage('El límite debe estar entre 1 y 500')
+], async (req, res) => {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+        return res.status(400).json({
+            error: 'Datos de validación incorrectos',
+            errores: errores.array()
+        });
+    }
+
+    try {
+        const { filtro, orden } = construirConsultaCitas(req.query);
+        const pagina = req.query.pagina || 1;
+        const limite = req.query.limite || 50;
+
+        const [citas, total] = await Promise.all([
+            Cita.find(filtro)
+                .populate('dentista', 'nombre')
+                .sort(orden)
+                .skip((pagina - 1) * limite)
+                .limit(limite)
+                .lean(),
+            Cita.countDocuments(filtro)
+        ]);
+
+        res.json({
+            citas,
+            total,
+            pagina,
+            limite,
+            totalPaginas: Math.ceil(total / limite)
+        });
+    } catch (error) {
+        console.error('Error al obtener citas:', error);
+        res.status(500).json({
+            error: 'Error del servidor',
+            mensaje: 'No se pudieron cargar las citas'
+        });
+    }
+});
+
+// Columnas de la exportación de citas
+const COLUMNAS_EXPORTACION_CITAS = [
+    { encabezado: 'Fecha', ancho: 12, valor: (cita) => formatearFechaISO(cita.fecha) },
+    { encabezado: 'Hora', ancho: 8, valor: (cita) => cita.horario },
+    { encabezado: 'Duración (min)', ancho: 14, valor: (cita) => cita.duracionMinutos || DURACION_CITA_POR_DEFECTO },
+    { encabezado: 'Paciente', ancho: 30, valor: (cita) => cita.nombreCompleto },
+    { encabezado: 'Email', ancho: 30, valor: (cita) => cita.email },
+    { encabezado: 'Teléfono', ancho: 15, valor: (cita) => cita.telefono },
+    { encabezado: 'Servicio', ancho: 20, valor: (cita) => formatearServicio(cita.tipoServicio) },
+    { encabezado: 'Dentista', ancho: 25, valor: (cita, dentistas) => dentistas.get(String(cita.dentista)) || '' },
+    { encabezado: 'Estado', ancho: 22, valor: (cita) => cita.estado },
+    { encabezado: 'Origen', ancho: 12, valor: (cita) => cita.origen || 'en-linea' },
+    {
+        encabezado: 'Creada',
+        ancho: 18,
+        valor: (cita) => DateTime.fromJSDate(cita.fechaCreacion).setZone(ZONA_HORARIA).toFormat('yyyy-MM-dd HH:mm')
+    }
+];
+
+// Escapa un valor para CSV; los que empiezan como fórmula se anteponen con ' para que
+// la hoja de cálculo no los ejecute
+function escaparValorCSV(valor) {
+    let texto = valor === undefined || valor === null ? '' : String(valor);
+    if (/^[=+\-@\t\r]/.test(texto)) texto = `'${texto}`;
+    return /[",\r\n]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+}
+
+// Espera a que el cliente consuma lo enviado antes de seguir escribiendo
+async function escribirRespuesta(res, texto) {
+    if (!res.write(texto)) await once(res, 'drain');
+}
+
+// Ruta para exportar citas en CSV o Excel con los mismos filtros del listado. Las citas
+// se leen con un cursor y se envían a medida que llegan, sin cargarlas todas en memoria.
+app.get('/api/appointments/export', autenticar, autorizar('admin', 'recepcionista'), [
+    ...validacionesFiltrosCitas,
+    query('formato')
+        .optional()
+        .isIn(['csv', 'xlsx'])
+        .withMessage('El formato debe ser csv o xlsx')
+], async (req, res) => {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+        return res.status(400).json({
+            error: 'Datos de validación incorrectos',
+            errores: errores.array()
+        });
+    }
+
+    const formato = req.query.formato || 'csv';
+    const { filtro, orden } = construirConsultaCitas(req.query);
+    let cursor;
+
+    try {
+        // Los dentistas son pocos: se resuelven sus nombres en memoria en lugar de poblar cada cita
+        const dentistas = new Map(
+            (await Dentista.find({}, 'nombre').lean()).map(dentista => [String(dentista._id), dentista.nombre])
+        );
+        cursor = Cita.find(filtro).sort(orden).lean().cursor();
+
+        const nombreArchivo = `citas-${DateTime.now().setZone(ZONA_HORARIA).toISODate()}.${formato}`;
+        res.attachment(nombreArchivo);
+
+        if (formato === 'csv') {
+            res.type('text/csv; charset=utf-8');
+
+            // BOM para que Excel reconozca los acentos al abrir el CSV
+            await escribirRespuesta(res, '\uFEFF' + COLUMNAS_EXPORTACION_CITAS.map(columna => escaparValorCSV(columna.encabezado)).join(',') + '\r\n');
+
+            for await (const cita of cursor) {
+                if (res.destroyed) break;
+                const fila = COLUMNAS_EXPORTACION_CITAS.map(columna => escaparValorCSV(columna.valor(cita, dentistas)));
+                await escribirRespuesta(res, fila.join(',') + '\r\n');
+            }
+
+            res.end();
+            return;
+        }
+
+        const libro = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+        const hoja = libro.addWorksheet('Citas', { views: [{ state: 'frozen', ySplit: 1 }] });
+        hoja.columns = COLUMNAS_EXPORTACION_CITAS.map(columna => ({ header: columna.encabezado, width: columna.ancho }));
+        hoja.getRow(1).font = { bold: true };
+        hoja.getRow(1).commit();
+
+        for await (const cita of cursor) {
+            if (res.destroyed) break;
+            hoja.addRow(COLUMNAS_EXPORTACION_CITAS.map(columna => columna.valor(cita, dentistas))).commit();
+
+            // Respetar la velocidad del cliente igual que en el CSV
+            if (res.writableNeedDrain) await once(res, 'drain');
+        }
+
+        hoja.commit();
+        await libro.commit();
+    } catch (error) {
+        console.error('Error al exportar citas:', error);
+
+        if (cursor) await cursor.close().catch(() => {});
+
+        // Si la descarga ya empezó solo queda cortarla
+        if (res.headersSent) {
+            res.destroy(error);
+            return;
+        }
+
+        res.status(500).json({
+            error: 'Error del servidor',
+            mensaje: 'No se pudieron exportar las citas'
+        });
+    }
+});
+
+// Validaciones comunes de los cambios de estado hechos por el personal
+const validacionMotivo = body('motivo')
+    .optional({ values: 'falsy' })
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('El motivo no puede exceder 500 caracteres');
+
+// Un id mal formado no puede ser de ninguna cita: 404 en lugar de un error de conversión
+function validarIdCita(req, res, next) {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({
+            error: 'Cita no encontrada',
+            mensaje: 'La cita que buscas no existe'
+        });
+    }
+    next();
+}
+
+// Ruta para cancelar una cita (administración y recepción)
+app.patch('/api/appointments/:id/cancel', autenticar, autorizar('admin', 'recepcionista'), validarIdCita, [
+    body('canceladaPor')
+        .optional()
+        .isIn(['paciente', 'clinica'])
+        .withMessage('canceladaPor debe ser "paciente" o "clinica"'),
+    validacionMotivo
+], async (req, res) => {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+        return res.status(400).json({
+            error: 'Datos de validación incorrectos',
+            errores: errores.array()
+        });
+    }
+
+    try {
+        const { id } = req.params;
+        
+        const cita = await Cita.findById(id);
+
+        if (!cita) {
+            return res.status(404).json({
+                error: 'Cita no encontrada',
+                mensaje: 'La cita que intentas cancelar no existe'
+            });
+        }
+
+        // Por defecto cancela la clínica; recepción indica si fue el paciente quien llamó
+        await cancelarCita(cita, {
+            estado: `cancelada-por-${req.body.canceladaPor || 'clinica'}`,
+            actor: actorUsuario(req.usuario),
+            motivo: req.body.motivo
+        });
+
+        res.json({
+            mensaje: 'Cita cancelada exitosamente',
+            cita: {
+                id: cita._id,
+                estado: cita.estado
+            }
+        });
+
+    } catch (error) {
+        console.error('Error al cancelar cita:', error);
+
+        if (error.code === 'TRANSICION_INVALIDA') {
+            return res.status(400).json({
+                error: 'Cita no cancelable',
+                mensaje: error.message
+            });
+        }
+
+        res.status(500).json({
+            error: 'Error del servidor',
+            mensaje: 'No se pudo cancelar la cita'
+        });
+    }
+});
+
+// Ruta para avanzar una cita en su ciclo de vida (llegada, atención, resultado o cancelación)
+app.patch('/api/appointments/:id/status', autenticar, autorizar('admin', 'recepcionista', 'dentista'), validarIdCita, [
+    body('estado')
+        .isIn(ESTADOS_CITA)
+        .withMessage('Estado no válido'),
+    validacionMotivo
+], async (req, res) => {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+        return res.status(400).json({
+            error: 'Datos de validación incorrectos',
+            errores: errores.array()
+        });
+    }
+
+    try {
+        const cita = await Cita.findById(req.params.id);
+
+        if (!cita) {
+            return res.status(404).json({
+                error: 'Cita no encontrada',
+                mensaje: 'La cita que intentas actualizar no existe'
+            });
+        }
+
+        const { estado, motivo } = req.body;
+
+        if (!transicionesPermitidas(cita.estado, req.usuario.rol).includes(estado)) {
+            return res.status(400).json({
+                error: 'Cambio de estado no permitido',
+                mensaje: crearErrorTransicion(cita.estado, estado).message,
+                transicionesPermitidas: transicionesPermitidas(cita.estado, req.usuario.rol)
+            });
+        }
+
+        // Las cancelaciones además liberan el horario y avisan al paciente
+        const opciones = { actor: actorUsuario(req.usuario), motivo };
+        if (ESTADOS_CANCELADOS_CITA.includes(estado)) {
+            await cancelarCita(cita, { estado, ...opciones });
+        } else {
+            await cambiarEstadoCita(cita, estado, opciones);
+        }
+
+        res.json({
+            mensaje: 'Estado de la cita actualizado',
+            cita: {
+                id: cita._id,
+                estado: cita.estado
+            }
+        });
+    } catch (error) {
+        console.error('Error al actualizar estado de la cita:', error);
+
+        if (error.code === 'TRANSICION_INVALIDA') {
+            return res.status(409).json({
+                error: 'Cambio de estado no permitido',
+                mensaje: `${error.message}. Otra persona actualizó la cita, recarga la agenda.`
+            });
+        }
+
+        if (error.code === 11000) {
+            // Reactivar una inasistencia choca si su horario ya se volvió a agendar
+            return res.status(409).json({
+                error: 'Horario ocupado',
+                mensaje: 'El horario de esta cita ya fue asignado a otro paciente'
+            });
+        }
+
+        res.status(500).json({
+            error: 'Error del servidor',
+            mensaje: 'No se pudo actualizar la cita'
+        });
+    }
+});
+
+// Ruta para consultar el historial de estados de una cita
+app.get('/api/appointments/:id/history', autenticar, autorizar('admin', 'recepcionista', 'dentista'), validarIdCita, async (req, res) => {
+    try {
+        const cita = await Cita.findById(req.params.id, 'estado').lean();
+
+        if (!cita) {
+            return res.status(404).json({
+                error: 'Cita no encontrada',
+                mensaje: 'La cita que buscas no existe'
+            });
+        }
+
+        const historial = await HistorialCita.find({ cita: cita._id })
+            .sort({ fecha: 1, _id: 1 })
+            .lean();
+
+        res.json({
+            estado: cita.estado,
+            transicionesPermitidas: transicionesPermitidas(cita.estado, req.usuario.rol),
+            historial
+        });
+    } catch (error) {
+        console.error('Error al obtener historial de la cita:', error);
+        res.status(500).json({
+            error: 'Error del servidor',
+            mensaje: 'No se pudo cargar el historial de la cita'
+        });
+    }
+});
+
+// Ruta para registrar pacientes que llegan sin cita (recepción). A diferencia de la
+// reserva en línea, permite el turno en curso y elegir cualquier dentista libre.
+app.post('/api/appointments/walk-in', autenticar, autorizar('admin', 'recepcionista'), [
+    ...validacionesPaciente,
+    validacionFecha,
+
+    body('horario')
+        .matches(HORA_REGEX)
+        .withMessage('Horario no válido')
+        .bail()
+        .custom(async (horario, { req }) => {
+            const { fecha } = req.body;
+            if (!(fecha instanceof Date) || isNaN(fecha)) return true;
 
-        const evento = {
-            summary: `Cita Dental - ${cita.nombreCompleto}`,
-            description: `
-                Paciente: ${cita.nombreCompleto}
-                Email: ${cita.email}
-                Teléfono: ${cita.telefono}
-                Servicio: ${formatearServicio(cita.tipoServicio)}
-            `,
-            start: {
-                dateTime: fechaHora.toISOString(),
-                timeZone: 'America/El_Salvador'
-            },
-            end: {
-                dateTime: fechaFin.toISOString(),
-                timeZone: 'America/El_Salvador'
-            },
-            attendees: [
-                { email: cita.email }
-            ],
-            reminders: {
-                useDefault: false,
-                overrides: [
-                    { method: 'email', minutes: 24 * 60 }, // 1 día antes
-                    { method: 'popup', minutes: 60 } // 1 hora antes
-                ]
+            const turnos = generarTurnosClinica(await obtenerConfiguracionClinica(), fecha);
+            if (!turnos.includes(horario)) {
+                throw new Error('Horario no válido');
             }
-        };
+            return true;
+        }),
 
-        const response = await calendar.events.insert({
-            calendarId: process.env.GOOGLE_CALENDAR_ID,
-            resource: evento
+    body('dentista')
+        .optional({ values: 'falsy' })
+        .custom((dentista) => dentista === 'cualquiera' || mongoose.isValidObjectId(dentista))
+        .withMessage('Dentista no válido')
+], async (req, res) => {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+        return res.status(400).json({
+            error: 'Datos inválidos',
+            mensaje: 'Por favor verifica que todos los campos estén correctos',
+            errores: errores.array()
         });
-
-        return response.data.id;
-    } catch (error) {
-        console.error('Error al crear evento en Google Calendar:', error);
-        throw error;
     }
-}
 
-async function enviarSMSConfirmacion(cita) {
     try {
-        const fechaFormateada = new Date(cita.fecha).toLocaleDateString('es-ES', {
-            year: 'numeric',
-            month: 'long',
-            day: 'numeric'
+        const { nombreCompleto, email, telefono, tipoServicio, fecha, horario } = req.body;
+        const duracionMinutos = obtenerDuracionServicio(await obtenerConfiguracionClinica(), tipoServicio);
+
+        const dentista = await asignarDentista({
+            tipoServicio,
+            fecha,
+            horario,
+            duracionMinutos,
+            dentista: req.body.dentista
         });
 
-        const mensaje = `
-¡Cita confirmada! 🦷
+        if (!dentista) {
+            return res.status(409).json({
+                error: 'Horario ocupado',
+                mensaje: 'No hay un dentista disponible para ese servicio en la fecha y hora seleccionadas.'
+            });
+        }
 
-📅 Fecha: ${fechaFormateada}
-🕐 Hora: ${formatearHora(cita.horario)}
-🔧 Servicio: ${formatearServicio(cita.tipoServicio)}
+        const paciente = await obtenerOCrearPaciente({ nombreCompleto, email, telefono });
 
-Para cancelar cita, llama al 74676260
+        const cita = new Cita({
+            nombreCompleto,
+            email,
+            telefono,
+            tipoServicio,
+            dentista: dentista._id,
+            paciente: paciente._id,
+            fecha: new Date(fecha),
+            horario,
+            duracionMinutos,
+            origen: 'presencial'
+        });
+        await guardarCitaNueva(cita);
+        await registrarHistorialCita(cita, null, {
+            actor: actorUsuario(req.usuario),
+            motivo: 'Registrada en recepción sin cita previa'
+        });
 
-¡Te esperamos!
-        `.trim();
+        const integraciones = await notificarCitaNueva(cita);
 
-        await twilioClient.messages.create({
-            body: mensaje,
-            from: process.env.TWILIO_PHONE_NUMBER,
-            to: cita.telefono
+        res.status(201).json({
+            mensaje: 'Cita registrada con éxito',
+            cita: {
+                id: cita._id,
+                nombreCompleto: cita.nombreCompleto,
+                fecha: cita.fecha,
+                horario: cita.horario,
+                tipoServicio: cita.tipoServicio,
+                duracionMinutos: cita.duracionMinutos,
+                dentista: { _id: dentista._id, nombre: dentista.nombre }
+            },
+            integraciones
         });
-
-        console.log(`SMS enviado a ${cita.telefono}`);
     } catch (error) {
-        console.error('Error al enviar SMS:', error);
-        throw error;
-    }
-}
+        console.error('Error al registrar cita presencial:', error);
 
-// Rutas de la API
-app.get('/api/appointments/occupied', async (req, res) => {
-    try {
-        const citasOcupadas = await Cita.find(
-            { 
-                estado: 'confirmada',
-                fecha: { $gte: new Date() } // Solo fechas futuras
-            },
-            'fecha horario'
-        ).lean();
+        if (error.code === 11000) {
+            return res.status(409).json({
+                error: 'Horario ocupado',
+                mensaje: 'Lo sentimos, la fecha y hora ya fue reservada por alguien más, intente de nuevo.'
+            });
+        }
 
-        res.json(citasOcupadas);
-    } catch (error) {
-        console.error('Error al obtener citas ocupadas:', error);
-        res.status(500).json({ 
+        res.status(500).json({
             error: 'Error del servidor',
-            mensaje: 'No se pudieron cargar los horarios ocupados' 
+            mensaje: 'No se pudo registrar la cita'
         });
     }
 });
 
-app.post('/api/appointments', [
-    body('nombreCompleto')
-        .trim()
-        .isLength({ min: 2, max: 100 })
-        .withMessage('El nombre debe tener entre 2 y 100 caracteres'),
-    
-    body('email')
-        .isEmail()
-        .normalizeEmail()
-        .withMessage('Debe ser un email válido'),
-    
-    body('telefono')
-        .matches(/^\+503[0-9]{8}$/)
-        .withMessage('El teléfono debe tener el formato +503XXXXXXXX'),
-    
-    body('tipoServicio')
-        .isIn(['limpieza-dental', 'ortodoncia', 'extracciones', 'implantes', 'carillas', 'diseño-sonrisa', 'radiografia', 'protesis-dentales'])
-        .withMessage('Tipo de servicio no válido'),
-    
-    body('fecha')
-        .isISO8601()
-        .toDate()
-        .custom((fecha) => {
-            const hoy = new Date();
-            hoy.setHours(0, 0, 0, 0);
-            if (fecha < hoy) {
-                throw new Error('La fecha no puede ser en el pasado');
-            }
-            return true;
-        }),
-    
-    body('horario')
-        .isIn(['08:00', '09:00', '10:00', '11:00', '13:00', '14:00', '15:00', '16:00'])
-        .withMessage('Horario no válido')
-], async (req, res) => {
+// Ruta para reprogramar una cita conservando su _id y su evento de Google Calendar
+app.patch('/api/appointments/:id/reschedule', autenticar, autorizar('admin', 'recepcionista'), validarIdCita, validacionesFechaHorario, async (req, res) => {
     try {
-        // Validar errores de entrada
         const errores = validationResult(req);
         if (!errores.isEmpty()) {
             return res.status(400).json({
@@ -271,77 +6346,63 @@ app.post('/api/appointments', [
             });
         }
 
-        const { nombreCompleto, email, telefono, tipoServicio, fecha, horario } = req.body;
-
-        // Verificar si ya existe una cita en esa fecha y hora
-        const citaExistente = await Cita.findOne({
-            fecha: new Date(fecha),
-            horario: horario,
-            estado: 'confirmada'
-        });
+        const citaActual = await Cita.findById(req.params.id);
 
-        if (citaExistente) {
-            return res.status(409).json({
-                error: 'Horario ocupado',
-                mensaje: 'Lo sentimos, la fecha y hora ya fue reservada por alguien más, intente de nuevo.'
+        if (!citaActual) {
+            return res.status(404).json({
+                error: 'Cita no encontrada',
+                mensaje: 'La cita que intentas reprogramar no existe'
             });
         }
 
-        // Crear la nueva cita
-        const nuevaCita = new Cita({
-            nombreCompleto,
-            email,
-            telefono,
-            tipoServicio,
-            fecha: new Date(fecha),
-            horario
-        });
+        if (!ESTADOS_PROGRAMADOS_CITA.includes(citaActual.estado)) {
+            return res.status(400).json({
+                error: 'Cita no reprogramable',
+                mensaje: 'Solo se pueden reprogramar citas que aún no han comenzado'
+            });
+        }
 
-        // Guardar en la base de datos
-        await nuevaCita.save();
+        const { fecha, horario } = req.body;
 
-        let googleEventId = null;
-        let smsEnviado = false;
+        // Por defecto se mantiene el mismo dentista
+        const dentista = await asignarDentista({
+            tipoServicio: citaActual.tipoServicio,
+            fecha,
+            horario,
+            duracionMinutos: citaActual.duracionMinutos,
+            dentista: req.body.dentista || citaActual.dentista,
+            idExcluido: citaActual._id
+        });
 
-        // Intentar crear evento en Google Calendar
-        try {
-            googleEventId = await crearEventoGoogleCalendar(nuevaCita);
-            nuevaCita.googleCalendarEventId = googleEventId;
-            await nuevaCita.save();
-            console.log('Evento creado en Google Calendar');
-        } catch (error) {
-            console.error('Error al crear evento en Google Calendar, pero la cita se guardó:', error);
+        if (!dentista) {
+            return res.status(409).json({
+                error: 'Horario ocupado',
+                mensaje: 'Lo sentimos, no hay un dentista disponible para ese servicio en la fecha y hora seleccionadas.'
+            });
         }
 
-        // Intentar enviar SMS de confirmación
-        try {
-            await enviarSMSConfirmacion(nuevaCita);
-            smsEnviado = true;
-            console.log('SMS de confirmación enviado');
-        } catch (error) {
-            console.error('Error al enviar SMS, pero la cita se guardó:', error);
-        }
+        const { cita, integraciones } = await reprogramarCita(citaActual, fecha, horario, dentista, {
+            realizadoPor: 'personal',
+            usuario: req.usuario._id
+        });
 
-        res.status(201).json({
-            mensaje: 'Cita agendada con éxito',
+        res.json({
+            mensaje: 'Cita reprogramada exitosamente',
             cita: {
-                id: nuevaCita._id,
-                nombreCompleto: nuevaCita.nombreCompleto,
-                fecha: nuevaCita.fecha,
-                horario: nuevaCita.horario,
-                tipoServicio: nuevaCita.tipoServicio
+                id: cita._id,
+                fecha: cita.fecha,
+                horario: cita.horario,
+                dentista: { _id: dentista._id, nombre: dentista.nombre },
+                estado: cita.estado,
+                historialReprogramaciones: cita.historialReprogramaciones
             },
-            integraciones: {
-                googleCalendar: !!googleEventId,
-                sms: smsEnviado
-            }
+            integraciones
         });
 
     } catch (error) {
-        console.error('Error al crear cita:', error);
-        
+        console.error('Error al reprogramar cita:', error);
+
         if (error.code === 11000) {
-            // Error de duplicado (fecha/hora ya ocupada)
             return res.status(409).json({
                 error: 'Horario ocupado',
                 mensaje: 'Lo sentimos, la fecha y hora ya fue reservada por alguien más, intente de nuevo.'
@@ -350,72 +6411,379 @@ app.post('/api/appointments', [
 
         res.status(500).json({
             error: 'Error del servidor',
-            mensaje: 'Ocurrió un error al procesar tu solicitud. Por favor intenta de nuevo.'
+            mensaje: 'No se pudo reprogramar la cita'
         });
     }
 });
 
-// Ruta para obtener todas las citas (opcional, para administración)
-app.get('/api/appointments', async (req, res) => {
+// Rutas de reportes para la administración
+
+// Estados que consumieron tiempo de la agenda (una inasistencia también ocupó el turno)
+const ESTADOS_OCUPAN_AGENDA = [...ESTADOS_ACTIVOS_CITA, 'completada', 'no-asistio'];
+
+// Rango por defecto de los reportes: los últimos 30 días
+const DIAS_REPORTE_POR_DEFECTO = 30;
+const DIAS_REPORTE_MAXIMO = 366;
+
+const validacionesReporte = [
+    query(['desde', 'hasta'])
+        .optional()
+        .isISO8601()
+        .withMessage('Las fechas deben tener el formato YYYY-MM-DD'),
+    query('hasta')
+        .optional()
+        .custom((hasta, { req }) => {
+            if (!req.query.desde) return true;
+            const dias = (new Date(hasta) - new Date(req.query.desde)) / (24 * 60 * 60 * 1000);
+            if (dias < 0) throw new Error('La fecha final debe ser posterior a la inicial');
+            if (dias > DIAS_REPORTE_MAXIMO) throw new Error(`El rango no puede exceder ${DIAS_REPORTE_MAXIMO} días`);
+            return true;
+        }),
+    query('dentista')
+        .optional()
+        .isMongoId()
+        .withMessage('Dentista no válido'),
+    query('servicio')
+        .optional()
+        .custom(existeServicio({ soloActivos: false }))
+        .withMessage('Tipo de servicio no válido')
+];
+
+/**
+ * Rango de fechas y filtro base de un reporte a partir de la consulta validada.
+ * @param {Object} consulta - req.query
+ * @param {Object} [opciones]
+ * @param {boolean} [opciones.conServicio=true] - Si se aplica el filtro por servicio
+ * @returns {{ desde: string, hasta: string, filtro: Object }}
+ */
+function obtenerConsultaReporte(consulta, { conServicio = true } = {}) {
+    const hoy = obtenerHoyClinica();
+    const hasta = consulta.hasta ? consulta.hasta.slice(0, 10) : hoy;
+    let desde = consulta.desde ? consulta.desde.slice(0, 10) : null;
+
+    if (!desde) {
+        const inicio = new Date(hasta);
+        inicio.setUTCDate(inicio.getUTCDate() - (DIAS_REPORTE_POR_DEFECTO - 1));
+        desde = formatearFechaISO(inicio);
+    }
+
+    const filtro = { fecha: { $gte: new Date(desde), $lte: new Date(hasta) } };
+    if (consulta.dentista) filtro.dentista = new mongoose.Types.ObjectId(consulta.dentista);
+    if (conServicio && consulta.servicio) filtro.tipoServicio = consulta.servicio;
+
+    return { desde, hasta, filtro };
+}
+
+// Lunes de la semana de una fecha (YYYY-MM-DD), igual que $dateTrunc con startOfWeek 'monday'
+function obtenerLunesSemana(fechaISO) {
+    const fecha = new Date(fechaISO);
+    fecha.setUTCDate(fecha.getUTCDate() - ((fecha.getUTCDay() + 6) % 7));
+    return formatearFechaISO(fecha);
+}
+
+/**
+ * Minutos que un dentista puede atender en una fecha: su jornada recortada al horario
+ * de la clínica y sin el almuerzo. Los días de cierre no tienen capacidad.
+ * @param {Object} configuracion - Configuración de la clínica
+ * @param {Object} dentista - Dentista con su horarioLaboral
+ * @param {string} fechaISO - Fecha YYYY-MM-DD
+ * @returns {number} Minutos disponibles
+ */
+function calcularMinutosDisponibles(configuracion, dentista, fechaISO) {
+    if (obtenerMotivoCierre(configuracion, fechaISO)) return 0;
+
+    const diaSemana = new Date(fechaISO).getUTCDay();
+    const jornada = configuracion.horarioSemanal.find(j => j.diaSemana === diaSemana);
+    const { almuerzo } = configuracion;
+
+    return dentista.horarioLaboral
+        .filter(turno => turno.diaSemana === diaSemana)
+        .reduce((total, turno) => {
+            const inicio = Math.max(horaAMinutos(turno.horaInicio), horaAMinutos(jornada.apertura));
+            const fin = Math.min(horaAMinutos(turno.horaFin), horaAMinutos(jornada.cierre));
+            if (fin <= inicio) return total;
+
+            let minutos = fin - inicio;
+            if (almuerzo && almuerzo.inicio && almuerzo.fin) {
+                const traslape = Math.min(fin, horaAMinutos(almuerzo.fin)) - Math.max(inicio, horaAMinutos(almuerzo.inicio));
+                minutos -= Math.max(0, traslape);
+            }
+            return total + minutos;
+        }, 0);
+}
+
+// Ocupación: minutos reservados frente a los minutos que los dentistas tenían disponibles
+app.get('/api/reports/occupancy', autenticar, autorizar('admin'), [
+    ...validacionesReporte,
+    query('agrupacion')
+        .optional()
+        .isIn(['dia', 'semana', 'dentista'])
+        .withMessage('La agrupación debe ser dia, semana o dentista')
+], async (req, res) => {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+        return res.status(400).json({
+            error: 'Datos de validación incorrectos',
+            errores: errores.array()
+        });
+    }
+
     try {
-        const citas = await Cita.find()
-            .sort({ fecha: 1, horario: 1 })
-            .lean();
+        const agrupacion = req.query.agrupacion || 'dia';
+        // La capacidad no depende del servicio, así que ese filtro no aplica aquí
+        const { desde, hasta, filtro } = obtenerConsultaReporte(req.query, { conServicio: false });
 
-        res.json(citas);
+        const claves = {
+            dia: { $dateToString: { format: '%Y-%m-%d', date: '$fecha' } },
+            semana: {
+                $dateToString: {
+                    format: '%Y-%m-%d',
+                    date: { $dateTrunc: { date: '$fecha', unit: 'week', startOfWeek: 'monday' } }
+                }
+            },
+            dentista: '$dentista'
+        };
+
+        const reservas = await Cita.aggregate([
+            { $match: { ...filtro, estado: { $in: ESTADOS_OCUPAN_AGENDA } } },
+            {
+                $group: {
+                    _id: claves[agrupacion],
+                    citas: { $sum: 1 },
+                    minutosReservados: { $sum: { $ifNull: ['$duracionMinutos', DURACION_CITA_POR_DEFECTO] } }
+                }
+            }
+        ]);
+
+        // La capacidad sale del horario de cada dentista activo en cada día del rango
+        const configuracion = await obtenerConfiguracionClinica();
+        const filtroDentistas = req.query.dentista ? { _id: req.query.dentista } : { activo: true };
+        const dentistas = await Dentista.find(filtroDentistas, 'nombre horarioLaboral').lean();
+
+        const grupos = new Map();
+        const obtenerGrupo = (clave) => {
+            if (!grupos.has(clave)) {
+                grupos.set(clave, { clave, citas: 0, minutosReservados: 0, minutosDisponibles: 0 });
+            }
+            return grupos.get(clave);
+        };
+
+        for (let dia = new Date(desde); dia <= new Date(hasta); dia.setUTCDate(dia.getUTCDate() + 1)) {
+            const fechaISO = formatearFechaISO(dia);
+            dentistas.forEach(dentista => {
+                const clave = agrupacion === 'dia' ? fechaISO
+                    : agrupacion === 'semana' ? obtenerLunesSemana(fechaISO)
+                        : String(dentista._id);
+                obtenerGrupo(clave).minutosDisponibles += calcularMinutosDisponibles(configuracion, dentista, fechaISO);
+            });
+        }
+
+        reservas.forEach(reserva => {
+            const grupo = obtenerGrupo(String(reserva._id));
+            grupo.citas = reserva.citas;
+            grupo.minutosReservados = reserva.minutosReservados;
+        });
+
+        // Los dentistas inactivos no suman capacidad, pero sus citas del rango sí se muestran
+        const nombres = new Map((await Dentista.find({}, 'nombre').lean())
+            .map(dentista => [String(dentista._id), dentista.nombre]));
+        const calcularOcupacion = (grupo) => ({
+            ...grupo,
+            ocupacion: grupo.minutosDisponibles > 0 ? grupo.minutosReservados / grupo.minutosDisponibles : null
+        });
+
+        const resultado = [...grupos.values()]
+            .map(grupo => agrupacion === 'dentista'
+                ? { ...grupo, nombre: nombres.get(grupo.clave) || 'Sin asignar' }
+                : grupo)
+            .map(calcularOcupacion)
+            .sort((a, b) => (agrupacion === 'dentista' ? a.nombre.localeCompare(b.nombre) : a.clave.localeCompare(b.clave)));
+
+        const total = calcularOcupacion(resultado.reduce((suma, grupo) => ({
+            citas: suma.citas + grupo.citas,
+            minutosReservados: suma.minutosReservados + grupo.minutosReservados,
+            minutosDisponibles: suma.minutosDisponibles + grupo.minutosDisponibles
+        }), { citas: 0, minutosReservados: 0, minutosDisponibles: 0 }));
+
+        res.json({ desde, hasta, agrupacion, grupos: resultado, total });
     } catch (error) {
-        console.error('Error al obtener citas:', error);
+        console.error('Error al calcular la ocupación:', error);
         res.status(500).json({
             error: 'Error del servidor',
-            mensaje: 'No se pudieron cargar las citas'
+            mensaje: 'No se pudo calcular la ocupación'
         });
     }
 });
 
-// Ruta para cancelar una cita (opcional)
-app.patch('/api/appointments/:id/cancel', async (req, res) => {
+// Cancelaciones e inasistencias por servicio. La tasa de inasistencia se calcula solo
+// sobre las citas que llegaron a su resultado (completadas o no asistió).
+app.get('/api/reports/cancellations', autenticar, autorizar('admin'), validacionesReporte, async (req, res) => {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+        return res.status(400).json({
+            error: 'Datos de validación incorrectos',
+            errores: errores.array()
+        });
+    }
+
     try {
-        const { id } = req.params;
-        
-        const cita = await Cita.findByIdAndUpdate(
-            id,
-            { estado: 'cancelada' },
-            { new: true }
-        );
+        const { desde, hasta, filtro } = obtenerConsultaReporte(req.query);
+        const contarEstado = (estado) => ({ $sum: { $cond: [{ $eq: ['$estado', estado] }, 1, 0] } });
 
-        if (!cita) {
-            return res.status(404).json({
-                error: 'Cita no encontrada',
-                mensaje: 'La cita que intentas cancelar no existe'
-            });
-        }
+        const servicios = await Cita.aggregate([
+            { $match: filtro },
+            {
+                $group: {
+                    _id: '$tipoServicio',
+                    total: { $sum: 1 },
+                    canceladasPorPaciente: contarEstado('cancelada-por-paciente'),
+                    canceladasPorClinica: contarEstado('cancelada-por-clinica'),
+                    noAsistio: contarEstado('no-asistio'),
+                    completadas: contarEstado('completada')
+                }
+            },
+            {
+                $addFields: {
+                    canceladas: { $add: ['$canceladasPorPaciente', '$canceladasPorClinica'] },
+                    conResultado: { $add: ['$completadas', '$noAsistio'] }
+                }
+            },
+            {
+                $project: {
+                    _id: 0,
+                    servicio: '$_id',
+                    total: 1,
+                    canceladas: 1,
+                    canceladasPorPaciente: 1,
+                    canceladasPorClinica: 1,
+                    noAsistio: 1,
+                    completadas: 1,
+                    tasaCancelacion: { $divide: ['$canceladas', '$total'] },
+                    tasaNoAsistencia: {
+                        $cond: [{ $gt: ['$conResultado', 0] }, { $divide: ['$noAsistio', '$conResultado'] }, null]
+                    }
+                }
+            },
+            { $sort: { total: -1 } }
+        ]);
 
-        // Intentar eliminar el evento de Google Calendar
-        if (cita.googleCalendarEventId) {
-            try {
-                await calendar.events.delete({
-                    calendarId: process.env.GOOGLE_CALENDAR_ID,
-                    eventId: cita.googleCalendarEventId
-                });
-                console.log('Evento eliminado de Google Calendar');
-            } catch (error) {
-                console.error('Error al eliminar evento de Google Calendar:', error);
+        res.json({ desde, hasta, servicios });
+    } catch (error) {
+        console.error('Error al calcular cancelaciones:', error);
+        res.status(500).json({
+            error: 'Error del servidor',
+            mensaje: 'No se pudieron calcular las cancelaciones'
+        });
+    }
+});
+
+// Anticipación con la que se reservan las citas en línea (días entre la reserva y la cita)
+app.get('/api/reports/lead-time', autenticar, autorizar('admin'), validacionesReporte, async (req, res) => {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+        return res.status(400).json({
+            error: 'Datos de validación incorrectos',
+            errores: errores.array()
+        });
+    }
+
+    try {
+        const { desde, hasta, filtro } = obtenerConsultaReporte(req.query);
+
+        const [resultado] = await Cita.aggregate([
+            // Los pacientes sin cita no reservan con anticipación
+            { $match: { ...filtro, origen: { $ne: 'presencial' }, inicio: { $exists: true } } },
+            {
+                $project: {
+                    tipoServicio: 1,
+                    dias: {
+                        $max: [0, { $divide: [{ $subtract: ['$inicio', '$fechaCreacion'] }, 24 * 60 * 60 * 1000] }]
+                    }
+                }
+            },
+            {
+                $facet: {
+                    resumen: [
+                        { $group: { _id: null, citas: { $sum: 1 }, promedioDias: { $avg: '$dias' }, maximoDias: { $max: '$dias' } } },
+                        { $project: { _id: 0 } }
+                    ],
+                    porServicio: [
+                        { $group: { _id: '$tipoServicio', citas: { $sum: 1 }, promedioDias: { $avg: '$dias' } } },
+                        { $project: { _id: 0, servicio: '$_id', citas: 1, promedioDias: 1 } },
+                        { $sort: { promedioDias: -1 } }
+                    ],
+                    // Cada tramo incluye su límite inferior: [0, 1) es "el mismo día"
+                    distribucion: [
+                        {
+                            $bucket: {
+                                groupBy: '$dias',
+                                boundaries: [0, 1, 2, 4, 8, 15, 31, 61],
+                                default: 61,
+                                output: { citas: { $sum: 1 } }
+                            }
+                        },
+                        { $project: { _id: 0, desdeDias: '$_id', citas: 1 } }
+                    ]
+                }
             }
-        }
+        ]);
 
         res.json({
-            mensaje: 'Cita cancelada exitosamente',
-            cita: {
-                id: cita._id,
-                estado: cita.estado
-            }
+            desde,
+            hasta,
+            resumen: resultado.resumen[0] || { citas: 0, promedioDias: null, maximoDias: null },
+            porServicio: resultado.porServicio,
+            distribucion: resultado.distribucion
+        });
+    } catch (error) {
+        console.error('Error al calcular la anticipación de reservas:', error);
+        res.status(500).json({
+            error: 'Error del servidor',
+            mensaje: 'No se pudo calcular la anticipación de las reservas'
+        });
+    }
+});
+
+// Horarios con más citas por día de la semana (0 = domingo)
+app.get('/api/reports/busiest-slots', autenticar, autorizar('admin'), [
+    ...validacionesReporte,
+    query('limite')
+        .optional()
+        .isInt({ min: 1, max: 200 })
+        .toInt()
+        .withMessage('El límite debe estar entre 1 y 200')
+], async (req, res) => {
+    const errores = validationResult(req);
+    if (!errores.isEmpty()) {
+        return res.status(400).json({
+            error: 'Datos de validación incorrectos',
+            errores: errores.array()
         });
+    }
+
+    try {
+        const { desde, hasta, filtro } = obtenerConsultaReporte(req.query);
+
+        const horarios = await Cita.aggregate([
+            { $match: { ...filtro, estado: { $in: ESTADOS_OCUPAN_AGENDA } } },
+            {
+                $group: {
+                    // fecha se guarda a medianoche UTC, así que $dayOfWeek da el día local
+                    _id: { diaSemana: { $subtract: [{ $dayOfWeek: '$fecha' }, 1] }, horario: '$horario' },
+                    citas: { $sum: 1 }
+                }
+            },
+            { $project: { _id: 0, diaSemana: '$_id.diaSemana', horario: '$_id.horario', citas: 1 } },
+            { $sort: { citas: -1, diaSemana: 1, horario: 1 } },
+            { $limit: req.query.limite || 200 }
+        ]);
 
+        res.json({ desde, hasta, horarios });
     } catch (error) {
-        console.error('Error al cancelar cita:', error);
+        console.error('Error al calcular los horarios más concurridos:', error);
         res.status(500).json({
             error: 'Error del servidor',
-            mensaje: 'No se pudo cancelar la cita'
+            mensaje: 'No se pudieron calcular los horarios más concurridos'
         });
     }
 });
@@ -439,7 +6807,41 @@ app.get('/health', (req, res) => {
 });
 
 // Iniciar el servidor
-app.listen(PORT, () => {
-    console.log(`Servidor corriendo en puerto ${PORT}`);
-    console.log(`Salud del servidor: http://localhost:${PORT}/health`);
-});
\ No newline at end of file
+// Al importarse desde las pruebas (backend/test) no se conecta a MongoDB, no arrancan el
+// procesador de trabajos ni la sincronización con Google Calendar y no se abre el puerto
+if (require.main === module) {
+    // Sin el secreto no se firman sesiones ni verificaciones de teléfono: no se puede agendar
+    if (!process.env.JWT_SECRET) {
+        console.error('JWT_SECRET no está configurado: el servidor no puede verificar teléfonos ni iniciar sesiones');
+        process.exit(1);
+    }
+
+    conectarBaseDatos().then(() => {
+        iniciarProcesadorTrabajos();
+        iniciarSincronizacionCalendar();
+    }).catch(err => {
+        console.error('Error al conectar a MongoDB:', err);
+    });
+
+    app.listen(PORT, () => {
+        console.log(`Servidor corriendo en puerto ${PORT}`);
+        console.log(`Salud del servidor: http://localhost:${PORT}/health`);
+    });
+}
+
+module.exports = {
+    app,
+    proveedores,
+    conectarBaseDatos,
+    sincronizarGoogleCalendar,
+    programarRecordatorios,
+    reprogramarCita,
+    ejecutarRecordatorio,
+    ejecutarOfrecerListaEspera,
+    crearInstante,
+    obtenerHoyClinica,
+    formatearFechaCita,
+    construirHorarioEvento,
+    bloqueosDelDia,
+    guardarCitaNueva
+};
\ No newline at end of file
@@ -0,0 +1,67 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { prepararBaseDatos, cerrarBaseDatos } = require('./ayudantes');
+const mongoose = require('mongoose');
+const servidor = require('../server');
+
+describe('bloques de agenda', () => {
+    let Cita;
+    let BloqueAgenda;
+    let dentista;
+
+    before(async () => {
+        await prepararBaseDatos(servidor);
+        Cita = mongoose.model('Cita');
+        BloqueAgenda = mongoose.model('BloqueAgenda');
+        dentista = await mongoose.model('Dentista').findOne();
+    });
+    after(cerrarBaseDatos);
+
+    const nuevaCita = (fecha, horario, duracionMinutos = 60) => new Cita({
+        nombreCompleto: `Paciente ${horario}`,
+        email: 'paciente@example.com',
+        telefono: '70000000',
+        tipoServicio: 'limpieza-dental',
+        dentista: dentista._id,
+        fecha: new Date(fecha),
+        horario,
+        duracionMinutos
+    });
+
+    const guardarEnParalelo = citas => Promise.allSettled(citas.map(cita => servidor.guardarCitaNueva(cita)));
+
+    test('de varias reservas simultáneas del mismo horario gana exactamente una', async () => {
+        const resultados = await guardarEnParalelo(
+            Array.from({ length: 8 }, () => nuevaCita('2030-01-07', '09:00'))
+        );
+
+        const guardadas = resultados.filter(resultado => resultado.status === 'fulfilled');
+        assert.strictEqual(guardadas.length, 1);
+        resultados
+            .filter(resultado => resultado.status === 'rejected')
+            .forEach(resultado => assert.strictEqual(resultado.reason.code, 11000));
+
+        assert.strictEqual(await Cita.countDocuments({ fecha: new Date('2030-01-07') }), 1);
+        assert.strictEqual(await BloqueAgenda.countDocuments({ cita: guardadas[0].value._id }), 12);
+        assert.strictEqual(await BloqueAgenda.countDocuments(), 12);
+    });
+
+    test('citas simultáneas que se superponen con distinta hora de inicio no se guardan juntas', async () => {
+        // Con inicios distintos pueden fallar todas (el paciente reintenta), pero nunca dos
+        const horarios = ['10:00', '10:05', '10:15', '10:30', '10:45', '10:55'];
+        const resultados = await guardarEnParalelo(horarios.map(horario => nuevaCita('2030-01-08', horario)));
+
+        assert.ok(resultados.filter(resultado => resultado.status === 'fulfilled').length <= 1);
+        assert.ok(await Cita.countDocuments({ fecha: new Date('2030-01-08') }) <= 1);
+        resultados
+            .filter(resultado => resultado.status === 'rejected')
+            .forEach(resultado => assert.strictEqual(resultado.reason.code, 11000));
+    });
+
+    test('las citas contiguas no chocan', async () => {
+        await servidor.guardarCitaNueva(nuevaCita('2030-01-09', '09:00'));
+        await servidor.guardarCitaNueva(nuevaCita('2030-01-09', '10:00', 30));
+
+        assert.strictEqual(await Cita.countDocuments({ fecha: new Date('2030-01-09') }), 2);
+    });
+});
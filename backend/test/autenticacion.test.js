@@ -0,0 +1,36 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { iniciarApp } = require('./ayudantes');
+const jwt = require('jsonwebtoken');
+const { app } = require('../server');
+
+const idUsuario = '64b000000000000000000001';
+const firmar = (payload, opciones) => jwt.sign(payload, process.env.JWT_SECRET, opciones);
+
+let servidor;
+before(async () => { servidor = await iniciarApp(app); });
+after(() => servidor.cerrar());
+
+const pedirUsuarios = token => fetch(`${servidor.url}/api/users`, {
+    headers: { Authorization: `Bearer ${token}` }
+});
+
+test('el token del feed de calendario no sirve como sesión del personal', async () => {
+    const respuesta = await pedirUsuarios(firmar({ sub: idUsuario }, { audience: 'feed-calendario' }));
+    assert.strictEqual(respuesta.status, 401);
+});
+
+test('los tokens de gestión de citas y sin audiencia tampoco', async () => {
+    for (const token of [
+        firmar({ sub: idUsuario }, { audience: 'gestion-cita' }),
+        firmar({ sub: idUsuario, rol: 'admin' }, { expiresIn: '8h' })
+    ]) {
+        assert.strictEqual((await pedirUsuarios(token)).status, 401);
+    }
+});
+
+test('el feed iCalendar rechaza un token de sesión', async () => {
+    const token = firmar({ sub: idUsuario, rol: 'admin' }, { expiresIn: '8h', audience: 'acceso' });
+    const respuesta = await fetch(`${servidor.url}/api/calendar.ics?token=${token}`);
+    assert.strictEqual(respuesta.status, 401);
+});
@@ -0,0 +1,53 @@
+// Entorno común de las pruebas. Se fija antes de cargar server.js: dotenv no
+// sobrescribe variables ya definidas, así que el .env local no cambia los proveedores
+process.env.SMS_PROVIDER = 'local';
+process.env.WHATSAPP_PROVIDER = 'local';
+process.env.CALENDAR_PROVIDER = 'local';
+process.env.JWT_SECRET = 'secreto-de-pruebas';
+delete process.env.SMTP_HOST;
+delete process.env.PROVIDER_LOCAL_DIR;
+
+const mongoose = require('mongoose');
+const { MongoMemoria } = require('./mongo-memoria');
+
+// Con MONGODB_URI_TEST las pruebas usan esa base (se borra al terminar); sin ella,
+// un MongoDB en memoria que arranca cada archivo de pruebas
+let mongoMemoria = null;
+
+// Borra la base con una conexión aparte (la principal crea los índices al conectarse),
+// arranca como el servidor y espera a que existan los índices únicos
+async function prepararBaseDatos(servidor) {
+    let uri = process.env.MONGODB_URI_TEST;
+    if (!uri) {
+        mongoMemoria = new MongoMemoria();
+        uri = await mongoMemoria.iniciar();
+    }
+
+    const conexion = await mongoose.createConnection(uri).asPromise();
+    await conexion.dropDatabase();
+    await conexion.close();
+
+    await servidor.conectarBaseDatos(uri);
+    await Promise.all(Object.values(mongoose.models).map(modelo => modelo.init()));
+}
+
+async function cerrarBaseDatos() {
+    await mongoose.connection.dropDatabase();
+    await mongoose.disconnect();
+    if (mongoMemoria) {
+        await mongoMemoria.detener();
+        mongoMemoria = null;
+    }
+}
+
+// Levanta la app en un puerto libre y devuelve la URL base y cómo cerrarla
+async function iniciarApp(app) {
+    const servidor = app.listen(0);
+    await new Promise(resolve => servidor.once('listening', resolve));
+    return {
+        url: `http://127.0.0.1:${servidor.address().port}`,
+        cerrar: () => new Promise(resolve => servidor.close(resolve))
+    };
+}
+
+module.exports = { prepararBaseDatos, cerrarBaseDatos, iniciarApp };
@@ -0,0 +1,47 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { prepararBaseDatos, cerrarBaseDatos, iniciarApp } = require('./ayudantes');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const servidor = require('../server');
+
+describe('configuración de la clínica', () => {
+    let app;
+    let token;
+    let ConfiguracionClinica;
+
+    before(async () => {
+        await prepararBaseDatos(servidor);
+        app = await iniciarApp(servidor.app);
+        ConfiguracionClinica = mongoose.model('ConfiguracionClinica');
+        const usuario = await mongoose.model('Usuario').create({
+            nombre: 'Recepción',
+            email: 'recepcion@example.com',
+            passwordHash: 'sin-uso',
+            rol: 'recepcionista'
+        });
+        token = jwt.sign({ sub: usuario._id.toString(), rol: usuario.rol }, process.env.JWT_SECRET, {
+            audience: 'acceso',
+            expiresIn: '1h'
+        });
+    });
+    after(async () => {
+        await app.cerrar();
+        await cerrarBaseDatos();
+    });
+
+    test('las primeras peticiones simultáneas crean un solo documento', async () => {
+        await ConfiguracionClinica.deleteMany({});
+
+        const respuestas = await Promise.all(Array.from({ length: 6 }, () =>
+            fetch(`${app.url}/api/settings/schedule`, { headers: { Authorization: `Bearer ${token}` } })
+        ));
+
+        assert.ok(respuestas.every(respuesta => respuesta.status === 200));
+        const configuraciones = await Promise.all(respuestas.map(respuesta => respuesta.json()));
+        assert.strictEqual(await ConfiguracionClinica.countDocuments(), 1);
+        assert.strictEqual(new Set(configuraciones.map(configuracion => configuracion._id)).size, 1);
+        assert.strictEqual(configuraciones[0].duracionTurnoMinutos, 60);
+        assert.strictEqual(configuraciones[0].horarioSemanal.length, 6);
+    });
+});
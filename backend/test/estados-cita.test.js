@@ -0,0 +1,113 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { prepararBaseDatos, cerrarBaseDatos, iniciarApp } = require('./ayudantes');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const servidor = require('../server');
+
+describe('estados de las citas', () => {
+    let app;
+    let Cita;
+    let BloqueAgenda;
+    let dentista;
+    const tokens = {};
+
+    before(async () => {
+        await prepararBaseDatos(servidor);
+        app = await iniciarApp(servidor.app);
+        Cita = mongoose.model('Cita');
+        BloqueAgenda = mongoose.model('BloqueAgenda');
+        dentista = await mongoose.model('Dentista').findOne();
+
+        for (const rol of ['recepcionista', 'dentista']) {
+            const usuario = await mongoose.model('Usuario').create({
+                nombre: `Usuario ${rol}`,
+                email: `${rol}@example.com`,
+                passwordHash: 'sin-uso',
+                rol
+            });
+            tokens[rol] = jwt.sign({ sub: usuario._id.toString(), rol }, process.env.JWT_SECRET, {
+                audience: 'acceso',
+                expiresIn: '1h'
+            });
+        }
+    });
+    after(async () => {
+        await app.cerrar();
+        await cerrarBaseDatos();
+    });
+
+    const crearCita = (fecha, horario) => servidor.guardarCitaNueva(new Cita({
+        nombreCompleto: `Paciente ${horario}`,
+        email: 'paciente@example.com',
+        telefono: '70000000',
+        tipoServicio: 'limpieza-dental',
+        dentista: dentista._id,
+        fecha: new Date(fecha),
+        horario,
+        duracionMinutos: 60
+    }));
+
+    const cambiarEstado = (cita, estado, rol = 'recepcionista') => fetch(`${app.url}/api/appointments/${cita._id}/status`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${tokens[rol]}` },
+        body: JSON.stringify({ estado })
+    });
+
+    test('la cita recorre su ciclo de vida y cada cambio queda en el historial', async () => {
+        const cita = await crearCita('2030-01-07', '09:00');
+
+        for (const estado of ['paciente-en-sala', 'en-atencion', 'completada']) {
+            assert.strictEqual((await cambiarEstado(cita, estado)).status, 200);
+        }
+
+        const respuesta = await fetch(`${app.url}/api/appointments/${cita._id}/history`, {
+            headers: { Authorization: `Bearer ${tokens.recepcionista}` }
+        });
+        const { estado, transicionesPermitidas, historial } = await respuesta.json();
+        assert.strictEqual(estado, 'completada');
+        assert.deepStrictEqual(transicionesPermitidas, []);
+        assert.deepStrictEqual(historial.map(registro => registro.estadoNuevo), ['paciente-en-sala', 'en-atencion', 'completada']);
+    });
+
+    test('una transición fuera del ciclo se rechaza con las permitidas', async () => {
+        const cita = await crearCita('2030-01-08', '09:00');
+
+        const respuesta = await cambiarEstado(cita, 'completada');
+        assert.strictEqual(respuesta.status, 400);
+        assert.deepStrictEqual((await respuesta.json()).transicionesPermitidas, [
+            'paciente-en-sala', 'no-asistio', 'cancelada-por-paciente', 'cancelada-por-clinica'
+        ]);
+    });
+
+    test('los dentistas no pueden cancelar citas', async () => {
+        const cita = await crearCita('2030-01-08', '10:00');
+
+        assert.strictEqual((await cambiarEstado(cita, 'cancelada-por-clinica', 'dentista')).status, 400);
+        assert.strictEqual((await Cita.findById(cita._id)).estado, 'confirmada');
+    });
+
+    test('de dos cambios de estado simultáneos solo se aplica uno', async () => {
+        const cita = await crearCita('2030-01-09', '09:00');
+
+        const respuestas = await Promise.all([
+            cambiarEstado(cita, 'no-asistio'),
+            cambiarEstado(cita, 'paciente-en-sala')
+        ]);
+
+        assert.deepStrictEqual(respuestas.map(respuesta => respuesta.status).sort(), [200, 409]);
+        const { estado } = await Cita.findById(cita._id);
+        assert.strictEqual(await BloqueAgenda.countDocuments({ cita: cita._id }), estado === 'no-asistio' ? 0 : 12);
+    });
+
+    test('una inasistencia libera el horario y no se reactiva si ya se volvió a agendar', async () => {
+        const cita = await crearCita('2030-01-10', '09:00');
+        assert.strictEqual((await cambiarEstado(cita, 'no-asistio')).status, 200);
+        assert.strictEqual(await BloqueAgenda.countDocuments({ cita: cita._id }), 0);
+
+        await crearCita('2030-01-10', '09:00');
+
+        assert.strictEqual((await cambiarEstado(cita, 'paciente-en-sala')).status, 409);
+        assert.strictEqual((await Cita.findById(cita._id)).estado, 'no-asistio');
+    });
+});
@@ -0,0 +1,59 @@
+// Días de cambio de horario en una zona que los tiene. En 2026 Nueva York adelanta el
+// reloj el 8 de marzo (02:00 EST → 03:00 EDT) y lo atrasa el 1 de noviembre (02:00 EDT → 01:00 EST)
+process.env.CLINIC_TIMEZONE = 'America/New_York';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+require('./ayudantes');
+const { crearInstante, construirHorarioEvento, bloqueosDelDia } = require('../server');
+
+const dentista = '64b000000000000000000001';
+const instante = iso => new Date(iso);
+
+test('el día que se adelanta el reloj cada hora local usa su propio desfase', () => {
+    assert.strictEqual(crearInstante('2026-03-08', '01:30').toISOString(), '2026-03-08T06:30:00.000Z');
+    assert.strictEqual(crearInstante('2026-03-08', '08:00').toISOString(), '2026-03-08T12:00:00.000Z');
+    // 02:30 no existe ese día: se toma la hora equivalente después del salto
+    assert.strictEqual(crearInstante('2026-03-08', '02:30').toISOString(), '2026-03-08T07:30:00.000Z');
+});
+
+test('el día que se atrasa el reloj la hora repetida usa el primer desfase', () => {
+    assert.strictEqual(crearInstante('2026-11-01', '01:30').toISOString(), '2026-11-01T05:30:00.000Z');
+    assert.strictEqual(crearInstante('2026-11-01', '08:00').toISOString(), '2026-11-01T13:00:00.000Z');
+});
+
+test('el evento de Calendar dura lo mismo aunque cruce el cambio de horario', () => {
+    const cita = { fecha: new Date('2026-11-01T00:00:00Z'), horario: '01:30', duracionMinutos: 60 };
+    assert.deepStrictEqual(construirHorarioEvento(cita), {
+        start: { dateTime: '2026-11-01T01:30:00-04:00', timeZone: 'America/New_York' },
+        end: { dateTime: '2026-11-01T01:30:00-05:00', timeZone: 'America/New_York' }
+    });
+});
+
+test('los bloqueos de Calendar se convierten a horas de reloj local en ambos cambios', () => {
+    const bloqueos = [
+        { inicio: instante('2026-03-08T13:00:00Z'), fin: instante('2026-03-08T14:00:00Z') },
+        { inicio: instante('2026-11-01T14:00:00Z'), fin: instante('2026-11-01T15:00:00Z') }
+    ];
+
+    assert.deepStrictEqual(bloqueosDelDia(bloqueos, '2026-03-08', dentista), [
+        { horario: '09:00', duracionMinutos: 60 }
+    ]);
+    assert.deepStrictEqual(bloqueosDelDia(bloqueos, '2026-11-01', dentista), [
+        { horario: '09:00', duracionMinutos: 60 }
+    ]);
+});
+
+test('un bloqueo de todo el día cubre el día local completo', () => {
+    const bloqueos = [
+        { inicio: instante('2026-03-08T05:00:00Z'), fin: instante('2026-03-09T04:00:00Z') },
+        { inicio: instante('2026-11-01T04:00:00Z'), fin: instante('2026-11-02T05:00:00Z') }
+    ];
+
+    assert.deepStrictEqual(bloqueosDelDia(bloqueos, '2026-03-08', dentista), [
+        { horario: '00:00', duracionMinutos: 24 * 60 }
+    ]);
+    assert.deepStrictEqual(bloqueosDelDia(bloqueos, '2026-11-01', dentista), [
+        { horario: '00:00', duracionMinutos: 24 * 60 }
+    ]);
+});
@@ -0,0 +1,36 @@
+// Citas cerca de la medianoche en la zona por defecto de la clínica (UTC-6, sin horario de verano)
+process.env.CLINIC_TIMEZONE = 'America/El_Salvador';
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+require('./ayudantes');
+const { Settings } = require('luxon');
+const { crearInstante, obtenerHoyClinica, formatearFechaCita, construirHorarioEvento } = require('../server');
+
+afterEach(() => { Settings.now = () => Date.now(); });
+
+test('una cita a las 23:30 ocurre al día siguiente en UTC', () => {
+    assert.strictEqual(crearInstante('2026-10-20', '23:30').toISOString(), '2026-10-21T05:30:00.000Z');
+    assert.strictEqual(crearInstante(new Date('2026-10-20T00:00:00Z'), '00:00').toISOString(), '2026-10-20T06:00:00.000Z');
+});
+
+test('la fecha de la cita se muestra en el día local', () => {
+    const cita = { fecha: new Date('2026-10-20T00:00:00Z'), horario: '23:30' };
+    assert.strictEqual(formatearFechaCita(cita), '20 de octubre de 2026');
+});
+
+test('hoy es el día local de la clínica aunque en UTC ya sea mañana', () => {
+    Settings.now = () => Date.parse('2026-10-21T05:59:00Z');
+    assert.strictEqual(obtenerHoyClinica(), '2026-10-20');
+
+    Settings.now = () => Date.parse('2026-10-21T06:00:00Z');
+    assert.strictEqual(obtenerHoyClinica(), '2026-10-21');
+});
+
+test('el evento de Calendar que cruza la medianoche termina al día siguiente', () => {
+    const cita = { fecha: new Date('2026-10-20T00:00:00Z'), horario: '23:30', duracionMinutos: 60 };
+    assert.deepStrictEqual(construirHorarioEvento(cita), {
+        start: { dateTime: '2026-10-20T23:30:00-06:00', timeZone: 'America/El_Salvador' },
+        end: { dateTime: '2026-10-21T00:30:00-06:00', timeZone: 'America/El_Salvador' }
+    });
+});
@@ -0,0 +1,75 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { prepararBaseDatos, cerrarBaseDatos, iniciarApp } = require('./ayudantes');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const servidor = require('../server');
+
+// Un id que no es un ObjectId no puede ser de ningún registro: las rutas responden 404
+describe('rutas con un id mal formado', () => {
+    let app;
+    let token;
+
+    before(async () => {
+        await prepararBaseDatos(servidor);
+        app = await iniciarApp(servidor.app);
+        const usuario = await mongoose.model('Usuario').create({
+            nombre: 'Administración',
+            email: 'admin@example.com',
+            passwordHash: 'sin-uso',
+            rol: 'admin'
+        });
+        token = jwt.sign({ sub: usuario._id.toString(), rol: usuario.rol }, process.env.JWT_SECRET, {
+            audience: 'acceso',
+            expiresIn: '1h'
+        });
+    });
+    after(async () => {
+        await app.cerrar();
+        await cerrarBaseDatos();
+    });
+
+    const pedir = (metodo, ruta, datos) => fetch(`${app.url}${ruta}`, {
+        method: metodo,
+        headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+        body: datos && JSON.stringify(datos)
+    });
+
+    test('PATCH /api/users/:id', async () => {
+        const respuesta = await pedir('PATCH', '/api/users/no-es-un-id', { nombre: 'Otro nombre' });
+        assert.strictEqual(respuesta.status, 404);
+        assert.strictEqual((await respuesta.json()).error, 'Usuario no encontrado');
+    });
+
+    test('PATCH /api/dentists/:id', async () => {
+        const respuesta = await pedir('PATCH', '/api/dentists/no-es-un-id', { nombre: 'Otro nombre' });
+        assert.strictEqual(respuesta.status, 404);
+        assert.strictEqual((await respuesta.json()).error, 'Dentista no encontrado');
+    });
+
+    test('PATCH /api/sms/messages/:id/reviewed', async () => {
+        const respuesta = await pedir('PATCH', '/api/sms/messages/no-es-un-id/reviewed');
+        assert.strictEqual(respuesta.status, 404);
+        assert.strictEqual((await respuesta.json()).error, 'Mensaje no encontrado');
+    });
+
+    test('POST /api/outbox/:id/replay', async () => {
+        const respuesta = await pedir('POST', '/api/outbox/no-es-un-id/replay');
+        assert.strictEqual(respuesta.status, 404);
+        assert.strictEqual((await respuesta.json()).error, 'Tarea no encontrada');
+    });
+
+    test('rutas /api/appointments/:id', async () => {
+        const peticiones = [
+            ['PATCH', '/api/appointments/no-es-un-id/cancel', { canceladaPor: 'clinica' }],
+            ['PATCH', '/api/appointments/no-es-un-id/status', { estado: 'completada' }],
+            ['PATCH', '/api/appointments/no-es-un-id/reschedule', { fecha: '2030-01-07', horario: '09:00' }],
+            ['GET', '/api/appointments/no-es-un-id/history']
+        ];
+        for (const [metodo, ruta, datos] of peticiones) {
+            const respuesta = await pedir(metodo, ruta, datos);
+            assert.strictEqual(respuesta.status, 404, `${metodo} ${ruta}`);
+            assert.strictEqual((await respuesta.json()).error, 'Cita no encontrada');
+        }
+    });
+});
@@ -0,0 +1,93 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { prepararBaseDatos, cerrarBaseDatos, iniciarApp } = require('./ayudantes');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const servidor = require('../server');
+
+describe('ofertas de la lista de espera', () => {
+    let app;
+    let EntradaListaEspera;
+    let ReservaHorario;
+    let BloqueAgenda;
+    let dentista;
+
+    before(async () => {
+        await prepararBaseDatos(servidor);
+        app = await iniciarApp(servidor.app);
+        EntradaListaEspera = mongoose.model('EntradaListaEspera');
+        ReservaHorario = mongoose.model('ReservaHorario');
+        BloqueAgenda = mongoose.model('BloqueAgenda');
+        dentista = await mongoose.model('Dentista').findOne();
+    });
+    after(async () => {
+        await app.cerrar();
+        await cerrarBaseDatos();
+    });
+
+    const crearEntrada = fecha => EntradaListaEspera.create({
+        nombreCompleto: 'Paciente en Espera',
+        email: 'espera@example.com',
+        telefono: '+50378000000',
+        tipoServicio: 'limpieza-dental',
+        fecha: new Date(fecha),
+        horaDesde: '08:00',
+        horaHasta: '12:00'
+    });
+
+    const ofrecer = (fecha, horario) => servidor.ejecutarOfrecerListaEspera({
+        datos: { fecha, horario, dentista: dentista._id }
+    });
+
+    const tokenOferta = entrada => jwt.sign(
+        { entrada: entrada._id.toString(), exp: Math.floor(entrada.oferta.expiraEn.getTime() / 1000) },
+        process.env.JWT_SECRET,
+        { audience: 'oferta-lista-espera' }
+    );
+
+    test('el horario ofrecido queda retenido con sus bloques de agenda', async () => {
+        const { _id } = await crearEntrada('2030-01-07');
+
+        assert.strictEqual(await ofrecer('2030-01-07', '09:00'), 'completado');
+
+        const entrada = await EntradaListaEspera.findById(_id);
+        assert.strictEqual(entrada.estado, 'ofrecida');
+        assert.strictEqual(await ReservaHorario.countDocuments({ token: entrada.oferta.reserva }), 1);
+        assert.strictEqual(await BloqueAgenda.countDocuments({ reserva: entrada.oferta.reserva }), 12);
+
+        const ajena = await fetch(`${app.url}/api/holds`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ tipoServicio: 'limpieza-dental', fecha: '2030-01-07', horario: '09:00' })
+        });
+        assert.strictEqual(ajena.status, 409);
+    });
+
+    test('al aceptar la oferta los bloques de la reserva pasan a la cita', async () => {
+        const { _id } = await crearEntrada('2030-01-08');
+        await ofrecer('2030-01-08', '10:00');
+        const entrada = await EntradaListaEspera.findById(_id);
+        const { reserva } = entrada.oferta;
+
+        const respuesta = await fetch(`${app.url}/api/waitlist/offer/${tokenOferta(entrada)}/accept`, { method: 'POST' });
+        assert.strictEqual(respuesta.status, 201);
+        const { cita } = await respuesta.json();
+
+        assert.strictEqual((await EntradaListaEspera.findById(_id)).estado, 'aceptada');
+        assert.strictEqual(await ReservaHorario.countDocuments({ token: reserva }), 0);
+        assert.strictEqual(await BloqueAgenda.countDocuments({ reserva }), 0);
+        assert.strictEqual(await BloqueAgenda.countDocuments({ cita: cita.id }), 12);
+    });
+
+    test('un horario ya ofrecido no se vuelve a ofrecer a la misma entrada', async () => {
+        const { _id } = await crearEntrada('2030-01-09');
+        await ofrecer('2030-01-09', '11:00');
+
+        // La oferta venció sin respuesta y el horario quedó libre otra vez
+        const entrada = await EntradaListaEspera.findByIdAndUpdate(_id, { estado: 'esperando', $unset: { oferta: 1 } });
+        await fetch(`${app.url}/api/holds/${entrada.oferta.reserva}`, { method: 'DELETE' });
+        assert.strictEqual(await BloqueAgenda.countDocuments({ reserva: entrada.oferta.reserva }), 0);
+
+        assert.strictEqual(await ofrecer('2030-01-09', '11:00'), 'omitido');
+    });
+});
@@ -0,0 +1,527 @@
+// MongoDB en memoria para las pruebas. Habla el protocolo de red del driver (OP_MSG y el
+// saludo inicial por OP_QUERY) y resuelve filtros, actualizaciones y agregaciones con
+// mingo. Cubre lo que usa server.js, índices únicos incluidos, no todo MongoDB
+const net = require('net');
+const mingo = require('mingo');
+const { BSON } = require('mongoose').mongo;
+
+const { ObjectId, Long, EJSON } = BSON;
+
+const OP_REPLY = 1;
+const OP_QUERY = 2004;
+const OP_MSG = 2013;
+
+const opcionesSerializacion = { ignoreUndefined: true };
+
+// Copia independiente de un documento: lo guardado nunca comparte objetos con lo recibido
+const clonar = documento => BSON.deserialize(BSON.serialize(documento, opcionesSerializacion));
+
+function leerCadena(buffer, inicio) {
+    const fin = buffer.indexOf(0, inicio);
+    return [buffer.toString('utf8', inicio, fin), fin + 1];
+}
+
+function leerDocumento(buffer, inicio) {
+    const tamano = buffer.readInt32LE(inicio);
+    return [BSON.deserialize(buffer.subarray(inicio, inicio + tamano)), inicio + tamano];
+}
+
+function valorEnRuta(documento, ruta) {
+    return ruta.split('.').reduce((valor, campo) => (valor == null ? undefined : valor[campo]), documento);
+}
+
+function asignarEnRuta(documento, ruta, valor) {
+    const campos = ruta.split('.');
+    const ultimo = campos.pop();
+    const destino = campos.reduce((actual, campo) => {
+        if (actual[campo] == null || typeof actual[campo] !== 'object') actual[campo] = {};
+        return actual[campo];
+    }, documento);
+    destino[ultimo] = valor;
+}
+
+const esOperador = clave => clave.startsWith('$');
+
+function errorComando(code, codeName, errmsg) {
+    return Object.assign(new Error(errmsg), { respuesta: { ok: 0, errmsg, code, codeName } });
+}
+
+class Coleccion {
+    constructor(base, nombre) {
+        this.base = base;
+        this.nombre = nombre;
+        this.documentos = [];
+        this.indices = [{ v: 2, key: { _id: 1 }, name: '_id_' }];
+    }
+
+    get espacio() {
+        return `${this.base}.${this.nombre}`;
+    }
+
+    buscar(filtro = {}) {
+        const consulta = new mingo.Query(filtro);
+        return this.documentos.filter(documento => consulta.test(documento));
+    }
+
+    // Valores del índice para el documento, o null si el índice no lo cubre (sparse o parcial)
+    claveIndice(indice, documento) {
+        const campos = Object.keys(indice.key);
+        const valores = campos.map(campo => valorEnRuta(documento, campo));
+        if (indice.sparse && valores.every(valor => valor === undefined)) return null;
+        if (indice.partialFilterExpression && !new mingo.Query(indice.partialFilterExpression).test(documento)) {
+            return null;
+        }
+        return EJSON.stringify(valores.map(valor => (valor === undefined ? null : valor)), { relaxed: false });
+    }
+
+    // Error E11000 si el documento repite la clave de un índice único de otro documento
+    comprobarUnicos(documento, excluido) {
+        for (const indice of this.indices) {
+            if (!indice.unique && indice.name !== '_id_') continue;
+            const clave = this.claveIndice(indice, documento);
+            if (clave === null) continue;
+
+            const repetido = this.documentos.some(otro => otro !== excluido && this.claveIndice(indice, otro) === clave);
+            if (repetido) {
+                const keyValue = {};
+                Object.keys(indice.key).forEach(campo => {
+                    const valor = valorEnRuta(documento, campo);
+                    keyValue[campo] = valor === undefined ? null : valor;
+                });
+                return {
+                    code: 11000,
+                    codeName: 'DuplicateKey',
+                    errmsg: `E11000 duplicate key error collection: ${this.espacio} index: ${indice.name} dup key: ${EJSON.stringify(keyValue)}`,
+                    keyPattern: indice.key,
+                    keyValue
+                };
+            }
+        }
+        return null;
+    }
+
+    insertar(documento) {
+        const nuevo = clonar(documento);
+        if (nuevo._id === undefined) nuevo._id = new ObjectId();
+        const error = this.comprobarUnicos(nuevo);
+        if (error) return { error };
+        this.documentos.push(nuevo);
+        return { documento: nuevo };
+    }
+
+    // Aplica la actualización sobre una copia y solo la guarda si respeta los índices únicos
+    actualizar(documento, actualizacion, filtrosArreglo) {
+        const copia = clonar(documento);
+        const modificado = aplicarActualizacion(copia, actualizacion, filtrosArreglo, false);
+        const error = this.comprobarUnicos(copia, documento);
+        if (error) return { error };
+        this.documentos[this.documentos.indexOf(documento)] = copia;
+        return { documento: copia, modificado };
+    }
+
+    insertarPorUpsert(filtro, actualizacion, filtrosArreglo) {
+        const nuevo = documentoDesdeFiltro(filtro);
+        aplicarActualizacion(nuevo, actualizacion, filtrosArreglo, true);
+        if (nuevo._id === undefined) nuevo._id = new ObjectId();
+        return this.insertar(nuevo);
+    }
+
+    eliminar(documentos) {
+        this.documentos = this.documentos.filter(documento => !documentos.includes(documento));
+    }
+}
+
+// Campos de igualdad del filtro, que un upsert copia al documento nuevo
+function documentoDesdeFiltro(filtro, documento = {}) {
+    Object.entries(filtro || {}).forEach(([clave, valor]) => {
+        if (clave === '$and') {
+            valor.forEach(parte => documentoDesdeFiltro(parte, documento));
+            return;
+        }
+        if (esOperador(clave)) return;
+
+        const esCondicion = valor && typeof valor === 'object' && !Array.isArray(valor) &&
+            !(valor instanceof Date) && !(valor instanceof RegExp) && Object.keys(valor).some(esOperador);
+        if (!esCondicion) {
+            asignarEnRuta(documento, clave, valor);
+        } else if (Object.prototype.hasOwnProperty.call(valor, '$eq')) {
+            asignarEnRuta(documento, clave, valor.$eq);
+        }
+    });
+    return documento;
+}
+
+// Operadores ($set, $inc, ...), reemplazo completo o pipeline de agregación
+function aplicarActualizacion(documento, actualizacion, filtrosArreglo, esInsercion) {
+    if (Array.isArray(actualizacion)) {
+        const [resultado] = mingo.aggregate([documento], actualizacion);
+        Object.keys(documento).forEach(clave => { if (clave !== '_id') delete documento[clave]; });
+        Object.assign(documento, resultado, { _id: documento._id });
+        return true;
+    }
+
+    if (!Object.keys(actualizacion).some(esOperador)) {
+        const id = documento._id;
+        Object.keys(documento).forEach(clave => delete documento[clave]);
+        Object.assign(documento, actualizacion);
+        if (id !== undefined) documento._id = id;
+        return true;
+    }
+
+    const { $setOnInsert, ...operadores } = actualizacion;
+    if (esInsercion && $setOnInsert) operadores.$set = { ...operadores.$set, ...$setOnInsert };
+    if (Object.keys(operadores).length === 0) return false;
+
+    const campos = mingo.update(documento, operadores, filtrosArreglo, undefined, { cloneMode: 'none' });
+    return campos.length > 0;
+}
+
+// Orden, salto, límite y proyección de una búsqueda
+function prepararResultados(documentos, { sort, skip, limit, projection }) {
+    const etapas = [];
+    if (sort && Object.keys(sort).length > 0) etapas.push({ $sort: sort });
+    if (skip) etapas.push({ $skip: skip });
+    if (limit) etapas.push({ $limit: Math.abs(limit) });
+    if (projection && Object.keys(projection).length > 0) etapas.push({ $project: projection });
+    return etapas.length > 0 ? mingo.aggregate(documentos, etapas) : documentos;
+}
+
+const cursor = (espacio, documentos) => ({ cursor: { firstBatch: documentos, id: Long.fromNumber(0), ns: espacio } });
+
+class MongoMemoria {
+    constructor() {
+        this.bases = new Map();
+        this.conexiones = new Set();
+        this.siguienteConexion = 1;
+        this.siguienteMensaje = 1;
+    }
+
+    coleccion(base, nombre, crear = true) {
+        if (!this.bases.has(base)) this.bases.set(base, new Map());
+        const colecciones = this.bases.get(base);
+        if (!colecciones.has(nombre) && crear) colecciones.set(nombre, new Coleccion(base, nombre));
+        return colecciones.get(nombre);
+    }
+
+    ejecutar(comando, conexion) {
+        const nombre = Object.keys(comando)[0];
+        const base = comando.$db || 'admin';
+        const manejador = this.comandos[nombre] || this.comandos[nombre.toLowerCase()];
+        if (!manejador) {
+            return { ok: 0, errmsg: `no such command: '${nombre}'`, code: 59, codeName: 'CommandNotFound' };
+        }
+        try {
+            return { ...manejador.call(this, comando, base, conexion), ok: 1 };
+        } catch (error) {
+            if (error.respuesta) return error.respuesta;
+            return { ok: 0, errmsg: error.message, code: 2, codeName: 'BadValue' };
+        }
+    }
+
+    saludo(comando, base, conexion) {
+        return {
+            helloOk: true,
+            isWritablePrimary: true,
+            ismaster: true,
+            maxBsonObjectSize: 16 * 1024 * 1024,
+            maxMessageSizeBytes: 48000000,
+            maxWriteBatchSize: 100000,
+            localTime: new Date(),
+            connectionId: conexion.id,
+            minWireVersion: 0,
+            maxWireVersion: 17,
+            readOnly: false
+        };
+    }
+
+    get comandos() {
+        return {
+            hello: this.saludo,
+            ismaster: this.saludo,
+            ping: () => ({}),
+            buildinfo: () => ({ version: '6.0.0', versionArray: [6, 0, 0, 0] }),
+            endSessions: () => ({}),
+
+            insert(comando, base) {
+                const coleccion = this.coleccion(base, comando.insert);
+                const writeErrors = [];
+                let n = 0;
+                for (const [index, documento] of comando.documents.entries()) {
+                    const { error } = coleccion.insertar(documento);
+                    if (error) {
+                        writeErrors.push({ index, ...error });
+                        if (comando.ordered !== false) break;
+                    } else {
+                        n += 1;
+                    }
+                }
+                return writeErrors.length > 0 ? { n, writeErrors } : { n };
+            },
+
+            update(comando, base) {
+                const coleccion = this.coleccion(base, comando.update);
+                const writeErrors = [];
+                const upserted = [];
+                let n = 0;
+                let nModified = 0;
+                for (const [index, orden] of comando.updates.entries()) {
+                    const coincidentes = coleccion.buscar(orden.q);
+                    const objetivo = orden.multi ? coincidentes : coincidentes.slice(0, 1);
+                    let error = null;
+
+                    if (objetivo.length === 0 && orden.upsert) {
+                        const resultado = coleccion.insertarPorUpsert(orden.q, orden.u, orden.arrayFilters);
+                        error = resultado.error;
+                        if (!error) {
+                            upserted.push({ index, _id: resultado.documento._id });
+                            n += 1;
+                        }
+                    }
+                    for (const documento of objetivo) {
+                        const resultado = coleccion.actualizar(documento, orden.u, orden.arrayFilters);
+                        if (resultado.error) {
+                            error = resultado.error;
+                            break;
+                        }
+                        n += 1;
+                        if (resultado.modificado) nModified += 1;
+                    }
+
+                    if (error) {
+                        writeErrors.push({ index, ...error });
+                        if (comando.ordered !== false) break;
+                    }
+                }
+                const respuesta = { n, nModified };
+                if (upserted.length > 0) respuesta.upserted = upserted;
+                if (writeErrors.length > 0) respuesta.writeErrors = writeErrors;
+                return respuesta;
+            },
+
+            delete(comando, base) {
+                const coleccion = this.coleccion(base, comando.delete);
+                let n = 0;
+                comando.deletes.forEach(orden => {
+                    const coincidentes = coleccion.buscar(orden.q);
+                    const eliminados = orden.limit === 1 ? coincidentes.slice(0, 1) : coincidentes;
+                    coleccion.eliminar(eliminados);
+                    n += eliminados.length;
+                });
+                return { n };
+            },
+
+            findandmodify(comando, base) {
+                const coleccion = this.coleccion(base, comando.findAndModify || comando.findandmodify);
+                const [documento] = prepararResultados(coleccion.buscar(comando.query), { sort: comando.sort, limit: 1 });
+                const proyectar = valor => (valor ? prepararResultados([valor], { projection: comando.fields })[0] : null);
+
+                if (comando.remove) {
+                    if (documento) coleccion.eliminar([documento]);
+                    return { lastErrorObject: { n: documento ? 1 : 0 }, value: proyectar(documento) };
+                }
+
+                if (!documento) {
+                    if (!comando.upsert) return { lastErrorObject: { n: 0, updatedExisting: false }, value: null };
+                    const { error, documento: nuevo } = coleccion.insertarPorUpsert(comando.query, comando.update, comando.arrayFilters);
+                    if (error) throw Object.assign(new Error(error.errmsg), { respuesta: { ok: 0, ...error } });
+                    return {
+                        lastErrorObject: { n: 1, updatedExisting: false, upserted: nuevo._id },
+                        value: comando.new ? proyectar(nuevo) : null
+                    };
+                }
+
+                const { error, documento: actualizado } = coleccion.actualizar(documento, comando.update, comando.arrayFilters);
+                if (error) throw Object.assign(new Error(error.errmsg), { respuesta: { ok: 0, ...error } });
+                return {
+                    lastErrorObject: { n: 1, updatedExisting: true },
+                    value: proyectar(comando.new ? actualizado : documento)
+                };
+            },
+
+            find(comando, base) {
+                const coleccion = this.coleccion(base, comando.find, false);
+                const documentos = coleccion ? prepararResultados(coleccion.buscar(comando.filter), comando) : [];
+                return cursor(`${base}.${comando.find}`, documentos);
+            },
+
+            aggregate(comando, base) {
+                const coleccion = this.coleccion(base, comando.aggregate, false);
+                const documentos = coleccion ? mingo.aggregate(coleccion.documentos, comando.pipeline) : [];
+                return cursor(`${base}.${comando.aggregate}`, documentos);
+            },
+
+            getMore(comando, base) {
+                return { cursor: { nextBatch: [], id: Long.fromNumber(0), ns: `${base}.${comando.collection}` } };
+            },
+
+            killCursors: comando => ({ cursorsKilled: comando.cursors, cursorsNotFound: [], cursorsAlive: [], cursorsUnknown: [] }),
+
+            count(comando, base) {
+                const coleccion = this.coleccion(base, comando.count, false);
+                const documentos = coleccion ? prepararResultados(coleccion.buscar(comando.query), comando) : [];
+                return { n: documentos.length };
+            },
+
+            distinct(comando, base) {
+                const coleccion = this.coleccion(base, comando.distinct, false);
+                const valores = new Map();
+                (coleccion ? coleccion.buscar(comando.query) : []).forEach(documento => {
+                    [].concat(valorEnRuta(documento, comando.key)).forEach(valor => {
+                        if (valor !== undefined) valores.set(EJSON.stringify({ valor }, { relaxed: false }), valor);
+                    });
+                });
+                return { values: [...valores.values()] };
+            },
+
+            create(comando, base) {
+                if (this.coleccion(base, comando.create, false)) {
+                    throw errorComando(48, 'NamespaceExists', `Collection ${base}.${comando.create} already exists.`);
+                }
+                this.coleccion(base, comando.create);
+                return {};
+            },
+
+            listCollections(comando, base) {
+                const colecciones = [...(this.bases.get(base) || new Map()).keys()]
+                    .map(name => ({ name, type: 'collection', options: {}, info: { readOnly: false } }));
+                const filtradas = comando.filter ? mingo.find(colecciones, comando.filter).all() : colecciones;
+                return cursor(`${base}.$cmd.listCollections`, filtradas);
+            },
+
+            drop(comando, base) {
+                if (!this.coleccion(base, comando.drop, false)) {
+                    throw errorComando(26, 'NamespaceNotFound', 'ns not found');
+                }
+                this.bases.get(base).delete(comando.drop);
+                return {};
+            },
+
+            dropDatabase(comando, base) {
+                this.bases.delete(base);
+                return {};
+            },
+
+            createIndexes(comando, base) {
+                const coleccion = this.coleccion(base, comando.createIndexes);
+                const numIndexesBefore = coleccion.indices.length;
+                comando.indexes.forEach(especificacion => {
+                    if (coleccion.indices.some(indice => indice.name === especificacion.name)) return;
+                    const indice = { v: 2, ...especificacion };
+                    if (indice.unique) {
+                        const claves = coleccion.documentos.map(documento => coleccion.claveIndice(indice, documento))
+                            .filter(clave => clave !== null);
+                        if (new Set(claves).size !== claves.length) {
+                            throw errorComando(11000, 'DuplicateKey', `E11000 duplicate key error collection: ${coleccion.espacio} index: ${indice.name}`);
+                        }
+                    }
+                    coleccion.indices.push(indice);
+                });
+                return { numIndexesBefore, numIndexesAfter: coleccion.indices.length };
+            },
+
+            listIndexes(comando, base) {
+                const coleccion = this.coleccion(base, comando.listIndexes, false);
+                if (!coleccion) throw errorComando(26, 'NamespaceNotFound', `ns does not exist: ${base}.${comando.listIndexes}`);
+                return cursor(coleccion.espacio, coleccion.indices);
+            },
+
+            dropIndexes(comando, base) {
+                const coleccion = this.coleccion(base, comando.dropIndexes, false);
+                if (!coleccion) throw errorComando(26, 'NamespaceNotFound', 'ns not found');
+                const nIndexesWas = coleccion.indices.length;
+                const { index } = comando;
+                coleccion.indices = coleccion.indices.filter(indice => {
+                    if (indice.name === '_id_') return true;
+                    if (index === '*') return false;
+                    if (typeof index === 'string') return indice.name !== index;
+                    return EJSON.stringify(indice.key) !== EJSON.stringify(index);
+                });
+                return { nIndexesWas };
+            }
+        };
+    }
+
+    atenderMensaje(conexion, mensaje) {
+        const requestID = mensaje.readInt32LE(4);
+        const opCode = mensaje.readInt32LE(12);
+
+        if (opCode === OP_QUERY) {
+            let [, posicion] = leerCadena(mensaje, 20);
+            posicion += 8;
+            const [comando] = leerDocumento(mensaje, posicion);
+            const respuesta = BSON.serialize(this.ejecutar(comando, conexion), opcionesSerializacion);
+            const cuerpo = Buffer.alloc(20);
+            cuerpo.writeInt32LE(1, 16);
+            this.responder(conexion, requestID, OP_REPLY, Buffer.concat([cuerpo, respuesta]));
+            return;
+        }
+
+        if (opCode !== OP_MSG) return;
+
+        const banderas = mensaje.readUInt32LE(16);
+        const fin = mensaje.length - (banderas & 1 ? 4 : 0);
+        const secuencias = {};
+        let comando = {};
+        let posicion = 20;
+        while (posicion < fin) {
+            const tipo = mensaje[posicion];
+            posicion += 1;
+            if (tipo === 0) {
+                [comando, posicion] = leerDocumento(mensaje, posicion);
+            } else {
+                const finSeccion = posicion + mensaje.readInt32LE(posicion);
+                let [identificador, actual] = leerCadena(mensaje, posicion + 4);
+                secuencias[identificador] = [];
+                while (actual < finSeccion) {
+                    let documento;
+                    [documento, actual] = leerDocumento(mensaje, actual);
+                    secuencias[identificador].push(documento);
+                }
+                posicion = finSeccion;
+            }
+        }
+
+        const respuesta = this.ejecutar(Object.assign(comando, secuencias), conexion);
+        if (banderas & 2) return;
+
+        const documento = BSON.serialize(respuesta, opcionesSerializacion);
+        this.responder(conexion, requestID, OP_MSG, Buffer.concat([Buffer.alloc(5), documento]));
+    }
+
+    responder(conexion, responseTo, opCode, cuerpo) {
+        const cabecera = Buffer.alloc(16);
+        cabecera.writeInt32LE(16 + cuerpo.length, 0);
+        cabecera.writeInt32LE(this.siguienteMensaje++, 4);
+        cabecera.writeInt32LE(responseTo, 8);
+        cabecera.writeInt32LE(opCode, 12);
+        conexion.socket.write(Buffer.concat([cabecera, cuerpo]));
+    }
+
+    // Arranca en un puerto libre de localhost y devuelve la URI de conexión
+    async iniciar(base = 'pruebas') {
+        this.servidor = net.createServer(socket => {
+            const conexion = { id: this.siguienteConexion++, socket };
+            let pendiente = Buffer.alloc(0);
+            this.conexiones.add(socket);
+            socket.on('close', () => this.conexiones.delete(socket));
+            socket.on('error', () => socket.destroy());
+            socket.on('data', datos => {
+                pendiente = Buffer.concat([pendiente, datos]);
+                while (pendiente.length >= 4 && pendiente.length >= pendiente.readInt32LE(0)) {
+                    const tamano = pendiente.readInt32LE(0);
+                    this.atenderMensaje(conexion, pendiente.subarray(0, tamano));
+                    pendiente = pendiente.subarray(tamano);
+                }
+            });
+        });
+        await new Promise(resolve => this.servidor.listen(0, '127.0.0.1', resolve));
+        return `mongodb://127.0.0.1:${this.servidor.address().port}/${base}`;
+    }
+
+    detener() {
+        this.conexiones.forEach(socket => socket.destroy());
+        return new Promise(resolve => this.servidor.close(resolve));
+    }
+}
+
+module.exports = { MongoMemoria };
@@ -0,0 +1,55 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { prepararBaseDatos, cerrarBaseDatos, iniciarApp } = require('./ayudantes');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const servidor = require('../server');
+
+let app;
+before(async () => { app = await iniciarApp(servidor.app); });
+after(() => app.cerrar());
+
+const buscarPaciente = datos => fetch(`${app.url}/api/patients/lookup`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email: 'paciente@example.com', telefono: '+50370000000', ...datos })
+});
+
+test('la búsqueda de pacientes exige el teléfono verificado', async () => {
+    assert.strictEqual((await buscarPaciente()).status, 403);
+});
+
+test('la verificación de otro teléfono no sirve para buscar', async () => {
+    const verificacionTelefono = jwt.sign(
+        { telefono: '+50379999999' },
+        process.env.JWT_SECRET,
+        { audience: 'telefono-verificado', expiresIn: '1d' }
+    );
+    assert.strictEqual((await buscarPaciente({ verificacionTelefono })).status, 403);
+});
+
+describe('rutas de pacientes del personal', () => {
+    let token;
+
+    before(async () => {
+        await prepararBaseDatos(servidor);
+        const usuario = await mongoose.model('Usuario').create({
+            nombre: 'Recepción',
+            email: 'recepcion@example.com',
+            passwordHash: 'sin-uso',
+            rol: 'recepcionista'
+        });
+        token = jwt.sign({ sub: usuario._id.toString(), rol: usuario.rol }, process.env.JWT_SECRET, {
+            audience: 'acceso',
+            expiresIn: '1h'
+        });
+    });
+    after(cerrarBaseDatos);
+
+    test('un id mal formado responde 404 en lugar de 500', async () => {
+        const respuesta = await fetch(`${app.url}/api/patients/no-es-un-id`, {
+            headers: { Authorization: `Bearer ${token}` }
+        });
+        assert.strictEqual(respuesta.status, 404);
+    });
+});
@@ -0,0 +1,62 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { prepararBaseDatos, cerrarBaseDatos } = require('./ayudantes');
+const mongoose = require('mongoose');
+const servidor = require('../server');
+
+describe('recordatorios de citas', () => {
+    const enviarSMS = servidor.proveedores.sms.enviar;
+    let Cita;
+    let Trabajo;
+    let dentista;
+
+    before(async () => {
+        await prepararBaseDatos(servidor);
+        Cita = mongoose.model('Cita');
+        Trabajo = mongoose.model('Trabajo');
+        dentista = await mongoose.model('Dentista').findOne();
+    });
+    after(async () => {
+        servidor.proveedores.sms.enviar = enviarSMS;
+        await cerrarBaseDatos();
+    });
+
+    const trabajoRecordatorio = (cita, minutosAntes) => Trabajo.findOne({
+        tipo: 'recordatorio',
+        'datos.cita': cita._id,
+        'datos.minutosAntes': minutosAntes,
+        estado: 'pendiente'
+    });
+
+    test('un recordatorio fallido no se reenvía después de reprogramar la cita', async () => {
+        const cita = await servidor.guardarCitaNueva(new Cita({
+            nombreCompleto: 'Paciente Recordatorio',
+            email: 'paciente@example.com',
+            telefono: '70000000',
+            tipoServicio: 'limpieza-dental',
+            dentista: dentista._id,
+            fecha: new Date('2030-01-07'),
+            horario: '09:00',
+            duracionMinutos: 60
+        }));
+        await servidor.programarRecordatorios(cita);
+
+        servidor.proveedores.sms.enviar = async () => { throw new Error('Proveedor caído'); };
+        await assert.rejects(servidor.ejecutarRecordatorio(await trabajoRecordatorio(cita, 120)));
+
+        await servidor.reprogramarCita(await Cita.findById(cita._id), '2030-01-08', '10:00', dentista._id, {
+            realizadoPor: 'personal'
+        });
+
+        const enviados = [];
+        servidor.proveedores.sms.enviar = async mensaje => { enviados.push(mensaje); };
+        const resultado = await servidor.ejecutarRecordatorio(await trabajoRecordatorio(cita, 120));
+
+        assert.strictEqual(resultado, 'completado');
+        assert.strictEqual(enviados.length, 1);
+
+        const recordatorios = (await Cita.findById(cita._id)).recordatorios
+            .filter(recordatorio => recordatorio.minutosAntes === 120);
+        assert.deepStrictEqual(recordatorios.map(recordatorio => recordatorio.estado), ['omitido', 'enviado']);
+    });
+});
@@ -0,0 +1,148 @@
+// Cada prueba simula pacientes con su propia IP detrás del proxy local
+process.env.TRUST_PROXY = 'loopback';
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { prepararBaseDatos, cerrarBaseDatos, iniciarApp } = require('./ayudantes');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const servidor = require('../server');
+
+describe('reservas temporales y citas simultáneas', () => {
+    let app;
+    let ReservaHorario;
+    let BloqueAgenda;
+
+    before(async () => {
+        await prepararBaseDatos(servidor);
+        app = await iniciarApp(servidor.app);
+        ReservaHorario = mongoose.model('ReservaHorario');
+        BloqueAgenda = mongoose.model('BloqueAgenda');
+    });
+    after(async () => {
+        await app.cerrar();
+        await cerrarBaseDatos();
+    });
+
+    const reservar = (ip, datos) => fetch(`${app.url}/api/holds`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Forwarded-For': ip },
+        body: JSON.stringify({ tipoServicio: 'limpieza-dental', ...datos })
+    });
+
+    const agendar = (ip, telefono, datos) => fetch(`${app.url}/api/appointments`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Forwarded-For': ip },
+        body: JSON.stringify({
+            nombreCompleto: 'Paciente de Prueba',
+            email: 'paciente@example.com',
+            telefono,
+            tipoServicio: 'limpieza-dental',
+            verificacionTelefono: jwt.sign({ telefono }, process.env.JWT_SECRET, {
+                audience: 'telefono-verificado',
+                expiresIn: '1d'
+            }),
+            ...datos
+        })
+    });
+
+    const estados = respuestas => respuestas.map(respuesta => respuesta.status).sort();
+
+    test('de varias reservas simultáneas del mismo horario gana exactamente una', async () => {
+        const respuestas = await Promise.all(
+            Array.from({ length: 6 }, (_, indice) => reservar(`198.51.100.${indice + 1}`, { fecha: '2030-01-07', horario: '09:00' }))
+        );
+
+        assert.deepStrictEqual(estados(respuestas), [201, 409, 409, 409, 409, 409]);
+        assert.strictEqual(await ReservaHorario.countDocuments({ fecha: new Date('2030-01-07') }), 1);
+    });
+
+    test('reservas simultáneas que se superponen con distinta hora de inicio no se toman juntas', async () => {
+        // Un implante de 10:00 a 12:00 choca con una limpieza de 11:00 a 12:00
+        const solicitudes = Array.from({ length: 6 }, (_, indice) => indice % 2 === 0
+            ? { tipoServicio: 'implantes', horario: '10:00' }
+            : { tipoServicio: 'limpieza-dental', horario: '11:00' });
+        const respuestas = await Promise.all(
+            solicitudes.map((datos, indice) => reservar(`198.51.100.${20 + indice}`, { fecha: '2030-01-08', ...datos }))
+        );
+
+        const reservas = await ReservaHorario.find({ fecha: new Date('2030-01-08') }).lean();
+        assert.ok(reservas.length <= 1);
+        assert.strictEqual(respuestas.filter(respuesta => respuesta.status === 201).length, reservas.length);
+        assert.strictEqual(respuestas.filter(respuesta => respuesta.status === 409).length, 6 - reservas.length);
+    });
+
+    test('el paciente puede cambiar a un horario que se superpone con su propia reserva', async () => {
+        const primera = await (await reservar('198.51.100.40', { fecha: '2030-01-09', horario: '09:00' })).json();
+
+        const mismo = await reservar('198.51.100.40', { fecha: '2030-01-09', horario: '09:00', reserva: primera.token });
+        assert.strictEqual(mismo.status, 201);
+        const { token } = await mismo.json();
+
+        // Un implante de 08:00 a 10:00 cubre la limpieza que el paciente ya tenía retenida
+        const siguiente = await reservar('198.51.100.40', {
+            tipoServicio: 'implantes',
+            fecha: '2030-01-09',
+            horario: '08:00',
+            reserva: token
+        });
+        assert.strictEqual(siguiente.status, 201);
+        const ultima = await siguiente.json();
+
+        const reservas = await ReservaHorario.find({ fecha: new Date('2030-01-09') }).lean();
+        assert.deepStrictEqual(reservas.map(reserva => reserva.token), [ultima.token]);
+        assert.strictEqual(await BloqueAgenda.countDocuments({ reserva: ultima.token }), 24);
+        assert.strictEqual(await BloqueAgenda.countDocuments({ reserva: { $in: [primera.token, token] } }), 0);
+    });
+
+    test('el límite de reservas por IP se respeta aunque las peticiones lleguen a la vez', async () => {
+        const horarios = ['08:00', '09:00', '10:00', '11:00', '13:00', '14:00'];
+        const respuestas = await Promise.all(
+            horarios.map(horario => reservar('198.51.100.50', { fecha: '2030-01-10', horario }))
+        );
+
+        assert.deepStrictEqual(estados(respuestas), [201, 201, 201, 429, 429, 429]);
+
+        // Reemplazar una reserva propia no cuenta como otra
+        const aceptada = await respuestas.find(respuesta => respuesta.status === 201).json();
+        const reemplazo = await reservar('198.51.100.50', { fecha: '2030-01-10', horario: '15:00', reserva: aceptada.token });
+        assert.strictEqual(reemplazo.status, 201);
+
+        // Al liberar una reserva su turno queda para otra
+        const { token } = await reemplazo.json();
+        assert.strictEqual((await fetch(`${app.url}/api/holds/${token}`, { method: 'DELETE' })).status, 204);
+        assert.strictEqual((await reservar('198.51.100.50', { fecha: '2030-01-10', horario: '15:00' })).status, 201);
+        assert.strictEqual((await reservar('198.51.100.50', { fecha: '2030-01-10', horario: '16:00' })).status, 429);
+    });
+
+    test('de varias citas simultáneas del mismo horario se agenda exactamente una', async () => {
+        const respuestas = await Promise.all(
+            Array.from({ length: 5 }, (_, indice) => agendar(`198.51.100.${60 + indice}`, `+5037600000${indice}`, {
+                fecha: '2030-01-11',
+                horario: '09:00'
+            }))
+        );
+
+        assert.deepStrictEqual(estados(respuestas), [201, 409, 409, 409, 409]);
+        assert.strictEqual(await mongoose.model('Cita').countDocuments({ fecha: new Date('2030-01-11') }), 1);
+    });
+
+    test('la reserva de otro paciente bloquea el horario y la propia se convierte en la cita', async () => {
+        const { token } = await (await reservar('198.51.100.70', { fecha: '2030-01-14', horario: '09:00' })).json();
+
+        const ajena = await agendar('198.51.100.71', '+50377000001', {
+            tipoServicio: 'implantes',
+            fecha: '2030-01-14',
+            horario: '08:00'
+        });
+        assert.strictEqual(ajena.status, 409);
+
+        const propia = await agendar('198.51.100.70', '+50377000002', { fecha: '2030-01-14', horario: '09:00', reserva: token });
+        assert.strictEqual(propia.status, 201);
+        const { cita } = await propia.json();
+
+        assert.strictEqual(await ReservaHorario.countDocuments({ token }), 0);
+        assert.strictEqual(await BloqueAgenda.countDocuments({ reserva: token }), 0);
+        assert.strictEqual(await BloqueAgenda.countDocuments({ cita: cita.id }), 12);
+    });
+});
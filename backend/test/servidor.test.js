@@ -0,0 +1,45 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('child_process');
+const path = require('path');
+const { iniciarApp } = require('./ayudantes');
+const mongoose = require('mongoose');
+const { app, proveedores } = require('../server');
+
+test('importar el servidor no conecta a MongoDB ni abre el puerto', () => {
+    assert.strictEqual(mongoose.connection.readyState, 0);
+});
+
+test('sin JWT_SECRET el servidor no arranca', () => {
+    // Un JWT_SECRET vacío ya definido impide que dotenv lo tome del .env local
+    const proceso = spawnSync(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+        env: { ...process.env, JWT_SECRET: '', PORT: '0', MONGODB_URI: 'mongodb://127.0.0.1:1/sin-uso' },
+        encoding: 'utf8',
+        timeout: 10000
+    });
+
+    assert.strictEqual(proceso.status, 1);
+    assert.match(proceso.stderr, /JWT_SECRET no está configurado/);
+});
+
+test('GET /health responde sin base de datos', async () => {
+    const { url, cerrar } = await iniciarApp(app);
+    try {
+        const respuesta = await fetch(`${url}/health`);
+        assert.strictEqual(respuesta.status, 200);
+        assert.strictEqual((await respuesta.json()).status, 'OK');
+    } finally {
+        await cerrar();
+    }
+});
+
+test('el calendario local entrega solo los cambios posteriores al sync token', async () => {
+    const calendario = proveedores.calendario;
+    const { nextSyncToken } = await calendario.listarEventos({ desde: new Date(0) });
+
+    const id = await calendario.crearEvento({ summary: 'Prueba' });
+    await calendario.actualizarEvento(id, { summary: 'Prueba movida' });
+
+    const { eventos } = await calendario.listarEventos({ syncToken: nextSyncToken });
+    assert.deepStrictEqual(eventos.map(evento => evento.summary), ['Prueba movida']);
+});
@@ -0,0 +1,106 @@
+process.env.CLINIC_TIMEZONE = 'America/El_Salvador';
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { prepararBaseDatos, cerrarBaseDatos } = require('./ayudantes');
+const mongoose = require('mongoose');
+const servidor = require('../server');
+
+// Cliente de Calendar simulado: cada sincronización recibe los eventos indicados
+function crearCalendarioSimulado() {
+    const pendientes = [];
+    return {
+        id: 'calendario-pruebas',
+        cambiar(...eventos) { pendientes.push(...eventos); },
+        async listarEventos() {
+            return { eventos: pendientes.splice(0), nextSyncToken: String(Date.now()) };
+        }
+    };
+}
+
+const eventoDeCita = (cita, inicio, fin) => ({
+    id: cita.googleCalendarEventId,
+    status: 'confirmed',
+    start: { dateTime: inicio },
+    end: { dateTime: fin },
+    extendedProperties: { private: { citaId: cita._id.toString() } }
+});
+
+describe('sincronización desde Google Calendar', () => {
+    const calendario = crearCalendarioSimulado();
+    let Cita;
+    let Trabajo;
+    let dentista;
+
+    before(async () => {
+        await prepararBaseDatos(servidor);
+        Cita = mongoose.model('Cita');
+        Trabajo = mongoose.model('Trabajo');
+        dentista = await mongoose.model('Dentista').findOne();
+    });
+    after(cerrarBaseDatos);
+
+    const crearCita = (horario, googleCalendarEventId) => servidor.guardarCitaNueva(new Cita({
+        nombreCompleto: `Paciente ${horario}`,
+        email: 'paciente@example.com',
+        telefono: '70000000',
+        tipoServicio: 'limpieza-dental',
+        dentista: dentista._id,
+        fecha: new Date('2030-01-07'),
+        horario,
+        duracionMinutos: 60,
+        googleCalendarEventId
+    }));
+
+    const trabajosDe = (cita, tipo) => Trabajo.countDocuments({ tipo, 'datos.cita': cita._id });
+
+    test('una cita movida en Google se reprograma sin actualizar el evento de vuelta', async () => {
+        const cita = await crearCita('09:00', 'evento-movido');
+
+        calendario.cambiar(eventoDeCita(cita, '2030-01-07T10:00:00-06:00', '2030-01-07T11:00:00-06:00'));
+        await servidor.sincronizarGoogleCalendar(calendario);
+
+        const movida = await Cita.findById(cita._id);
+        assert.strictEqual(movida.horario, '10:00');
+        assert.strictEqual(movida.historialReprogramaciones.length, 1);
+        assert.strictEqual(await trabajosDe(cita, 'actualizar-evento-calendar'), 0);
+        assert.strictEqual(await trabajosDe(cita, 'sms-reprogramacion'), 1);
+    });
+
+    test('si el nuevo horario choca con otra cita, la cita no cambia y el evento se restaura', async () => {
+        const cita = await crearCita('13:00', 'evento-en-conflicto');
+        await crearCita('14:00', 'evento-ocupado');
+
+        calendario.cambiar(eventoDeCita(cita, '2030-01-07T14:00:00-06:00', '2030-01-07T15:00:00-06:00'));
+        await servidor.sincronizarGoogleCalendar(calendario);
+
+        const actual = await Cita.findById(cita._id);
+        assert.strictEqual(actual.horario, '13:00');
+        assert.strictEqual(actual.historialReprogramaciones.length, 0);
+        assert.strictEqual(await trabajosDe(cita, 'actualizar-evento-calendar'), 1);
+        assert.strictEqual(await trabajosDe(cita, 'sms-reprogramacion'), 0);
+    });
+
+    test('un evento eliminado cancela la cita', async () => {
+        const cita = await crearCita('15:00', 'evento-eliminado');
+
+        calendario.cambiar({ id: 'evento-eliminado', status: 'cancelled' });
+        await servidor.sincronizarGoogleCalendar(calendario);
+
+        assert.strictEqual((await Cita.findById(cita._id)).estado, 'cancelada-por-clinica');
+    });
+
+    test('un evento ajeno se guarda como bloqueo', async () => {
+        calendario.cambiar({
+            id: 'evento-ajeno',
+            status: 'confirmed',
+            summary: 'Capacitación',
+            start: { dateTime: '2030-01-08T08:00:00-06:00' },
+            end: { dateTime: '2030-01-08T10:00:00-06:00' }
+        });
+        await servidor.sincronizarGoogleCalendar(calendario);
+
+        const bloqueo = await mongoose.model('BloqueoCalendario').findOne({ googleEventId: 'evento-ajeno' });
+        assert.strictEqual(bloqueo.resumen, 'Capacitación');
+    });
+});
@@ -0,0 +1,72 @@
+// El webhook valida la firma de Twilio con estos datos, que se leen al cargar server.js
+process.env.TWILIO_AUTH_TOKEN = 'token-de-pruebas';
+process.env.TWILIO_WEBHOOK_URL = 'https://clinica.example.com/api/sms/inbound';
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { prepararBaseDatos, cerrarBaseDatos, iniciarApp } = require('./ayudantes');
+const mongoose = require('mongoose');
+const twilio = require('twilio');
+const servidor = require('../server');
+
+describe('respuestas de pacientes por SMS', () => {
+    const telefono = '+50370000000';
+    let app;
+    let Cita;
+    let cita;
+
+    before(async () => {
+        await prepararBaseDatos(servidor);
+        app = await iniciarApp(servidor.app);
+        Cita = mongoose.model('Cita');
+        const dentista = await mongoose.model('Dentista').findOne();
+        cita = await servidor.guardarCitaNueva(new Cita({
+            nombreCompleto: 'Paciente SMS',
+            email: 'paciente@example.com',
+            telefono,
+            tipoServicio: 'limpieza-dental',
+            dentista: dentista._id,
+            fecha: new Date('2030-01-07'),
+            horario: '09:00',
+            duracionMinutos: 60
+        }));
+    });
+    after(async () => {
+        await app.cerrar();
+        await cerrarBaseDatos();
+    });
+
+    const responderSMS = cuerpo => {
+        const datos = { From: telefono, Body: cuerpo, MessageSid: `SM${new mongoose.Types.ObjectId()}` };
+        return fetch(`${app.url}/api/sms/inbound`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded',
+                'X-Twilio-Signature': twilio.getExpectedTwilioSignature(
+                    process.env.TWILIO_AUTH_TOKEN, process.env.TWILIO_WEBHOOK_URL, datos
+                )
+            },
+            body: new URLSearchParams(datos)
+        });
+    };
+
+    test('un "NO" suelto no cancela la cita y pide la palabra explícita', async () => {
+        const respuesta = await responderSMS('No');
+
+        assert.strictEqual(respuesta.status, 200);
+        assert.match(await respuesta.text(), /responde CANCELAR/);
+        assert.strictEqual((await Cita.findById(cita._id)).estado, 'confirmada');
+
+        const mensaje = await mongoose.model('MensajeEntrante').findOne({ cuerpo: 'No' });
+        assert.strictEqual(mensaje.accion, 'sin-reconocer');
+        assert.strictEqual(mensaje.revisado, false);
+    });
+
+    test('CANCELAR cancela la próxima cita', async () => {
+        const respuesta = await responderSMS('Cancelar');
+
+        assert.strictEqual(respuesta.status, 200);
+        assert.match(await respuesta.text(), /fue cancelada/);
+        assert.strictEqual((await Cita.findById(cita._id)).estado, 'cancelada-por-paciente');
+    });
+});
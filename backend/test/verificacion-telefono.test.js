@@ -0,0 +1,70 @@
+// Cada prueba simula pacientes con su propia IP detrás del proxy local
+process.env.TRUST_PROXY = 'loopback';
+
+const { describe, test, before, after, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { prepararBaseDatos, cerrarBaseDatos, iniciarApp } = require('./ayudantes');
+const servidor = require('../server');
+
+describe('límites de códigos de verificación', () => {
+    const sms = servidor.proveedores.sms;
+    const enviarSMS = sms.enviar;
+    let app;
+
+    before(async () => {
+        await prepararBaseDatos(servidor);
+        app = await iniciarApp(servidor.app);
+    });
+    afterEach(() => { sms.enviar = enviarSMS; });
+    after(async () => {
+        await app.cerrar();
+        await cerrarBaseDatos();
+    });
+
+    const pedirCodigo = (telefono, ip) => fetch(`${app.url}/api/phone-verifications`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Forwarded-For': ip },
+        body: JSON.stringify({ telefono })
+    });
+
+    const enviadosA = telefono => sms.mensajes.filter(({ para }) => para === telefono).length;
+
+    test('de varias peticiones simultáneas para un número solo una envía código', async () => {
+        const respuestas = await Promise.all(Array.from({ length: 6 }, () => pedirCodigo('+50370000001', '203.0.113.1')));
+        const estados = respuestas.map(respuesta => respuesta.status).sort();
+
+        assert.deepStrictEqual(estados, [201, 429, 429, 429, 429, 429]);
+        assert.strictEqual(enviadosA('+50370000001'), 1);
+    });
+
+    test('el límite por IP se respeta aunque las peticiones lleguen a la vez', async () => {
+        const telefonos = Array.from({ length: 12 }, (_, indice) => `+5037100${String(indice).padStart(4, '0')}`);
+        const respuestas = await Promise.all(telefonos.map(telefono => pedirCodigo(telefono, '203.0.113.2')));
+
+        assert.strictEqual(respuestas.filter(respuesta => respuesta.status === 201).length, 10);
+        assert.strictEqual(respuestas.filter(respuesta => respuesta.status === 429).length, 2);
+    });
+
+    test('la IP se revisa antes que el número: una IP agotada no gasta el turno del número', async () => {
+        const telefonos = Array.from({ length: 10 }, (_, indice) => `+5037200${String(indice).padStart(4, '0')}`);
+        for (const telefono of telefonos) {
+            assert.strictEqual((await pedirCodigo(telefono, '203.0.113.3')).status, 201);
+        }
+
+        assert.strictEqual((await pedirCodigo('+50373000000', '203.0.113.3')).status, 429);
+        assert.strictEqual((await pedirCodigo('+50373000000', '203.0.113.4')).status, 201);
+    });
+
+    test('si el SMS no sale se devuelven el turno y el cupo del número', async () => {
+        sms.enviar = async () => { throw new Error('Proveedor caído'); };
+        for (let intento = 0; intento < 4; intento++) {
+            assert.strictEqual((await pedirCodigo('+50374000000', `203.0.113.${10 + intento}`)).status, 502);
+        }
+
+        sms.enviar = enviarSMS;
+        const respuesta = await pedirCodigo('+50374000000', '203.0.113.20');
+
+        assert.strictEqual(respuesta.status, 201);
+        assert.strictEqual(enviadosA('+50374000000'), 1);
+    });
+});
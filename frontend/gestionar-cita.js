@@ -0,0 +1,364 @@
+/**
+ * Sistema de Citas Dentales - Autogestión de citas
+ * Permite al paciente consultar, cancelar o reprogramar su cita
+ * usando el enlace firmado que recibe por SMS
+ */
+
+class GestionCita {
+    constructor() {
+        // Configuración de la API
+        this.apiUrl = 'http://localhost:3000/api';
+
+        // Token firmado recibido en el enlace
+        this.token = new URLSearchParams(window.location.search).get('token');
+
+        // Datos del sistema
+        this.cita = null;
+        this.disponibilidad = {}; // Días con sus horarios libres, por fecha YYYY-MM-DD
+        this.zonaHoraria = 'America/El_Salvador'; // Se reemplaza con la configurada en el backend
+        this.servicios = {}; // Nombre de cada servicio por slug, del catálogo
+        this.estados = {
+            'pendiente-confirmacion': 'Pendiente de confirmación',
+            'confirmada': 'Confirmada',
+            'paciente-en-sala': 'En sala de espera',
+            'en-atencion': 'En atención',
+            'completada': 'Completada',
+            'no-asistio': 'No asistió',
+            'cancelada-por-paciente': 'Cancelada',
+            'cancelada-por-clinica': 'Cancelada por la clínica'
+        };
+
+        // Inicializar la aplicación
+        this.init();
+    }
+
+    /**
+     * Inicializa la página
+     */
+    async init() {
+        if (!this.token) {
+            this.mostrarMensaje('El enlace no es válido. Verifica que lo copiaste completo.', 'error');
+            return;
+        }
+
+        this.setupEventListeners();
+        await this.cargarConfiguracion();
+        await this.cargarServicios();
+        this.setupDateConstraints();
+        await this.cargarCita();
+        await this.cargarDisponibilidad();
+    }
+
+    /**
+     * Configura los event listeners
+     */
+    setupEventListeners() {
+        document.getElementById('rescheduleForm')
+            .addEventListener('submit', (e) => this.reprogramarCita(e));
+        document.getElementById('cancelBtn')
+            .addEventListener('click', () => this.cancelarCita());
+        document.getElementById('fecha')
+            .addEventListener('change', () => this.actualizarHorariosDisponibles());
+    }
+
+    /**
+     * Configura las restricciones de fecha
+     */
+    setupDateConstraints() {
+        const fechaInput = document.getElementById('fecha');
+
+        // Fecha mínima: hoy en la zona horaria de la clínica
+        const hoy = this.formatearFechaClinica(new Date());
+
+        // Fecha máxima: 3 meses adelante
+        const maxFecha = new Date(`${hoy}T00:00:00Z`);
+        maxFecha.setUTCMonth(maxFecha.getUTCMonth() + 3);
+
+        fechaInput.min = hoy;
+        fechaInput.max = maxFecha.toISOString().split('T')[0];
+    }
+
+    /**
+     * Carga la zona horaria de la clínica desde el backend
+     */
+    async cargarConfiguracion() {
+        try {
+            const response = await fetch(`${this.apiUrl}/settings/public`);
+
+            if (response.ok) {
+                const configuracion = await response.json();
+                this.zonaHoraria = configuracion.zonaHoraria;
+            }
+        } catch (error) {
+            console.error('Error de conexión:', error);
+        }
+    }
+
+    /**
+     * Carga los nombres de los servicios desde el catálogo (incluye los desactivados)
+     */
+    async cargarServicios() {
+        try {
+            const response = await fetch(`${this.apiUrl}/services?incluirInactivos=true`);
+
+            if (response.ok) {
+                const servicios = await response.json();
+                this.servicios = Object.fromEntries(servicios.map(servicio => [servicio.slug, servicio.nombre]));
+            }
+        } catch (error) {
+            console.error('Error de conexión:', error);
+        }
+    }
+
+    /**
+     * Obtiene la fecha de un instante en la zona horaria de la clínica
+     * @param {Date} instante - Instante a convertir
+     * @returns {string} Fecha en formato YYYY-MM-DD
+     */
+    formatearFechaClinica(instante) {
+        return new Intl.DateTimeFormat('en-CA', {
+            timeZone: this.zonaHoraria,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit'
+        }).format(instante);
+    }
+
+    /**
+     * Genera las opciones de horario en el select para un día
+     * @param {Object} [dia] - Día de la disponibilidad ({ horarios, noDisponibles })
+     */
+    generateTimeOptions(dia) {
+        const horarioSelect = document.getElementById('horario');
+
+        while (horarioSelect.children.length > 1) {
+            horarioSelect.removeChild(horarioSelect.lastChild);
+        }
+
+        if (!dia) return;
+
+        [...dia.horarios, ...dia.noDisponibles].sort().forEach(hora => {
+            const option = document.createElement('option');
+            option.value = hora;
+            option.textContent = this.formatearHora(hora);
+
+            if (!dia.horarios.includes(hora)) {
+                option.disabled = true;
+                option.textContent += ' (Ocupado)';
+            }
+
+            horarioSelect.appendChild(option);
+        });
+    }
+
+    /**
+     * Formatea una hora de 24h a 12h con AM/PM
+     * @param {string} hora - Hora en formato 24h (ej: "14:00")
+     * @returns {string} Hora formateada (ej: "2:00 PM")
+     */
+    formatearHora(hora) {
+        const [horas, minutos] = hora.split(':');
+        const horaNum = parseInt(horas);
+        const ampm = horaNum < 12 ? 'AM' : 'PM';
+        const horaFormateada = horaNum > 12 ? horaNum - 12 : (horaNum === 0 ? 12 : horaNum);
+        return `${horaFormateada}:${minutos} ${ampm}`;
+    }
+
+    /**
+     * Carga la cita asociada al token
+     */
+    async cargarCita() {
+        const loadingMessage = document.getElementById('loadingMessage');
+        loadingMessage.style.display = 'block';
+
+        try {
+            const response = await fetch(`${this.apiUrl}/appointments/manage/${encodeURIComponent(this.token)}`);
+            const resultado = await response.json();
+
+            if (response.ok) {
+                this.cita = resultado.cita;
+                this.mostrarCita();
+            } else {
+                this.mostrarMensaje(resultado.mensaje || 'No se pudo cargar tu cita.', 'error');
+            }
+        } catch (error) {
+            console.error('Error de conexión:', error);
+            this.mostrarMensaje('Error al conectar con el servidor. Verifica tu conexión.', 'error');
+        } finally {
+            loadingMessage.style.display = 'none';
+        }
+    }
+
+    /**
+     * Carga los horarios libres del mismo servicio y dentista para reprogramar
+     */
+    async cargarDisponibilidad() {
+        if (!this.cita) return;
+
+        const fechaInput = document.getElementById('fecha');
+        const params = new URLSearchParams({
+            from: fechaInput.min,
+            to: fechaInput.max,
+            servicio: this.cita.tipoServicio,
+            dentista: this.cita.dentista ? this.cita.dentista._id : 'cualquiera'
+        });
+
+        try {
+            const response = await fetch(`${this.apiUrl}/availability?${params}`);
+
+            if (response.ok) {
+                const dias = await response.json();
+                this.disponibilidad = Object.fromEntries(dias.map(dia => [dia.fecha, dia]));
+            } else {
+                console.error('Error al cargar disponibilidad:', response.status);
+            }
+        } catch (error) {
+            console.error('Error de conexión:', error);
+        }
+    }
+
+    /**
+     * Muestra los datos de la cita en la página
+     */
+    mostrarCita() {
+        const fecha = new Date(this.cita.fecha).toLocaleDateString('es-ES', {
+            year: 'numeric',
+            month: 'long',
+            day: 'numeric',
+            timeZone: 'UTC'
+        });
+
+        document.getElementById('detalleNombre').textContent = this.cita.nombreCompleto;
+        document.getElementById('detalleServicio').textContent =
+            this.servicios[this.cita.tipoServicio] || this.cita.tipoServicio;
+        document.getElementById('detalleDentista').textContent =
+            this.cita.dentista ? this.cita.dentista.nombre : 'Por asignar';
+        document.getElementById('detalleFecha').textContent = fecha;
+        document.getElementById('detalleHorario').textContent = this.formatearHora(this.cita.horario);
+        document.getElementById('detalleEstado').textContent =
+            this.estados[this.cita.estado] || this.cita.estado;
+
+        document.getElementById('detalleCita').style.display = 'block';
+
+        // Solo las citas que aún no comienzan se pueden modificar
+        document.getElementById('accionesCita').style.display =
+            ['pendiente-confirmacion', 'confirmada'].includes(this.cita.estado) ? 'block' : 'none';
+    }
+
+    /**
+     * Actualiza los horarios disponibles según la fecha seleccionada
+     */
+    actualizarHorariosDisponibles() {
+        const fechaSeleccionada = document.getElementById('fecha').value;
+        const dia = this.disponibilidad[fechaSeleccionada];
+
+        this.generateTimeOptions(dia && dia.abierto ? dia : null);
+
+        if (dia && !dia.abierto) {
+            this.mostrarMensaje(`No hay atención en esa fecha: ${dia.motivo}.`, 'error');
+        }
+    }
+
+    /**
+     * Envía la nueva fecha y hora de la cita
+     * @param {Event} e - Evento del formulario
+     */
+    async reprogramarCita(e) {
+        e.preventDefault();
+
+        const rescheduleBtn = document.getElementById('rescheduleBtn');
+        const formData = new FormData(e.target);
+        const fecha = formData.get('fecha');
+
+        rescheduleBtn.disabled = true;
+        const textoOriginal = rescheduleBtn.textContent;
+        rescheduleBtn.textContent = 'Guardando...';
+
+        try {
+            const response = await fetch(`${this.apiUrl}/appointments/manage/${encodeURIComponent(this.token)}/reschedule`, {
+                method: 'PATCH',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ fecha, horario: formData.get('horario') })
+            });
+
+            const resultado = await response.json();
+
+            if (response.ok) {
+                // El token anterior expira con la fecha original
+                this.token = resultado.token;
+                window.history.replaceState(null, '', `?token=${encodeURIComponent(this.token)}`);
+
+                Object.assign(this.cita, resultado.cita);
+                this.mostrarCita();
+                this.mostrarMensaje('¡Tu cita fue reprogramada con éxito!', 'success');
+                e.target.reset();
+                this.generateTimeOptions();
+                await this.cargarDisponibilidad();
+            } else {
+                this.mostrarMensaje(resultado.mensaje || 'No se pudo reprogramar la cita.', 'error');
+            }
+        } catch (error) {
+            console.error('Error de red:', error);
+            this.mostrarMensaje('Error de conexión. Verifica tu conexión a internet e intenta de nuevo.', 'error');
+        } finally {
+            rescheduleBtn.disabled = false;
+            rescheduleBtn.textContent = textoOriginal;
+        }
+    }
+
+    /**
+     * Cancela la cita después de pedir confirmación
+     */
+    async cancelarCita() {
+        if (!window.confirm('¿Seguro que deseas cancelar tu cita?')) return;
+
+        const cancelBtn = document.getElementById('cancelBtn');
+        cancelBtn.disabled = true;
+
+        try {
+            const response = await fetch(`${this.apiUrl}/appointments/manage/${encodeURIComponent(this.token)}/cancel`, {
+                method: 'PATCH'
+            });
+
+            const resultado = await response.json();
+
+            if (response.ok) {
+                this.cita.estado = resultado.cita.estado;
+                this.mostrarCita();
+                this.mostrarMensaje('Tu cita fue cancelada.', 'success');
+            } else {
+                this.mostrarMensaje(resultado.mensaje || 'No se pudo cancelar la cita.', 'error');
+            }
+        } catch (error) {
+            console.error('Error de red:', error);
+            this.mostrarMensaje('Error de conexión. Verifica tu conexión a internet e intenta de nuevo.', 'error');
+        } finally {
+            cancelBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Muestra un mensaje al usuario
+     * @param {string} mensaje - Mensaje a mostrar
+     * @param {string} tipo - Tipo de mensaje ('success' o 'error')
+     */
+    mostrarMensaje(mensaje, tipo) {
+        const container = document.getElementById('messageContainer');
+
+        const messageDiv = document.createElement('div');
+        messageDiv.className = `message ${tipo}`;
+        messageDiv.textContent = mensaje;
+
+        container.innerHTML = '';
+        container.appendChild(messageDiv);
+
+        messageDiv.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+}
+
+// Inicializar la página cuando el DOM esté listo
+document.addEventListener('DOMContentLoaded', () => {
+    window.gestionCita = new GestionCita();
+});
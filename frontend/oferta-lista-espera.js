@@ -0,0 +1,201 @@
+/**
+ * Sistema de Citas Dentales - Oferta de la lista de espera
+ * Permite al paciente aceptar el horario liberado que recibió por SMS
+ * usando el enlace firmado de la oferta
+ */
+
+class OfertaListaEspera {
+    constructor() {
+        // Configuración de la API
+        this.apiUrl = 'http://localhost:3000/api';
+
+        // Token firmado recibido en el enlace
+        this.token = new URLSearchParams(window.location.search).get('token');
+
+        // Datos del sistema
+        this.oferta = null;
+        this.zonaHoraria = 'America/El_Salvador'; // Se reemplaza con la configurada en el backend
+        this.servicios = {}; // Nombre de cada servicio por slug, del catálogo
+
+        // Inicializar la aplicación
+        this.init();
+    }
+
+    /**
+     * Inicializa la página
+     */
+    async init() {
+        if (!this.token) {
+            this.mostrarMensaje('El enlace no es válido. Verifica que lo copiaste completo.', 'error');
+            return;
+        }
+
+        document.getElementById('acceptBtn')
+            .addEventListener('click', () => this.aceptarOferta());
+
+        await this.cargarConfiguracion();
+        await this.cargarServicios();
+        await this.cargarOferta();
+    }
+
+    /**
+     * Carga la zona horaria de la clínica desde el backend
+     */
+    async cargarConfiguracion() {
+        try {
+            const response = await fetch(`${this.apiUrl}/settings/public`);
+
+            if (response.ok) {
+                const configuracion = await response.json();
+                this.zonaHoraria = configuracion.zonaHoraria;
+            }
+        } catch (error) {
+            console.error('Error de conexión:', error);
+        }
+    }
+
+    /**
+     * Carga los nombres de los servicios desde el catálogo (incluye los desactivados)
+     */
+    async cargarServicios() {
+        try {
+            const response = await fetch(`${this.apiUrl}/services?incluirInactivos=true`);
+
+            if (response.ok) {
+                const servicios = await response.json();
+                this.servicios = Object.fromEntries(servicios.map(servicio => [servicio.slug, servicio.nombre]));
+            }
+        } catch (error) {
+            console.error('Error de conexión:', error);
+        }
+    }
+
+    /**
+     * Formatea una hora de 24h a 12h con AM/PM
+     * @param {string} hora - Hora en formato 24h (ej: "14:00")
+     * @returns {string} Hora formateada (ej: "2:00 PM")
+     */
+    formatearHora(hora) {
+        const [horas, minutos] = hora.split(':');
+        const horaNum = parseInt(horas);
+        const ampm = horaNum < 12 ? 'AM' : 'PM';
+        const horaFormateada = horaNum > 12 ? horaNum - 12 : (horaNum === 0 ? 12 : horaNum);
+        return `${horaFormateada}:${minutos} ${ampm}`;
+    }
+
+    /**
+     * Carga la oferta asociada al token
+     */
+    async cargarOferta() {
+        const loadingMessage = document.getElementById('loadingMessage');
+        loadingMessage.style.display = 'block';
+
+        try {
+            const response = await fetch(`${this.apiUrl}/waitlist/offer/${encodeURIComponent(this.token)}`);
+            const resultado = await response.json();
+
+            if (!response.ok) {
+                this.mostrarMensaje(resultado.mensaje || 'No se pudo cargar el horario.', 'error');
+            } else if (resultado.entrada.estado === 'aceptada') {
+                this.mostrarMensaje('Ya aceptaste este horario. Revisa tu SMS de confirmación.', 'success');
+            } else if (!resultado.oferta) {
+                this.mostrarMensaje('Esta oferta ya no está disponible. Seguirás en la lista de espera.', 'error');
+            } else {
+                this.oferta = resultado;
+                this.mostrarOferta();
+            }
+        } catch (error) {
+            console.error('Error de conexión:', error);
+            this.mostrarMensaje('Error al conectar con el servidor. Verifica tu conexión.', 'error');
+        } finally {
+            loadingMessage.style.display = 'none';
+        }
+    }
+
+    /**
+     * Muestra los datos del horario ofrecido en la página
+     */
+    mostrarOferta() {
+        const { entrada, oferta } = this.oferta;
+
+        const fecha = new Date(oferta.fecha).toLocaleDateString('es-ES', {
+            year: 'numeric',
+            month: 'long',
+            day: 'numeric',
+            timeZone: 'UTC'
+        });
+        const expira = new Date(oferta.expiraEn).toLocaleTimeString('es-ES', {
+            hour: 'numeric',
+            minute: '2-digit',
+            timeZone: this.zonaHoraria
+        });
+
+        document.getElementById('detalleNombre').textContent = entrada.nombreCompleto;
+        document.getElementById('detalleServicio').textContent =
+            this.servicios[entrada.tipoServicio] || entrada.tipoServicio;
+        document.getElementById('detalleDentista').textContent =
+            oferta.dentista ? oferta.dentista.nombre : 'Por asignar';
+        document.getElementById('detalleFecha').textContent = fecha;
+        document.getElementById('detalleHorario').textContent = this.formatearHora(oferta.horario);
+        document.getElementById('detalleExpira').textContent = expira;
+
+        document.getElementById('detalleOferta').style.display = 'block';
+    }
+
+    /**
+     * Acepta el horario ofrecido y agenda la cita
+     */
+    async aceptarOferta() {
+        const acceptBtn = document.getElementById('acceptBtn');
+        acceptBtn.disabled = true;
+        const textoOriginal = acceptBtn.textContent;
+        acceptBtn.textContent = 'Agendando...';
+
+        try {
+            const response = await fetch(`${this.apiUrl}/waitlist/offer/${encodeURIComponent(this.token)}/accept`, {
+                method: 'POST'
+            });
+
+            const resultado = await response.json();
+
+            if (response.ok) {
+                acceptBtn.style.display = 'none';
+                this.mostrarMensaje('¡Cita agendada con éxito! Recibirás un SMS de confirmación en breve.', 'success');
+
+                // Desde aquí el paciente gestiona la cita como cualquier otra
+                window.location.href = `gestionar-cita.html?token=${encodeURIComponent(resultado.token)}`;
+            } else {
+                this.mostrarMensaje(resultado.mensaje || 'No se pudo agendar la cita.', 'error');
+            }
+        } catch (error) {
+            console.error('Error de red:', error);
+            this.mostrarMensaje('Error de conexión. Verifica tu conexión a internet e intenta de nuevo.', 'error');
+        } finally {
+            acceptBtn.disabled = false;
+            acceptBtn.textContent = textoOriginal;
+        }
+    }
+
+    /**
+     * Muestra un mensaje al usuario
+     * @param {string} mensaje - Mensaje a mostrar
+     * @param {string} tipo - Tipo de mensaje ('success' o 'error')
+     */
+    mostrarMensaje(mensaje, tipo) {
+        const container = document.getElementById('messageContainer');
+
+        const messageDiv = document.createElement('div');
+        messageDiv.className = `message ${tipo}`;
+        messageDiv.textContent = mensaje;
+
+        container.innerHTML = '';
+        container.appendChild(messageDiv);
+
+        messageDiv.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+}
+
+// Inicializar la página cuando el DOM esté listo
+document.addEventListener('DOMContentLoaded', () => {
+    window.ofertaListaEspera = new OfertaListaEspera();
+});
@@ -0,0 +1,903 @@
+/**
+ * Sistema de Citas Dentales - Panel del personal
+ * Agenda por día (una columna por dentista) o por semana (una columna por día),
+ * con filtros y acciones rápidas sobre las citas
+ */
+
+class PanelPersonal {
+    constructor() {
+        // Configuración de la API
+        this.apiUrl = 'http://localhost:3000/api';
+        this.intervaloActualizacionMs = 30 * 1000;
+
+        // Sesión del personal
+        this.token = localStorage.getItem('tokenPersonal');
+        this.usuario = null;
+
+        // Datos del sistema
+        this.zonaHoraria = 'America/El_Salvador'; // Se reemplaza con la configurada en el backend
+        this.configuracion = null;
+        this.dentistas = [];
+        this.citas = [];
+        this.idsConocidos = null; // Citas vistas en la última actualización
+        this.citaSeleccionada = null;
+        this.vista = 'dia';
+        this.fechaBase = null; // Día mostrado (YYYY-MM-DD); en la vista semanal, cualquier día de la semana
+        this.temporizador = null;
+        this.catalogoServicios = []; // Servicios del catálogo, incluidos los inactivos
+        this.servicios = {}; // Nombre de cada servicio por slug
+        this.estados = {
+            'pendiente-confirmacion': 'Pendiente de confirmación',
+            'confirmada': 'Confirmada',
+            'paciente-en-sala': 'En sala',
+            'en-atencion': 'En atención',
+            'completada': 'Completada',
+            'no-asistio': 'No asistió',
+            'cancelada-por-paciente': 'Cancelada por el paciente',
+            'cancelada-por-clinica': 'Cancelada por la clínica'
+        };
+        // Texto del botón que lleva la cita a cada estado
+        this.acciones = {
+            'confirmada': 'Confirmar',
+            'paciente-en-sala': 'Llegó',
+            'en-atencion': 'Pasar a atención',
+            'completada': 'Completada',
+            'no-asistio': 'No asistió',
+            'cancelada-por-paciente': 'Cancela el paciente',
+            'cancelada-por-clinica': 'Cancela la clínica'
+        };
+
+        // Inicializar la aplicación
+        this.init();
+    }
+
+    /**
+     * Inicializa el panel
+     */
+    async init() {
+        this.setupEventListeners();
+        await this.cargarServicios();
+        await this.cargarConfiguracionPublica();
+        this.fechaBase = this.formatearFechaClinica(new Date());
+
+        if (this.token && await this.cargarUsuario()) {
+            await this.mostrarPanel();
+        } else {
+            this.mostrarLogin();
+        }
+    }
+
+    /**
+     * Configura los event listeners
+     */
+    setupEventListeners() {
+        document.getElementById('loginForm')
+            .addEventListener('submit', (e) => this.iniciarSesion(e));
+        document.getElementById('cerrarSesionBtn')
+            .addEventListener('click', () => this.cerrarSesion());
+
+        // Navegación entre días o semanas
+        document.getElementById('anteriorBtn').addEventListener('click', () => this.moverRango(-1));
+        document.getElementById('siguienteBtn').addEventListener('click', () => this.moverRango(1));
+        document.getElementById('hoyBtn').addEventListener('click', () => {
+            this.fechaBase = this.formatearFechaClinica(new Date());
+            this.cargarCitas();
+        });
+
+        document.getElementById('vistaSelect').addEventListener('change', (e) => {
+            this.vista = e.target.value;
+            this.cargarCitas();
+        });
+
+        // Los filtros de estado y servicio se aplican sin volver a consultar
+        document.getElementById('filtroDentista').addEventListener('change', () => this.cargarCitas());
+        document.getElementById('filtroEstado').addEventListener('change', () => this.renderizarGrilla());
+        document.getElementById('filtroServicio').addEventListener('change', () => this.renderizarGrilla());
+
+        // Acciones rápidas
+        document.getElementById('reprogramarForm')
+            .addEventListener('submit', (e) => this.reprogramarCita(e));
+        document.getElementById('reprogramarFecha')
+            .addEventListener('change', () => this.cargarHorariosReprogramacion());
+
+        // Pacientes sin cita
+        document.getElementById('walkInBtn').addEventListener('click', () => this.abrirWalkIn());
+        document.getElementById('exportarCsvBtn').addEventListener('click', () => this.exportarCitas('csv'));
+        document.getElementById('exportarXlsxBtn').addEventListener('click', () => this.exportarCitas('xlsx'));
+        document.getElementById('walkInForm').addEventListener('submit', (e) => this.registrarWalkIn(e));
+        document.getElementById('walkInFecha')
+            .addEventListener('change', () => this.generarHorariosWalkIn());
+        document.getElementById('walkInTelefono').addEventListener('input', (e) => {
+            e.target.value = e.target.value.replace(/[^0-9]/g, '');
+        });
+
+        document.querySelectorAll('[data-cerrar]').forEach(boton => {
+            boton.addEventListener('click', () => boton.closest('dialog').close());
+        });
+
+        // Actualizar al volver a la pestaña
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden && this.usuario) this.cargarCitas();
+        });
+    }
+
+    /**
+     * Carga la zona horaria de la clínica desde el backend
+     */
+    async cargarConfiguracionPublica() {
+        try {
+            const response = await fetch(`${this.apiUrl}/settings/public`);
+
+            if (response.ok) {
+                const configuracion = await response.json();
+                this.zonaHoraria = configuracion.zonaHoraria;
+            }
+        } catch (error) {
+            console.error('Error de conexión:', error);
+        }
+    }
+
+    /**
+     * Hace una petición autenticada; si la sesión expiró vuelve al inicio de sesión
+     * @param {string} ruta - Ruta de la API (ej: "/appointments")
+     * @param {Object} [opciones] - Opciones de fetch
+     * @returns {Promise<Response>} Respuesta
+     */
+    async fetchAutenticado(ruta, opciones = {}) {
+        const response = await fetch(`${this.apiUrl}${ruta}`, {
+            ...opciones,
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${this.token}`,
+                ...opciones.headers
+            }
+        });
+
+        if (response.status === 401) {
+            this.cerrarSesion();
+            this.mostrarMensaje('Tu sesión expiró. Inicia sesión de nuevo.', 'error');
+        }
+
+        return response;
+    }
+
+    /**
+     * Valida el token guardado y obtiene el usuario
+     * @returns {Promise<boolean>} True si la sesión sigue vigente
+     */
+    async cargarUsuario() {
+        try {
+            const response = await fetch(`${this.apiUrl}/auth/me`, {
+                headers: { 'Authorization': `Bearer ${this.token}` }
+            });
+
+            if (!response.ok) return false;
+
+            this.usuario = await response.json();
+            return true;
+        } catch (error) {
+            console.error('Error de conexión:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Inicia sesión con email y contraseña
+     * @param {Event} e - Evento del formulario
+     */
+    async iniciarSesion(e) {
+        e.preventDefault();
+
+        const loginBtn = document.getElementById('loginBtn');
+        const formData = new FormData(e.target);
+        loginBtn.disabled = true;
+
+        try {
+            const response = await fetch(`${this.apiUrl}/auth/login`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    email: formData.get('email').trim().toLowerCase(),
+                    password: formData.get('password')
+                })
+            });
+
+            const resultado = await response.json();
+
+            if (response.ok) {
+                this.token = resultado.token;
+                this.usuario = resultado.usuario;
+                localStorage.setItem('tokenPersonal', this.token);
+                e.target.reset();
+                document.getElementById('messageContainer').innerHTML = '';
+                await this.mostrarPanel();
+            } else {
+                this.mostrarMensaje(resultado.mensaje || 'No se pudo iniciar sesión.', 'error');
+            }
+        } catch (error) {
+            console.error('Error de red:', error);
+            this.mostrarMensaje('Error de conexión. Verifica tu conexión a internet e intenta de nuevo.', 'error');
+        } finally {
+            loginBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Cierra la sesión y detiene la actualización automática
+     */
+    cerrarSesion() {
+        localStorage.removeItem('tokenPersonal');
+        this.token = null;
+        this.usuario = null;
+        this.idsConocidos = null;
+        clearInterval(this.temporizador);
+        this.mostrarLogin();
+    }
+
+    mostrarLogin() {
+        document.getElementById('seccionPanel').style.display = 'none';
+        document.getElementById('seccionLogin').style.display = 'block';
+        document.getElementById('usuarioActual').textContent = 'Agenda de citas de la clínica';
+    }
+
+    /**
+     * Muestra la agenda y activa la actualización automática
+     */
+    async mostrarPanel() {
+        document.getElementById('seccionLogin').style.display = 'none';
+        document.getElementById('seccionPanel').style.display = 'block';
+        document.getElementById('usuarioActual').textContent = `${this.usuario.nombre} (${this.usuario.rol})`;
+
+        // Solo recepción y administración registran pacientes sin cita y exportan la agenda
+        const esRecepcion = ['admin', 'recepcionista'].includes(this.usuario.rol);
+        ['walkInBtn', 'exportarCsvBtn', 'exportarXlsxBtn'].forEach(id => {
+            document.getElementById(id).style.display = esRecepcion ? '' : 'none';
+        });
+        document.getElementById('reportesBtn').style.display = this.usuario.rol === 'admin' ? '' : 'none';
+
+        await Promise.all([this.cargarDentistas(), this.cargarHorarioClinica()]);
+        await this.cargarCitas();
+
+        clearInterval(this.temporizador);
+        this.temporizador = setInterval(() => {
+            if (!document.hidden) this.cargarCitas();
+        }, this.intervaloActualizacionMs);
+    }
+
+    /**
+     * Carga los dentistas activos
+     */
+    async cargarDentistas() {
+        try {
+            const response = await fetch(`${this.apiUrl}/dentists`);
+
+            if (response.ok) {
+                this.dentistas = await response.json();
+                ['filtroDentista', 'walkInDentista'].forEach(id => {
+                    const select = document.getElementById(id);
+                    while (select.children.length > 1) {
+                        select.removeChild(select.lastChild);
+                    }
+                    this.dentistas.forEach(dentista => {
+                        const option = document.createElement('option');
+                        option.value = dentista._id;
+                        option.textContent = dentista.nombre;
+                        select.appendChild(option);
+                    });
+                });
+            } else {
+                console.error('Error al cargar dentistas:', response.status);
+            }
+        } catch (error) {
+            console.error('Error de conexión:', error);
+        }
+    }
+
+    /**
+     * Carga el horario semanal de la clínica (define las filas de la grilla)
+     */
+    async cargarHorarioClinica() {
+        try {
+            const response = await this.fetchAutenticado('/settings/schedule');
+
+            if (response.ok) {
+                this.configuracion = await response.json();
+            } else {
+                console.error('Error al cargar el horario de la clínica:', response.status);
+            }
+        } catch (error) {
+            console.error('Error de conexión:', error);
+        }
+    }
+
+    /**
+     * Carga el catálogo de servicios; los inactivos se incluyen para nombrar citas anteriores
+     */
+    async cargarServicios() {
+        try {
+            const response = await fetch(`${this.apiUrl}/services?incluirInactivos=true`);
+
+            if (response.ok) {
+                this.catalogoServicios = await response.json();
+                this.servicios = Object.fromEntries(
+                    this.catalogoServicios.map(servicio => [servicio.slug, servicio.nombre])
+                );
+                this.generarOpcionesServicio();
+            } else {
+                console.error('Error al cargar servicios:', response.status);
+            }
+        } catch (error) {
+            console.error('Error de conexión:', error);
+        }
+    }
+
+    generarOpcionesServicio() {
+        // El filtro ofrece todos los servicios; las citas sin reserva, solo los que se agendan
+        [
+            ['filtroServicio', this.catalogoServicios],
+            ['walkInServicio', this.catalogoServicios.filter(servicio => servicio.activo)]
+        ].forEach(([id, servicios]) => {
+            const select = document.getElementById(id);
+            servicios.forEach(servicio => {
+                const option = document.createElement('option');
+                option.value = servicio.slug;
+                option.textContent = servicio.nombre;
+                select.appendChild(option);
+            });
+        });
+    }
+
+    /**
+     * Obtiene la fecha de un instante en la zona horaria de la clínica
+     * @param {Date} instante - Instante a convertir
+     * @returns {string} Fecha en formato YYYY-MM-DD
+     */
+    formatearFechaClinica(instante) {
+        return new Intl.DateTimeFormat('en-CA', {
+            timeZone: this.zonaHoraria,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit'
+        }).format(instante);
+    }
+
+    /**
+     * Suma días a una fecha YYYY-MM-DD
+     * @param {string} fecha - Fecha base
+     * @param {number} dias - Días a sumar (pueden ser negativos)
+     * @returns {string} Nueva fecha YYYY-MM-DD
+     */
+    sumarDias(fecha, dias) {
+        const resultado = new Date(`${fecha}T00:00:00Z`);
+        resultado.setUTCDate(resultado.getUTCDate() + dias);
+        return resultado.toISOString().split('T')[0];
+    }
+
+    /**
+     * Días visibles según la vista (la semana empieza el lunes)
+     * @returns {string[]} Fechas YYYY-MM-DD
+     */
+    obtenerDiasVisibles() {
+        if (this.vista === 'dia') return [this.fechaBase];
+
+        const diaSemana = new Date(`${this.fechaBase}T00:00:00Z`).getUTCDay();
+        const lunes = this.sumarDias(this.fechaBase, -((diaSemana + 6) % 7));
+        return Array.from({ length: 7 }, (_, i) => this.sumarDias(lunes, i));
+    }
+
+    moverRango(direccion) {
+        this.fechaBase = this.sumarDias(this.fechaBase, direccion * (this.vista === 'dia' ? 1 : 7));
+        this.cargarCitas();
+    }
+
+    horaAMinutos(hora) {
+        const [horas, minutos] = hora.split(':').map(Number);
+        return horas * 60 + minutos;
+    }
+
+    minutosAHora(minutos) {
+        return `${String(Math.floor(minutos / 60)).padStart(2, '0')}:${String(minutos % 60).padStart(2, '0')}`;
+    }
+
+    /**
+     * Formatea una hora de 24h a 12h con AM/PM
+     * @param {string} hora - Hora en formato 24h (ej: "14:00")
+     * @returns {string} Hora formateada (ej: "2:00 PM")
+     */
+    formatearHora(hora) {
+        const [horas, minutos] = hora.split(':');
+        const horaNum = parseInt(horas);
+        const ampm = horaNum < 12 ? 'AM' : 'PM';
+        const horaFormateada = horaNum > 12 ? horaNum - 12 : (horaNum === 0 ? 12 : horaNum);
+        return `${horaFormateada}:${minutos} ${ampm}`;
+    }
+
+    formatearDia(fecha) {
+        return new Date(`${fecha}T00:00:00Z`).toLocaleDateString('es-ES', {
+            weekday: 'short',
+            day: 'numeric',
+            month: 'short',
+            timeZone: 'UTC'
+        });
+    }
+
+    /**
+     * Filas de la grilla: desde la apertura más temprana hasta el cierre más tardío
+     * @returns {string[]} Horas de inicio de cada fila (HH:MM)
+     */
+    obtenerFilasHorario() {
+        const jornadas = this.configuracion ? this.configuracion.horarioSemanal : [];
+        const paso = this.configuracion ? this.configuracion.duracionTurnoMinutos : 60;
+        const apertura = jornadas.length ? Math.min(...jornadas.map(j => this.horaAMinutos(j.apertura))) : 8 * 60;
+        const cierre = jornadas.length ? Math.max(...jornadas.map(j => this.horaAMinutos(j.cierre))) : 17 * 60;
+
+        const filas = [];
+        for (let minutos = apertura; minutos < cierre; minutos += paso) {
+            filas.push(this.minutosAHora(minutos));
+        }
+        return filas;
+    }
+
+    /**
+     * Filtros de la consulta de citas para el rango visible y el dentista elegido
+     * @returns {URLSearchParams} Parámetros de la consulta
+     */
+    obtenerFiltrosRango() {
+        const dias = this.obtenerDiasVisibles();
+        const params = new URLSearchParams({ desde: dias[0], hasta: dias[dias.length - 1] });
+        const dentista = document.getElementById('filtroDentista').value;
+        if (dentista) params.set('dentista', dentista);
+        return params;
+    }
+
+    /**
+     * Descarga las citas del rango visible con los filtros aplicados
+     * @param {string} formato - 'csv' o 'xlsx'
+     */
+    async exportarCitas(formato) {
+        const params = this.obtenerFiltrosRango();
+        const estado = document.getElementById('filtroEstado').value;
+        const servicio = document.getElementById('filtroServicio').value;
+        if (estado) params.set('estado', estado);
+        if (servicio) params.set('servicio', servicio);
+        params.set('formato', formato);
+
+        try {
+            const response = await this.fetchAutenticado(`/appointments/export?${params}`);
+
+            if (!response.ok) {
+                const resultado = await response.json();
+                this.mostrarMensaje(resultado.mensaje || 'No se pudieron exportar las citas.', 'error');
+                return;
+            }
+
+            // El nombre del archivo lo decide el backend
+            const disposicion = response.headers.get('Content-Disposition') || '';
+            const [, nombre] = disposicion.match(/filename="?([^";]+)"?/) || [];
+            const enlace = document.createElement('a');
+            enlace.href = URL.createObjectURL(await response.blob());
+            enlace.download = nombre || `citas.${formato}`;
+            enlace.click();
+            URL.revokeObjectURL(enlace.href);
+        } catch (error) {
+            console.error('Error de red:', error);
+            this.mostrarMensaje('Error de conexión. Verifica tu conexión a internet e intenta de nuevo.', 'error');
+        }
+    }
+
+    /**
+     * Carga las citas del rango visible y resalta las que llegaron desde la última vez
+     */
+    async cargarCitas() {
+        if (!this.usuario) return;
+
+        // Una semana de agenda cabe en una sola página del listado
+        const params = this.obtenerFiltrosRango();
+        params.set('limite', 500);
+
+        try {
+            const response = await this.fetchAutenticado(`/appointments?${params}`);
+
+            if (!response.ok) {
+                console.error('Error al cargar citas:', response.status);
+                return;
+            }
+
+            const { citas } = await response.json();
+            const nuevas = this.idsConocidos
+                ? citas.filter(cita => !this.idsConocidos.has(cita._id))
+                : [];
+
+            this.citas = citas;
+            this.idsConocidos = new Set(citas.map(cita => cita._id));
+            this.idsNuevos = new Set(nuevas.map(cita => cita._id));
+            this.renderizarGrilla();
+
+            if (nuevas.length > 0) {
+                this.mostrarMensaje(
+                    nuevas.length === 1 ? 'Llegó una nueva cita.' : `Llegaron ${nuevas.length} nuevas citas.`,
+                    'success'
+                );
+            }
+        } catch (error) {
+            console.error('Error de conexión:', error);
+        }
+    }
+
+    /**
+     * Dibuja la grilla con las citas filtradas
+     */
+    renderizarGrilla() {
+        const grilla = document.getElementById('grillaAgenda');
+        const dias = this.obtenerDiasVisibles();
+        const filas = this.obtenerFilasHorario();
+        const paso = this.configuracion ? this.configuracion.duracionTurnoMinutos : 60;
+        const filtroDentista = document.getElementById('filtroDentista').value;
+        const filtroEstado = document.getElementById('filtroEstado').value;
+        const filtroServicio = document.getElementById('filtroServicio').value;
+
+        // Columnas: dentistas en la vista diaria, días en la semanal
+        const columnas = this.vista === 'dia'
+            ? this.dentistas
+                .filter(dentista => !filtroDentista || dentista._id === filtroDentista)
+                .map(dentista => ({ titulo: dentista.nombre, coincide: (cita) => cita.dentista && cita.dentista._id === dentista._id }))
+            : dias.map(fecha => ({ titulo: this.formatearDia(fecha), coincide: (cita) => cita.fecha.slice(0, 10) === fecha }));
+
+        document.getElementById('tituloRango').textContent = this.vista === 'dia'
+            ? this.formatearDia(dias[0])
+            : `${this.formatearDia(dias[0])} – ${this.formatearDia(dias[6])}`;
+
+        grilla.innerHTML = '';
+        grilla.style.gridTemplateColumns = `80px repeat(${columnas.length}, minmax(140px, 1fr))`;
+
+        // Encabezados
+        grilla.appendChild(this.crearElemento('div', 'grilla-encabezado', ''));
+        columnas.forEach(columna => grilla.appendChild(this.crearElemento('div', 'grilla-encabezado', columna.titulo)));
+
+        // Filas de horas y celdas vacías
+        filas.forEach((hora, fila) => {
+            const etiqueta = this.crearElemento('div', 'grilla-hora', this.formatearHora(hora));
+            etiqueta.style.gridRow = fila + 2;
+            etiqueta.style.gridColumn = 1;
+            grilla.appendChild(etiqueta);
+
+            columnas.forEach((_, columna) => {
+                const celda = this.crearElemento('div', 'grilla-celda', '');
+                celda.style.gridRow = fila + 2;
+                celda.style.gridColumn = columna + 2;
+                grilla.appendChild(celda);
+            });
+        });
+
+        // Citas, ocupando tantas filas como dure el servicio
+        const inicioGrilla = filas.length ? this.horaAMinutos(filas[0]) : 0;
+        this.citas
+            .filter(cita => !filtroEstado || cita.estado === filtroEstado)
+            .filter(cita => !filtroServicio || cita.tipoServicio === filtroServicio)
+            .forEach(cita => {
+                const columna = columnas.findIndex(col => col.coincide(cita));
+                const fila = Math.floor((this.horaAMinutos(cita.horario) - inicioGrilla) / paso);
+                if (columna === -1 || fila < 0 || fila >= filas.length) return;
+
+                const tarjeta = this.crearTarjetaCita(cita);
+                tarjeta.style.gridColumn = columna + 2;
+                tarjeta.style.gridRow = `${fila + 2} / span ${Math.max(1, Math.ceil((cita.duracionMinutos || paso) / paso))}`;
+                grilla.appendChild(tarjeta);
+            });
+    }
+
+    crearElemento(etiqueta, clase, texto) {
+        const elemento = document.createElement(etiqueta);
+        elemento.className = clase;
+        elemento.textContent = texto;
+        return elemento;
+    }
+
+    /**
+     * Crea la tarjeta de una cita en la grilla
+     * @param {Object} cita - Cita a mostrar
+     * @returns {HTMLElement} Tarjeta
+     */
+    crearTarjetaCita(cita) {
+        const tarjeta = document.createElement('button');
+        tarjeta.type = 'button';
+        tarjeta.className = `tarjeta-cita estado-${cita.estado}`;
+        if (this.idsNuevos && this.idsNuevos.has(cita._id)) {
+            tarjeta.classList.add('nueva');
+        }
+
+        const detalle = [this.servicios[cita.tipoServicio] || cita.tipoServicio];
+        if (this.vista === 'semana' && cita.dentista) {
+            detalle.push(cita.dentista.nombre);
+        }
+
+        tarjeta.appendChild(this.crearElemento('strong', '', `${this.formatearHora(cita.horario)} · ${cita.nombreCompleto}`));
+        tarjeta.appendChild(this.crearElemento('span', '', detalle.join(' · ')));
+        tarjeta.setAttribute('aria-label',
+            `${cita.nombreCompleto}, ${this.formatearHora(cita.horario)}, ${this.estados[cita.estado] || cita.estado}`);
+        tarjeta.addEventListener('click', () => this.abrirCita(cita));
+
+        return tarjeta;
+    }
+
+    /**
+     * Muestra el detalle de una cita con sus acciones rápidas
+     * @param {Object} cita - Cita seleccionada
+     */
+    abrirCita(cita) {
+        this.citaSeleccionada = cita;
+
+        const detalle = document.getElementById('dialogoDetalle');
+        detalle.innerHTML = '';
+        [
+            ['Servicio', this.servicios[cita.tipoServicio] || cita.tipoServicio],
+            ['Dentista', cita.dentista ? cita.dentista.nombre : 'Sin asignar'],
+            ['Fecha', this.formatearDia(cita.fecha.slice(0, 10))],
+            ['Hora', `${this.formatearHora(cita.horario)} (${cita.duracionMinutos || 60} min)`],
+            ['Teléfono', cita.telefono],
+            ['Email', cita.email],
+            ['Estado', this.estados[cita.estado] || cita.estado]
+        ].forEach(([termino, valor]) => {
+            detalle.appendChild(this.crearElemento('dt', '', termino));
+            detalle.appendChild(this.crearElemento('dd', '', valor));
+        });
+
+        document.getElementById('dialogoTitulo').textContent = cita.nombreCompleto;
+
+        // Reprogramar es de recepción y solo para citas que aún no comienzan
+        const esRecepcion = ['admin', 'recepcionista'].includes(this.usuario.rol);
+        const programada = ['pendiente-confirmacion', 'confirmada'].includes(cita.estado);
+        document.getElementById('reprogramarForm').style.display = programada && esRecepcion ? '' : 'none';
+
+        // Las acciones y el historial se cargan del backend al abrir la cita
+        document.getElementById('accionesRapidas').innerHTML = '';
+        document.getElementById('dialogoHistorial').innerHTML = '';
+        this.cargarHistorial(cita);
+
+        const reprogramarFecha = document.getElementById('reprogramarFecha');
+        reprogramarFecha.min = this.formatearFechaClinica(new Date());
+        reprogramarFecha.value = '';
+        this.generarOpcionesHorario(document.getElementById('reprogramarHorario'), []);
+
+        document.getElementById('dialogoCita').showModal();
+    }
+
+    /**
+     * Reemplaza las opciones de un select de horarios
+     * @param {HTMLSelectElement} select - Select a llenar
+     * @param {string[]} horarios - Horarios (HH:MM)
+     */
+    generarOpcionesHorario(select, horarios) {
+        select.innerHTML = '';
+        const vacia = this.crearElemento('option', '', horarios.length ? 'Selecciona un horario' : 'Sin horarios disponibles');
+        vacia.value = '';
+        select.appendChild(vacia);
+
+        horarios.forEach(hora => {
+            const option = this.crearElemento('option', '', this.formatearHora(hora));
+            option.value = hora;
+            select.appendChild(option);
+        });
+    }
+
+    /**
+     * Carga los horarios libres del mismo servicio y dentista para reprogramar
+     */
+    async cargarHorariosReprogramacion() {
+        const cita = this.citaSeleccionada;
+        const fecha = document.getElementById('reprogramarFecha').value;
+        const select = document.getElementById('reprogramarHorario');
+        if (!cita || !fecha) return;
+
+        const params = new URLSearchParams({
+            from: fecha,
+            to: fecha,
+            servicio: cita.tipoServicio,
+            dentista: cita.dentista ? cita.dentista._id : 'cualquiera'
+        });
+
+        try {
+            const response = await fetch(`${this.apiUrl}/availability?${params}`);
+            const [dia] = response.ok ? await response.json() : [];
+            this.generarOpcionesHorario(select, dia && dia.abierto ? dia.horarios : []);
+        } catch (error) {
+            console.error('Error de conexión:', error);
+        }
+    }
+
+    /**
+     * Ejecuta una acción rápida sobre la cita seleccionada y actualiza la agenda
+     * @param {string} ruta - Ruta de la acción (relativa a la cita)
+     * @param {Object} [cuerpo] - Datos a enviar
+     * @param {string} mensajeExito - Mensaje a mostrar si la acción funciona
+     */
+    async ejecutarAccion(ruta, cuerpo, mensajeExito) {
+        try {
+            const response = await this.fetchAutenticado(`/appointments/${this.citaSeleccionada._id}/${ruta}`, {
+                method: 'PATCH',
+                body: cuerpo ? JSON.stringify(cuerpo) : undefined
+            });
+
+            const resultado = await response.json();
+
+            if (response.ok) {
+                document.getElementById('dialogoCita').close();
+                this.mostrarMensaje(mensajeExito, 'success');
+                await this.cargarCitas();
+            } else {
+                this.mostrarMensaje(resultado.mensaje || 'No se pudo completar la acción.', 'error');
+            }
+        } catch (error) {
+            console.error('Error de red:', error);
+            this.mostrarMensaje('Error de conexión. Verifica tu conexión a internet e intenta de nuevo.', 'error');
+        }
+    }
+
+    /**
+     * Carga el historial de la cita y muestra un botón por cada estado al que puede pasar
+     * @param {Object} cita - Cita seleccionada
+     */
+    async cargarHistorial(cita) {
+        try {
+            const response = await this.fetchAutenticado(`/appointments/${cita._id}/history`);
+
+            if (!response.ok || this.citaSeleccionada !== cita) return;
+
+            const { transicionesPermitidas, historial } = await response.json();
+
+            const acciones = document.getElementById('accionesRapidas');
+            transicionesPermitidas.forEach(estado => {
+                const cancela = estado.startsWith('cancelada-');
+                const boton = this.crearElemento('button', cancela ? 'btn-panel btn-panel-peligro' : 'btn-panel',
+                    this.acciones[estado] || this.estados[estado]);
+                boton.type = 'button';
+                boton.addEventListener('click', () => this.cambiarEstado(estado));
+                acciones.appendChild(boton);
+            });
+
+            const lista = document.getElementById('dialogoHistorial');
+            historial.forEach(registro => {
+                const fecha = new Date(registro.fecha).toLocaleString('es-ES', {
+                    timeZone: this.zonaHoraria,
+                    day: 'numeric',
+                    month: 'short',
+                    hour: 'numeric',
+                    minute: '2-digit'
+                });
+                const texto = `${fecha} · ${this.estados[registro.estadoNuevo] || registro.estadoNuevo} · ${registro.actor.nombre || registro.actor.tipo}`;
+                const item = this.crearElemento('li', '', registro.motivo ? `${texto} (${registro.motivo})` : texto);
+                lista.appendChild(item);
+            });
+        } catch (error) {
+            console.error('Error de conexión:', error);
+        }
+    }
+
+    /**
+     * Cambia el estado de la cita seleccionada; las cancelaciones piden confirmación y motivo
+     * @param {string} estado - Estado destino
+     */
+    cambiarEstado(estado) {
+        let motivo;
+
+        if (estado.startsWith('cancelada-')) {
+            motivo = window.prompt(`¿Cancelar la cita de ${this.citaSeleccionada.nombreCompleto}? Indica el motivo (opcional):`);
+            if (motivo === null) return;
+        }
+
+        this.ejecutarAccion('status', { estado, motivo }, `Cita marcada como "${this.estados[estado]}".`);
+    }
+
+    reprogramarCita(e) {
+        e.preventDefault();
+        const formData = new FormData(e.target);
+        this.ejecutarAccion('reschedule', {
+            fecha: formData.get('fecha'),
+            horario: formData.get('horario')
+        }, 'Cita reprogramada.');
+    }
+
+    /**
+     * Abre el formulario de pacientes sin cita con la fecha de hoy
+     */
+    abrirWalkIn() {
+        const fechaInput = document.getElementById('walkInFecha');
+        fechaInput.min = this.formatearFechaClinica(new Date());
+        fechaInput.value = fechaInput.min;
+        this.generarHorariosWalkIn();
+        document.getElementById('dialogoWalkIn').showModal();
+    }
+
+    /**
+     * Ofrece los turnos de la clínica del día elegido, incluido el turno en curso
+     */
+    generarHorariosWalkIn() {
+        const fecha = document.getElementById('walkInFecha').value;
+        const select = document.getElementById('walkInHorario');
+        const hoy = this.formatearFechaClinica(new Date());
+        const ahora = new Intl.DateTimeFormat('en-GB', {
+            timeZone: this.zonaHoraria,
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23'
+        }).format(new Date());
+        const paso = this.configuracion ? this.configuracion.duracionTurnoMinutos : 60;
+
+        // Hoy solo interesan los turnos que aún no terminan
+        const horarios = this.obtenerFilasHorario().filter(hora =>
+            fecha !== hoy || this.horaAMinutos(hora) + paso > this.horaAMinutos(ahora)
+        );
+        this.generarOpcionesHorario(select, horarios);
+    }
+
+    /**
+     * Registra a un paciente que llegó sin cita
+     * @param {Event} e - Evento del formulario
+     */
+    async registrarWalkIn(e) {
+        e.preventDefault();
+        const formData = new FormData(e.target);
+
+        try {
+            const response = await this.fetchAutenticado('/appointments/walk-in', {
+                method: 'POST',
+                body: JSON.stringify({
+                    nombreCompleto: formData.get('nombreCompleto').trim(),
+                    email: formData.get('email').trim().toLowerCase(),
+                    telefono: `+503${formData.get('telefono')}`,
+                    tipoServicio: formData.get('tipoServicio'),
+                    dentista: formData.get('dentista') || 'cualquiera',
+                    fecha: formData.get('fecha'),
+                    horario: formData.get('horario')
+                })
+            });
+
+            const resultado = await response.json();
+
+            if (response.ok) {
+                document.getElementById('dialogoWalkIn').close();
+                e.target.reset();
+                this.mostrarMensaje(`Cita registrada con ${resultado.cita.dentista.nombre}.`, 'success');
+                await this.cargarCitas();
+            } else {
+                const detalle = resultado.errores ? ` ${resultado.errores.map(error => error.msg).join('. ')}` : '';
+                this.mostrarMensaje((resultado.mensaje || 'No se pudo registrar la cita.') + detalle, 'error');
+            }
+        } catch (error) {
+            console.error('Error de red:', error);
+            this.mostrarMensaje('Error de conexión. Verifica tu conexión a internet e intenta de nuevo.', 'error');
+        }
+    }
+
+    /**
+     * Muestra un mensaje al usuario
+     * @param {string} mensaje - Mensaje a mostrar
+     * @param {string} tipo - Tipo de mensaje ('success' o 'error')
+     */
+    mostrarMensaje(mensaje, tipo) {
+        const container = document.getElementById('messageContainer');
+
+        const messageDiv = document.createElement('div');
+        messageDiv.className = `message ${tipo}`;
+        messageDiv.textContent = mensaje;
+
+        container.innerHTML = '';
+        container.appendChild(messageDiv);
+
+        // Los mensajes de éxito desaparecen solos para no tapar la agenda
+        if (tipo === 'success') {
+            setTimeout(() => {
+                if (container.contains(messageDiv)) {
+                    container.removeChild(messageDiv);
+                }
+            }, 5000);
+        }
+    }
+}
+
+// Inicializar el panel cuando el DOM esté listo
+document.addEventListener('DOMContentLoaded', () => {
+    window.panelPersonal = new PanelPersonal();
+});
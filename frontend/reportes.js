@@ -0,0 +1,369 @@
+/**
+ * Sistema de Citas Dentales - Reportes
+ * Muestra la ocupación, las cancelaciones, la anticipación de las reservas y los
+ * horarios más concurridos. Usa la sesión iniciada en el panel del personal.
+ */
+
+class ReportesClinica {
+    constructor() {
+        // Configuración de la API
+        this.apiUrl = 'http://localhost:3000/api';
+
+        // Sesión iniciada en panel.html
+        this.token = localStorage.getItem('tokenPersonal');
+
+        // Datos del sistema
+        this.zonaHoraria = 'America/El_Salvador'; // Se reemplaza con la configurada en el backend
+        this.servicios = {}; // Nombre de cada servicio por slug, del catálogo
+        this.diasSemana = ['Dom', 'Lun', 'Mar', 'Mié', 'Jue', 'Vie', 'Sáb'];
+
+        // Inicializar la aplicación
+        this.init();
+    }
+
+    /**
+     * Inicializa la página
+     */
+    async init() {
+        if (!this.token) {
+            this.mostrarMensaje('Inicia sesión en el panel del personal para ver los reportes.', 'error');
+            return;
+        }
+
+        this.setupEventListeners();
+        await this.cargarConfiguracion();
+        await this.cargarServicios();
+        this.setupRangoInicial();
+        await this.cargarDentistas();
+
+        document.getElementById('seccionReportes').style.display = 'block';
+        await this.cargarReportes();
+    }
+
+    /**
+     * Configura los event listeners
+     */
+    setupEventListeners() {
+        document.getElementById('filtrosForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.cargarReportes();
+        });
+        document.getElementById('agrupacion')
+            .addEventListener('change', () => this.cargarOcupacion());
+    }
+
+    /**
+     * Carga la zona horaria de la clínica desde el backend
+     */
+    async cargarConfiguracion() {
+        try {
+            const response = await fetch(`${this.apiUrl}/settings/public`);
+
+            if (response.ok) {
+                const configuracion = await response.json();
+                this.zonaHoraria = configuracion.zonaHoraria;
+            }
+        } catch (error) {
+            console.error('Error de conexión:', error);
+        }
+    }
+
+    /**
+     * Carga los nombres de los servicios desde el catálogo (incluye los desactivados)
+     */
+    async cargarServicios() {
+        try {
+            const response = await fetch(`${this.apiUrl}/services?incluirInactivos=true`);
+
+            if (response.ok) {
+                const servicios = await response.json();
+                this.servicios = Object.fromEntries(servicios.map(servicio => [servicio.slug, servicio.nombre]));
+            }
+        } catch (error) {
+            console.error('Error de conexión:', error);
+        }
+    }
+
+    /**
+     * Rango inicial: los últimos 30 días hasta hoy en la zona horaria de la clínica
+     */
+    setupRangoInicial() {
+        const hoy = new Intl.DateTimeFormat('en-CA', {
+            timeZone: this.zonaHoraria,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit'
+        }).format(new Date());
+
+        const desde = new Date(`${hoy}T00:00:00Z`);
+        desde.setUTCDate(desde.getUTCDate() - 29);
+
+        document.getElementById('hasta').value = hoy;
+        document.getElementById('desde').value = desde.toISOString().split('T')[0];
+    }
+
+    async cargarDentistas() {
+        try {
+            const response = await fetch(`${this.apiUrl}/dentists`);
+
+            if (response.ok) {
+                const dentistas = await response.json();
+                const select = document.getElementById('dentista');
+                dentistas.forEach(dentista => {
+                    const option = document.createElement('option');
+                    option.value = dentista._id;
+                    option.textContent = dentista.nombre;
+                    select.appendChild(option);
+                });
+            } else {
+                console.error('Error al cargar dentistas:', response.status);
+            }
+        } catch (error) {
+            console.error('Error de conexión:', error);
+        }
+    }
+
+    /**
+     * Parámetros comunes de todos los reportes según los filtros del formulario
+     * @returns {URLSearchParams} Parámetros de la consulta
+     */
+    obtenerFiltros() {
+        const params = new URLSearchParams({
+            desde: document.getElementById('desde').value,
+            hasta: document.getElementById('hasta').value
+        });
+        const dentista = document.getElementById('dentista').value;
+        if (dentista) params.set('dentista', dentista);
+        return params;
+    }
+
+    /**
+     * Consulta un reporte con la sesión del personal
+     * @param {string} ruta - Ruta del reporte (ej: "/reports/occupancy")
+     * @param {URLSearchParams} params - Filtros
+     * @returns {Promise<Object|null>} Datos del reporte o null si hubo un error
+     */
+    async obtenerReporte(ruta, params) {
+        try {
+            const response = await fetch(`${this.apiUrl}${ruta}?${params}`, {
+                headers: { 'Authorization': `Bearer ${this.token}` }
+            });
+            const resultado = await response.json();
+
+            if (response.ok) return resultado;
+
+            if (response.status === 401 || response.status === 403) {
+                this.mostrarMensaje('Los reportes son solo para administradores. Inicia sesión en el panel con una cuenta de administración.', 'error');
+            } else {
+                const detalle = resultado.errores ? ` ${resultado.errores.map(error => error.msg).join('. ')}` : '';
+                this.mostrarMensaje((resultado.mensaje || 'No se pudo cargar el reporte.') + detalle, 'error');
+            }
+        } catch (error) {
+            console.error('Error de conexión:', error);
+            this.mostrarMensaje('Error al conectar con el servidor. Verifica tu conexión.', 'error');
+        }
+
+        return null;
+    }
+
+    async cargarReportes() {
+        document.getElementById('messageContainer').innerHTML = '';
+        await Promise.all([
+            this.cargarOcupacion(),
+            this.cargarCancelaciones(),
+            this.cargarAnticipacion(),
+            this.cargarHorariosConcurridos()
+        ]);
+    }
+
+    async cargarOcupacion() {
+        const params = this.obtenerFiltros();
+        params.set('agrupacion', document.getElementById('agrupacion').value);
+
+        const reporte = await this.obtenerReporte('/reports/occupancy', params);
+        if (!reporte) return;
+
+        const { total } = reporte;
+        document.getElementById('resumenOcupacion').textContent = total.ocupacion === null
+            ? 'No hay horario de atención en el rango seleccionado.'
+            : `Ocupación total: ${this.formatearPorcentaje(total.ocupacion)} (${total.citas} citas, ` +
+              `${Math.round(total.minutosReservados / 60)} de ${Math.round(total.minutosDisponibles / 60)} horas).`;
+
+        this.dibujarBarras(document.getElementById('graficoOcupacion'), reporte.grupos.map(grupo => ({
+            etiqueta: reporte.agrupacion === 'dentista' ? grupo.nombre
+                : reporte.agrupacion === 'semana' ? `Semana del ${this.formatearDia(grupo.clave)}`
+                    : this.formatearDia(grupo.clave),
+            barras: [{ valor: grupo.ocupacion || 0 }],
+            texto: grupo.ocupacion === null ? 'Cerrado' : this.formatearPorcentaje(grupo.ocupacion)
+        })), 1);
+    }
+
+    async cargarCancelaciones() {
+        const reporte = await this.obtenerReporte('/reports/cancellations', this.obtenerFiltros());
+        if (!reporte) return;
+
+        this.dibujarBarras(document.getElementById('graficoCancelaciones'), reporte.servicios.map(servicio => ({
+            etiqueta: `${this.servicios[servicio.servicio] || servicio.servicio} (${servicio.total})`,
+            barras: [
+                { valor: servicio.tasaCancelacion, clase: 'barra-cancelacion' },
+                { valor: servicio.tasaNoAsistencia || 0, clase: 'barra-inasistencia' }
+            ],
+            texto: `${this.formatearPorcentaje(servicio.tasaCancelacion)} / ` +
+                (servicio.tasaNoAsistencia === null ? '—' : this.formatearPorcentaje(servicio.tasaNoAsistencia))
+        })), 1);
+    }
+
+    async cargarAnticipacion() {
+        const reporte = await this.obtenerReporte('/reports/lead-time', this.obtenerFiltros());
+        if (!reporte) return;
+
+        const { resumen } = reporte;
+        document.getElementById('resumenAnticipacion').textContent = resumen.citas === 0
+            ? 'No hay reservas en línea en el rango seleccionado.'
+            : `En promedio se reserva con ${resumen.promedioDias.toFixed(1)} días de anticipación (${resumen.citas} reservas).`;
+
+        // Tramos del backend: cada uno empieza en desdeDias y termina donde empieza el siguiente
+        const limites = [0, 1, 2, 4, 8, 15, 31, 61];
+        const filas = reporte.distribucion.map(tramo => {
+            const siguiente = limites[limites.indexOf(tramo.desdeDias) + 1];
+            const etiqueta = tramo.desdeDias === 0 ? 'El mismo día'
+                : siguiente === undefined ? `${tramo.desdeDias} días o más`
+                    : siguiente - tramo.desdeDias === 1 ? `${tramo.desdeDias} día${tramo.desdeDias > 1 ? 's' : ''}`
+                        : `${tramo.desdeDias} a ${siguiente - 1} días`;
+            return { etiqueta, barras: [{ valor: tramo.citas }], texto: String(tramo.citas) };
+        });
+
+        this.dibujarBarras(document.getElementById('graficoAnticipacion'), filas,
+            Math.max(1, ...reporte.distribucion.map(tramo => tramo.citas)));
+    }
+
+    async cargarHorariosConcurridos() {
+        const reporte = await this.obtenerReporte('/reports/busiest-slots', this.obtenerFiltros());
+        if (!reporte) return;
+
+        const tabla = document.getElementById('mapaHorarios');
+        tabla.innerHTML = '';
+
+        if (reporte.horarios.length === 0) {
+            const fila = tabla.insertRow();
+            fila.insertCell().textContent = 'No hay citas en el rango seleccionado.';
+            return;
+        }
+
+        // Solo se muestran los días y horarios que tuvieron citas
+        const dias = [...new Set(reporte.horarios.map(h => h.diaSemana))].sort((a, b) => ((a + 6) % 7) - ((b + 6) % 7));
+        const horarios = [...new Set(reporte.horarios.map(h => h.horario))].sort();
+        const maximo = Math.max(...reporte.horarios.map(h => h.citas));
+        const citasPorCelda = new Map(reporte.horarios.map(h => [`${h.diaSemana}|${h.horario}`, h.citas]));
+
+        const encabezado = tabla.createTHead().insertRow();
+        encabezado.appendChild(document.createElement('th'));
+        dias.forEach(dia => {
+            const th = document.createElement('th');
+            th.textContent = this.diasSemana[dia];
+            encabezado.appendChild(th);
+        });
+
+        const cuerpo = tabla.createTBody();
+        horarios.forEach(horario => {
+            const fila = cuerpo.insertRow();
+            const th = document.createElement('th');
+            th.textContent = this.formatearHora(horario);
+            fila.appendChild(th);
+
+            dias.forEach(dia => {
+                const citas = citasPorCelda.get(`${dia}|${horario}`) || 0;
+                const celda = fila.insertCell();
+                celda.textContent = citas || '';
+                celda.style.background = `rgba(52, 152, 219, ${(citas / maximo).toFixed(2)})`;
+                celda.title = `${this.diasSemana[dia]} ${this.formatearHora(horario)}: ${citas} citas`;
+            });
+        });
+    }
+
+    /**
+     * Dibuja un gráfico de barras horizontales
+     * @param {HTMLElement} contenedor - Elemento del gráfico
+     * @param {Object[]} filas - { etiqueta, barras: [{ valor, clase }], texto }
+     * @param {number} maximo - Valor que ocupa el ancho completo
+     */
+    dibujarBarras(contenedor, filas, maximo) {
+        contenedor.innerHTML = '';
+
+        if (filas.length === 0) {
+            const vacio = document.createElement('p');
+            vacio.className = 'grafico-vacio';
+            vacio.textContent = 'No hay datos en el rango seleccionado.';
+            contenedor.appendChild(vacio);
+            return;
+        }
+
+        filas.forEach(fila => {
+            const etiqueta = document.createElement('span');
+            etiqueta.className = 'grafico-etiqueta';
+            etiqueta.textContent = fila.etiqueta;
+
+            const pista = document.createElement('div');
+            pista.className = 'grafico-pista';
+            fila.barras.forEach(barra => {
+                const elemento = document.createElement('div');
+                elemento.className = `grafico-barra ${barra.clase || ''}`;
+                elemento.style.width = `${Math.min(100, (barra.valor / maximo) * 100)}%`;
+                pista.appendChild(elemento);
+            });
+
+            const valor = document.createElement('span');
+            valor.className = 'grafico-valor';
+            valor.textContent = fila.texto;
+
+            contenedor.append(etiqueta, pista, valor);
+        });
+    }
+
+    formatearPorcentaje(valor) {
+        return `${Math.round(valor * 100)}%`;
+    }
+
+    formatearDia(fecha) {
+        return new Date(`${fecha}T00:00:00Z`).toLocaleDateString('es-ES', {
+            weekday: 'short',
+            day: 'numeric',
+            month: 'short',
+            timeZone: 'UTC'
+        });
+    }
+
+    /**
+     * Formatea una hora de 24h a 12h con AM/PM
+     * @param {string} hora - Hora en formato 24h (ej: "14:00")
+     * @returns {string} Hora formateada (ej: "2:00 PM")
+     */
+    formatearHora(hora) {
+        const [horas, minutos] = hora.split(':');
+        const horaNum = parseInt(horas);
+        const ampm = horaNum < 12 ? 'AM' : 'PM';
+        const horaFormateada = horaNum > 12 ? horaNum - 12 : (horaNum === 0 ? 12 : horaNum);
+        return `${horaFormateada}:${minutos} ${ampm}`;
+    }
+
+    /**
+     * Muestra un mensaje al usuario
+     * @param {string} mensaje - Mensaje a mostrar
+     * @param {string} tipo - Tipo de mensaje ('success' o 'error')
+     */
+    mostrarMensaje(mensaje, tipo) {
+        const container = document.getElementById('messageContainer');
+
+        const messageDiv = document.createElement('div');
+        messageDiv.className = `message ${tipo}`;
+        messageDiv.textContent = mensaje;
+
+        container.innerHTML = '';
+        container.appendChild(messageDiv);
+    }
+}
+
+// Inicializar la página cuando el DOM esté listo
+document.addEventListener('DOMContentLoaded', () => {
+    window.reportesClinica = new ReportesClinica();
+});
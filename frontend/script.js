@@ -9,11 +9,19 @@ class SistemaCitas {
         this.apiUrl = 'http://localhost:3000/api';
         
         // Datos del sistema
-        this.citasOcupadas = [];
-        this.horarios = [
-            '08:00', '09:00', '10:00', '11:00', 
-            '13:00', '14:00', '15:00', '16:00'
-        ];
+        this.dentistas = [];
+        this.servicios = []; // Servicios activos del catálogo
+        this.disponibilidad = {}; // Días con sus horarios libres, por fecha YYYY-MM-DD
+        this.zonaHoraria = 'America/El_Salvador'; // Se reemplaza con la configurada en el backend
+        this.reserva = null; // Reserva temporal del horario elegido ({ token, expiraEn })
+        this.consultaReserva = 0; // Descarta respuestas de reservas de horarios ya deseleccionados
+        this.temporizadorReserva = null;
+        this.fechaMostrada = null; // Fecha cuyos horarios muestra el select
+        this.recargaPendiente = null; // Recarga agrupada tras eventos de disponibilidad
+        this.consultaDisponibilidad = 0; // Descarta respuestas de meses que ya no se muestran
+        this.mesVisible = null; // Mes que muestra el calendario (YYYY-MM)
+        this.telefonoEnVerificacion = null; // Número al que se envió el último código SMS
+        this.diaEnfocado = null; // Día del calendario que recibe el foco del teclado
 
         // Inicializar la aplicación
         this.init();
@@ -24,9 +32,12 @@ class SistemaCitas {
      */
     async init() {
         this.setupEventListeners();
+        await this.cargarConfiguracion();
         this.setupDateConstraints();
-        this.generateTimeOptions();
-        await this.cargarCitasOcupadas();
+        await this.cargarServicios();
+        await this.cargarDentistas();
+        await this.cargarDisponibilidad();
+        this.conectarEventosDisponibilidad();
     }
 
     /**
@@ -34,26 +45,97 @@ class SistemaCitas {
      */
     setupEventListeners() {
         const form = document.getElementById('appointmentForm');
-        const fechaInput = document.getElementById('fecha');
+        const calendarioDias = document.getElementById('calendarioDias');
         const telefonoInput = document.getElementById('telefono');
+        const servicioSelect = document.getElementById('tipoServicio');
+        const dentistaSelect = document.getElementById('dentista');
 
         // Envío del formulario
         form.addEventListener('submit', (e) => this.enviarFormulario(e));
+
+        // Lista de espera para días sin horario conveniente
+        document.getElementById('listaEsperaBtn')
+            .addEventListener('click', () => this.unirseListaEspera());
         
-        // Cambio de fecha para actualizar horarios
-        fechaInput.addEventListener('change', () => this.actualizarHorariosDisponibles());
+        // Calendario: cambio de mes, selección de día y navegación con teclado
+        document.getElementById('mesAnteriorBtn')
+            .addEventListener('click', () => this.cambiarMes(-1));
+        document.getElementById('mesSiguienteBtn')
+            .addEventListener('click', () => this.cambiarMes(1));
+
+        calendarioDias.addEventListener('click', (e) => {
+            const boton = e.target.closest('button[data-fecha]');
+            if (boton) {
+                this.seleccionarFecha(boton.dataset.fecha);
+            }
+        });
+        calendarioDias.addEventListener('keydown', (e) => this.navegarCalendario(e));
+
+        // Cambio de servicio: solo mostrar dentistas que lo ofrecen
+        servicioSelect.addEventListener('change', () => {
+            this.liberarReserva();
+            this.mostrarDetalleServicio();
+            this.generarOpcionesDentista();
+            this.cargarDisponibilidad();
+        });
+
+        // Cambio de dentista para actualizar horarios
+        dentistaSelect.addEventListener('change', () => {
+            this.liberarReserva();
+            this.cargarDisponibilidad();
+        });
+
+        // Al elegir un horario se retiene unos minutos mientras se llena el formulario
+        document.getElementById('horariosDisponibles').addEventListener('click', (e) => {
+            const boton = e.target.closest('button[data-horario]');
+            if (boton) {
+                this.seleccionarHorario(boton.dataset.horario);
+            }
+        });
+
+        // Liberar el horario si el paciente abandona la página
+        window.addEventListener('pagehide', () => this.liberarReserva());
         
         // Validación de teléfono (solo números)
         telefonoInput.addEventListener('input', (e) => {
             e.target.value = e.target.value.replace(/[^0-9]/g, '');
+
+            // Si cambia el número, el código enviado ya no sirve
+            if (this.telefonoEnVerificacion && this.telefonoEnVerificacion !== `+503${e.target.value}`) {
+                this.ocultarVerificacionTelefono();
+            }
         });
 
+        // Verificación del teléfono por código SMS
+        const codigoInput = document.getElementById('codigoVerificacion');
+        codigoInput.addEventListener('input', (e) => {
+            e.target.value = e.target.value.replace(/[^0-9]/g, '');
+        });
+        codigoInput.addEventListener('keydown', (e) => {
+            // Enter verifica el código en lugar de enviar el formulario
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.confirmarCodigoVerificacion();
+            }
+        });
+        document.getElementById('verificarCodigoBtn')
+            .addEventListener('click', () => this.confirmarCodigoVerificacion());
+        document.getElementById('reenviarCodigoBtn')
+            .addEventListener('click', () => {
+                this.solicitarCodigoVerificacion(this.telefonoEnVerificacion, { reenviar: true });
+            });
+
         // Validación de longitud de teléfono
         telefonoInput.addEventListener('blur', (e) => {
             if (e.target.value.length > 0 && e.target.value.length !== 8) {
                 this.mostrarMensaje('El número de teléfono debe tener exactamente 8 dígitos.', 'error');
             }
         });
+
+        // Pacientes que vuelven: con teléfono y email se precargan sus datos
+        telefonoInput.addEventListener('change', () => this.buscarPacienteRegistrado());
+        document.getElementById('email')
+            .addEventListener('change', () => this.buscarPacienteRegistrado());
     }
 
     /**
@@ -61,36 +143,368 @@ class SistemaCitas {
      */
     setupDateConstraints() {
         const fechaInput = document.getElementById('fecha');
-        const hoy = new Date();
         
-        // Fecha mínima: hoy
-        const minFecha = hoy.toISOString().split('T')[0];
+        // Fecha mínima: hoy en la zona horaria de la clínica
+        const minFecha = this.formatearFechaClinica(new Date());
         
         // Fecha máxima: 3 meses adelante
-        const maxFecha = new Date(hoy);
-        maxFecha.setMonth(maxFecha.getMonth() + 3);
+        const maxFecha = new Date(`${minFecha}T00:00:00Z`);
+        maxFecha.setUTCMonth(maxFecha.getUTCMonth() + 3);
         
         fechaInput.min = minFecha;
         fechaInput.max = maxFecha.toISOString().split('T')[0];
+
+        // El calendario abre en el mes actual mientras se carga la disponibilidad
+        this.mesVisible = minFecha.slice(0, 7);
+        this.diaEnfocado = minFecha;
+        this.generarCalendario();
     }
 
     /**
-     * Genera las opciones de horario en el select
+     * Carga la zona horaria de la clínica desde el backend
      */
-    generateTimeOptions() {
-        const horarioSelect = document.getElementById('horario');
-        
-        // Limpiar opciones existentes (excepto la primera)
-        while (horarioSelect.children.length > 1) {
-            horarioSelect.removeChild(horarioSelect.lastChild);
+    async cargarConfiguracion() {
+        try {
+            const response = await fetch(`${this.apiUrl}/settings/public`);
+
+            if (response.ok) {
+                const configuracion = await response.json();
+                this.zonaHoraria = configuracion.zonaHoraria;
+            } else {
+                console.error('Error al cargar la configuración:', response.status);
+            }
+        } catch (error) {
+            console.error('Error de conexión:', error);
         }
-        
-        // Agregar opciones de horario
-        this.horarios.forEach(hora => {
-            const option = document.createElement('option');
-            option.value = hora;
-            option.textContent = this.formatearHora(hora);
-            horarioSelect.appendChild(option);
+    }
+
+    /**
+     * Obtiene la fecha de un instante en la zona horaria de la clínica
+     * @param {Date} instante - Instante a convertir
+     * @returns {string} Fecha en formato YYYY-MM-DD
+     */
+    formatearFechaClinica(instante) {
+        return new Intl.DateTimeFormat('en-CA', {
+            timeZone: this.zonaHoraria,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit'
+        }).format(instante);
+    }
+
+    /**
+     * Suma días a una fecha
+     * @param {string} fecha - Fecha en formato YYYY-MM-DD
+     * @param {number} dias - Días a sumar (negativo para restar)
+     * @returns {string} Fecha resultante en formato YYYY-MM-DD
+     */
+    sumarDias(fecha, dias) {
+        const resultado = new Date(`${fecha}T00:00:00Z`);
+        resultado.setUTCDate(resultado.getUTCDate() + dias);
+        return resultado.toISOString().split('T')[0];
+    }
+
+    /**
+     * Suma meses a una fecha; si el día no existe en el mes destino se usa el último
+     * @param {string} fecha - Fecha en formato YYYY-MM-DD
+     * @param {number} meses - Meses a sumar (negativo para restar)
+     * @returns {string} Fecha resultante en formato YYYY-MM-DD
+     */
+    sumarMeses(fecha, meses) {
+        const [anio, mes, dia] = fecha.split('-').map(Number);
+        const ultimoDia = new Date(Date.UTC(anio, mes + meses, 0)).getUTCDate();
+        return new Date(Date.UTC(anio, mes - 1 + meses, Math.min(dia, ultimoDia))).toISOString().split('T')[0];
+    }
+
+    /**
+     * Devuelve el último día de un mes
+     * @param {string} mes - Mes en formato YYYY-MM
+     * @returns {string} Fecha en formato YYYY-MM-DD
+     */
+    ultimoDiaMes(mes) {
+        const [anio, numeroMes] = mes.split('-').map(Number);
+        return new Date(Date.UTC(anio, numeroMes, 0)).toISOString().split('T')[0];
+    }
+
+    /**
+     * Ajusta una fecha al rango que se puede reservar
+     * @param {string} fecha - Fecha en formato YYYY-MM-DD
+     * @returns {string} Fecha dentro del rango
+     */
+    limitarFecha(fecha) {
+        const fechaInput = document.getElementById('fecha');
+        if (fecha < fechaInput.min) return fechaInput.min;
+        if (fecha > fechaInput.max) return fechaInput.max;
+        return fecha;
+    }
+
+    /**
+     * Formatea una fecha con Intl en español
+     * @param {string} fecha - Fecha en formato YYYY-MM-DD
+     * @param {Object} opciones - Opciones de Intl.DateTimeFormat
+     * @returns {string} Fecha formateada
+     */
+    formatearFechaTexto(fecha, opciones) {
+        return new Intl.DateTimeFormat('es', { ...opciones, timeZone: 'UTC' })
+            .format(new Date(`${fecha}T00:00:00Z`));
+    }
+
+    /**
+     * Rango de fechas a consultar: el mes del calendario y, si quedó en otro mes, el día elegido
+     * @returns {{ desde: string, hasta: string }} Fechas en formato YYYY-MM-DD
+     */
+    obtenerRangoDisponibilidad() {
+        const fechaSeleccionada = document.getElementById('fecha').value;
+        const fechas = [`${this.mesVisible}-01`, this.ultimoDiaMes(this.mesVisible)];
+
+        if (fechaSeleccionada) {
+            fechas.push(fechaSeleccionada);
+        }
+        fechas.sort();
+
+        return {
+            desde: this.limitarFecha(fechas[0]),
+            hasta: this.limitarFecha(fechas[fechas.length - 1])
+        };
+    }
+
+    /**
+     * Clasifica un día del calendario según su disponibilidad
+     * @param {string} fecha - Fecha en formato YYYY-MM-DD
+     * @returns {{ clase: string, descripcion: string }} Clase CSS y texto para lectores de pantalla
+     */
+    describirDia(fecha) {
+        const fechaInput = document.getElementById('fecha');
+        const dia = this.disponibilidad[fecha];
+
+        if (fecha < fechaInput.min || fecha > fechaInput.max) {
+            return { clase: 'dia-fuera', descripcion: 'no disponible para reservar' };
+        }
+        if (!dia) {
+            return { clase: '', descripcion: 'cargando horarios' };
+        }
+        if (!dia.abierto) {
+            return { clase: 'dia-cerrado', descripcion: `cerrado, ${dia.motivo}` };
+        }
+        if (dia.horarios.length === 0) {
+            return { clase: 'dia-lleno', descripcion: 'sin horarios libres' };
+        }
+
+        const libres = dia.horarios.length === 1 ? '1 horario libre' : `${dia.horarios.length} horarios libres`;
+        return {
+            clase: dia.noDisponibles.length > 0 ? 'dia-parcial' : 'dia-libre',
+            descripcion: libres
+        };
+    }
+
+    /**
+     * Dibuja el calendario del mes visible con la disponibilidad de cada día
+     */
+    generarCalendario() {
+        const fechaInput = document.getElementById('fecha');
+        const cuerpo = document.getElementById('calendarioDias');
+        const encabezado = document.getElementById('calendarioDiasSemana');
+        const teniaFoco = cuerpo.contains(document.activeElement);
+        const primerDia = `${this.mesVisible}-01`;
+        const ultimoDia = this.ultimoDiaMes(this.mesVisible);
+
+        const titulo = this.formatearFechaTexto(primerDia, { month: 'long', year: 'numeric' });
+        document.getElementById('calendarioTitulo').textContent = titulo.charAt(0).toUpperCase() + titulo.slice(1);
+        document.getElementById('mesAnteriorBtn').disabled = primerDia <= fechaInput.min;
+        document.getElementById('mesSiguienteBtn').disabled = ultimoDia >= fechaInput.max;
+
+        // Días de la semana, de lunes a domingo (el 1 de enero de 2024 fue lunes)
+        if (encabezado.children.length === 0) {
+            for (let i = 0; i < 7; i++) {
+                const fecha = this.sumarDias('2024-01-01', i);
+                const th = document.createElement('th');
+                th.scope = 'col';
+                th.abbr = this.formatearFechaTexto(fecha, { weekday: 'long' });
+                th.textContent = this.formatearFechaTexto(fecha, { weekday: 'short' });
+                encabezado.appendChild(th);
+            }
+        }
+
+        cuerpo.innerHTML = '';
+
+        // La cuadrícula empieza el lunes de la semana del primer día del mes
+        const diaSemana = (new Date(`${primerDia}T00:00:00Z`).getUTCDay() + 6) % 7;
+        let fecha = this.sumarDias(primerDia, -diaSemana);
+
+        while (fecha <= ultimoDia) {
+            const fila = document.createElement('tr');
+
+            for (let i = 0; i < 7; i++, fecha = this.sumarDias(fecha, 1)) {
+                const celda = document.createElement('td');
+                fila.appendChild(celda);
+
+                if (!fecha.startsWith(this.mesVisible)) {
+                    continue;
+                }
+
+                const { clase, descripcion } = this.describirDia(fecha);
+                const seleccionado = fecha === fechaInput.value;
+                const boton = document.createElement('button');
+                boton.type = 'button';
+                boton.className = `calendario-dia ${clase}`;
+                boton.dataset.fecha = fecha;
+                boton.textContent = Number(fecha.slice(8));
+                boton.disabled = clase === 'dia-fuera';
+                boton.tabIndex = fecha === this.diaEnfocado ? 0 : -1;
+                boton.setAttribute('aria-label',
+                    `${this.formatearFechaTexto(fecha, { weekday: 'long', day: 'numeric', month: 'long' })}, ${descripcion}`);
+
+                if (seleccionado) {
+                    boton.classList.add('dia-seleccionado');
+                    celda.setAttribute('aria-selected', 'true');
+                }
+
+                celda.appendChild(boton);
+            }
+
+            cuerpo.appendChild(fila);
+        }
+
+        // Al redibujar no se pierde el foco de quien navega con teclado
+        if (teniaFoco) {
+            const botonEnfocado = cuerpo.querySelector('button[tabindex="0"]');
+            if (botonEnfocado) {
+                botonEnfocado.focus();
+            }
+        }
+    }
+
+    /**
+     * Muestra otro mes en el calendario
+     * @param {number} meses - Meses a avanzar (negativo para retroceder)
+     */
+    cambiarMes(meses) {
+        this.mesVisible = this.sumarMeses(`${this.mesVisible}-01`, meses).slice(0, 7);
+        this.diaEnfocado = this.limitarFecha(this.sumarMeses(this.diaEnfocado, meses));
+        this.generarCalendario();
+        this.cargarDisponibilidad();
+    }
+
+    /**
+     * Navegación con teclado entre los días, siguiendo el patrón de cuadrícula de WAI-ARIA:
+     * flechas mueven un día o una semana, Inicio/Fin van al extremo de la semana
+     * y RePág/AvPág cambian de mes
+     * @param {KeyboardEvent} e - Evento de teclado
+     */
+    navegarCalendario(e) {
+        const boton = e.target.closest('button[data-fecha]');
+        if (!boton) return;
+
+        const fecha = boton.dataset.fecha;
+        const diaSemana = (new Date(`${fecha}T00:00:00Z`).getUTCDay() + 6) % 7;
+        const desplazamientos = {
+            ArrowLeft: -1,
+            ArrowRight: 1,
+            ArrowUp: -7,
+            ArrowDown: 7,
+            Home: -diaSemana,
+            End: 6 - diaSemana
+        };
+
+        let destino;
+        if (e.key in desplazamientos) {
+            destino = this.sumarDias(fecha, desplazamientos[e.key]);
+        } else if (e.key === 'PageUp' || e.key === 'PageDown') {
+            destino = this.sumarMeses(fecha, e.key === 'PageUp' ? -1 : 1);
+        } else {
+            return;
+        }
+
+        e.preventDefault();
+        this.enfocarDia(this.limitarFecha(destino));
+    }
+
+    /**
+     * Mueve el foco del teclado a un día, cambiando de mes si hace falta
+     * @param {string} fecha - Fecha en formato YYYY-MM-DD
+     */
+    enfocarDia(fecha) {
+        this.diaEnfocado = fecha;
+
+        if (!fecha.startsWith(this.mesVisible)) {
+            this.mesVisible = fecha.slice(0, 7);
+            this.generarCalendario();
+            this.cargarDisponibilidad();
+        }
+
+        document.querySelectorAll('#calendarioDias button[data-fecha]').forEach(boton => {
+            boton.tabIndex = boton.dataset.fecha === fecha ? 0 : -1;
+        });
+        document.querySelector(`#calendarioDias button[data-fecha="${fecha}"]`).focus();
+    }
+
+    /**
+     * Selecciona un día del calendario y muestra sus horarios libres
+     * @param {string} fecha - Fecha en formato YYYY-MM-DD
+     */
+    seleccionarFecha(fecha) {
+        const fechaInput = document.getElementById('fecha');
+        this.diaEnfocado = fecha;
+
+        if (fecha === fechaInput.value) return;
+
+        fechaInput.value = fecha;
+        this.liberarReserva();
+        this.actualizarHorariosDisponibles();
+    }
+
+    /**
+     * Selecciona un horario y lo retiene mientras se completa el formulario
+     * @param {string} horario - Hora en formato HH:MM
+     */
+    seleccionarHorario(horario) {
+        document.getElementById('horario').value = horario;
+        document.querySelectorAll('#horariosDisponibles button[data-horario]').forEach(boton => {
+            boton.setAttribute('aria-pressed', String(boton.dataset.horario === horario));
+        });
+        this.reservarHorario();
+    }
+
+    /**
+     * Muestra como botones los horarios libres de un día
+     * @param {Object} [dia] - Día de la disponibilidad ({ abierto, horarios, noDisponibles })
+     */
+    generateTimeOptions(dia) {
+        const contenedor = document.getElementById('horariosDisponibles');
+        const seleccion = document.getElementById('horario').value;
+        const enfocado = contenedor.contains(document.activeElement)
+            ? document.activeElement.dataset.horario
+            : null;
+
+        contenedor.innerHTML = '';
+
+        if (!dia || !dia.abierto || dia.horarios.length === 0) {
+            const aviso = document.createElement('p');
+            aviso.className = 'horarios-vacio';
+            if (!dia) {
+                aviso.textContent = 'Selecciona una fecha para ver sus horarios libres.';
+            } else if (!dia.abierto) {
+                aviso.textContent = 'No hay atención este día.';
+            } else {
+                aviso.textContent = 'No quedan horarios libres este día.';
+            }
+            contenedor.appendChild(aviso);
+            return;
+        }
+
+        dia.horarios.forEach(hora => {
+            const boton = document.createElement('button');
+            boton.type = 'button';
+            boton.className = 'horario-opcion';
+            boton.dataset.horario = hora;
+            boton.textContent = this.formatearHora(hora);
+            boton.setAttribute('aria-pressed', String(hora === seleccion));
+            contenedor.appendChild(boton);
+
+            // Al redibujar no se pierde el foco de quien navega con teclado
+            if (hora === enfocado) {
+                boton.focus();
+            }
         });
     }
 
@@ -108,67 +522,518 @@ class SistemaCitas {
     }
 
     /**
-     * Carga las citas ocupadas desde el backend
+     * Carga desde el backend el catálogo de servicios que se pueden agendar
+     */
+    async cargarServicios() {
+        try {
+            const response = await fetch(`${this.apiUrl}/services`);
+
+            if (response.ok) {
+                this.servicios = await response.json();
+                this.generarOpcionesServicio();
+            } else {
+                console.error('Error al cargar servicios:', response.status);
+                this.mostrarMensaje('Error al cargar los servicios. Recarga la página e intenta de nuevo.', 'error');
+            }
+        } catch (error) {
+            console.error('Error de conexión:', error);
+        }
+    }
+
+    /**
+     * Genera las opciones del select de servicios a partir del catálogo
      */
-    async cargarCitasOcupadas() {
+    generarOpcionesServicio() {
+        const servicioSelect = document.getElementById('tipoServicio');
+
+        this.servicios.forEach(servicio => {
+            const option = document.createElement('option');
+            option.value = servicio.slug;
+            option.textContent = servicio.nombre;
+            servicioSelect.appendChild(option);
+        });
+    }
+
+    /**
+     * Muestra la descripción, el precio y la duración del servicio seleccionado
+     */
+    mostrarDetalleServicio() {
+        const detalle = document.getElementById('detalleServicio');
+        const servicio = this.servicios.find(s => s.slug === document.getElementById('tipoServicio').value);
+
+        if (!servicio) {
+            detalle.textContent = '';
+            return;
+        }
+
+        const partes = [servicio.descripcion, this.formatearPrecio(servicio)];
+        if (servicio.duracionMinutos) {
+            partes.push(`Duración aproximada: ${servicio.duracionMinutos} min`);
+        }
+        detalle.textContent = partes.filter(Boolean).join(' · ');
+    }
+
+    /**
+     * Formatea el rango de precios de un servicio
+     * @param {Object} servicio - Servicio del catálogo ({ precioMinimo, precioMaximo })
+     * @returns {string} Precio formateado (ej: "$40 - $80")
+     */
+    formatearPrecio({ precioMinimo, precioMaximo }) {
+        const dolares = (valor) => `$${Number(valor).toLocaleString('es-SV')}`;
+
+        if (precioMinimo == null && precioMaximo == null) return 'Precio a consultar';
+        if (precioMaximo == null) return `Desde ${dolares(precioMinimo)}`;
+        if (precioMinimo == null) return `Hasta ${dolares(precioMaximo)}`;
+        if (precioMinimo === precioMaximo) return dolares(precioMinimo);
+        return `${dolares(precioMinimo)} - ${dolares(precioMaximo)}`;
+    }
+
+    /**
+     * Carga los dentistas activos desde el backend
+     */
+    async cargarDentistas() {
+        try {
+            const response = await fetch(`${this.apiUrl}/dentists`);
+
+            if (response.ok) {
+                this.dentistas = await response.json();
+                this.generarOpcionesDentista();
+            } else {
+                console.error('Error al cargar dentistas:', response.status);
+            }
+        } catch (error) {
+            console.error('Error de conexión:', error);
+        }
+    }
+
+    /**
+     * Precarga el nombre, servicio y dentista de un paciente que ya nos visitó.
+     * Solo responde si el teléfono ya se verificó por SMS en este navegador y el
+     * email pertenece al mismo paciente.
+     */
+    async buscarPacienteRegistrado() {
+        const email = document.getElementById('email').value.trim().toLowerCase();
+        const telefono = document.getElementById('telefono').value;
+
+        if (!/^[0-9]{8}$/.test(telefono) || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return;
+
+        const verificacionTelefono = this.obtenerTokenTelefono(`+503${telefono}`);
+        if (!verificacionTelefono) return;
+
+        try {
+            const response = await fetch(`${this.apiUrl}/patients/lookup`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ email, telefono: `+503${telefono}`, verificacionTelefono })
+            });
+
+            // La verificación guardada ya no es válida: se pedirá el código al agendar
+            if (response.status === 403) {
+                this.guardarTelefonoVerificado(`+503${telefono}`, null);
+                return;
+            }
+
+            // Paciente nuevo: no hay nada que precargar
+            if (!response.ok) return;
+
+            const paciente = await response.json();
+            const nombreInput = document.getElementById('nombreCompleto');
+            const servicioSelect = document.getElementById('tipoServicio');
+            const dentistaSelect = document.getElementById('dentista');
+
+            if (!nombreInput.value.trim()) {
+                nombreInput.value = paciente.nombreCompleto;
+            }
+
+            if (!servicioSelect.value && paciente.ultimoServicio) {
+                servicioSelect.value = paciente.ultimoServicio;
+                this.mostrarDetalleServicio();
+                this.generarOpcionesDentista();
+            }
+
+            const dentistaDisponible = Array.from(dentistaSelect.options)
+                .some(opt => opt.value === paciente.ultimoDentista);
+            if (dentistaSelect.value === 'cualquiera' && dentistaDisponible) {
+                dentistaSelect.value = paciente.ultimoDentista;
+            }
+
+            this.mostrarMensaje(`¡Qué gusto verte de nuevo, ${paciente.nombreCompleto}! Completamos tus datos.`, 'success');
+            await this.cargarDisponibilidad();
+        } catch (error) {
+            console.error('Error de conexión:', error);
+        }
+    }
+
+    /**
+     * Genera las opciones del select de dentista según el servicio seleccionado
+     */
+    generarOpcionesDentista() {
+        const dentistaSelect = document.getElementById('dentista');
+        const servicio = document.getElementById('tipoServicio').value;
+        const seleccionActual = dentistaSelect.value;
+
+        // Limpiar opciones existentes (excepto "cualquiera")
+        while (dentistaSelect.children.length > 1) {
+            dentistaSelect.removeChild(dentistaSelect.lastChild);
+        }
+
+        this.dentistas
+            .filter(dentista => !servicio || dentista.servicios.includes(servicio))
+            .forEach(dentista => {
+                const option = document.createElement('option');
+                option.value = dentista._id;
+                option.textContent = dentista.nombre;
+                dentistaSelect.appendChild(option);
+            });
+
+        // Conservar la selección si el dentista sigue disponible
+        const sigueDisponible = Array.from(dentistaSelect.options).some(opt => opt.value === seleccionActual);
+        dentistaSelect.value = sigueDisponible ? seleccionActual : 'cualquiera';
+    }
+
+    /**
+     * Carga desde el backend los horarios libres del rango de fechas permitido
+     * para el servicio y dentista seleccionados
+     * @param {Object} [opciones]
+     * @param {boolean} [opciones.enSegundoPlano] - Recarga por eventos en vivo, sin indicador de carga
+     */
+    async cargarDisponibilidad({ enSegundoPlano = false } = {}) {
         const loadingMessage = document.getElementById('loadingMessage');
-        loadingMessage.style.display = 'block';
+        if (!enSegundoPlano) {
+            loadingMessage.style.display = 'block';
+        }
+
+        // Solo se consultan los días que muestra el calendario
+        const { desde, hasta } = this.obtenerRangoDisponibilidad();
+        const consulta = ++this.consultaDisponibilidad;
+        const params = new URLSearchParams({
+            from: desde,
+            to: hasta,
+            servicio: document.getElementById('tipoServicio').value,
+            dentista: document.getElementById('dentista').value
+        });
+
+        // El horario retenido por este paciente debe seguir apareciendo como libre
+        if (this.reserva) {
+            params.set('reserva', this.reserva.token);
+        }
 
         try {
-            const response = await fetch(`${this.apiUrl}/appointments/occupied`);
+            const response = await fetch(`${this.apiUrl}/availability?${params}`);
             
             if (response.ok) {
-                this.citasOcupadas = await response.json();
-                console.log('Citas ocupadas cargadas:', this.citasOcupadas.length);
+                const dias = await response.json();
+
+                // Si mientras tanto se cambió de mes, esta respuesta ya no sirve
+                if (consulta !== this.consultaDisponibilidad) return;
+
+                this.disponibilidad = Object.fromEntries(dias.map(dia => [dia.fecha, dia]));
+                console.log('Disponibilidad cargada:', dias.length, 'días');
             } else {
-                console.error('Error al cargar citas ocupadas:', response.status);
-                this.mostrarMensaje('Error al cargar los horarios. Algunos horarios pueden no estar actualizados.', 'error');
+                console.error('Error al cargar disponibilidad:', response.status);
+                if (!enSegundoPlano) {
+                    this.mostrarMensaje('Error al cargar los horarios. Algunos horarios pueden no estar actualizados.', 'error');
+                }
             }
         } catch (error) {
             console.error('Error de conexión:', error);
-            this.mostrarMensaje('Error al conectar con el servidor. Verifica tu conexión.', 'error');
+            if (!enSegundoPlano) {
+                this.mostrarMensaje('Error al conectar con el servidor. Verifica tu conexión.', 'error');
+            }
         } finally {
-            loadingMessage.style.display = 'none';
+            if (consulta === this.consultaDisponibilidad) {
+                loadingMessage.style.display = 'none';
+                this.actualizarHorariosDisponibles();
+            }
         }
     }
 
+    /**
+     * Escucha por Server-Sent Events los horarios que otros pacientes o el personal
+     * ocupan o liberan, para que la lista de horarios no quede desactualizada
+     */
+    conectarEventosDisponibilidad() {
+        if (!window.EventSource) {
+            return;
+        }
+
+        const eventos = new EventSource(`${this.apiUrl}/availability/stream`);
+        let conectadoAntes = false;
+
+        eventos.addEventListener('horario', (evento) => {
+            const cambio = JSON.parse(evento.data);
+            const { desde, hasta } = this.obtenerRangoDisponibilidad();
+
+            // Solo interesan los días que muestra el calendario; los demás se cargan al cambiar de mes
+            if (cambio.fecha < desde || cambio.fecha > hasta) {
+                return;
+            }
+
+            this.programarRecargaDisponibilidad();
+
+            // Las reservas temporales de otros pacientes vencen sin aviso
+            if (cambio.expiraEn) {
+                const restante = new Date(cambio.expiraEn).getTime() - Date.now();
+                setTimeout(() => this.programarRecargaDisponibilidad(), restante + 1000);
+            }
+        });
+
+        // Mientras la conexión estuvo caída se pudieron perder eventos
+        eventos.addEventListener('open', () => {
+            if (conectadoAntes) {
+                this.programarRecargaDisponibilidad();
+            }
+            conectadoAntes = true;
+        });
+    }
+
+    /**
+     * Agrupa en una sola recarga los eventos que llegan casi al mismo tiempo
+     */
+    programarRecargaDisponibilidad() {
+        clearTimeout(this.recargaPendiente);
+        this.recargaPendiente = setTimeout(() => this.cargarDisponibilidad({ enSegundoPlano: true }), 300);
+    }
+
     /**
      * Actualiza los horarios disponibles según la fecha seleccionada
      */
     actualizarHorariosDisponibles() {
         const fechaSeleccionada = document.getElementById('fecha').value;
-        const horarioSelect = document.getElementById('horario');
+        const horarioInput = document.getElementById('horario');
+        const seleccionActual = horarioInput.value;
+        const dia = this.disponibilidad[fechaSeleccionada];
+        const mismaFecha = fechaSeleccionada === this.fechaMostrada;
+        this.fechaMostrada = fechaSeleccionada;
+
+        // Conservar la selección solo si el horario sigue disponible
+        if (seleccionActual && !(dia && dia.abierto && dia.horarios.includes(seleccionActual))) {
+            horarioInput.value = '';
 
-        // Resetear todas las opciones
-        Array.from(horarioSelect.options).forEach((option, index) => {
-            if (index > 0) { // Skip primera opción (placeholder)
-                option.disabled = false;
-                option.style.color = '';
-                option.textContent = this.formatearHora(option.value);
+            if (mismaFecha && dia && dia.abierto) {
+                this.liberarReserva();
+                this.mostrarMensaje(
+                    `El horario de las ${this.formatearHora(seleccionActual)} ya no está disponible. Por favor elige otro.`,
+                    'error'
+                );
             }
-        });
+        }
 
-        if (!fechaSeleccionada) return;
+        this.generarCalendario();
+        this.generateTimeOptions(dia);
+        this.generarOpcionesListaEspera(dia && dia.abierto ? dia : null);
 
-        // Filtrar citas para la fecha seleccionada
-        const citasFecha = this.citasOcupadas.filter(cita => {
-            const fechaCita = new Date(cita.fecha).toISOString().split('T')[0];
-            return fechaCita === fechaSeleccionada;
-        });
+        // Se avisa al elegir el día, no en cada recarga en vivo
+        if (dia && !dia.abierto && !mismaFecha) {
+            this.mostrarMensaje(`No hay atención en esa fecha: ${dia.motivo}.`, 'error');
+        }
+    }
+
+    /**
+     * Retiene temporalmente el horario seleccionado para que nadie más lo tome
+     * mientras el paciente termina de llenar el formulario. La reserva anterior se
+     * conserva hasta que el backend confirma la nueva y recién entonces se libera
+     */
+    async reservarHorario() {
+        const horarioInput = document.getElementById('horario');
+        const consulta = ++this.consultaReserva;
+
+        if (!horarioInput.value) {
+            this.liberarReserva();
+            return;
+        }
+
+        try {
+            const response = await fetch(`${this.apiUrl}/holds`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    tipoServicio: document.getElementById('tipoServicio').value,
+                    dentista: document.getElementById('dentista').value || 'cualquiera',
+                    fecha: document.getElementById('fecha').value,
+                    horario: horarioInput.value,
+                    // El backend reemplaza la reserva actual en lugar de contarla como otra
+                    reserva: this.reserva ? this.reserva.token : undefined
+                })
+            });
 
-        // Deshabilitar horarios ocupados
-        citasFecha.forEach(cita => {
-            const option = Array.from(horarioSelect.options).find(opt => opt.value === cita.horario);
-            if (option) {
-                option.disabled = true;
-                option.style.color = '#999';
-                option.textContent += ' (Ocupado)';
+            const resultado = await response.json();
+
+            // El paciente cambió su elección mientras llegaba la respuesta: esa reserva sobra
+            if (consulta !== this.consultaReserva) {
+                if (response.ok) {
+                    this.liberarToken(resultado.token);
+                }
+                return;
+            }
+
+            // La reserva anterior ya la borró el backend al crear la nueva
+            if (response.ok) {
+                this.detenerTemporizadorReserva();
+                this.reserva = { token: resultado.token, expiraEn: resultado.expiraEn };
+                this.iniciarTemporizadorReserva();
+                return;
+            }
+
+            // La reserva anterior es de un horario que ya no está seleccionado
+            this.liberarReserva();
+            this.mostrarMensaje(resultado.mensaje || 'No se pudo reservar el horario.', 'error');
+
+            // El horario se ocupó: mostrar los que siguen libres
+            if (response.status === 409) {
+                horarioInput.value = '';
+                await this.cargarDisponibilidad();
+            }
+        } catch (error) {
+            // Sin reserva todavía se puede agendar; el backend verifica al guardar
+            console.error('Error al reservar horario:', error);
+            if (consulta === this.consultaReserva) {
+                this.liberarReserva();
+            }
+        }
+    }
+
+    /**
+     * Libera la reserva temporal del paciente, si tiene una, y descarta las
+     * respuestas de reservas que todavía no llegan
+     */
+    liberarReserva() {
+        this.consultaReserva++;
+        this.detenerTemporizadorReserva();
+
+        if (this.reserva) {
+            this.liberarToken(this.reserva.token);
+            this.reserva = null;
+        }
+    }
+
+    /**
+     * Pide al backend borrar una reserva; keepalive permite terminar la petición al salir de la página
+     * @param {string} token - Token de la reserva
+     */
+    liberarToken(token) {
+        fetch(`${this.apiUrl}/holds/${encodeURIComponent(token)}`, { method: 'DELETE', keepalive: true })
+            .catch(error => console.error('Error al liberar horario:', error));
+    }
+
+    /**
+     * Avisa al paciente cuando su reserva temporal vence
+     */
+    iniciarTemporizadorReserva() {
+        const restante = new Date(this.reserva.expiraEn).getTime() - Date.now();
+
+        this.temporizadorReserva = setTimeout(() => {
+            this.reserva = null;
+            this.temporizadorReserva = null;
+            this.mostrarMensaje(
+                'Tu horario ya no está reservado. Selecciónalo de nuevo si sigue disponible.',
+                'error'
+            );
+            this.cargarDisponibilidad();
+        }, Math.max(restante, 0));
+    }
+
+    /**
+     * Cancela el aviso de vencimiento de la reserva
+     */
+    detenerTemporizadorReserva() {
+        clearTimeout(this.temporizadorReserva);
+        this.temporizadorReserva = null;
+    }
+
+    /**
+     * Muestra la lista de espera con el rango de horas del día seleccionado
+     * @param {Object} [dia] - Día de la disponibilidad ({ horarios, noDisponibles })
+     */
+    generarOpcionesListaEspera(dia) {
+        const contenedor = document.getElementById('listaEspera');
+        const horas = dia ? [...dia.horarios, ...dia.noDisponibles].sort() : [];
+
+        contenedor.style.display = horas.length > 0 ? 'block' : 'none';
+
+        ['horaDesde', 'horaHasta'].forEach((id, indice) => {
+            const select = document.getElementById(id);
+            select.innerHTML = '';
+
+            horas.forEach(hora => {
+                const option = document.createElement('option');
+                option.value = hora;
+                option.textContent = this.formatearHora(hora);
+                select.appendChild(option);
+            });
+
+            // Por defecto, todo el día
+            if (horas.length > 0) {
+                select.value = indice === 0 ? horas[0] : horas[horas.length - 1];
             }
         });
+    }
 
-        // Limpiar selección si el horario ya no está disponible
-        if (horarioSelect.value && horarioSelect.options[horarioSelect.selectedIndex].disabled) {
-            horarioSelect.value = '';
+    /**
+     * Agrega al paciente a la lista de espera del día y rango de horas elegidos
+     */
+    async unirseListaEspera() {
+        const formData = new FormData(document.getElementById('appointmentForm'));
+        const listaEsperaBtn = document.getElementById('listaEsperaBtn');
+
+        const datos = {
+            nombreCompleto: formData.get('nombreCompleto').trim(),
+            email: formData.get('email').trim().toLowerCase(),
+            telefono: `+503${formData.get('telefono')}`,
+            tipoServicio: formData.get('tipoServicio'),
+            dentista: formData.get('dentista') || 'cualquiera',
+            fecha: formData.get('fecha'),
+            horaDesde: document.getElementById('horaDesde').value,
+            horaHasta: document.getElementById('horaHasta').value
+        };
+
+        if (!datos.tipoServicio || !datos.fecha) {
+            this.mostrarMensaje('Selecciona el servicio y la fecha que te interesan.', 'error');
+            return;
+        }
+
+        if (!this.validarContacto(datos)) {
+            return;
+        }
+
+        if (datos.horaDesde > datos.horaHasta) {
+            this.mostrarMensaje('La hora final no puede ser anterior a la inicial.', 'error');
+            return;
+        }
+
+        listaEsperaBtn.disabled = true;
+
+        try {
+            const response = await fetch(`${this.apiUrl}/waitlist`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(datos)
+            });
+
+            const resultado = await response.json();
+
+            if (response.ok) {
+                this.mostrarMensaje(resultado.mensaje, 'success');
+            } else {
+                this.mostrarMensaje(
+                    resultado.mensaje || 'No se pudo agregar a la lista de espera. Intenta de nuevo.',
+                    'error'
+                );
+            }
+        } catch (error) {
+            console.error('Error de red:', error);
+            this.mostrarMensaje(
+                'Error de conexión. Verifica tu conexión a internet e intenta de nuevo.',
+                'error'
+            );
+        } finally {
+            listaEsperaBtn.disabled = false;
         }
     }
 
@@ -188,8 +1053,10 @@ class SistemaCitas {
             email: formData.get('email').trim().toLowerCase(),
             telefono: `+503${formData.get('telefono')}`,
             tipoServicio: formData.get('tipoServicio'),
+            dentista: formData.get('dentista') || 'cualquiera',
             fecha: formData.get('fecha'),
-            horario: formData.get('horario')
+            horario: formData.get('horario'),
+            reserva: this.reserva ? this.reserva.token : undefined
         };
 
         // Validaciones adicionales
@@ -197,6 +1064,13 @@ class SistemaCitas {
             return;
         }
 
+        // El teléfono se confirma con un código por SMS antes de agendar
+        datosFormulario.verificacionTelefono = this.obtenerTokenTelefono(datosFormulario.telefono);
+        if (!datosFormulario.verificacionTelefono) {
+            await this.solicitarCodigoVerificacion(datosFormulario.telefono);
+            return;
+        }
+
         // Deshabilitar botón y mostrar loading
         submitBtn.disabled = true;
         const textoOriginal = submitBtn.textContent;
@@ -216,13 +1090,27 @@ class SistemaCitas {
             if (response.ok) {
                 // Éxito
                 this.mostrarMensaje('¡Cita agendada con éxito! Recibirás un SMS de confirmación en breve.', 'success');
+                // La reserva se convirtió en la cita
+                this.detenerTemporizadorReserva();
+                this.reserva = null;
                 e.target.reset();
-                this.generateTimeOptions(); // Regenerar opciones de horario
-                await this.cargarCitasOcupadas(); // Recargar citas ocupadas
+                // reset() no limpia los campos ocultos del calendario
+                document.getElementById('fecha').value = '';
+                document.getElementById('horario').value = '';
+                this.mostrarDetalleServicio();
+                this.generarOpcionesDentista(); // Regenerar opciones de dentista
+                await this.cargarDisponibilidad(); // Recargar horarios libres
+            } else if (response.status === 403) {
+                // La verificación guardada venció o no corresponde al número
+                this.guardarTelefonoVerificado(datosFormulario.telefono, null);
+                await this.solicitarCodigoVerificacion(datosFormulario.telefono);
             } else {
-                // Error del servidor
+                // Error del servidor; si el horario se ocupó, se puede esperar a que se libere
+                const sugerencia = response.status === 409
+                    ? ' También puedes unirte a la lista de espera de ese día.'
+                    : '';
                 this.mostrarMensaje(
-                    resultado.mensaje || 'Error al agendar la cita. Intenta de nuevo.', 
+                    (resultado.mensaje || 'Error al agendar la cita. Intenta de nuevo.') + sugerencia,
                     'error'
                 );
             }
@@ -239,56 +1127,219 @@ class SistemaCitas {
         }
     }
 
+    /**
+     * Lee los teléfonos verificados que recuerda este navegador
+     * @returns {Object} Verificaciones por teléfono ({ token, expiraEn })
+     */
+    leerTelefonosVerificados() {
+        try {
+            return JSON.parse(localStorage.getItem('telefonosVerificados')) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * Devuelve el token de verificación de un teléfono si sigue vigente
+     * @param {string} telefono - Teléfono con prefijo (+503XXXXXXXX)
+     * @returns {string|null} Token para enviar al agendar
+     */
+    obtenerTokenTelefono(telefono) {
+        const verificacion = this.leerTelefonosVerificados()[telefono];
+        return verificacion && new Date(verificacion.expiraEn) > new Date() ? verificacion.token : null;
+    }
+
+    /**
+     * Recuerda (o olvida, con null) la verificación de un teléfono y descarta las vencidas
+     * @param {string} telefono - Teléfono con prefijo (+503XXXXXXXX)
+     * @param {Object|null} verificacion - { token, expiraEn } devuelto por el backend
+     */
+    guardarTelefonoVerificado(telefono, verificacion) {
+        const ahora = new Date();
+        const verificados = Object.fromEntries(
+            Object.entries(this.leerTelefonosVerificados())
+                .filter(([numero, datos]) => numero !== telefono && new Date(datos.expiraEn) > ahora)
+        );
+
+        if (verificacion) {
+            verificados[telefono] = { token: verificacion.token, expiraEn: verificacion.expiraEn };
+        }
+
+        localStorage.setItem('telefonosVerificados', JSON.stringify(verificados));
+    }
+
+    /**
+     * Envía un código por SMS y muestra el paso de verificación en el formulario
+     * @param {string} telefono - Teléfono con prefijo (+503XXXXXXXX)
+     * @param {Object} [opciones]
+     * @param {boolean} [opciones.reenviar] - Pedir otro código aunque ya se haya enviado uno
+     */
+    async solicitarCodigoVerificacion(telefono, { reenviar = false } = {}) {
+        const codigoInput = document.getElementById('codigoVerificacion');
+        const reenviarBtn = document.getElementById('reenviarCodigoBtn');
+
+        // Ya hay un código en camino para este número: solo falta escribirlo
+        if (this.telefonoEnVerificacion === telefono && !reenviar) {
+            this.mostrarMensaje('Escribe el código que te enviamos por SMS para terminar de agendar.', 'error');
+            codigoInput.focus();
+            return;
+        }
+
+        reenviarBtn.disabled = true;
+
+        try {
+            const response = await fetch(`${this.apiUrl}/phone-verifications`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ telefono })
+            });
+
+            const resultado = await response.json();
+
+            if (!response.ok) {
+                this.mostrarMensaje(resultado.mensaje || 'No se pudo enviar el código. Intenta de nuevo.', 'error');
+                this.habilitarReenvioCodigo(resultado.reenviarEnSegundos || 0);
+                return;
+            }
+
+            this.telefonoEnVerificacion = telefono;
+            document.getElementById('verificacionTexto').textContent =
+                `Para confirmar tu cita, escribe el código de 6 dígitos que enviamos por SMS al ${telefono}.`;
+            document.getElementById('verificacionTelefono').style.display = 'block';
+            codigoInput.value = '';
+            codigoInput.focus();
+            this.habilitarReenvioCodigo(resultado.reenviarEnSegundos);
+        } catch (error) {
+            console.error('Error de red:', error);
+            this.mostrarMensaje('Error de conexión. Verifica tu conexión a internet e intenta de nuevo.', 'error');
+            reenviarBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Habilita el botón de reenvío cuando el backend permite pedir otro código
+     * @param {number} segundos - Segundos de espera
+     */
+    habilitarReenvioCodigo(segundos) {
+        const reenviarBtn = document.getElementById('reenviarCodigoBtn');
+        reenviarBtn.disabled = true;
+        setTimeout(() => {
+            reenviarBtn.disabled = false;
+        }, segundos * 1000);
+    }
+
+    /**
+     * Confirma el código escrito y, si es correcto, termina de agendar la cita
+     */
+    async confirmarCodigoVerificacion() {
+        const codigo = document.getElementById('codigoVerificacion').value.trim();
+        const verificarBtn = document.getElementById('verificarCodigoBtn');
+        const telefono = this.telefonoEnVerificacion;
+
+        if (!/^[0-9]{6}$/.test(codigo)) {
+            this.mostrarMensaje('El código debe tener 6 dígitos.', 'error');
+            return;
+        }
+
+        verificarBtn.disabled = true;
+
+        try {
+            const response = await fetch(`${this.apiUrl}/phone-verifications/confirm`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ telefono, codigo })
+            });
+
+            const resultado = await response.json();
+
+            if (response.ok) {
+                this.guardarTelefonoVerificado(telefono, resultado);
+                this.ocultarVerificacionTelefono();
+                document.getElementById('appointmentForm').requestSubmit();
+            } else {
+                this.mostrarMensaje(resultado.mensaje || 'No se pudo verificar el código. Intenta de nuevo.', 'error');
+            }
+        } catch (error) {
+            console.error('Error de red:', error);
+            this.mostrarMensaje('Error de conexión. Verifica tu conexión a internet e intenta de nuevo.', 'error');
+        } finally {
+            verificarBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Oculta el paso de verificación del teléfono
+     */
+    ocultarVerificacionTelefono() {
+        this.telefonoEnVerificacion = null;
+        document.getElementById('verificacionTelefono').style.display = 'none';
+        document.getElementById('codigoVerificacion').value = '';
+    }
+
     /**
      * Valida los datos del formulario
      * @param {Object} datos - Datos del formulario
      * @returns {boolean} True si es válido
      */
     validarFormulario(datos) {
-        // Validar nombre completo
-        if (!datos.nombreCompleto || datos.nombreCompleto.length < 2) {
-            this.mostrarMensaje('El nombre completo debe tener al menos 2 caracteres.', 'error');
+        if (!this.validarContacto(datos)) {
             return false;
         }
 
-        // Validar email
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        if (!emailRegex.test(datos.email)) {
-            this.mostrarMensaje('Por favor ingresa un email válido.', 'error');
+        // La fecha y el horario se eligen en el calendario, fuera de la validación nativa
+        if (!datos.fecha || !datos.horario) {
+            this.mostrarMensaje('Selecciona en el calendario la fecha y el horario de tu cita.', 'error');
             return false;
         }
 
-        // Validar teléfono
-        if (!/^\+503[0-9]{8}$/.test(datos.telefono)) {
-            this.mostrarMensaje('El número de teléfono debe tener exactamente 8 dígitos.', 'error');
+        // Validar fecha no sea en el pasado
+        if (datos.fecha < this.formatearFechaClinica(new Date())) {
+            this.mostrarMensaje('No puedes agendar una cita en una fecha pasada.', 'error');
             return false;
         }
 
-        // Validar fecha no sea en el pasado
-        const fechaCita = new Date(datos.fecha);
-        const hoy = new Date();
-        hoy.setHours(0, 0, 0, 0);
+        // Validar que la clínica atienda ese día (feriados, cierres, días sin atención)
+        const dia = this.disponibilidad[datos.fecha];
+        if (dia && !dia.abierto) {
+            this.mostrarMensaje(`No hay atención en esa fecha: ${dia.motivo}.`, 'error');
+            return false;
+        }
 
-        if (fechaCita < hoy) {
-            this.mostrarMensaje('No puedes agendar una cita en una fecha pasada.', 'error');
+        // Verificar si la fecha/hora ya está ocupada (doble verificación)
+        if (!dia || !dia.horarios.includes(datos.horario)) {
+            this.mostrarMensaje('Lo sentimos, la fecha y hora ya fue reservada por alguien más. Intenta de nuevo.', 'error');
             return false;
         }
 
-        // Validar día de la semana (opcional - evitar domingos)
-        const diaSemana = fechaCita.getDay();
-        if (diaSemana === 0) { // Domingo
-            this.mostrarMensaje('No se pueden agendar citas los domingos.', 'error');
+        return true;
+    }
+
+    /**
+     * Valida los datos de contacto del paciente
+     * @param {Object} datos - Datos del formulario
+     * @returns {boolean} True si es válido
+     */
+    validarContacto(datos) {
+        // Validar nombre completo
+        if (!datos.nombreCompleto || datos.nombreCompleto.length < 2) {
+            this.mostrarMensaje('El nombre completo debe tener al menos 2 caracteres.', 'error');
             return false;
         }
 
-        // Verificar si la fecha/hora ya está ocupada (doble verificación)
-        const citaExiste = this.citasOcupadas.some(cita => {
-            const fechaCitaExistente = new Date(cita.fecha).toISOString().split('T')[0];
-            return fechaCitaExistente === datos.fecha && cita.horario === datos.horario;
-        });
+        // Validar email
+        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+        if (!emailRegex.test(datos.email)) {
+            this.mostrarMensaje('Por favor ingresa un email válido.', 'error');
+            return false;
+        }
 
-        if (citaExiste) {
-            this.mostrarMensaje('Lo sentimos, la fecha y hora ya fue reservada por alguien más. Intenta de nuevo.', 'error');
+        // Validar teléfono
+        if (!/^\+503[0-9]{8}$/.test(datos.telefono)) {
+            this.mostrarMensaje('El número de teléfono debe tener exactamente 8 dígitos.', 'error');
             return false;
         }
 
@@ -337,8 +1388,8 @@ class SistemaCitas {
      */
     getEstadoSistema() {
         return {
-            citasOcupadas: this.citasOcupadas.length,
-            horariosDisponibles: this.horarios.length,
+            diasConDisponibilidad: Object.values(this.disponibilidad).filter(dia => dia.horarios.length > 0).length,
+            dentistas: this.dentistas.length,
             apiUrl: this.apiUrl,
             ultimaActualizacion: new Date().toISOString()
         };